@@ -0,0 +1,309 @@
+/**
+ * Inspect Command
+ * Builds the metadata report of a Parquet file (file summary, schema tree, row groups,
+ * column chunks and page index stats) and renders it as plain text.
+ * The report only contains JSON-safe values so it can be printed with JSON.stringify as-is.
+ */
+
+import { openAsBlob } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { basename } from 'node:path';
+import {
+    parseParquetFileStreaming,
+    getPageLocations,
+    EnumHelpers,
+    formatBytes,
+    formatNumber,
+} from '../src/parquetParser.js';
+import { formatStatValue, getLogicalTypeDescription, getStatisticsMinMax } from '../src/statsFormatter.js';
+import { createBlobSource } from '../src/byteSource.js';
+import { buildSchemaTree, findSchemaElement } from '../src/schemaTree.js';
+import { getColumnEncryption, formatKeyMetadata } from '../src/encryption.js';
+
+/**
+ * Parse a Parquet file from disk and build its report
+ * @param {string} filePath - Path to the Parquet file
+ * @param {Object} options - Passed on to parseParquetFileStreaming
+ * @returns {Promise<Object>} The report
+ */
+export async function inspectFile(filePath, options = {}) {
+    // openAsBlob only reports a generic error for missing files - stat first for a useful message
+    await stat(filePath);
+    const blob = await openAsBlob(filePath);
+    const data = await parseParquetFileStreaming(createBlobSource(blob, basename(filePath)), options);
+    return buildInspectReport(data);
+}
+
+/**
+ * Convert Int64/BigInt metadata fields to plain numbers (null if absent)
+ */
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Get formatted min/max values from a Statistics struct (falling back to the deprecated min/max fields)
+ * minMaxDeprecated marks values from the deprecated fields, minMaxUnordered those that may not follow
+ * the column's sort order.
+ */
+function getStatsRange(stats, meta, schemaElement) {
+    const range = getStatisticsMinMax(stats, schemaElement);
+    return {
+        min: range?.min ? formatStatValue(range.min, meta, schemaElement) : null,
+        max: range?.max ? formatStatValue(range.max, meta, schemaElement) : null,
+        minMaxDeprecated: range?.deprecated ?? false,
+        minMaxUnordered: range ? !range.reliable : false,
+    };
+}
+
+function buildSchemaReport(node) {
+    const elem = node.element;
+    const isLeaf = !elem.num_children;
+    return {
+        name: elem.name,
+        type: isLeaf ? EnumHelpers.getTypeName(elem.type) : 'group',
+        repetition: EnumHelpers.getRepetitionTypeName(elem.repetition_type),
+        logicalType: getLogicalTypeDescription(elem),
+        fieldId: elem.field_id ?? null,
+        children: isLeaf ? undefined : node.children.map(buildSchemaReport),
+    };
+}
+
+function buildPagesReport(pageIndex, meta, schemaElement, rowGroupRows) {
+    const columnIndex = pageIndex?.columnIndex;
+    const pages = getPageLocations(pageIndex);
+
+    return pages.map((page, i) => {
+        const firstRow = Number(page.first_row_index);
+        const nextFirstRow = pages[i + 1] ? Number(pages[i + 1].first_row_index) : rowGroupRows;
+        const hasStats = columnIndex?.min_values && i < columnIndex.min_values.length;
+        const isNullPage = columnIndex?.null_pages?.[i] || false;
+        const dataHeader = page.header?.data_page_header || page.header?.data_page_header_v2;
+
+        return {
+            offset: Number(page.offset),
+            compressedSize: page.compressed_page_size,
+            firstRow,
+            rows: nextFirstRow - firstRow,
+            rowsEstimated: page.rowsEstimated,
+            encoding: dataHeader ? EnumHelpers.getEncodingName(dataHeader.encoding) : null,
+            nullCount: toNumber(columnIndex?.null_counts?.[i]),
+            nullPage: isNullPage,
+            min: hasStats && !isNullPage ? formatStatValue(columnIndex.min_values[i], meta, schemaElement) : null,
+            max: hasStats && !isNullPage ? formatStatValue(columnIndex.max_values[i], meta, schemaElement) : null,
+        };
+    });
+}
+
+function buildColumnEncryptionReport(col) {
+    const columnEncryption = getColumnEncryption(col);
+    return columnEncryption
+        ? { keyType: columnEncryption.keyType, keyMetadata: formatKeyMetadata(columnEncryption.keyMetadata) }
+        : null;
+}
+
+function buildColumnReport(col, pageIndex, schema, rowGroupRows) {
+    const meta = col.meta_data;
+    // Metadata of a column encrypted with a column key that wasn't given can't be read
+    if (!meta) {
+        return { path: getColumnEncryption(col)?.path ?? null, locked: true, encryption: buildColumnEncryptionReport(col) };
+    }
+    const schemaElement = findSchemaElement(schema, meta.path_in_schema);
+    const stats = meta.statistics;
+
+    return {
+        path: meta.path_in_schema.join('.'),
+        type: EnumHelpers.getTypeName(meta.type),
+        logicalType: getLogicalTypeDescription(schemaElement),
+        codec: EnumHelpers.getCompressionName(meta.codec),
+        encodings: meta.encodings.map((enc) => EnumHelpers.getEncodingName(enc)),
+        numValues: toNumber(meta.num_values),
+        compressedSize: toNumber(meta.total_compressed_size),
+        uncompressedSize: toNumber(meta.total_uncompressed_size),
+        dataPageOffset: toNumber(meta.data_page_offset),
+        dictionaryPageOffset: toNumber(meta.dictionary_page_offset),
+        nullCount: toNumber(stats?.null_count),
+        distinctCount: toNumber(stats?.distinct_count),
+        ...getStatsRange(stats, meta, schemaElement),
+        hasColumnIndex: !!pageIndex?.columnIndex,
+        hasOffsetIndex: !!pageIndex?.offsetIndex,
+        hasBloomFilter: !!pageIndex?.bloomFilter,
+        pages: buildPagesReport(pageIndex, meta, schemaElement, rowGroupRows),
+        encryption: buildColumnEncryptionReport(col),
+    };
+}
+
+function buildEncryptionReport(encryption) {
+    if (!encryption) return null;
+    return {
+        algorithm: encryption.algorithm,
+        encryptedFooter: encryption.encryptedFooter,
+        footerKeyMetadata: formatKeyMetadata(encryption.footerKeyMetadata),
+        supplyAadPrefix: encryption.supplyAadPrefix,
+        footerSignatureValid: encryption.footerSignatureValid,
+        columns: encryption.columns.map((column) => ({
+            path: column.path,
+            keyType: column.keyType,
+            keyMetadata: formatKeyMetadata(column.keyMetadata),
+            decrypted: column.decrypted,
+            error: column.error,
+        })),
+    };
+}
+
+/**
+ * Build the JSON-safe report from the parser result
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Object} The report
+ */
+export function buildInspectReport(data) {
+    const { source, fileSize, footerLength, fileMetaData, pageIndexes, encryption } = data;
+    const schema = fileMetaData.schema;
+
+    return {
+        file: {
+            name: source.name,
+            size: fileSize,
+            footerLength,
+            version: fileMetaData.version,
+            createdBy: fileMetaData.created_by || null,
+            numRows: toNumber(fileMetaData.num_rows),
+            numRowGroups: fileMetaData.row_groups.length,
+            numColumns: schema.filter((elem) => !elem.num_children).length,
+            keyValueMetadata: (fileMetaData.key_value_metadata || []).map((kv) => ({
+                key: kv.key,
+                value: kv.value ?? null,
+            })),
+        },
+        encryption: buildEncryptionReport(encryption),
+        schema: buildSchemaReport(buildSchemaTree(schema)),
+        rowGroups: fileMetaData.row_groups.map((rg, rgIdx) => {
+            const rowGroupRows = Number(rg.num_rows);
+            return {
+                index: rgIdx,
+                numRows: rowGroupRows,
+                totalByteSize: toNumber(rg.total_byte_size),
+                totalCompressedSize: toNumber(rg.total_compressed_size),
+                fileOffset: toNumber(rg.file_offset),
+                columns: rg.columns.map((col, colIdx) =>
+                    buildColumnReport(col, pageIndexes[rgIdx]?.[colIdx], schema, rowGroupRows),
+                ),
+            };
+        }),
+    };
+}
+
+function renderSchemaLines(node, prefix, lines) {
+    node.children.forEach((child, i) => {
+        const isLast = i === node.children.length - 1;
+        const details = [child.type, child.logicalType, child.repetition?.toLowerCase()].filter(Boolean);
+        if (child.fieldId !== null) details.push(`id=${child.fieldId}`);
+        lines.push(`${prefix}${isLast ? '└── ' : '├── '}${child.name}: ${details.join(' ')}`);
+        if (child.children) {
+            renderSchemaLines(child, prefix + (isLast ? '    ' : '│   '), lines);
+        }
+    });
+}
+
+function formatRange(min, max) {
+    return min !== null || max !== null ? `min=${min ?? '-'} max=${max ?? '-'}` : null;
+}
+
+/**
+ * Render a report as human-readable text
+ * @param {Object} report - Result of buildInspectReport
+ * @returns {string} The text report
+ */
+export function renderInspectReport(report) {
+    const { file } = report;
+    const lines = [];
+
+    lines.push(`File: ${file.name}`);
+    lines.push(`  Size:        ${formatBytes(file.size)} (${formatNumber(file.size)} B)`);
+    lines.push(`  Footer:      ${formatNumber(file.footerLength)} B`);
+    lines.push(`  Rows:        ${formatNumber(file.numRows)}`);
+    lines.push(`  Row groups:  ${file.numRowGroups}`);
+    lines.push(`  Columns:     ${file.numColumns}`);
+    lines.push(`  Version:     ${file.version}`);
+    lines.push(`  Created by:  ${file.createdBy || 'Unknown'}`);
+    for (const kv of file.keyValueMetadata) {
+        const value = kv.value && kv.value.length > 80 ? kv.value.substring(0, 80) + '...' : kv.value;
+        lines.push(`  Metadata:    ${kv.key}${value !== null ? ` = ${value}` : ''}`);
+    }
+
+    const { encryption } = report;
+    if (encryption) {
+        const footerMode = encryption.encryptedFooter ? 'encrypted footer' : 'plaintext footer';
+        lines.push(`  Encryption:  ${encryption.algorithm}, ${footerMode}`);
+        if (encryption.footerKeyMetadata) lines.push(`  Footer key:  ${encryption.footerKeyMetadata}`);
+        if (!encryption.encryptedFooter) {
+            const signature = { true: 'verified', false: 'invalid' }[encryption.footerSignatureValid] ?? 'not verified';
+            lines.push(`  Signature:   ${signature}`);
+        }
+        for (const column of encryption.columns) {
+            const status = column.decrypted ? 'decrypted' : column.error || 'locked';
+            const keyMetadata = column.keyMetadata ? ` (${column.keyMetadata})` : '';
+            lines.push(`  Encrypted:   ${column.path}: ${column.keyType} key${keyMetadata}, ${status}`);
+        }
+    }
+
+    lines.push('');
+    lines.push('Schema:');
+    lines.push(`  ${report.schema.name}`);
+    renderSchemaLines(report.schema, '  ', lines);
+
+    for (const rg of report.rowGroups) {
+        lines.push('');
+        lines.push(
+            `Row group ${rg.index}: ${formatNumber(rg.numRows)} rows, ` +
+                `${formatBytes(rg.totalCompressedSize ?? rg.totalByteSize)} compressed, ` +
+                `${formatBytes(rg.totalByteSize)} uncompressed`,
+        );
+
+        for (const col of rg.columns) {
+            if (col.locked) {
+                lines.push(`  ${col.path}: encrypted with a ${col.encryption.keyType} key (no key given)`);
+                continue;
+            }
+            const ratio = col.compressedSize > 0 ? (col.uncompressedSize / col.compressedSize).toFixed(2) : '-';
+            const details = [
+                col.logicalType ? `${col.type} (${col.logicalType})` : col.type,
+                col.codec,
+                col.encodings.join(','),
+                `${formatNumber(col.numValues)} values`,
+                `${formatBytes(col.compressedSize)} (${ratio}x)`,
+            ];
+            if (col.nullCount !== null) details.push(`nulls=${formatNumber(col.nullCount)}`);
+            if (col.distinctCount !== null) details.push(`distinct=${formatNumber(col.distinctCount)}`);
+            const range = formatRange(col.min, col.max);
+            if (range && col.minMaxDeprecated) {
+                details.push(`${range} (deprecated min/max${col.minMaxUnordered ? ', may not follow the sort order' : ''})`);
+            } else if (range) {
+                details.push(range);
+            }
+            if (col.hasBloomFilter) details.push('bloom filter');
+            lines.push(`  ${col.path}: ${details.join('  ')}`);
+
+            if (col.pages.length > 0) {
+                const pageSource = col.hasOffsetIndex ? 'offset index' : 'page headers';
+                lines.push(`    ${col.pages.length} page${col.pages.length === 1 ? '' : 's'} (from ${pageSource}):`);
+            }
+            col.pages.forEach((page, i) => {
+                const rowPrefix = page.rowsEstimated ? '~' : '';
+                const pageDetails = [
+                    `@${page.offset}`,
+                    formatBytes(page.compressedSize),
+                    `rows ${rowPrefix}${formatNumber(page.firstRow)}+${rowPrefix}${formatNumber(page.rows)}`,
+                ];
+                if (page.encoding) pageDetails.push(page.encoding);
+                if (page.nullPage) pageDetails.push('null page');
+                if (page.nullCount !== null) pageDetails.push(`nulls=${formatNumber(page.nullCount)}`);
+                const pageRange = formatRange(page.min, page.max);
+                if (pageRange) pageDetails.push(pageRange);
+                lines.push(`      page ${i}: ${pageDetails.join('  ')}`);
+            });
+        }
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Parquetastic CLI
+ * Headless entry point: prints the metadata report of a Parquet file as text or JSON.
+ *
+ * Usage: parquetastic inspect <file.parquet> [--json] [--no-page-headers] [--footer-key=<key>] [--column-key=<path>=<key>]
+ */
+
+const USAGE = `Usage: parquetastic inspect <file.parquet> [options]
+
+Prints the file summary, schema tree, row groups, column chunks and page index stats.
+
+Options:
+  --json              Print the report as JSON instead of text
+  --no-page-headers   Don't decode page headers (pages are then only listed from the offset index)
+  --footer-key=<key>  Footer key of an encrypted file (hex or base64)
+  --column-key=<path>=<key>
+                      Key of an encrypted column, e.g. --column-key=user.email=<key> (repeatable)
+  --aad-prefix=<text> AAD prefix of an encrypted file that doesn't store it
+  -h, --help          Show this help`;
+
+const FLAGS = ['--json', '--no-page-headers'];
+const VALUE_OPTIONS = ['--footer-key=', '--column-key=', '--aad-prefix='];
+
+/**
+ * Collect the decryption keys given on the command line
+ */
+function getDecryptionOptions(options) {
+    const getValues = (prefix) => options.filter((arg) => arg.startsWith(prefix)).map((arg) => arg.slice(prefix.length));
+    const [footerKey] = getValues('--footer-key=');
+    const [aadPrefix] = getValues('--aad-prefix=');
+    const columnKeys = {};
+    for (const value of getValues('--column-key=')) {
+        // Column paths don't contain '=', base64 keys can end with it
+        const separator = value.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid --column-key (expected <path>=<key>): ${value}`);
+        }
+        columnKeys[value.slice(0, separator)] = value.slice(separator + 1);
+    }
+    return { footerKey, columnKeys, aadPrefix };
+}
+
+async function main(args) {
+    if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+        console.log(USAGE);
+        return args.length === 0 ? 2 : 0;
+    }
+
+    const [command, ...rest] = args;
+    if (command !== 'inspect') {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const files = rest.filter((arg) => !arg.startsWith('--'));
+    const unknownOptions = rest.filter(
+        (arg) => arg.startsWith('--') && !FLAGS.includes(arg) && !VALUE_OPTIONS.some((prefix) => arg.startsWith(prefix)),
+    );
+    if (files.length !== 1 || unknownOptions.length > 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const { inspectFile, renderInspectReport } = await import('./inspect.js');
+
+    const report = await inspectFile(files[0], {
+        readPageHeaders: !rest.includes('--no-page-headers'),
+        decryption: getDecryptionOptions(rest),
+    });
+    if (rest.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(renderInspectReport(report));
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    (exitCode) => {
+        process.exitCode = exitCode;
+    },
+    (err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    },
+);
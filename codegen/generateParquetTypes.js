@@ -0,0 +1,365 @@
+/**
+ * Parquet Types Generator
+ * Generates src/parquet_types.js (an ES module with one class per Thrift struct and union and
+ * one name map per enum, read and written through src/thrift.js) and its TypeScript declarations
+ * src/parquet_types.d.ts from src/parquet.thrift.
+ *
+ * Runs as part of the Vite build and dev server (see parquetTypesPlugin), or on its own with
+ * `npm run generate-types`. The generated files are checked in, so Node.js and workers can import
+ * them without a build.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseThriftIdl } from './thriftIdl.js';
+
+const ROOT = resolve(fileURLToPath(import.meta.url), '../..');
+const THRIFT_PATH = resolve(ROOT, 'src/parquet.thrift');
+const JS_PATH = resolve(ROOT, 'src/parquet_types.js');
+const DTS_PATH = resolve(ROOT, 'src/parquet_types.d.ts');
+
+const HEADER = `//
+// Generated from parquet.thrift by codegen/generateParquetTypes.js
+//
+// DO NOT EDIT: change src/parquet.thrift instead (regenerated by the Vite build and \`npm run generate-types\`)
+//
+`;
+
+// Thrift.Type constant (see src/thrift.js) and protocol method suffix of each base type
+const BASE_TYPES = {
+    bool: { wireType: 'BOOL', method: 'Bool', ts: 'boolean' },
+    byte: { wireType: 'BYTE', method: 'Byte', ts: 'number' },
+    i16: { wireType: 'I16', method: 'I16', ts: 'number' },
+    i32: { wireType: 'I32', method: 'I32', ts: 'number' },
+    // Read as a number, or a BigInt outside the safe integer range
+    i64: { wireType: 'I64', method: 'I64', ts: 'number | bigint' },
+    double: { wireType: 'DOUBLE', method: 'Double', ts: 'number' },
+    string: { wireType: 'STRING', method: 'String', ts: 'string' },
+    binary: { wireType: 'STRING', method: 'Binary', ts: 'Uint8Array' },
+};
+
+const INDENT = '    ';
+
+function getWireType(type) {
+    if (type.base) return BASE_TYPES[type.base].wireType;
+    if (type.enum) return 'I32';
+    if (type.struct) return 'STRUCT';
+    if (type.list) return 'LIST';
+    if (type.set) return 'SET';
+    return 'MAP';
+}
+
+function getTsType(type) {
+    if (type.base) return BASE_TYPES[type.base].ts;
+    if (type.enum || type.struct) return type.enum ?? type.struct;
+    if (type.list || type.set) {
+        const element = getTsType(type.list ?? type.set);
+        return element.includes(' ') ? `(${element})[]` : `${element}[]`;
+    }
+    return `{ [key: string]: ${getTsType(type.map[1])} }`;
+}
+
+/**
+ * Format a constant (a field default) as a JS expression
+ */
+function formatConstValue(value, enums) {
+    if (Array.isArray(value)) return `[${value.map((entry) => formatConstValue(entry, enums)).join(', ')}]`;
+    if (value !== null && typeof value === 'object') {
+        if (value.entries) {
+            const entries = value.entries.map(
+                ([key, entry]) => `${JSON.stringify(key)}: ${formatConstValue(entry, enums)}`,
+            );
+            return `{ ${entries.join(', ')} }`;
+        }
+        // Enum value, e.g. Encoding.PLAIN
+        const [enumName, valueName] = value.ref.split('.');
+        const enumValue = enums.find((definition) => definition.name === enumName)?.values.find(
+            (entry) => entry.name === valueName,
+        );
+        if (!enumValue) throw new SyntaxError(`Unknown constant "${value.ref}"`);
+        return String(enumValue.value);
+    }
+    return typeof value === 'string' ? `'${value.replace(/[\\']/g, '\\$&')}'` : String(value);
+}
+
+/**
+ * Generate the statements that read a value of a type into a variable or property
+ * @param {string} target - Where the value goes, e.g. "this.schema" or "const elem0"
+ */
+function generateRead(type, target, depth) {
+    if (type.base) return [`${target} = input.read${BASE_TYPES[type.base].method}().value;`];
+    if (type.enum) return [`${target} = input.readI32().value;`];
+
+    const name = target.replace(/^const /, '');
+    if (type.struct) {
+        return [`${target} = new ${type.struct}();`, `${name}[Symbol.for('read')](input);`];
+    }
+    if (type.list || type.set) {
+        const kind = type.list ? 'List' : 'Set';
+        const element = `elem${depth}`;
+        return [
+            `${target} = [];`,
+            `const { size: size${depth} } = input.read${kind}Begin();`,
+            `for (let i${depth} = 0; i${depth} < size${depth}; i${depth}++) {`,
+            ...generateRead(type.list ?? type.set, `const ${element}`, depth + 1).map((line) => INDENT + line),
+            `${INDENT}${name}.push(${element});`,
+            '}',
+            `input.read${kind}End();`,
+        ];
+    }
+    const [keyType, valueType] = type.map;
+    return [
+        `${target} = {};`,
+        `const { size: size${depth} } = input.readMapBegin();`,
+        `for (let i${depth} = 0; i${depth} < size${depth}; i${depth}++) {`,
+        ...generateRead(keyType, `const key${depth}`, depth + 1).map((line) => INDENT + line),
+        ...generateRead(valueType, `const value${depth}`, depth + 1).map((line) => INDENT + line),
+        `${INDENT}${name}[key${depth}] = value${depth};`,
+        '}',
+        'input.readMapEnd();',
+    ];
+}
+
+/**
+ * Generate the statements that write a value of a type
+ */
+function generateWrite(type, value, depth) {
+    if (type.base) return [`output.write${BASE_TYPES[type.base].method}(${value});`];
+    if (type.enum) return [`output.writeI32(${value});`];
+    if (type.struct) return [`${value}[Symbol.for('write')](output);`];
+    if (type.list || type.set) {
+        const kind = type.list ? 'List' : 'Set';
+        const elementType = type.list ?? type.set;
+        return [
+            `output.write${kind}Begin(Thrift.Type.${getWireType(elementType)}, ${value}.length);`,
+            `for (const elem${depth} of ${value}) {`,
+            ...generateWrite(elementType, `elem${depth}`, depth + 1).map((line) => INDENT + line),
+            '}',
+            `output.write${kind}End();`,
+        ];
+    }
+    const [keyType, valueType] = type.map;
+    return [
+        `output.writeMapBegin(Thrift.Type.${getWireType(keyType)}, Thrift.Type.${getWireType(valueType)}, ` +
+            `Object.keys(${value}).length);`,
+        `for (const [key${depth}, value${depth}] of Object.entries(${value})) {`,
+        ...generateWrite(keyType, `key${depth}`, depth + 1).map((line) => INDENT + line),
+        ...generateWrite(valueType, `value${depth}`, depth + 1).map((line) => INDENT + line),
+        '}',
+        'output.writeMapEnd();',
+    ];
+}
+
+/**
+ * Generate the copy of a constructor argument
+ */
+function generateCopy(type, value) {
+    if (type.struct) return `new ${type.struct}(${value})`;
+    if (type.list || type.set) return `Thrift.copyList(${value}, [${(type.list ?? type.set).struct ?? null}])`;
+    return value;
+}
+
+function generateClass(struct, enums) {
+    const lines = [`export class ${struct.name} {`];
+    const indent = (level, statements) => statements.map((line) => INDENT.repeat(level) + line);
+
+    if (struct.fields.length > 0) {
+        lines.push(`${INDENT}constructor(args) {`);
+        for (const field of struct.fields) {
+            const initial = field.default !== null ? formatConstValue(field.default, enums) : 'null';
+            lines.push(`${INDENT.repeat(2)}this.${field.name} = ${initial};`);
+        }
+        lines.push(`${INDENT.repeat(2)}if (args) {`);
+        for (const field of struct.fields) {
+            const arg = `args.${field.name}`;
+            lines.push(
+                ...indent(3, [
+                    `if (${arg} !== undefined && ${arg} !== null) {`,
+                    `${INDENT}this.${field.name} = ${generateCopy(field.type, arg)};`,
+                    ...(field.required
+                        ? [
+                              '} else {',
+                              `${INDENT}throw new Thrift.TProtocolException(`,
+                              `${INDENT.repeat(2)}Thrift.TProtocolExceptionType.UNKNOWN,`,
+                              `${INDENT.repeat(2)}'Required field ${field.name} is unset!',`,
+                              `${INDENT});`,
+                          ]
+                        : []),
+                    '}',
+                ]),
+            );
+        }
+        lines.push(`${INDENT.repeat(2)}}`, `${INDENT}}`, '');
+    }
+
+    // Fields with an unknown id or an unexpected type are skipped
+    lines.push(
+        `${INDENT}[Symbol.for('read')](input) {`,
+        ...indent(2, [
+            'input.readStructBegin();',
+            'while (true) {',
+            `${INDENT}const { ${struct.fields.length > 0 ? 'ftype, fid' : 'ftype'} } = input.readFieldBegin();`,
+            `${INDENT}if (ftype === Thrift.Type.STOP) break;`,
+        ]),
+    );
+    if (struct.fields.length > 0) {
+        lines.push(`${INDENT.repeat(3)}switch (fid) {`);
+        for (const field of struct.fields) {
+            lines.push(
+                ...indent(4, [
+                    `case ${field.id}:`,
+                    `${INDENT}if (ftype === Thrift.Type.${getWireType(field.type)}) {`,
+                    ...indent(2, generateRead(field.type, `this.${field.name}`, 0)),
+                    `${INDENT}} else {`,
+                    `${INDENT.repeat(2)}input.skip(ftype);`,
+                    `${INDENT}}`,
+                    `${INDENT}break;`,
+                ]),
+            );
+        }
+        lines.push(...indent(4, ['default:', `${INDENT}input.skip(ftype);`]), `${INDENT.repeat(3)}}`);
+    } else {
+        lines.push(`${INDENT.repeat(3)}input.skip(ftype);`);
+    }
+    lines.push(
+        ...indent(2, [`${INDENT}input.readFieldEnd();`, '}', 'input.readStructEnd();']),
+        `${INDENT}}`,
+        '',
+        `${INDENT}[Symbol.for('write')](output) {`,
+        `${INDENT.repeat(2)}output.writeStructBegin('${struct.name}');`,
+    );
+    for (const field of struct.fields) {
+        const value = `this.${field.name}`;
+        lines.push(
+            ...indent(2, [
+                `if (${value} !== null && ${value} !== undefined) {`,
+                `${INDENT}output.writeFieldBegin('${field.name}', Thrift.Type.${getWireType(field.type)}, ${field.id});`,
+                ...indent(1, generateWrite(field.type, value, 0)),
+                `${INDENT}output.writeFieldEnd();`,
+                '}',
+            ]),
+        );
+    }
+    lines.push(...indent(2, ['output.writeFieldStop();', 'output.writeStructEnd();']), `${INDENT}}`, '}');
+    return lines.join('\n');
+}
+
+function generateEnum(definition) {
+    // Maps names to values and values to names
+    const entries = definition.values.flatMap(({ name, value }) => [`${value}: '${name}'`, `${name}: ${value}`]);
+    return [`export const ${definition.name} = Object.freeze({`, ...entries.map((entry) => `${INDENT}${entry},`), '});'].join(
+        '\n',
+    );
+}
+
+/**
+ * Generate the ES module
+ * @param {Object} idl - Result of parseThriftIdl
+ * @returns {string} The module source
+ */
+export function generateModule(idl) {
+    const sections = [`${HEADER}import { Thrift } from './thrift.js';`];
+    sections.push(...idl.consts.map((constant) => `export const ${constant.name} = ${formatConstValue(constant.value, idl.enums)};`));
+    sections.push(...idl.enums.map(generateEnum));
+    sections.push(...idl.structs.map((struct) => generateClass(struct, idl.enums)));
+    return `${sections.join('\n\n')}\n`;
+}
+
+function formatDoc(doc, indent = '') {
+    if (!doc) return [];
+    return [`${indent}/**`, ...doc.split('\n').map((line) => `${indent} *${line ? ` ${line}` : ''}`), `${indent} */`];
+}
+
+/**
+ * Generate the TypeScript declarations of the module
+ * @param {Object} idl - Result of parseThriftIdl
+ * @returns {string} The declaration file source
+ */
+export function generateDeclarations(idl) {
+    const sections = [HEADER.trimEnd()];
+    for (const constant of idl.consts) {
+        sections.push(`export declare const ${constant.name}: ${getTsType(constant.type)};`);
+    }
+    for (const typedef of idl.typedefs) {
+        sections.push(`export type ${typedef.name} = ${getTsType(typedef.type)};`);
+    }
+    for (const definition of idl.enums) {
+        sections.push(
+            [
+                ...formatDoc(definition.doc),
+                `export declare enum ${definition.name} {`,
+                ...definition.values.map(({ name, value }) => `${INDENT}${name} = ${value},`),
+                '}',
+            ].join('\n'),
+        );
+    }
+    for (const struct of idl.structs) {
+        const lines = [...formatDoc(struct.doc)];
+        if (struct.fields.length === 0) {
+            lines.push(`export declare class ${struct.name} {}`);
+        } else {
+            // Fields a union doesn't hold and unset optional fields are null
+            const properties = struct.fields.map(
+                (field) => `${field.name}${field.required ? '' : '?'}: ${getTsType(field.type)}${field.required ? '' : ' | null'};`,
+            );
+            lines.push(
+                `export declare class ${struct.name} {`,
+                ...properties.map((property) => INDENT + property),
+                '',
+                `${INDENT}constructor(args?: {`,
+                ...properties.map((property) => INDENT.repeat(2) + property),
+                `${INDENT}});`,
+                '}',
+            );
+        }
+        sections.push(lines.join('\n'));
+    }
+    return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Write a file unless it already has the content (keeps the dev server from reloading)
+ * @returns {boolean} Whether the file was written
+ */
+function writeIfChanged(path, content) {
+    if (existsSync(path) && readFileSync(path, 'utf8') === content) return false;
+    writeFileSync(path, content);
+    return true;
+}
+
+/**
+ * Generate src/parquet_types.js and src/parquet_types.d.ts from src/parquet.thrift
+ * @returns {string[]} The paths of the files that changed
+ */
+export function generateParquetTypes() {
+    const idl = parseThriftIdl(readFileSync(THRIFT_PATH, 'utf8'));
+    return [
+        [JS_PATH, generateModule(idl)],
+        [DTS_PATH, generateDeclarations(idl)],
+    ]
+        .filter(([path, content]) => writeIfChanged(path, content))
+        .map(([path]) => path);
+}
+
+/**
+ * Vite plugin that regenerates the Parquet types at the start of a build and whenever
+ * parquet.thrift changes while the dev server runs
+ */
+export function parquetTypesPlugin() {
+    return {
+        name: 'parquet-types',
+        buildStart() {
+            this.addWatchFile(THRIFT_PATH);
+            generateParquetTypes();
+        },
+        watchChange(id) {
+            if (resolve(id) === THRIFT_PATH) generateParquetTypes();
+        },
+    };
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const changed = generateParquetTypes();
+    console.log(changed.length > 0 ? `Updated ${changed.join(', ')}` : 'Parquet types are up to date');
+}
@@ -0,0 +1,302 @@
+/**
+ * Thrift IDL Parser
+ * Parses the subset of the Thrift interface definition language that parquet.thrift uses: enums,
+ * structs, unions, exceptions, typedefs and constants (services are rejected). Doc comments
+ * (/** ... *\/) are kept for the generated declarations.
+ * https://thrift.apache.org/docs/idl
+ */
+
+const BASE_TYPES = new Set(['bool', 'byte', 'i8', 'i16', 'i32', 'i64', 'double', 'string', 'binary']);
+
+const PUNCTUATION = new Set(['{', '}', '<', '>', '(', ')', '[', ']', ',', ';', ':', '=']);
+
+/**
+ * Split IDL source into tokens: { kind ('word' | 'number' | 'string' | 'punct' | 'eof'), value, line, doc }
+ * where doc is the text of the doc comment directly before the token, if any
+ */
+function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let doc = null;
+
+    const advance = (to) => {
+        for (let i = pos; i < to; i++) {
+            if (source[i] === '\n') line++;
+        }
+        pos = to;
+    };
+
+    while (pos < source.length) {
+        const char = source[pos];
+        if (/\s/.test(char)) {
+            advance(pos + 1);
+        } else if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            if (end === -1) throw new SyntaxError(`Unterminated comment on line ${line}`);
+            if (source[pos + 2] === '*') {
+                doc = source.slice(pos + 3, end);
+            }
+            advance(end + 2);
+        } else if (source.startsWith('//', pos) || char === '#') {
+            const end = source.indexOf('\n', pos);
+            advance(end === -1 ? source.length : end);
+        } else if (char === '"' || char === "'") {
+            const end = source.indexOf(char, pos + 1);
+            if (end === -1) throw new SyntaxError(`Unterminated string on line ${line}`);
+            tokens.push({ kind: 'string', value: source.slice(pos + 1, end), line, doc });
+            doc = null;
+            advance(end + 1);
+        } else if (PUNCTUATION.has(char)) {
+            tokens.push({ kind: 'punct', value: char, line, doc });
+            doc = null;
+            advance(pos + 1);
+        } else {
+            const match = /^(?:[+-]?(?:0x[0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|[A-Za-z_][\w.]*)/.exec(
+                source.slice(pos, pos + 256),
+            );
+            if (!match) throw new SyntaxError(`Unexpected character "${char}" on line ${line}`);
+            const isNumber = /^[+-]?\d/.test(match[0]);
+            tokens.push({ kind: isNumber ? 'number' : 'word', value: match[0], line, doc });
+            doc = null;
+            advance(pos + match[0].length);
+        }
+    }
+    tokens.push({ kind: 'eof', value: null, line, doc: null });
+    return tokens;
+}
+
+/**
+ * Turn the text of a doc comment into lines without the leading asterisks
+ */
+function cleanDoc(doc) {
+    if (doc === null) return null;
+    // Comments closed with **/ leave an asterisk at the end
+    const lines = doc
+        .replace(/\*+$/, '')
+        .split('\n')
+        .map((text) => text.replace(/^\s*\*?\s?/, '').trimEnd());
+    while (lines.length > 0 && lines[0] === '') lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Parse Thrift IDL
+ * @param {string} source - The IDL text
+ * @returns {Object} { enums, structs, typedefs, consts } in order of definition, where
+ *          enums are { name, doc, values: [{ name, value }] },
+ *          structs { name, kind ('struct' | 'union' | 'exception'), doc, fields: [{ id, name, type,
+ *          required, default }] }, typedefs { name, type } and consts { name, type, value }.
+ *          Types are { base } for base types, { list | set: type }, { map: [keyType, valueType] } or
+ *          { enum | struct: name } (typedefs resolved).
+ * @throws {SyntaxError} With the line of the offending token
+ */
+export function parseThriftIdl(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const fail = (token, message) => {
+        throw new SyntaxError(`${message} on line ${token.line}`);
+    };
+    const expect = (value) => {
+        const token = next();
+        if (token.value !== value) fail(token, `Expected "${value}", found "${token.value ?? 'end of file'}"`);
+        return token;
+    };
+    const expectWord = () => {
+        const token = next();
+        if (token.kind !== 'word') fail(token, `Expected a name, found "${token.value ?? 'end of file'}"`);
+        return token.value;
+    };
+    const skipSeparator = () => {
+        if (peek().value === ',' || peek().value === ';') next();
+    };
+    // Annotations such as (cpp.type = "...") don't affect the generated code
+    const skipAnnotations = () => {
+        if (peek().value !== '(') return;
+        while (next().value !== ')') {
+            if (peek().kind === 'eof') fail(peek(), 'Unterminated annotations');
+        }
+    };
+
+    const parseType = () => {
+        const name = expectWord();
+        let type;
+        if (BASE_TYPES.has(name)) {
+            type = { base: name === 'i8' ? 'byte' : name };
+        } else if (name === 'list' || name === 'set') {
+            expect('<');
+            type = { [name]: parseType() };
+            expect('>');
+        } else if (name === 'map') {
+            expect('<');
+            const keyType = parseType();
+            expect(',');
+            type = { map: [keyType, parseType()] };
+            expect('>');
+        } else {
+            // Resolved once all definitions are known
+            type = { ref: name };
+        }
+        skipAnnotations();
+        return type;
+    };
+
+    const parseConstValue = () => {
+        const token = next();
+        if (token.kind === 'number') return Number(token.value);
+        if (token.kind === 'string') return token.value;
+        if (token.kind === 'word') {
+            if (token.value === 'true' || token.value === 'false') return token.value === 'true';
+            return { ref: token.value };
+        }
+        if (token.value === '[') {
+            const values = [];
+            while (peek().value !== ']') {
+                values.push(parseConstValue());
+                skipSeparator();
+            }
+            next();
+            return values;
+        }
+        if (token.value === '{') {
+            const entries = [];
+            while (peek().value !== '}') {
+                const key = parseConstValue();
+                expect(':');
+                entries.push([key, parseConstValue()]);
+                skipSeparator();
+            }
+            next();
+            return { entries };
+        }
+        return fail(token, `Unexpected "${token.value}" in constant value`);
+    };
+
+    const parseEnum = (doc) => {
+        const name = expectWord();
+        expect('{');
+        const values = [];
+        let nextValue = 0;
+        while (peek().value !== '}') {
+            const valueName = expectWord();
+            if (peek().value === '=') {
+                next();
+                const token = next();
+                if (token.kind !== 'number') fail(token, `Expected a number for ${name}.${valueName}`);
+                nextValue = Number(token.value);
+            }
+            values.push({ name: valueName, value: nextValue++ });
+            skipAnnotations();
+            skipSeparator();
+        }
+        next();
+        return { name, doc, values };
+    };
+
+    const parseStruct = (kind, doc) => {
+        const name = expectWord();
+        expect('{');
+        const fields = [];
+        while (peek().value !== '}') {
+            const idToken = next();
+            if (idToken.kind !== 'number') fail(idToken, `Expected a field id in ${name}`);
+            expect(':');
+            let requiredness = 'default';
+            if (peek().value === 'required' || peek().value === 'optional') {
+                requiredness = next().value;
+            }
+            const type = parseType();
+            const fieldName = expectWord();
+            let defaultValue = null;
+            if (peek().value === '=') {
+                next();
+                defaultValue = parseConstValue();
+            }
+            skipAnnotations();
+            skipSeparator();
+            if (fields.some((field) => field.id === Number(idToken.value))) {
+                fail(idToken, `Duplicate field id ${idToken.value} in ${name}`);
+            }
+            fields.push({
+                id: Number(idToken.value),
+                name: fieldName,
+                type,
+                required: requiredness === 'required',
+                default: defaultValue,
+            });
+        }
+        next();
+        skipAnnotations();
+        return { name, kind, doc, fields };
+    };
+
+    const enums = [];
+    const structs = [];
+    const typedefs = [];
+    const consts = [];
+
+    while (peek().kind !== 'eof') {
+        const token = next();
+        const doc = cleanDoc(token.doc);
+        switch (token.value) {
+            case 'namespace':
+                next();
+                next();
+                break;
+            case 'include':
+            case 'cpp_include':
+                fail(token, 'Includes are not supported');
+                break;
+            case 'enum':
+                enums.push(parseEnum(doc));
+                break;
+            case 'struct':
+            case 'union':
+            case 'exception':
+                structs.push(parseStruct(token.value, doc));
+                break;
+            case 'typedef': {
+                const type = parseType();
+                typedefs.push({ name: expectWord(), type });
+                break;
+            }
+            case 'const': {
+                const type = parseType();
+                const name = expectWord();
+                expect('=');
+                consts.push({ name, type, value: parseConstValue() });
+                break;
+            }
+            default:
+                fail(token, `Unsupported definition "${token.value}"`);
+        }
+        skipSeparator();
+    }
+
+    // Resolve named types to enums and structs, following typedefs
+    const enumNames = new Set(enums.map((definition) => definition.name));
+    const structNames = new Set(structs.map((definition) => definition.name));
+    const typedefMap = new Map(typedefs.map((definition) => [definition.name, definition.type]));
+    const resolve = (type, seen = new Set()) => {
+        if (type.list) return { list: resolve(type.list) };
+        if (type.set) return { set: resolve(type.set) };
+        if (type.map) return { map: [resolve(type.map[0]), resolve(type.map[1])] };
+        if (!type.ref) return type;
+        if (enumNames.has(type.ref)) return { enum: type.ref };
+        if (structNames.has(type.ref)) return { struct: type.ref };
+        if (typedefMap.has(type.ref) && !seen.has(type.ref)) {
+            return resolve(typedefMap.get(type.ref), new Set([...seen, type.ref]));
+        }
+        throw new SyntaxError(`Unknown type "${type.ref}"`);
+    };
+    for (const struct of structs) {
+        for (const field of struct.fields) field.type = resolve(field.type);
+    }
+    for (const definition of [...typedefs, ...consts]) definition.type = resolve(definition.type);
+
+    return { enums, structs, typedefs, consts };
+}
@@ -22,4 +22,10 @@ export default defineConfig([
             'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
         },
     },
+    {
+        files: ['cli/**/*.js', 'codegen/**/*.js'],
+        languageOptions: {
+            globals: globals.node,
+        },
+    },
 ]);
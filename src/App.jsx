@@ -1,10 +1,27 @@
-import { useState, useCallback } from 'react';
-import { parseParquetFile, parseParquetFileStreaming } from './parquetParser.js';
+import { useState, useCallback, useEffect } from 'react';
+import { parseParquetFileStreaming, loadPageHeaders } from './parquetParser.js';
+import { salvageParquetFile } from './salvage.js';
+import { createBlobSource, createBufferSource, createUrlSource } from './byteSource.js';
+import { EncryptionKeyError } from './encryption.js';
 import FileUpload from './components/FileUpload.jsx';
 import HierarchicalView from './components/hierarchical/index.jsx';
 import FileLayoutDiagram from './components/FileLayoutDiagram.jsx';
+import DataPreview from './components/DataPreview.jsx';
+import FindingsPanel from './components/FindingsPanel.jsx';
+import ValidationPanel from './components/ValidationPanel.jsx';
+import ThriftInspector from './components/ThriftInspector.jsx';
+import SchemaPanel from './components/SchemaPanel.jsx';
+import EncryptionPanel from './components/EncryptionPanel.jsx';
+import PushdownPanel from './components/PushdownPanel.jsx';
+import StorageBreakdown from './components/StorageBreakdown.jsx';
+import PageDistribution from './components/PageDistribution.jsx';
+import GeospatialPanel from './components/GeospatialPanel.jsx';
+import DecryptionKeyPrompt from './components/DecryptionKeyPrompt.jsx';
 import FileMetadataHeader from './components/FileMetadataHeader.jsx';
+import CompareView from './components/CompareView.jsx';
+import DatasetView from './components/DatasetView.jsx';
 import ErrorDisplay from './components/ErrorDisplay.jsx';
+import SalvageSummary from './components/SalvageSummary.jsx';
 import { useTheme } from './hooks/useTheme.js';
 
 function ThemeToggle({ theme, toggleTheme }) {
@@ -29,34 +46,227 @@ function ThemeToggle({ theme, toggleTheme }) {
   );
 }
 
+// Number of dataset files whose footers are read at the same time
+const DATASET_PARSE_CONCURRENCY = 4;
+
 function App() {
   const { theme, toggleTheme } = useTheme();
   const [parquetData, setParquetData] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [dataset, setDataset] = useState(null);
+  const [datasetProgress, setDatasetProgress] = useState(null);
   const [fileName, setFileName] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Row group/column chunk to show in the hierarchical view, e.g. when clicking a finding.
+  // Tagged with the data it refers to so it doesn't carry over to the next file.
+  const [structureFocus, setStructureFocus] = useState(null);
+  // Column selected in the schema panel ({ column, path }); the hierarchical view only shows its chunks
+  const [columnFilter, setColumnFilter] = useState(null);
+  // Result of the predicate pushdown simulation, highlighted in the layout diagram and the hierarchical view
+  const [pushdown, setPushdown] = useState(null);
+  // Keys the current file was decrypted with, and the pending request for the footer key of an encrypted file
+  const [decryption, setDecryption] = useState(null);
+  const [keyRequest, setKeyRequest] = useState(null);
+  // Source of a file that failed to parse, which can still be scanned for pages, and the result of that scan
+  const [failedSource, setFailedSource] = useState(null);
+  const [salvage, setSalvage] = useState(null);
+  // Result whose page headers are being decoded in the background
+  const [pageHeadersPending, setPageHeadersPending] = useState(null);
+
+  // Files with an encrypted footer can't be shown without its key: ask for it instead of failing.
+  // Other files can be scanned for pages when the footer is missing or corrupt.
+  const handleParseError = useCallback((err, source, fallbackMessage) => {
+    if (err instanceof EncryptionKeyError && source) {
+      setKeyRequest({ source, encryption: err.encryption, message: err.message });
+    } else {
+      setError(err.message || fallbackMessage);
+      setFailedSource(source);
+    }
+    setParquetData(null);
+  }, []);
+
+  // Show a parsed file, then decode the page headers of local files in the background: walking every
+  // column chunk takes a while for large files. Selections made meanwhile move over to the new result.
+  const showParquetData = useCallback((data) => {
+    setParquetData(data);
+    if (data.source.isRemote) return;
+
+    setPageHeadersPending(data);
+    loadPageHeaders(data)
+      .then((withHeaders) => {
+        const retag = (state) => (state?.data === data ? { ...state, data: withHeaders } : state);
+        setParquetData((current) => (current === data ? withHeaders : current));
+        setStructureFocus(retag);
+        setColumnFilter(retag);
+        setPushdown(retag);
+      })
+      .catch((err) => console.warn('Failed to decode page headers:', err))
+      .finally(() => setPageHeadersPending((current) => (current === data ? null : current)));
+  }, []);
 
   const handleFileSelect = useCallback(async (file) => {
     setLoading(true);
     setError(null);
+    setKeyRequest(null);
+    setDecryption(null);
     setFileName(file.name);
 
+    const source = createBlobSource(file);
     try {
       // Use streaming parser which only reads necessary parts of the file
       // This works with files of any size (even 14GB+)
-      const data = await parseParquetFileStreaming(file);
-      setParquetData(data);
+      const data = await parseParquetFileStreaming(source, { readPageHeaders: false });
+      showParquetData(data);
     } catch (err) {
-      setError(err.message || 'Failed to parse Parquet file');
-      setParquetData(null);
+      handleParseError(err, source, 'Failed to parse Parquet file');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleParseError, showParquetData]);
+
+  // Parse the file again with (more) decryption keys
+  const handleDecrypt = useCallback(async (source, keys) => {
+    setLoading(true);
+    setError(null);
+    setKeyRequest(null);
+
+    try {
+      const data = await parseParquetFileStreaming(source, { decryption: keys, readPageHeaders: false });
+      showParquetData(data);
+      setDecryption(keys);
+    } catch (err) {
+      handleParseError(err, source, 'Failed to decrypt Parquet file');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleParseError, showParquetData]);
+
+  // Recover what's readable of a file that failed to parse by scanning it for page headers
+  const handleSalvage = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await salvageParquetFile(failedSource, { reason: error });
+      setSalvage(result);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to scan the file for pages');
+    } finally {
+      setLoading(false);
+    }
+  }, [failedSource, error]);
+
+  const handleCompareSelect = useCallback(async (baseFile, targetFile) => {
+    setLoading(true);
+    setError(null);
+    setFailedSource(null);
+    setParquetData(null);
+    setFileName(`${baseFile.name} and ${targetFile.name}`);
+
+    try {
+      const [baseData, targetData] = await Promise.all([
+        // The comparison only uses the footers
+        parseParquetFileStreaming(createBlobSource(baseFile), { readPageHeaders: false }),
+        parseParquetFileStreaming(createBlobSource(targetFile), { readPageHeaders: false }),
+      ]);
+      setComparison({
+        base: { fileName: baseFile.name, data: baseData },
+        target: { fileName: targetFile.name, data: targetData },
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to parse Parquet files');
+      setComparison(null);
     } finally {
       setLoading(false);
     }
   }, []);
 
+  const handleDatasetSelect = useCallback(async (name, fileEntries) => {
+    setParquetData(null);
+    setComparison(null);
+    setError(null);
+    setFailedSource(null);
+    setFileName(name);
+
+    if (fileEntries.length === 0) {
+      setError(`No Parquet files found in ${name}`);
+      return;
+    }
+
+    setLoading(true);
+    setDatasetProgress({ done: 0, total: fileEntries.length });
+
+    // Only the footers are needed for the dataset summary. Files are parsed a few at a time,
+    // a file that fails to parse is reported without aborting the others.
+    const entries = [];
+    const errors = [];
+    let next = 0;
+    const parseNext = async () => {
+      while (next < fileEntries.length) {
+        const { path, file } = fileEntries[next++];
+        try {
+          const data = await parseParquetFileStreaming(createBlobSource(file), {
+            readPageIndexes: false,
+            readPageHeaders: false,
+            readBloomFilters: false,
+          });
+          entries.push({ path, file, data });
+        } catch (err) {
+          errors.push({ path, message: err.message || 'Failed to parse Parquet file' });
+        }
+        setDatasetProgress((progress) => ({ ...progress, done: progress.done + 1 }));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(DATASET_PARSE_CONCURRENCY, fileEntries.length) }, parseNext));
+
+    entries.sort((a, b) => a.path.localeCompare(b.path));
+    if (entries.length === 0) {
+      setError(`None of the ${fileEntries.length} files in ${name} could be parsed: ${errors[0].message}`);
+    } else {
+      setDataset({ name, entries, errors });
+    }
+    setDatasetProgress(null);
+    setLoading(false);
+  }, []);
+
+  // Open a file of the dataset in the single-file view (with page indexes and headers)
+  const handleOpenDatasetFile = useCallback((path) => {
+    const entry = dataset?.entries.find((e) => e.path === path);
+    if (entry) {
+      handleFileSelect(entry.file);
+    }
+  }, [dataset, handleFileSelect]);
+
+  const handleBackToDataset = useCallback(() => {
+    setParquetData(null);
+    setError(null);
+    setKeyRequest(null);
+    setDecryption(null);
+    setFileName(dataset?.name || null);
+  }, [dataset]);
+
+  const handleShowInStructure = useCallback((target) => {
+    setStructureFocus({ ...target, data: parquetData });
+    setColumnFilter(null);
+  }, [parquetData]);
+
+  const handleSelectColumn = useCallback((selection) => {
+    setColumnFilter(selection && { ...selection, data: parquetData });
+  }, [parquetData]);
+
+  const handlePushdownResult = useCallback((result) => {
+    setPushdown(result && { result, data: parquetData });
+  }, [parquetData]);
+
+  const handleSwapComparison = useCallback(() => {
+    setComparison((current) => current && { base: current.target, target: current.base });
+  }, []);
+
   const handleLoadExample = useCallback(async () => {
     setLoading(true);
     setError(null);
+    setFailedSource(null);
+    setDecryption(null);
     setFileName('example_file.parquet');
 
     try {
@@ -64,8 +274,9 @@ function App() {
       if (!response.ok) {
         throw new Error('Failed to load example file');
       }
+      // The example is small, so it's fetched as a whole and parsed including all page headers
       const buffer = await response.arrayBuffer();
-      const data = await parseParquetFile(buffer);
+      const data = await parseParquetFileStreaming(createBufferSource(buffer, 'example_file.parquet'));
       setParquetData(data);
     } catch (err) {
       setError(err.message || 'Failed to load example file');
@@ -75,12 +286,63 @@ function App() {
     }
   }, []);
 
+  const handleUrlLoad = useCallback(async (url) => {
+    setLoading(true);
+    setError(null);
+    setKeyRequest(null);
+    setDecryption(null);
+    setFileName(url);
+
+    // Reflect the URL in the address bar so the view can be shared
+    const params = new URLSearchParams(window.location.search);
+    params.set('url', url);
+    window.history.replaceState(null, '', `?${params}`);
+
+    let source = null;
+    try {
+      // Only the footer and page indexes are fetched, using HTTP range requests
+      source = await createUrlSource(url);
+      setFileName(source.name);
+      const data = await parseParquetFileStreaming(source);
+      setParquetData(data);
+    } catch (err) {
+      handleParseError(err, source, 'Failed to load remote file');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleParseError]);
+
+  // Load a remote file passed as ?url=... on startup
+  useEffect(() => {
+    const url = new URLSearchParams(window.location.search).get('url');
+    if (url) {
+      handleUrlLoad(url);
+    }
+  }, [handleUrlLoad]);
+
   const handleReset = useCallback(() => {
     setParquetData(null);
+    setComparison(null);
+    setDataset(null);
     setFileName(null);
     setError(null);
+    setKeyRequest(null);
+    setDecryption(null);
+    setFailedSource(null);
+    setSalvage(null);
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('url')) {
+      params.delete('url');
+      const query = params.toString();
+      window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    }
   }, []);
 
+  // Like structureFocus, a column selection only applies to the file it was made in
+  const visibleColumnFilter = columnFilter?.data === parquetData ? columnFilter : null;
+  const visiblePushdown = pushdown?.data === parquetData ? pushdown.result : null;
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 flex flex-col overflow-x-hidden transition-colors">
       <header className="border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
@@ -90,7 +352,15 @@ function App() {
             <a href="/" className="text-gray-900 dark:text-white hover:text-gray-600 dark:hover:text-gray-300 transition-colors">Parquetastic</a> <span className="text-gray-500 dark:text-gray-400 text-md font-normal">Parquet Metadata Inspector</span>
           </h1>
           <div className="flex items-center gap-3">
-            {parquetData && (
+            {dataset && parquetData && (
+              <button
+                onClick={handleBackToDataset}
+                className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-md transition-colors"
+              >
+                Back to Dataset
+              </button>
+            )}
+            {(parquetData || comparison || dataset || salvage) && (
               <button
                 onClick={handleReset}
                 className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-md transition-colors"
@@ -115,8 +385,14 @@ function App() {
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-6 flex-1 w-full">
-        {!parquetData && !loading && (
-          <FileUpload onFileSelect={handleFileSelect} onLoadExample={handleLoadExample} />
+        {!parquetData && !comparison && !dataset && !keyRequest && !salvage && !loading && (
+          <FileUpload
+            onFileSelect={handleFileSelect}
+            onCompareFiles={handleCompareSelect}
+            onDatasetSelect={handleDatasetSelect}
+            onLoadExample={handleLoadExample}
+            onLoadUrl={handleUrlLoad}
+          />
         )}
 
         {loading && (
@@ -124,24 +400,105 @@ function App() {
             <div className="text-center">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
               <p className="text-gray-500 dark:text-gray-400">Parsing {fileName}...</p>
+              {datasetProgress && (
+                <p className="mt-1 text-sm text-gray-400 dark:text-gray-500">
+                  {datasetProgress.done} of {datasetProgress.total} files
+                </p>
+              )}
             </div>
           </div>
         )}
 
-        {error && <ErrorDisplay message={error} onDismiss={handleReset} />}
+        {error && !loading && (
+          <ErrorDisplay message={error} onDismiss={handleReset} onSalvage={failedSource ? handleSalvage : null} />
+        )}
+
+        {keyRequest && !loading && (
+          <DecryptionKeyPrompt
+            key={keyRequest.message}
+            fileName={fileName}
+            request={keyRequest}
+            onSubmit={(keys) => handleDecrypt(keyRequest.source, keys)}
+            onCancel={handleReset}
+          />
+        )}
 
         {parquetData && (
           <div className="space-y-6">
             {/* File Metadata Header */}
             <FileMetadataHeader fileName={fileName} data={parquetData} />
 
+            {pageHeadersPending === parquetData && (
+              <p className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-500"></span>
+                Decoding page headers...
+              </p>
+            )}
+
+            {/* Encryption (encrypted files only) */}
+            {parquetData.encryption && (
+              <EncryptionPanel
+                encryption={parquetData.encryption}
+                decryption={decryption}
+                onDecrypt={(keys) => handleDecrypt(parquetData.source, keys)}
+              />
+            )}
+
             {/* File Layout Diagram */}
-            <FileLayoutDiagram data={parquetData} />
+            <FileLayoutDiagram data={parquetData} pushdown={visiblePushdown} />
+
+            {/* Storage by Column */}
+            <StorageBreakdown data={parquetData} />
+
+            {/* Page Distribution */}
+            <PageDistribution data={parquetData} />
+
+            {/* Geospatial (GEOMETRY/GEOGRAPHY columns only) */}
+            <GeospatialPanel data={parquetData} />
+
+            {/* Storage Findings */}
+            <FindingsPanel data={parquetData} onNavigate={handleShowInStructure} />
+
+            {/* Structural Validation */}
+            <ValidationPanel data={parquetData} fileName={fileName} onNavigate={handleShowInStructure} />
+
+            {/* Thrift Bytes */}
+            <ThriftInspector data={parquetData} />
+
+            {/* Predicate Pushdown */}
+            <PushdownPanel data={parquetData} result={visiblePushdown} onResult={handlePushdownResult} />
+
+            {/* Schema */}
+            <SchemaPanel
+              schema={parquetData.fileMetaData.schema}
+              selectedColumn={visibleColumnFilter?.column ?? null}
+              onSelectColumn={handleSelectColumn}
+            />
 
             {/* Hierarchical View */}
-            <HierarchicalView data={parquetData} />
+            <HierarchicalView
+              data={parquetData}
+              focus={structureFocus?.data === parquetData ? structureFocus : null}
+              columnFilter={visibleColumnFilter}
+              onClearColumnFilter={() => setColumnFilter(null)}
+              pushdown={visiblePushdown}
+            />
+
+            {/* Data Preview */}
+            <DataPreview data={parquetData} />
           </div>
         )}
+
+        {salvage && !loading && (
+          <div className="space-y-6">
+            <SalvageSummary fileName={fileName} salvage={salvage} />
+            <FileLayoutDiagram salvage={salvage} />
+          </div>
+        )}
+
+        {dataset && !parquetData && !salvage && !loading && <DatasetView dataset={dataset} onOpenFile={handleOpenDatasetFile} />}
+
+        {comparison && <CompareView base={comparison.base} target={comparison.target} onSwap={handleSwapComparison} />}
       </main>
 
       {/* Footer */}
@@ -0,0 +1,124 @@
+/**
+ * Parquet Bloom Filter Probing
+ * Implements XXH64 and the split-block bloom filter (SBBF) membership check
+ * https://github.com/apache/parquet-format/blob/master/BloomFilter.md
+ */
+
+const MASK_64 = 0xffffffffffffffffn;
+
+const PRIME64_1 = 0x9e3779b185ebca87n;
+const PRIME64_2 = 0xc2b2ae3d27d4eb4fn;
+const PRIME64_3 = 0x165667b19e3779f9n;
+const PRIME64_4 = 0x85ebca77c2b2ae63n;
+const PRIME64_5 = 0x27d4eb2f165667c5n;
+
+// Salt values used to derive the 8 bit positions within a block
+const SALT = [0x47b6137b, 0x44974d91, 0x8824ad5b, 0xa2b7289d, 0x705495c7, 0x2df1424b, 0x9efc4947, 0x5c6bfb31];
+
+// Each block is 256 bits (8 x 32-bit words)
+const BYTES_PER_BLOCK = 32;
+
+function rotl64(value, bits) {
+    return ((value << bits) | (value >> (64n - bits))) & MASK_64;
+}
+
+function xxh64Round(acc, input) {
+    acc = (acc + input * PRIME64_2) & MASK_64;
+    acc = rotl64(acc, 31n);
+    return (acc * PRIME64_1) & MASK_64;
+}
+
+function xxh64MergeRound(acc, value) {
+    acc ^= xxh64Round(0n, value);
+    return (acc * PRIME64_1 + PRIME64_4) & MASK_64;
+}
+
+/**
+ * Compute the XXH64 hash of a byte array
+ * @param {Uint8Array} bytes - The input bytes
+ * @param {bigint} seed - Hash seed (Parquet uses 0)
+ * @returns {bigint} Unsigned 64-bit hash
+ */
+export function xxHash64(bytes, seed = 0n) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const length = bytes.length;
+    let offset = 0;
+    let hash;
+
+    if (length >= 32) {
+        let v1 = (seed + PRIME64_1 + PRIME64_2) & MASK_64;
+        let v2 = (seed + PRIME64_2) & MASK_64;
+        let v3 = seed;
+        let v4 = (seed - PRIME64_1) & MASK_64;
+
+        while (offset <= length - 32) {
+            v1 = xxh64Round(v1, view.getBigUint64(offset, true));
+            v2 = xxh64Round(v2, view.getBigUint64(offset + 8, true));
+            v3 = xxh64Round(v3, view.getBigUint64(offset + 16, true));
+            v4 = xxh64Round(v4, view.getBigUint64(offset + 24, true));
+            offset += 32;
+        }
+
+        hash = (rotl64(v1, 1n) + rotl64(v2, 7n) + rotl64(v3, 12n) + rotl64(v4, 18n)) & MASK_64;
+        hash = xxh64MergeRound(hash, v1);
+        hash = xxh64MergeRound(hash, v2);
+        hash = xxh64MergeRound(hash, v3);
+        hash = xxh64MergeRound(hash, v4);
+    } else {
+        hash = (seed + PRIME64_5) & MASK_64;
+    }
+
+    hash = (hash + BigInt(length)) & MASK_64;
+
+    while (offset <= length - 8) {
+        hash ^= xxh64Round(0n, view.getBigUint64(offset, true));
+        hash = (rotl64(hash, 27n) * PRIME64_1 + PRIME64_4) & MASK_64;
+        offset += 8;
+    }
+
+    if (offset <= length - 4) {
+        hash ^= (BigInt(view.getUint32(offset, true)) * PRIME64_1) & MASK_64;
+        hash = (rotl64(hash, 23n) * PRIME64_2 + PRIME64_3) & MASK_64;
+        offset += 4;
+    }
+
+    while (offset < length) {
+        hash ^= (BigInt(bytes[offset]) * PRIME64_5) & MASK_64;
+        hash = (rotl64(hash, 11n) * PRIME64_1) & MASK_64;
+        offset++;
+    }
+
+    // Final avalanche
+    hash ^= hash >> 33n;
+    hash = (hash * PRIME64_2) & MASK_64;
+    hash ^= hash >> 29n;
+    hash = (hash * PRIME64_3) & MASK_64;
+    hash ^= hash >> 32n;
+
+    return hash;
+}
+
+/**
+ * Check a hash against a split-block bloom filter bitset
+ * @param {Uint8Array} bitset - The bloom filter bitset (multiple of 32 bytes)
+ * @param {bigint} hash - XXH64 hash of the plain-encoded value
+ * @returns {boolean} false if the value is definitely absent, true if it may be present
+ */
+export function bloomFilterMightContain(bitset, hash) {
+    const numBlocks = BigInt(Math.floor(bitset.length / BYTES_PER_BLOCK));
+    if (numBlocks === 0n) return true;
+
+    // Upper 32 bits select the block, lower 32 bits select the bits within it
+    const blockIndex = Number(((hash >> 32n) * numBlocks) >> 32n);
+    const key = Number(hash & 0xffffffffn);
+
+    const view = new DataView(bitset.buffer, bitset.byteOffset + blockIndex * BYTES_PER_BLOCK, BYTES_PER_BLOCK);
+    for (let i = 0; i < SALT.length; i++) {
+        const bit = Math.imul(key, SALT[i]) >>> 27;
+        const word = view.getUint32(i * 4, true);
+        if ((word & (1 << bit)) === 0) {
+            return false;
+        }
+    }
+    return true;
+}
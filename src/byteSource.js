@@ -0,0 +1,134 @@
+/**
+ * Byte Sources
+ * Random-access readers the streaming parser reads from: a local File/Blob,
+ * an in-memory buffer, or a remote URL read via HTTP Range requests.
+ *
+ * A byte source is a plain object: { name, size, isRemote, read(start, end) => Promise<Uint8Array> }
+ * Blob sources also expose the underlying `blob`, so its bytes can be reused without reading them.
+ */
+
+/**
+ * Check whether a value is a byte source (as opposed to a File/Blob)
+ */
+export function isByteSource(value) {
+    return value != null && typeof value.read === 'function' && typeof value.size === 'number';
+}
+
+/**
+ * Create a byte source over a File or Blob
+ * @param {Blob} blob - The File/Blob to read from
+ * @param {string} name - Display name (defaults to the file name)
+ */
+export function createBlobSource(blob, name = blob.name || 'file.parquet') {
+    return {
+        name,
+        size: blob.size,
+        isRemote: false,
+        blob,
+        async read(start, end) {
+            const buffer = await blob.slice(start, end).arrayBuffer();
+            return new Uint8Array(buffer);
+        },
+    };
+}
+
+/**
+ * Create a byte source over an in-memory buffer
+ * @param {ArrayBuffer|Uint8Array} buffer - The complete file contents
+ * @param {string} name - Display name
+ */
+export function createBufferSource(buffer, name = 'file.parquet') {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return {
+        name,
+        size: bytes.length,
+        isRemote: false,
+        async read(start, end) {
+            return bytes.subarray(start, end);
+        },
+    };
+}
+
+/**
+ * Get a display name for a URL (its last path segment)
+ */
+function getUrlFileName(url) {
+    try {
+        const path = new URL(url, globalThis.location?.href).pathname;
+        const lastSegment = path.split('/').filter(Boolean).pop();
+        return lastSegment ? decodeURIComponent(lastSegment) : url;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Determine the size of a remote file, preferring HEAD and falling back to a 1-byte range request
+ */
+async function fetchRemoteSize(url) {
+    let head = null;
+    try {
+        head = await fetch(url, { method: 'HEAD' });
+    } catch {
+        // HEAD is blocked by CORS or not allowed for presigned URLs (signed for GET only): fall through
+    }
+    if (head?.ok) {
+        const contentLength = head.headers.get('Content-Length');
+        if (contentLength !== null && !isNaN(Number(contentLength))) {
+            return Number(contentLength);
+        }
+    }
+
+    // Some servers reject HEAD requests (or omit Content-Length): ask for a single byte instead
+    const response = await fetch(url, { headers: { Range: 'bytes=0-0' } });
+    if (!response.ok) {
+        response.body?.cancel();
+        throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    }
+    const contentRange = response.headers.get('Content-Range');
+    const match = contentRange && /\/(\d+)$/.exec(contentRange);
+    // A server that ignores Range sends the whole file: stop the download
+    response.body?.cancel();
+    if (!match) {
+        throw new Error(
+            `Could not determine the size of ${url}. ` +
+                `The server must send Content-Length or Content-Range (and expose it via CORS).`,
+        );
+    }
+    return Number(match[1]);
+}
+
+/**
+ * Create a byte source that reads a remote file via HTTP Range requests
+ * Only the requested byte ranges are downloaded.
+ * @param {string} url - The URL of the Parquet file
+ * @returns {Promise<Object>} The byte source
+ */
+export async function createUrlSource(url) {
+    const size = await fetchRemoteSize(url);
+
+    return {
+        name: getUrlFileName(url),
+        size,
+        isRemote: true,
+        url,
+        async read(start, end) {
+            if (end <= start) return new Uint8Array(0);
+
+            const response = await fetch(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+            if (response.status !== 206) {
+                // Don't keep downloading the response (the whole file, if the server ignored Range)
+                response.body?.cancel();
+                if (response.ok) {
+                    throw new Error(`The server for ${url} does not support HTTP range requests`);
+                }
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            if (bytes.byteLength !== end - start) {
+                throw new Error(`Expected ${end - start} bytes from ${url} at offset ${start}, got ${bytes.byteLength}`);
+            }
+            return bytes;
+        },
+    };
+}
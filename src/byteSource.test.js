@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { createUrlSource } from './byteSource.js';
+
+const URL = 'https://example.com/data/file.parquet';
+const FILE = Uint8Array.from({ length: 100 }, (_, i) => i);
+
+/**
+ * Serve FILE like a static file server: HEAD with Content-Length, GET with Range support
+ * Every response body is a stream, so tests can see whether it was cancelled.
+ */
+function serveFile({ head = 'ok', ranges = true, truncate = 0 } = {}) {
+    const bodies = [];
+    const respond = (bytes, init) => {
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes);
+                controller.close();
+            },
+        });
+        const cancel = vi.spyOn(body, 'cancel');
+        bodies.push(cancel);
+        return new Response(body, init);
+    };
+
+    const fetchMock = vi.fn(async (url, { method = 'GET', headers = {} } = {}) => {
+        if (method === 'HEAD') {
+            if (head === 'throws') throw new TypeError('Failed to fetch');
+            return new Response(null, { status: head === 'ok' ? 200 : 405, headers: { 'Content-Length': `${FILE.length}` } });
+        }
+        const match = /^bytes=(\d+)-(\d+)$/.exec(headers.Range ?? '');
+        if (!ranges || !match) {
+            return respond(FILE, { status: 200 });
+        }
+        const start = Number(match[1]);
+        const end = Number(match[2]) + 1;
+        return respond(FILE.slice(start, end - truncate), {
+            status: 206,
+            headers: { 'Content-Range': `bytes ${start}-${end - 1}/${FILE.length}` },
+        });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    return { fetchMock, bodies };
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('createUrlSource', () => {
+    test('reads the size from HEAD and byte ranges with Range requests', async () => {
+        serveFile();
+        const source = await createUrlSource(URL);
+        expect(source).toMatchObject({ name: 'file.parquet', size: 100, isRemote: true });
+        expect(await source.read(10, 14)).toEqual(Uint8Array.of(10, 11, 12, 13));
+    });
+
+    test.each(['throws', 'rejected'])('falls back to a range request when HEAD is %s', async (head) => {
+        const { bodies } = serveFile({ head });
+        const source = await createUrlSource(URL);
+        expect(source.size).toBe(100);
+        expect(bodies).toHaveLength(1);
+    });
+
+    test('stops the download when the size request gets the whole file', async () => {
+        const { bodies } = serveFile({ head: 'throws', ranges: false });
+        await expect(createUrlSource(URL)).rejects.toThrow(/Could not determine the size/);
+        expect(bodies[0]).toHaveBeenCalled();
+    });
+
+    test('stops the download when a read gets the whole file', async () => {
+        serveFile();
+        const source = await createUrlSource(URL);
+        const { bodies } = serveFile({ ranges: false });
+        await expect(source.read(0, 8)).rejects.toThrow(/does not support HTTP range requests/);
+        expect(bodies[0]).toHaveBeenCalled();
+    });
+
+    test('rejects a short range response', async () => {
+        serveFile({ truncate: 2 });
+        const source = await createUrlSource(URL);
+        await expect(source.read(0, 8)).rejects.toThrow(/Expected 8 bytes/);
+    });
+});
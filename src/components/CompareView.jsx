@@ -0,0 +1,278 @@
+import { useState, useMemo } from 'react';
+import { formatBytes, formatNumber } from '../parquetParser.js';
+import { diffFileMetadata, formatColumnType } from '../metadataDiff.js';
+
+const STATUS_STYLES = {
+  added: 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-700 dark:text-emerald-300',
+  removed: 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300',
+  retyped: 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300',
+  unchanged: 'bg-gray-100 dark:bg-gray-700/50 text-gray-500 dark:text-gray-400',
+};
+
+/**
+ * Format the relative change between two numbers, colored by whether the change is an improvement
+ */
+function Delta({ base, target, higherIsBetter = false }) {
+  if (base === null || target === null || base === undefined || target === undefined) return null;
+  if (base === target) {
+    return <span className="text-gray-400 dark:text-gray-500">±0</span>;
+  }
+  if (base === 0) {
+    return <span className="text-gray-500 dark:text-gray-400">new</span>;
+  }
+
+  const change = ((target - base) / Math.abs(base)) * 100;
+  const isBetter = higherIsBetter ? change > 0 : change < 0;
+  return (
+    <span className={isBetter ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'}>
+      {change > 0 ? '+' : ''}
+      {change.toFixed(1)}%
+    </span>
+  );
+}
+
+function formatRatio(ratio) {
+  return ratio !== null ? `${ratio.toFixed(2)}x` : '-';
+}
+
+function Section({ title, info, children }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-lg dark:shadow-2xl overflow-hidden">
+      <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <h3 className="text-sm font-bold text-gray-900 dark:text-white">{title}</h3>
+        {info && <div className="text-xs text-gray-500 dark:text-gray-400">{info}</div>}
+      </div>
+      <div className="overflow-x-auto">{children}</div>
+    </div>
+  );
+}
+
+const TH = 'px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide';
+const TD = 'px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap';
+
+function SummaryTable({ summary }) {
+  const rows = [
+    { label: 'File size', ...summary.fileSize, format: formatBytes },
+    { label: 'Footer size', ...summary.footerLength, format: (v) => `${formatNumber(v)} B` },
+    { label: 'Rows', ...summary.numRows, format: formatNumber },
+    { label: 'Row groups', ...summary.numRowGroups, format: formatNumber },
+    { label: 'Format version', ...summary.version, format: String, noDelta: true },
+    { label: 'Created by', ...summary.createdBy, format: (v) => v || 'Unknown', noDelta: true },
+  ];
+
+  return (
+    <table className="w-full">
+      <thead className="bg-gray-50 dark:bg-gray-900/50">
+        <tr>
+          <th className={TH}></th>
+          <th className={TH}>Base</th>
+          <th className={TH}>Target</th>
+          <th className={TH}>Change</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+        {rows.map((row) => (
+          <tr key={row.label}>
+            <td className={`${TD} font-medium`}>{row.label}</td>
+            <td className={`${TD} font-mono`}>{row.format(row.base)}</td>
+            <td className={`${TD} font-mono ${row.base !== row.target ? 'text-blue-700 dark:text-blue-300' : ''}`}>
+              {row.format(row.target)}
+            </td>
+            <td className={`${TD} font-mono`}>
+              {row.noDelta ? (row.base !== row.target ? 'changed' : '') : <Delta base={row.base} target={row.target} />}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function SchemaDiffTable({ schema }) {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const changed = schema.filter((col) => col.status !== 'unchanged');
+  const visible = showUnchanged ? schema : changed;
+
+  return (
+    <>
+      <div className="px-5 py-2 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+        <div className="flex items-center gap-2">
+          {['added', 'removed', 'retyped'].map((status) => (
+            <span key={status} className={`px-1.5 py-0.5 rounded ${STATUS_STYLES[status]}`}>
+              {schema.filter((col) => col.status === status).length} {status}
+            </span>
+          ))}
+        </div>
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+          Show unchanged columns
+        </label>
+      </div>
+      {visible.length === 0 ? (
+        <div className="px-5 py-4 text-sm text-gray-500 dark:text-gray-400 italic">No schema changes</div>
+      ) : (
+        <table className="w-full">
+          <thead className="bg-gray-50 dark:bg-gray-900/50">
+            <tr>
+              <th className={TH}>Column</th>
+              <th className={TH}>Change</th>
+              <th className={TH}>Base type</th>
+              <th className={TH}>Target type</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+            {visible.map((col) => (
+              <tr key={col.path}>
+                <td className={`${TD} font-mono`}>{col.path}</td>
+                <td className={TD}>
+                  <span className={`px-1.5 py-0.5 rounded text-xs ${STATUS_STYLES[col.status]}`}>{col.status}</span>
+                </td>
+                <td className={`${TD} font-mono`}>{formatColumnType(col.base)}</td>
+                <td className={`${TD} font-mono`}>{formatColumnType(col.target)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
+function RowGroupDiffTable({ rowGroups }) {
+  return (
+    <table className="w-full">
+      <thead className="bg-gray-50 dark:bg-gray-900/50">
+        <tr>
+          <th className={TH}>Row group</th>
+          <th className={TH}>Rows (base → target)</th>
+          <th className={TH}>Compressed (base → target)</th>
+          <th className={TH}>Change</th>
+          <th className={TH}>Uncompressed (base → target)</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+        {rowGroups.map(({ index, base, target }) => (
+          <tr key={index}>
+            <td className={`${TD} font-medium`}>RG {index}</td>
+            <td className={`${TD} font-mono`}>
+              {base ? formatNumber(base.numRows) : '-'} → {target ? formatNumber(target.numRows) : '-'}
+            </td>
+            <td className={`${TD} font-mono`}>
+              {base ? formatBytes(base.compressedSize) : '-'} → {target ? formatBytes(target.compressedSize) : '-'}
+            </td>
+            <td className={`${TD} font-mono`}>
+              {base && target ? <Delta base={base.compressedSize} target={target.compressedSize} /> : base ? 'removed' : 'added'}
+            </td>
+            <td className={`${TD} font-mono`}>
+              {base ? formatBytes(base.uncompressedSize) : '-'} → {target ? formatBytes(target.uncompressedSize) : '-'}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ColumnDiffTable({ columns }) {
+  return (
+    <table className="w-full">
+      <thead className="bg-gray-50 dark:bg-gray-900/50">
+        <tr>
+          <th className={TH}>Column</th>
+          <th className={TH}>Codec</th>
+          <th className={TH}>Encodings</th>
+          <th className={TH}>Compressed (base → target)</th>
+          <th className={TH}>Change</th>
+          <th className={TH}>Ratio (base → target)</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+        {columns.map((col) => (
+          <tr key={col.path}>
+            <td className={`${TD} font-mono`}>{col.path}</td>
+            <td className={`${TD} font-mono ${col.codecChanged ? 'text-amber-700 dark:text-amber-300' : ''}`}>
+              {col.codecChanged ? `${col.base.codecs.join(', ')} → ${col.target.codecs.join(', ')}` : col.base.codecs.join(', ')}
+            </td>
+            <td className={`${TD} font-mono text-xs ${col.encodingsChanged ? 'text-amber-700 dark:text-amber-300' : ''}`}>
+              {col.encodingsChanged
+                ? `${col.base.encodings.join(', ')} → ${col.target.encodings.join(', ')}`
+                : col.base.encodings.join(', ')}
+            </td>
+            <td className={`${TD} font-mono`}>
+              {formatBytes(col.base.compressedSize)} → {formatBytes(col.target.compressedSize)}
+            </td>
+            <td className={`${TD} font-mono`}>
+              <Delta base={col.base.compressedSize} target={col.target.compressedSize} />
+            </td>
+            <td className={`${TD} font-mono`}>
+              {formatRatio(col.base.compressionRatio)} → {formatRatio(col.target.compressionRatio)}{' '}
+              {col.compressionRatioDelta !== null && col.compressionRatioDelta !== 0 && (
+                <span
+                  className={
+                    col.compressionRatioDelta > 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'
+                  }
+                >
+                  ({col.compressionRatioDelta > 0 ? '+' : ''}
+                  {col.compressionRatioDelta.toFixed(2)})
+                </span>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * CompareView - side-by-side metadata diff of two Parquet files
+ */
+function CompareView({ base, target, onSwap }) {
+  const diff = useMemo(() => diffFileMetadata(base.data, target.data), [base, target]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-lg dark:shadow-2xl px-5 py-4">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3 min-w-0">
+            <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Base</span>
+            <span className="truncate">{base.fileName}</span>
+            <span className="text-gray-400">→</span>
+            <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Target</span>
+            <span className="truncate text-blue-700 dark:text-blue-300">{target.fileName}</span>
+          </h2>
+          {onSwap && (
+            <button
+              onClick={onSwap}
+              className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-md transition-colors flex-shrink-0"
+            >
+              Swap
+            </button>
+          )}
+        </div>
+      </div>
+
+      <Section title="Summary">
+        <SummaryTable summary={diff.summary} />
+      </Section>
+
+      <Section title="Schema" info={`${diff.schema.length} column${diff.schema.length === 1 ? '' : 's'}`}>
+        <SchemaDiffTable schema={diff.schema} />
+      </Section>
+
+      <Section title="Row Groups" info="compared by position">
+        <RowGroupDiffTable rowGroups={diff.rowGroups} />
+      </Section>
+
+      <Section title="Column Chunks" info="totals across all row groups, for columns present in both files">
+        {diff.columns.length > 0 ? (
+          <ColumnDiffTable columns={diff.columns} />
+        ) : (
+          <div className="px-5 py-4 text-sm text-gray-500 dark:text-gray-400 italic">No columns in common</div>
+        )}
+      </Section>
+    </div>
+  );
+}
+
+export default CompareView;
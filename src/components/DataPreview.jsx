@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { formatNumber } from '../parquetParser.js';
+import { readFirstRows } from '../recordAssembler.js';
+
+const ROW_COUNT_OPTIONS = [10, 50, 100, 500];
+
+/**
+ * Render an assembled value as compact text; nested lists, structs and maps use a JSON-like notation
+ */
+function formatCellValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(formatCellValue).join(', ')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.entries(value)
+      .map(([key, fieldValue]) => `${key}: ${formatCellValue(fieldValue)}`)
+      .join(', ')}}`;
+  }
+  return value;
+}
+
+/**
+ * DataPreview - table of the first rows of the first row group, with nested values reassembled
+ * Rows are only read when the panel is opened, and only the leading pages of each column chunk are fetched.
+ */
+function DataPreview({ data }) {
+  const { source, fileMetaData, decryptor } = data;
+  const [open, setOpen] = useState(false);
+  const [numRows, setNumRows] = useState(ROW_COUNT_OPTIONS[0]);
+  // Last read result, tagged with the row count it was read for
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    readFirstRows(source, fileMetaData, { rowGroup: 0, numRows, decryptor }).then(
+      (preview) => !cancelled && setResult({ numRows, preview, error: null }),
+      (err) => !cancelled && setResult({ numRows, preview: null, error: err.message || 'Failed to read rows' }),
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, source, fileMetaData, decryptor, numRows]);
+
+  const loading = result?.numRows !== numRows;
+  const preview = result?.preview;
+  const error = result?.error;
+
+  const rowGroupRows = fileMetaData.row_groups.length > 0 ? Number(fileMetaData.row_groups[0].num_rows) : 0;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700 flex items-center justify-between gap-4"
+      >
+        <div>
+          <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+            <svg className="w-5 h-5 text-teal-500 dark:text-teal-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={1.5}
+                d="M3 10h18M3 14h18M10 3v18M5 3h14a2 2 0 012 2v14a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2z"
+              />
+            </svg>
+            Data Preview
+          </h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+            First rows of row group 0 ({formatNumber(rowGroupRows)} rows) - only the pages needed are read
+          </p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          {open && (
+            <select
+              value={numRows}
+              onChange={(e) => setNumRows(Number(e.target.value))}
+              className="text-xs rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 px-2 py-1"
+            >
+              {ROW_COUNT_OPTIONS.map((count) => (
+                <option key={count} value={count}>
+                  {count} rows
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={() => setOpen(!open)}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200
+                       hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+          >
+            {open ? 'Hide' : 'Show rows'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="max-h-[32rem] overflow-auto">
+          {loading && !preview && (
+            <div className="px-5 py-8 text-center text-sm text-gray-500 dark:text-gray-400">Reading rows...</div>
+          )}
+          {error && !loading && <div className="px-5 py-4 text-sm text-red-600 dark:text-red-400 font-mono">{error}</div>}
+          {preview?.lockedColumns.length > 0 && !error && (
+            <div className="px-5 py-2 text-xs text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/20">
+              Encrypted columns without a key are left out: {preview.lockedColumns.join(', ')}
+            </div>
+          )}
+          {preview && !error && (
+            <table className={`w-full text-xs ${loading ? 'opacity-60' : ''}`}>
+              <thead className="bg-gray-50 dark:bg-gray-900/50 sticky top-0">
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="px-3 py-2 font-medium">#</th>
+                  {preview.fields.map((field) => (
+                    <th key={field} className="px-3 py-2 font-medium font-mono whitespace-nowrap">
+                      {field}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50 font-mono">
+                {preview.rows.map((row, i) => (
+                  <tr key={i} className="text-gray-700 dark:text-gray-300">
+                    <td className="px-3 py-1 text-gray-400 dark:text-gray-500">{formatNumber(i)}</td>
+                    {preview.fields.map((field) => (
+                      <td key={field} className="px-3 py-1 max-w-xs truncate" title={formatCellValue(row[field])}>
+                        {row[field] === null || row[field] === undefined ? (
+                          <span className="italic text-orange-600/70 dark:text-orange-400/70">null</span>
+                        ) : (
+                          formatCellValue(row[field])
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataPreview;
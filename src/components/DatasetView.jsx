@@ -0,0 +1,275 @@
+import { useState, useMemo } from 'react';
+import { formatBytes, formatNumber } from '../parquetParser.js';
+import { summarizeDataset } from '../datasetSummary.js';
+
+const TH = 'px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide';
+const TD = 'px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap';
+
+function Section({ title, info, children }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-lg dark:shadow-2xl overflow-hidden">
+      <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <h3 className="text-sm font-bold text-gray-900 dark:text-white">{title}</h3>
+        {info && <div className="text-xs text-gray-500 dark:text-gray-400">{info}</div>}
+      </div>
+      <div className="overflow-x-auto">{children}</div>
+    </div>
+  );
+}
+
+function ShareBar({ share }) {
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-32 h-2 bg-gray-100 dark:bg-gray-700 rounded overflow-hidden">
+        <div className="h-full bg-blue-500 dark:bg-blue-400" style={{ width: `${Math.max(share * 100, 0.5)}%` }}></div>
+      </div>
+      <span className="text-xs text-gray-500 dark:text-gray-400 font-mono">{(share * 100).toFixed(1)}%</span>
+    </div>
+  );
+}
+
+function getVariantLabel(variantId) {
+  return `V${variantId + 1}`;
+}
+
+function PartitionTable({ partitions, totalSize }) {
+  return (
+    <table className="w-full">
+      <thead className="bg-gray-50 dark:bg-gray-900/50">
+        <tr>
+          <th className={TH}>Partition</th>
+          <th className={TH}>Files</th>
+          <th className={TH}>Rows</th>
+          <th className={TH}>Size</th>
+          <th className={TH}>Share of bytes</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+        {partitions.map((partition) => (
+          <tr key={partition.path}>
+            <td className={`${TD} font-mono`}>{partition.path || <span className="italic text-gray-400">(root)</span>}</td>
+            <td className={`${TD} font-mono`}>{formatNumber(partition.numFiles)}</td>
+            <td className={`${TD} font-mono`}>{formatNumber(partition.numRows)}</td>
+            <td className={`${TD} font-mono`}>{formatBytes(partition.totalSize)}</td>
+            <td className={TD}>
+              <ShareBar share={totalSize > 0 ? partition.totalSize / totalSize : 0} />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function SchemaConsistency({ schema, numFiles }) {
+  const [showAll, setShowAll] = useState(false);
+
+  if (schema.consistent) {
+    return (
+      <div className="px-5 py-4 text-sm text-emerald-700 dark:text-emerald-300">
+        All {formatNumber(numFiles)} files share the same schema ({schema.columns.length} column
+        {schema.columns.length === 1 ? '' : 's'})
+      </div>
+    );
+  }
+
+  const drifted = schema.columns.filter((col) => col.drift);
+  const visible = showAll ? schema.columns : drifted;
+
+  return (
+    <>
+      <div className="px-5 py-2 flex items-center justify-between text-xs">
+        <span className="text-amber-700 dark:text-amber-300">
+          {schema.variants.length} schema variants, {drifted.length} column{drifted.length === 1 ? '' : 's'} differ between
+          files
+        </span>
+        <label className="flex items-center gap-1.5 cursor-pointer text-gray-500 dark:text-gray-400">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Show consistent columns
+        </label>
+      </div>
+      <table className="w-full">
+        <thead className="bg-gray-50 dark:bg-gray-900/50">
+          <tr>
+            <th className={TH}>Column</th>
+            <th className={TH}>Present in</th>
+            <th className={TH}>Types</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+          {visible.map((col) => (
+            <tr key={col.path} className={col.drift ? 'bg-amber-50 dark:bg-amber-900/10' : ''}>
+              <td className={`${TD} font-mono`}>{col.path}</td>
+              <td
+                className={`${TD} font-mono ${col.numFiles < numFiles ? 'text-amber-700 dark:text-amber-300' : ''}`}
+              >
+                {formatNumber(col.numFiles)} / {formatNumber(numFiles)} files
+              </td>
+              <td className={`${TD} font-mono`}>
+                {col.types.map(({ type, numFiles: count }) => (
+                  <div key={type}>
+                    {type}
+                    {col.types.length > 1 && <span className="text-gray-400 dark:text-gray-500"> × {formatNumber(count)}</span>}
+                  </div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+function FileTable({ files, hasPartitions, majorityVariant, onOpenFile }) {
+  return (
+    <div className="max-h-96 overflow-y-auto">
+      <table className="w-full">
+        <thead className="bg-gray-50 dark:bg-gray-900/50 sticky top-0">
+          <tr>
+            <th className={TH}>File</th>
+            {hasPartitions && <th className={TH}>Partition</th>}
+            <th className={TH}>Rows</th>
+            <th className={TH}>Row groups</th>
+            <th className={TH}>Size</th>
+            <th className={TH}>Schema</th>
+            <th className={TH}></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+          {files.map((file) => (
+            <tr key={file.path}>
+              <td className={`${TD} font-mono max-w-md truncate`} title={file.path}>
+                {file.path.split('/').pop()}
+              </td>
+              {hasPartitions && <td className={`${TD} font-mono`}>{file.partition}</td>}
+              <td className={`${TD} font-mono`}>{formatNumber(file.numRows)}</td>
+              <td className={`${TD} font-mono`}>{formatNumber(file.numRowGroups)}</td>
+              <td className={`${TD} font-mono`}>{formatBytes(file.fileSize)}</td>
+              <td className={TD}>
+                <span
+                  className={`px-1.5 py-0.5 rounded text-xs ${
+                    file.schemaVariant === majorityVariant
+                      ? 'bg-gray-100 dark:bg-gray-700/50 text-gray-500 dark:text-gray-400'
+                      : 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300'
+                  }`}
+                >
+                  {getVariantLabel(file.schemaVariant)}
+                </span>
+              </td>
+              <td className={TD}>
+                <button
+                  onClick={() => onOpenFile(file.path)}
+                  className="text-blue-600 dark:text-blue-400 hover:text-blue-500 dark:hover:text-blue-300 text-xs font-medium"
+                >
+                  Open
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ColumnSizeTable({ columnSizes }) {
+  return (
+    <table className="w-full">
+      <thead className="bg-gray-50 dark:bg-gray-900/50">
+        <tr>
+          <th className={TH}>Column</th>
+          <th className={TH}>Compressed</th>
+          <th className={TH}>Uncompressed</th>
+          <th className={TH}>Ratio</th>
+          <th className={TH}>Share of data</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+        {columnSizes.map((col) => (
+          <tr key={col.path}>
+            <td className={`${TD} font-mono`}>{col.path}</td>
+            <td className={`${TD} font-mono`}>{formatBytes(col.compressedSize)}</td>
+            <td className={`${TD} font-mono`}>{formatBytes(col.uncompressedSize)}</td>
+            <td className={`${TD} font-mono`}>
+              {col.compressedSize > 0 ? `${(col.uncompressedSize / col.compressedSize).toFixed(2)}x` : '-'}
+            </td>
+            <td className={TD}>
+              <ShareBar share={col.share} />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * DatasetView - dataset-level summary of many Parquet files (e.g. a Hive-partitioned directory)
+ */
+function DatasetView({ dataset, onOpenFile }) {
+  const summary = useMemo(() => summarizeDataset(dataset.entries), [dataset]);
+
+  // The most common schema variant is considered the reference, others are highlighted
+  const majorityVariant = summary.schema.variants.reduce(
+    (best, variant) => (best === null || variant.numFiles > best.numFiles ? variant : best),
+    null,
+  )?.id;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-lg dark:shadow-2xl px-5 py-4">
+        <h2 className="text-base font-bold text-gray-900 dark:text-white">{dataset.name}</h2>
+        <div className="flex flex-wrap items-center gap-6 mt-3 text-sm text-gray-500 dark:text-gray-400">
+          <span>
+            {formatNumber(summary.numFiles)} file{summary.numFiles === 1 ? '' : 's'}
+          </span>
+          <span>{formatNumber(summary.numRows)} rows</span>
+          <span>{formatBytes(summary.totalSize)}</span>
+          {summary.partitionKeys.length > 0 && (
+            <span>
+              Partitioned by <span className="font-mono">{summary.partitionKeys.join(', ')}</span>
+            </span>
+          )}
+        </div>
+        {dataset.errors.length > 0 && (
+          <div className="mt-3 text-sm text-red-600 dark:text-red-400">
+            {dataset.errors.length} file{dataset.errors.length === 1 ? '' : 's'} could not be parsed:
+            <ul className="mt-1 text-xs font-mono max-h-32 overflow-y-auto">
+              {dataset.errors.map(({ path, message }) => (
+                <li key={path}>
+                  {path}: {message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {summary.partitionKeys.length > 0 && (
+        <Section title="Partitions" info={`${summary.partitions.length} partition${summary.partitions.length === 1 ? '' : 's'}`}>
+          <PartitionTable partitions={summary.partitions} totalSize={summary.totalSize} />
+        </Section>
+      )}
+
+      <Section title="Schema Consistency">
+        <SchemaConsistency schema={summary.schema} numFiles={summary.numFiles} />
+      </Section>
+
+      <Section title="Files">
+        <FileTable
+          files={summary.files}
+          hasPartitions={summary.partitionKeys.length > 0}
+          majorityVariant={majorityVariant}
+          onOpenFile={onOpenFile}
+        />
+      </Section>
+
+      <Section title="Column Sizes" info="column chunks summed across all files and row groups">
+        <ColumnSizeTable columnSizes={summary.columnSizes} />
+      </Section>
+    </div>
+  );
+}
+
+export default DatasetView;
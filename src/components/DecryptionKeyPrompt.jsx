@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { parseKey, formatKeyMetadata } from '../encryption.js';
+
+const INPUT =
+  'w-full px-2 py-1.5 text-sm font-mono rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 ' +
+  'text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+/**
+ * DecryptionKeyPrompt - asks for the footer key of a file with an encrypted footer
+ * Column keys are entered later in the Encryption panel, once the footer lists the encrypted columns.
+ */
+function DecryptionKeyPrompt({ fileName, request, onSubmit, onCancel }) {
+  const { encryption, message } = request;
+  const [footerKey, setFooterKey] = useState('');
+  const [aadPrefix, setAadPrefix] = useState('');
+  const [error, setError] = useState(null);
+  const keyMetadata = formatKeyMetadata(encryption.footerKeyMetadata);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      parseKey(footerKey);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    onSubmit({ footerKey, aadPrefix: aadPrefix || undefined });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="max-w-xl mx-auto bg-white dark:bg-gray-800 border border-amber-300 dark:border-amber-700/60 rounded-xl p-6 shadow-lg"
+    >
+      <h3 className="text-lg font-medium text-gray-900 dark:text-white flex items-center gap-2">
+        <svg className="w-5 h-5 text-amber-500 dark:text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"
+          />
+        </svg>
+        {fileName} is encrypted
+      </h3>
+      <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">{message}</p>
+
+      <dl className="mt-4 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-xs">
+        <dt className="text-gray-500 dark:text-gray-400">Algorithm</dt>
+        <dd className="font-mono text-gray-800 dark:text-gray-200">{encryption.algorithm}</dd>
+        <dt className="text-gray-500 dark:text-gray-400">Footer key metadata</dt>
+        <dd className="font-mono text-gray-800 dark:text-gray-200 break-all">{keyMetadata ?? 'none'}</dd>
+      </dl>
+
+      <label className="block mt-4 text-xs text-gray-500 dark:text-gray-400 mb-1">Footer key (hex or base64)</label>
+      <input
+        className={INPUT}
+        type="password"
+        autoComplete="off"
+        value={footerKey}
+        onChange={(e) => setFooterKey(e.target.value)}
+        autoFocus
+      />
+
+      {encryption.supplyAadPrefix && (
+        <>
+          <label className="block mt-3 text-xs text-gray-500 dark:text-gray-400 mb-1">
+            AAD prefix (not stored in the file)
+          </label>
+          <input className={INPUT} value={aadPrefix} onChange={(e) => setAadPrefix(e.target.value)} />
+        </>
+      )}
+
+      <p className="mt-3 text-xs text-gray-400 dark:text-gray-500">
+        Keys stay in this browser tab: decryption runs locally with the Web Crypto API.
+      </p>
+      {error && <p className="mt-2 text-xs text-red-600 dark:text-red-400 font-mono">{error}</p>}
+
+      <div className="mt-4 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm rounded-md bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1.5 text-sm rounded-md bg-blue-600 hover:bg-blue-500 text-white transition-colors"
+        >
+          Decrypt
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default DecryptionKeyPrompt;
@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { parseKey, formatKeyMetadata } from '../encryption.js';
+
+const INPUT =
+  'w-full px-2 py-1 text-xs font-mono rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 ' +
+  'text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+function getSignatureStatus(encryption) {
+  if (encryption.encryptedFooter) return null;
+  if (encryption.footerSignatureValid === true) {
+    return { label: 'Verified', className: 'text-emerald-600 dark:text-emerald-400' };
+  }
+  if (encryption.footerSignatureValid === false) {
+    return { label: 'Invalid - wrong footer key or modified footer', className: 'text-red-600 dark:text-red-400' };
+  }
+  return { label: 'Not verified (footer key not given)', className: 'text-gray-500 dark:text-gray-400' };
+}
+
+function ColumnStatus({ column }) {
+  if (column.decrypted) {
+    return <span className="text-emerald-600 dark:text-emerald-400">Decrypted</span>;
+  }
+  if (column.error) {
+    return <span className="text-red-600 dark:text-red-400">{column.error}</span>;
+  }
+  return <span className="text-amber-600 dark:text-amber-400">Locked</span>;
+}
+
+/**
+ * EncryptionPanel - how an encrypted file is protected (algorithm, footer mode, encrypted columns
+ * and their key metadata), with inputs for the keys that are still missing
+ */
+function EncryptionPanel({ encryption, decryption, onDecrypt }) {
+  const [footerKey, setFooterKey] = useState('');
+  const [aadPrefix, setAadPrefix] = useState(decryption?.aadPrefix ?? '');
+  const [columnKeys, setColumnKeys] = useState({});
+  const [error, setError] = useState(null);
+
+  const signatureStatus = getSignatureStatus(encryption);
+  const footerKeyMetadata = formatKeyMetadata(encryption.footerKeyMetadata);
+  // The footer key of a plaintext footer is optional: it verifies the signature and decrypts footer-key columns
+  const needsFooterKey = !encryption.encryptedFooter && encryption.footerSignatureValid !== true;
+  const lockedColumns = encryption.columns.filter((column) => !column.decrypted);
+  const needsAadPrefix = encryption.supplyAadPrefix && lockedColumns.length > 0;
+  const canEnterKeys = needsFooterKey || lockedColumns.some((column) => column.keyType === 'column');
+  const numDecrypted = encryption.columns.length - lockedColumns.length;
+
+  const handleDecrypt = () => {
+    const enteredColumnKeys = Object.fromEntries(Object.entries(columnKeys).filter(([, key]) => key.trim() !== ''));
+    try {
+      if (footerKey) parseKey(footerKey);
+      for (const [path, key] of Object.entries(enteredColumnKeys)) {
+        try {
+          parseKey(key);
+        } catch (err) {
+          throw new Error(`${path}: ${err.message}`);
+        }
+      }
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError(null);
+    onDecrypt({
+      footerKey: footerKey || decryption?.footerKey,
+      columnKeys: { ...decryption?.columnKeys, ...enteredColumnKeys },
+      aadPrefix: aadPrefix || undefined,
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-amber-500 dark:text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"
+            />
+          </svg>
+          Encryption
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          {encryption.algorithm} · {encryption.encryptedFooter ? 'encrypted footer (PARE)' : 'plaintext footer (PAR1)'} ·{' '}
+          {numDecrypted} of {encryption.columns.length} encrypted column{encryption.columns.length === 1 ? '' : 's'}{' '}
+          decrypted
+        </p>
+      </div>
+
+      <div className="px-5 py-3 grid grid-cols-[auto_1fr] gap-x-6 gap-y-1 text-xs border-b border-gray-100 dark:border-gray-700/50">
+        <span className="text-gray-500 dark:text-gray-400">
+          {encryption.encryptedFooter ? 'Footer key metadata' : 'Footer signing key metadata'}
+        </span>
+        <span className="font-mono text-gray-800 dark:text-gray-200 break-all">{footerKeyMetadata ?? 'none'}</span>
+        <span className="text-gray-500 dark:text-gray-400">AAD prefix</span>
+        <span className="text-gray-800 dark:text-gray-200">
+          {encryption.supplyAadPrefix ? 'supplied by the reader (not stored in the file)' : 'stored in the file or none'}
+        </span>
+        {signatureStatus && (
+          <>
+            <span className="text-gray-500 dark:text-gray-400">Footer signature</span>
+            <span className={signatureStatus.className}>{signatureStatus.label}</span>
+          </>
+        )}
+      </div>
+
+      {encryption.columns.length > 0 && (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 dark:bg-gray-900/50 sticky top-0">
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="px-5 py-2 font-medium">Column</th>
+                <th className="px-3 py-2 font-medium">Key</th>
+                <th className="px-3 py-2 font-medium">Key metadata</th>
+                <th className="px-3 py-2 font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+              {encryption.columns.map((column) => (
+                <tr key={column.path} className="text-gray-700 dark:text-gray-300 align-top">
+                  <td className="px-5 py-1.5 font-mono">{column.path}</td>
+                  <td className="px-3 py-1.5">{column.keyType === 'footer' ? 'Footer key' : 'Column key'}</td>
+                  <td className="px-3 py-1.5 font-mono break-all">{formatKeyMetadata(column.keyMetadata) ?? '-'}</td>
+                  <td className="px-3 py-1.5">
+                    {column.keyType === 'column' && !column.decrypted ? (
+                      <div className="space-y-1">
+                        <ColumnStatus column={column} />
+                        <input
+                          className={INPUT}
+                          type="password"
+                          autoComplete="off"
+                          placeholder="column key (hex or base64)"
+                          value={columnKeys[column.path] ?? ''}
+                          onChange={(e) => setColumnKeys({ ...columnKeys, [column.path]: e.target.value })}
+                        />
+                      </div>
+                    ) : (
+                      <ColumnStatus column={column} />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {canEnterKeys && (
+        <div className="px-5 py-3 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-end gap-3">
+          {needsFooterKey && (
+            <div className="flex-1 min-w-48">
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Footer key (hex or base64)</label>
+              <input
+                className={INPUT}
+                type="password"
+                autoComplete="off"
+                value={footerKey}
+                onChange={(e) => setFooterKey(e.target.value)}
+              />
+            </div>
+          )}
+          {needsAadPrefix && (
+            <div className="flex-1 min-w-48">
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">AAD prefix</label>
+              <input className={INPUT} value={aadPrefix} onChange={(e) => setAadPrefix(e.target.value)} />
+            </div>
+          )}
+          <button
+            onClick={handleDecrypt}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 hover:bg-blue-500 text-white transition-colors"
+          >
+            Decrypt
+          </button>
+          {error && <span className="w-full text-xs text-red-600 dark:text-red-400 font-mono">{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EncryptionPanel;
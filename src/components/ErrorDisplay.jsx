@@ -1,4 +1,4 @@
-function ErrorDisplay({ message, onDismiss }) {
+function ErrorDisplay({ message, onDismiss, onSalvage = null }) {
   return (
     <div className="bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-lg p-6 text-center">
       <svg
@@ -22,12 +22,29 @@ function ErrorDisplay({ message, onDismiss }) {
         {message}
       </p>
 
-      <button
-        onClick={onDismiss}
-        className="px-4 py-2 bg-red-600 dark:bg-red-700 hover:bg-red-500 dark:hover:bg-red-600 rounded-md text-white transition-colors"
-      >
-        Try another file
-      </button>
+      {onSalvage && (
+        <p className="text-gray-600 dark:text-gray-400 mb-4 text-sm">
+          If the file was not fully written or its footer is damaged, its pages may still be readable.
+        </p>
+      )}
+
+      <div className="flex items-center justify-center gap-3">
+        {onSalvage && (
+          <button
+            onClick={onSalvage}
+            className="px-4 py-2 bg-white dark:bg-gray-800 border border-red-300 dark:border-red-700 hover:bg-red-100 dark:hover:bg-red-900/40 rounded-md text-red-700 dark:text-red-300 transition-colors"
+            title="Scan the file for pages, ignoring the footer"
+          >
+            Recover pages
+          </button>
+        )}
+        <button
+          onClick={onDismiss}
+          className="px-4 py-2 bg-red-600 dark:bg-red-700 hover:bg-red-500 dark:hover:bg-red-600 rounded-md text-white transition-colors"
+        >
+          Try another file
+        </button>
+      </div>
     </div>
   );
 }
@@ -1,9 +1,76 @@
 import { useState, useMemo } from 'react';
-import { formatBytes, formatNumber, EnumHelpers } from '../parquetParser.js';
-import { formatStatValue, findSchemaElement } from '../statsFormatter.js';
+import { formatBytes, formatNumber, EnumHelpers, getPageLocations } from '../parquetParser.js';
+import { formatStatValue } from '../statsFormatter.js';
+import { findSchemaElement } from '../schemaTree.js';
+
+/**
+ * Sections of the file layout bar of a salvaged file: the recovered column chunks, byte ranges
+ * no page was found in, and the unreadable tail
+ */
+function getSalvageSections(salvage) {
+  const result = [];
+
+  if (salvage.fileSize >= 4) {
+    result.push(
+      salvage.headerMagic
+        ? { id: 'header', type: 'magic', label: 'PAR1', shortLabel: 'M', start: 0, end: 4, size: 4, color: 'bg-purple-600' }
+        : { id: 'header', type: 'gap', label: 'Unrecognized header', shortLabel: '?', start: 0, end: 4, size: 4, color: 'bg-gray-500' },
+    );
+  }
+
+  salvage.chunks.forEach((chunk) => {
+    result.push({
+      id: `chunk-${chunk.index}`,
+      type: 'chunk',
+      label: `Column Chunk ${chunk.index} (inferred)`,
+      shortLabel: `${chunk.index}`,
+      start: chunk.start,
+      end: chunk.end,
+      size: chunk.end - chunk.start,
+      color: chunk.index % 2 === 0 ? 'bg-cyan-600' : 'bg-cyan-500',
+      chunk,
+    });
+  });
+
+  salvage.gaps.forEach((gap, idx) => {
+    result.push({
+      id: `gap-${idx}`,
+      type: 'gap',
+      label: 'Unrecognized bytes',
+      shortLabel: '?',
+      start: gap.start,
+      end: gap.end,
+      size: gap.end - gap.start,
+      color: 'bg-gray-500',
+    });
+  });
 
-function FileLayoutDiagram({ data }) {
-  const { fileSize, footerLength, footerStart, fileMetaData, pageIndexes } = data;
+  if (salvage.tail) {
+    result.push({
+      id: 'tail',
+      type: 'tail',
+      label: salvage.truncatedPage ? 'Truncated page' : 'Unreadable (page indexes, footer or damaged data)',
+      shortLabel: salvage.truncatedPage ? 'Truncated' : 'Unreadable',
+      start: salvage.tail.start,
+      end: salvage.tail.end,
+      size: salvage.tail.end - salvage.tail.start,
+      color: 'bg-red-600',
+    });
+  }
+
+  result.sort((a, b) => a.start - b.start);
+  return result;
+}
+
+/**
+ * FileLayoutDiagram - the byte layout of the file, roughly to scale, with the column chunks of a
+ * selected row group. `pushdown` (a simulatePushdown result) grays out the row groups a filtered read skips.
+ * Given a `salvage` result (see salvage.js) instead of `data`, it shows the pages and inferred
+ * column chunks recovered from a file whose footer couldn't be read.
+ */
+function FileLayoutDiagram({ data, pushdown = null, salvage = null }) {
+  const { footerLength, footerStart, fileMetaData, pageIndexes } = data ?? {};
+  const fileSize = salvage ? salvage.fileSize : data.fileSize;
   const [hoveredSection, setHoveredSection] = useState(null);
   const [selectedRowGroup, setSelectedRowGroup] = useState(null);
   const [selectedSection, setSelectedSection] = useState(null);
@@ -12,6 +79,7 @@ function FileLayoutDiagram({ data }) {
 
   // Calculate sections for the file layout
   const sections = useMemo(() => {
+    if (salvage) return getSalvageSections(salvage);
     const result = [];
 
     // Magic header (4 bytes)
@@ -143,7 +211,7 @@ function FileLayoutDiagram({ data }) {
     result.sort((a, b) => a.start - b.start);
 
     return result;
-  }, [fileMetaData, footerStart, footerLength, fileSize, pageIndexes]);
+  }, [salvage, fileMetaData, footerStart, footerLength, fileSize, pageIndexes]);
 
   // Get color class based on section type
   const getColorClass = (section, isHovered) => {
@@ -166,30 +234,55 @@ function FileLayoutDiagram({ data }) {
           File Byte Layout
         </h2>
         <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
-          Physical structure of the file (roughly to scale) - click row groups to view column details
+          {salvage
+            ? 'Pages recovered without the footer (roughly to scale) - column chunk boundaries are inferred; click a chunk to list its pages'
+            : 'Physical structure of the file (roughly to scale) - click row groups to view column details'}
         </p>
       </div>
 
       <div className="p-4">
         {/* Legend */}
-        <div className="flex flex-wrap gap-4 mb-4 text-xs">
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 bg-purple-600 rounded"></div>
-            <span className="text-gray-500 dark:text-gray-400">Magic Bytes</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 bg-blue-600 rounded"></div>
-            <span className="text-gray-500 dark:text-gray-400">Row Groups</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 bg-green-600 rounded"></div>
-            <span className="text-gray-500 dark:text-gray-400">Page Index</span>
+        {salvage ? (
+          <div className="flex flex-wrap gap-4 mb-4 text-xs">
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-cyan-600 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Recovered Column Chunks</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-gray-500 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Unrecognized</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-red-600 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Unreadable</span>
+            </div>
           </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 bg-orange-600 rounded"></div>
-            <span className="text-gray-500 dark:text-gray-400">Footer</span>
+        ) : (
+          <div className="flex flex-wrap gap-4 mb-4 text-xs">
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-purple-600 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Magic Bytes</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-blue-600 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Row Groups</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-green-600 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Page Index</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 bg-orange-600 rounded"></div>
+              <span className="text-gray-500 dark:text-gray-400">Footer</span>
+            </div>
+            {pushdown && (
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 bg-blue-600 opacity-25 rounded"></div>
+                <span className="text-gray-500 dark:text-gray-400">Skipped by the filter</span>
+              </div>
+            )}
           </div>
-        </div>
+        )}
 
         {/* File layout bar */}
         <div className="relative h-12 bg-gray-200 dark:bg-gray-900 rounded-lg overflow-hidden">
@@ -213,6 +306,7 @@ function FileLayoutDiagram({ data }) {
               return sections.map((section, idx) => {
                 const widthPercent = normalizedWidths[idx];
                 const isHovered = hoveredSection?.id === section.id;
+                const isSkipped = section.type === 'rowgroup' && pushdown?.rowGroups[section.rgIndex].read === false;
 
                 return (
                   <div
@@ -222,13 +316,14 @@ function FileLayoutDiagram({ data }) {
                       transition-all duration-150 relative
                       ${getColorClass(section, isHovered)}
                       ${isHovered ? 'z-10' : ''}
+                      ${isSkipped ? 'opacity-25' : ''}
                     `}
                     style={{
                       width: `${widthPercent}%`,
                     }}
                     onMouseEnter={() => {
                       setHoveredSection(section);
-                      if (selectedRowGroup !== section.rgIndex) {
+                      if (selectedSection?.id !== section.id) {
                         setSelectedRowGroup(null);
                         setSelectedSection(null);
                       }
@@ -238,6 +333,8 @@ function FileLayoutDiagram({ data }) {
                       if (section.type === 'rowgroup') {
                         setSelectedSection(selectedRowGroup === section.rgIndex ? null : section);
                         setSelectedRowGroup(selectedRowGroup === section.rgIndex ? null : section.rgIndex);
+                      } else if (section.type === 'chunk') {
+                        setSelectedSection(selectedSection?.id === section.id ? null : section);
                       }
                     }}
                   >
@@ -276,10 +373,52 @@ function FileLayoutDiagram({ data }) {
                   <span className="ml-2 text-gray-700 dark:text-gray-300">{highlightedSection.numColumns}</span>
                 </div>
               )}
+              {highlightedSection.chunk && (
+                <>
+                  <div>
+                    <span className="text-gray-500">Pages:</span>
+                    <span className="ml-2 text-gray-700 dark:text-gray-300">
+                      {formatNumber(highlightedSection.chunk.numDataPages)}
+                      {highlightedSection.chunk.hasDictionaryPage ? ' + dict page' : ''}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500">Values:</span>
+                    <span className="ml-2 text-gray-700 dark:text-gray-300">{formatNumber(highlightedSection.chunk.numValues)}</span>
+                  </div>
+                  {highlightedSection.chunk.numRows !== null && (
+                    <div>
+                      <span className="text-gray-500">Rows:</span>
+                      <span className="ml-2 text-gray-700 dark:text-gray-300">{formatNumber(highlightedSection.chunk.numRows)}</span>
+                    </div>
+                  )}
+                  <div>
+                    <span className="text-gray-500">Encodings:</span>
+                    <span className="ml-2 text-gray-700 dark:text-gray-300">
+                      {highlightedSection.chunk.encodings.map((encoding) => EnumHelpers.getEncodingName(encoding)).join(', ') || '-'}
+                    </span>
+                  </div>
+                </>
+              )}
+              {highlightedSection.type === 'rowgroup' && pushdown && (
+                <div className="col-span-2">
+                  <span className="text-gray-500">Filter:</span>
+                  <span className="ml-2 text-gray-700 dark:text-gray-300">
+                    {pushdown.rowGroups[highlightedSection.rgIndex].read
+                      ? `reads ${formatBytes(pushdown.rowGroups[highlightedSection.rgIndex].bytesRead)} of ${formatBytes(
+                          pushdown.rowGroups[highlightedSection.rgIndex].bytesTotal,
+                        )}`
+                      : `skipped by ${pushdown.rowGroups[highlightedSection.rgIndex].prunedBy.join(', ')}`}
+                  </span>
+                </div>
+              )}
             </div>
             {highlightedSection.type === 'rowgroup' && selectedSection === null && (
               <p className="text-xs text-gray-500 mt-2">Click to expand column details</p>
             )}
+            {highlightedSection.type === 'chunk' && selectedSection === null && (
+              <p className="text-xs text-gray-500 mt-2">Click to list the recovered pages</p>
+            )}
           </div>
         )}
 
@@ -291,15 +430,24 @@ function FileLayoutDiagram({ data }) {
             pageIndexes={pageIndexes[selectedRowGroup]}
             fileSize={fileSize}
             schema={fileMetaData.schema}
-            onClose={() => setSelectedRowGroup(null)}
+            pushdown={pushdown?.rowGroups[selectedRowGroup] ?? null}
+            onClose={() => {
+              setSelectedRowGroup(null);
+              setSelectedSection(null);
+            }}
           />
         )}
+
+        {/* Selected recovered chunk detail */}
+        {selectedSection?.type === 'chunk' && (
+          <SalvagedChunkDetail chunk={selectedSection.chunk} onClose={() => setSelectedSection(null)} />
+        )}
       </div>
     </div>
   );
 }
 
-function RowGroupDetail({ rowGroup, pageIndexes, schema, onClose }) {
+function RowGroupDetail({ rowGroup, pageIndexes, schema, pushdown, onClose }) {
   const columns = rowGroup.columns;
 
   // Calculate column layout data
@@ -331,10 +479,11 @@ function RowGroupDetail({ rowGroup, pageIndexes, schema, onClose }) {
       compression: EnumHelpers.getCompressionName(meta.codec),
       type: EnumHelpers.getTypeName(meta.type),
       numValues: Number(meta.num_values),
-      numPages: pageIndexes?.[idx]?.offsetIndex?.page_locations?.length || 0,
+      numPages: getPageLocations(pageIndexes?.[idx]).length,
       hasDictPage: dictOffset != null,
       minValue: minValue || minValueLegacy,
       maxValue: maxValue || maxValueLegacy,
+      bytesRead: pushdown?.columns[idx].bytesRead ?? null,
     };
   }).filter(Boolean);
 
@@ -369,13 +518,17 @@ function RowGroupDetail({ rowGroup, pageIndexes, schema, onClose }) {
           return (
             <div key={col.index} className="relative h-6 bg-gray-200 dark:bg-gray-800 rounded">
               <div
-                className="absolute h-full bg-cyan-600 hover:bg-cyan-500 rounded transition-colors flex items-center"
+                className={`absolute h-full bg-cyan-600 hover:bg-cyan-500 rounded transition-colors flex items-center ${
+                  col.bytesRead === 0 ? 'opacity-25' : ''
+                }`}
                 style={{
                   left: `${leftPercent}%`,
                   width: `${Math.max(widthPercent, 2)}%`,
                   minWidth: '60px',
                 }}
-                title={`${col.name}: ${formatBytes(col.size)}`}
+                title={`${col.name}: ${formatBytes(col.size)}${
+                  col.bytesRead !== null ? ` (${formatBytes(col.bytesRead)} read by the filter)` : ''
+                }`}
               >
                 <span className="text-xs text-white px-2 truncate">{col.name}</span>
               </div>
@@ -427,4 +580,56 @@ function RowGroupDetail({ rowGroup, pageIndexes, schema, onClose }) {
   );
 }
 
+function SalvagedChunkDetail({ chunk, onClose }) {
+  return (
+    <div className="mt-4 p-4 bg-gray-100 dark:bg-gray-900 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-medium text-gray-900 dark:text-white">Pages of Column Chunk {chunk.index}</h3>
+          <p className="text-xs text-gray-500 mt-0.5">
+            Column and row group are unknown without the footer; sizes are compressed and include the page header
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 transition-colors"
+        >
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="w-full text-xs">
+          <thead className="text-gray-500 border-b border-gray-300 dark:border-gray-700">
+            <tr>
+              <th className="text-left py-2 pr-3">Offset</th>
+              <th className="text-left py-2 pr-3">Type</th>
+              <th className="text-left py-2 pr-3">Encoding</th>
+              <th className="text-right py-2 pr-3">Values</th>
+              <th className="text-right py-2 pr-3">Rows</th>
+              <th className="text-right py-2 pr-3">Uncompressed</th>
+              <th className="text-right py-2">Size</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 dark:text-gray-300">
+            {chunk.pages.map((page) => (
+              <tr key={page.offset} className="border-b border-gray-200 dark:border-gray-800 hover:bg-gray-200/50 dark:hover:bg-gray-800/50">
+                <td className="py-2 pr-3 font-mono">{formatNumber(page.offset)}</td>
+                <td className="py-2 pr-3">{EnumHelpers.getPageTypeName(page.header.type)}</td>
+                <td className="py-2 pr-3">{page.encoding !== null ? EnumHelpers.getEncodingName(page.encoding) : '-'}</td>
+                <td className="py-2 pr-3 text-right font-mono">{formatNumber(page.numValues)}</td>
+                <td className="py-2 pr-3 text-right font-mono">{page.numRows !== null ? formatNumber(page.numRows) : '-'}</td>
+                <td className="py-2 pr-3 text-right font-mono">{formatBytes(page.uncompressed_page_size)}</td>
+                <td className="py-2 text-right font-mono">{formatBytes(page.compressed_page_size)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 export default FileLayoutDiagram;
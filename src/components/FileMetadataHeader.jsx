@@ -1,14 +1,17 @@
 import { useState } from 'react';
-import { formatNumber } from '../parquetParser.js';
+import { formatNumber, getPageLocations, getUnknownFields } from '../parquetParser.js';
+import { exportMetadataJson } from '../metadataExport.js';
+import FooterEditor from './FooterEditor.jsx';
 
 function FileMetadataHeader({ fileName, data }) {
   const { fileSize, footerLength, fileMetaData, pageIndexes } = data;
   const [copied, setCopied] = useState(false);
+  const [editing, setEditing] = useState(false);
 
-  // Count total pages across all row groups
+  // Count total data pages across all row groups (from the offset index or decoded page headers)
   const totalPages = pageIndexes.reduce((sum, rgIndexes) => {
     return sum + rgIndexes.reduce((rgSum, colIndex) => {
-      return rgSum + (colIndex.offsetIndex?.page_locations?.length || 0);
+      return rgSum + getPageLocations(colIndex).length;
     }, 0);
   }, 0);
 
@@ -25,7 +28,11 @@ function FileMetadataHeader({ fileName, data }) {
     });
   });
 
-  const hasPageIndex = totalPages > 0;
+  const hasPageIndex = pageIndexes.some((rgIndexes) =>
+    rgIndexes.some((colIndex) => colIndex.offsetIndex?.page_locations?.length > 0)
+  );
+  // Fields written by a newer format version or a writer extension, skipped by the parser
+  const unknownFields = getUnknownFields(data);
   const numRows = Number(fileMetaData.num_rows);
   const numRowGroups = fileMetaData.row_groups.length;
   const createdBy = fileMetaData.created_by || 'Unknown';
@@ -40,6 +47,17 @@ function FileMetadataHeader({ fileName, data }) {
     }
   };
 
+  // Download the parsed metadata (footer, page indexes, page headers) as a JSON file
+  const handleExportJson = () => {
+    const blob = new Blob([exportMetadataJson(data, fileName)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName.split('/').pop()}.metadata.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   return (
     <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
       <div className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800">
@@ -51,7 +69,37 @@ function FileMetadataHeader({ fileName, data }) {
             </svg>
             {fileName}
           </h2>
+          <div className="flex items-center gap-2">
+            {/* Rewriting the footer of an encrypted file would break its encryption */}
+            {!data.encryption && (
+              <button
+                onClick={() => setEditing(true)}
+                className="px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200
+                           hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1.5"
+                title="Edit created_by, key/value metadata and statistics, and download the rewritten file"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                        d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                </svg>
+                Edit Metadata
+              </button>
+            )}
+            <button
+              onClick={handleExportJson}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200
+                         hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1.5"
+              title="Download the parsed metadata as JSON"
+            >
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                      d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              Export JSON
+            </button>
+          </div>
         </div>
+        {editing && <FooterEditor data={data} fileName={fileName} onClose={() => setEditing(false)} />}
 
         {/* File Stats Grid */}
         <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-7 gap-4">
@@ -87,8 +135,8 @@ function FileMetadataHeader({ fileName, data }) {
             </div>
           )}
 
-          {/* Total Pages (if page index available) */}
-          {hasPageIndex && (
+          {/* Total Pages (if page locations are known) */}
+          {totalPages > 0 && (
             <div className="bg-gray-100/50 dark:bg-gray-900/50 rounded-lg px-3 py-2 border border-gray-200/50 dark:border-gray-700/50">
               <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Total Pages</div>
               <div className="text-sm font-semibold text-green-600 dark:text-green-300">{formatNumber(totalPages)}</div>
@@ -139,6 +187,16 @@ function FileMetadataHeader({ fileName, data }) {
               <span>Page Index Available</span>
             </div>
           )}
+          {unknownFields.length > 0 && (
+            <div
+              className="flex items-center gap-1.5 text-amber-600 dark:text-amber-400"
+              title={`${formatNumber(unknownFields.length)} field${unknownFields.length === 1 ? '' : 's'} this reader ` +
+                `doesn't know ${unknownFields.length === 1 ? 'was' : 'were'} skipped while reading the metadata (see Validation)`}
+            >
+              <div className="w-2 h-2 rounded-full bg-amber-500/70"></div>
+              <span>Unknown Fields Present</span>
+            </div>
+          )}
         </div>
       </div>
     </div>
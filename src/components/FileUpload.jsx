@@ -1,7 +1,38 @@
 import { useState, useCallback } from 'react';
 
-function FileUpload({ onFileSelect, onLoadExample }) {
+// Hidden files and Spark/Hadoop bookkeeping files (_SUCCESS, _metadata, ...) aren't data files
+function isDatasetFile(name) {
+  return name.endsWith('.parquet') && !name.startsWith('.') && !name.startsWith('_');
+}
+
+/**
+ * Recursively collect the Parquet files below a dropped directory entry
+ * Paths are relative to the dropped directory.
+ */
+async function collectDirectoryFiles(directoryEntry, prefix = '') {
+  const files = [];
+  const reader = directoryEntry.createReader();
+
+  // readEntries returns the directory contents in batches until it returns an empty one
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const entry of batch) {
+      if (entry.isDirectory) {
+        files.push(...(await collectDirectoryFiles(entry, `${prefix}${entry.name}/`)));
+      } else if (isDatasetFile(entry.name)) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: `${prefix}${entry.name}`, file });
+      }
+    }
+  } while (batch.length > 0);
+
+  return files;
+}
+
+function FileUpload({ onFileSelect, onCompareFiles, onDatasetSelect, onLoadExample, onLoadUrl }) {
   const [isDragging, setIsDragging] = useState(false);
+  const [url, setUrl] = useState('');
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -13,22 +44,54 @@ function FileUpload({ onFileSelect, onLoadExample }) {
     setIsDragging(false);
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  // Two files open the compare mode (the first one is the base), more are summarized as a dataset
+  const handleFiles = useCallback((files) => {
+    if (files.length > 2 && onDatasetSelect) {
+      onDatasetSelect(`${files.length} files`, [...files].map((file) => ({ path: file.name, file })));
+    } else if (files.length === 2 && onCompareFiles) {
+      onCompareFiles(files[0], files[1]);
+    } else if (files.length > 0) {
+      onFileSelect(files[0]);
+    }
+  }, [onFileSelect, onCompareFiles, onDatasetSelect]);
+
+  const handleDrop = useCallback(async (e) => {
     e.preventDefault();
     setIsDragging(false);
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      onFileSelect(files[0]);
+    // Entries must be taken from the event synchronously, the DataTransfer is cleared afterwards
+    const entries = [...e.dataTransfer.items].map((item) => item.webkitGetAsEntry?.()).filter(Boolean);
+    const directory = entries.find((entry) => entry.isDirectory);
+    if (directory && onDatasetSelect) {
+      onDatasetSelect(directory.name, await collectDirectoryFiles(directory));
+      return;
     }
-  }, [onFileSelect]);
+
+    handleFiles(e.dataTransfer.files);
+  }, [handleFiles, onDatasetSelect]);
 
   const handleFileInput = useCallback((e) => {
-    const files = e.target.files;
-    if (files.length > 0) {
-      onFileSelect(files[0]);
+    handleFiles(e.target.files);
+  }, [handleFiles]);
+
+  // Directory picker: webkitRelativePath starts with the selected directory's name
+  const handleDirectoryInput = useCallback((e) => {
+    const files = [...e.target.files].filter((file) => isDatasetFile(file.name));
+    if (files.length === 0) return;
+
+    const name = files[0].webkitRelativePath.split('/')[0];
+    onDatasetSelect(
+      name,
+      files.map((file) => ({ path: file.webkitRelativePath.split('/').slice(1).join('/'), file })),
+    );
+  }, [onDatasetSelect]);
+
+  const handleUrlSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (url.trim()) {
+      onLoadUrl(url.trim());
     }
-  }, [onFileSelect]);
+  }, [url, onLoadUrl]);
 
   return (
     <div
@@ -48,9 +111,20 @@ function FileUpload({ onFileSelect, onLoadExample }) {
         id="file-input"
         type="file"
         accept=".parquet"
+        multiple={!!onCompareFiles}
         onChange={handleFileInput}
         className="hidden"
       />
+      {onDatasetSelect && (
+        <input
+          id="directory-input"
+          type="file"
+          webkitdirectory=""
+          onChange={handleDirectoryInput}
+          onClick={(e) => e.stopPropagation()}
+          className="hidden"
+        />
+      )}
 
       <svg
         className="mx-auto h-14 w-14 text-gray-400 dark:text-gray-500 mb-6"
@@ -70,6 +144,28 @@ function FileUpload({ onFileSelect, onLoadExample }) {
         Drop a Parquet file here or click to browse
       </p>
 
+      {onCompareFiles && (
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Drop or select two files to compare their metadata
+        </p>
+      )}
+
+      {onDatasetSelect && (
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Drop a directory (e.g. with Hive-style <span className="font-mono">key=value/</span> partitions) or{' '}
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              document.getElementById('directory-input').click();
+            }}
+            className="text-blue-600 dark:text-blue-400 hover:text-blue-500 dark:hover:text-blue-300 underline decoration-blue-600/50 dark:decoration-blue-400/50 underline-offset-2 transition-colors"
+          >
+            select a folder
+          </button>{' '}
+          for a dataset summary
+        </p>
+      )}
+
       {onLoadExample && (
         <p className="mt-2 text-base text-gray-500 dark:text-gray-400">
           or{' '}
@@ -85,6 +181,29 @@ function FileUpload({ onFileSelect, onLoadExample }) {
         </p>
       )}
 
+      {onLoadUrl && (
+        <form
+          onSubmit={handleUrlSubmit}
+          onClick={(e) => e.stopPropagation()}
+          className="mt-6 mx-auto max-w-xl flex items-center gap-2 cursor-default"
+        >
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="or open a URL (read via HTTP range requests)"
+            className="flex-1 min-w-0 px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900
+                       text-gray-900 dark:text-gray-100 focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-md transition-colors"
+          >
+            Open
+          </button>
+        </form>
+      )}
+
       <p className="mt-12 text-sm text-gray-500">
         The file will be parsed locally in your browser, no data leaves your device
       </p>
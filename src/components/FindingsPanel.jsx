@@ -0,0 +1,84 @@
+import { useMemo } from 'react';
+import { analyzeFile } from '../fileAdvisor.js';
+
+const SEVERITY_STYLES = {
+  warning: 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300',
+  info: 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300',
+};
+
+function getLocationLabel(finding) {
+  if (finding.rowGroup === null) return null;
+  const rowGroupLabel =
+    finding.rowGroups.length > 1 ? `${finding.rowGroups.length} row groups` : `Row Group ${finding.rowGroup}`;
+  return finding.column ? `${finding.column} · ${rowGroupLabel}` : rowGroupLabel;
+}
+
+/**
+ * FindingsPanel - storage-efficiency findings, each linking to the affected row group/column
+ */
+function FindingsPanel({ data, onNavigate }) {
+  const findings = useMemo(() => analyzeFile(data), [data]);
+  const numWarnings = findings.filter((finding) => finding.severity === 'warning').length;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-amber-500 dark:text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"
+            />
+          </svg>
+          Findings
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          {findings.length === 0
+            ? 'No storage issues found in the metadata'
+            : `${numWarnings} warning${numWarnings === 1 ? '' : 's'}, ${findings.length - numWarnings} hint${
+                findings.length - numWarnings === 1 ? '' : 's'
+              } - click a finding to show it in the file structure`}
+        </p>
+      </div>
+
+      {findings.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700/50 max-h-96 overflow-y-auto">
+          {findings.map((finding) => {
+            const location = getLocationLabel(finding);
+            return (
+              <li
+                key={`${finding.rule}:${finding.column ?? ''}`}
+                className={`px-5 py-3 flex items-start gap-3 ${
+                  location ? 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/30' : ''
+                } transition-colors`}
+                onClick={location ? () => onNavigate({ rowGroup: finding.rowGroup, column: finding.columnIndex }) : undefined}
+              >
+                <span
+                  className={`mt-0.5 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase ${SEVERITY_STYLES[finding.severity]}`}
+                >
+                  {finding.severity}
+                </span>
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center justify-between gap-4">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">{finding.title}</span>
+                    {location && (
+                      <span className="text-xs font-mono text-blue-600 dark:text-blue-400 truncate">{location} →</span>
+                    )}
+                  </div>
+                  <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">{finding.message}</p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FindingsPanel;
@@ -0,0 +1,271 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { formatNumber } from '../parquetParser.js';
+import { formatStatValue } from '../statsFormatter.js';
+import { findSchemaElement } from '../schemaTree.js';
+import { applyFooterEdits, buildRewrittenFile, getDroppedFields } from '../footerEditor.js';
+
+const INPUT =
+  'w-full px-2 py-1 text-sm font-mono rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 ' +
+  'text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+const LABEL = 'block text-xs text-gray-500 dark:text-gray-400 mb-1';
+
+const STAT_FIELDS = [
+  { name: 'min', label: 'Min' },
+  { name: 'max', label: 'Max' },
+  { name: 'nullCount', label: 'Null count' },
+  { name: 'distinctCount', label: 'Distinct count' },
+];
+
+/**
+ * Get the current statistics of a column chunk as editable text
+ */
+function getStatTexts(fileMetaData, rowGroup, column) {
+  const meta = fileMetaData.row_groups[rowGroup]?.columns[column]?.meta_data;
+  if (!meta) return { min: '', max: '', nullCount: '', distinctCount: '' };
+  const schemaElement = findSchemaElement(fileMetaData.schema, meta.path_in_schema);
+  const stats = meta.statistics;
+  const min = stats?.min_value || stats?.min;
+  const max = stats?.max_value || stats?.max;
+  return {
+    min: min ? formatStatValue(min, meta, schemaElement) : '',
+    max: max ? formatStatValue(max, meta, schemaElement) : '',
+    nullCount: stats?.null_count != null ? String(stats.null_count) : '',
+    distinctCount: stats?.distinct_count != null ? String(stats.distinct_count) : '',
+  };
+}
+
+function Section({ title, info, children }) {
+  return (
+    <div className="px-5 py-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-900 dark:text-white">{title}</h4>
+        {info && <span className="text-xs text-gray-500 dark:text-gray-400">{info}</span>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * FooterEditor - edit created_by, key/value metadata and column chunk statistics and download
+ * the file with a rewritten footer (the data is copied unchanged)
+ */
+function FooterEditor({ data, fileName, onClose }) {
+  const { source, footerStart, fileMetaData } = data;
+  const [createdBy, setCreatedBy] = useState(fileMetaData.created_by || '');
+  const [keyValues, setKeyValues] = useState(
+    // Values stay null (unset) unless edited
+    (fileMetaData.key_value_metadata || []).map(({ key, value }) => ({ key, value })),
+  );
+  // Edited statistics fields by "rowGroup:column", only fields the user changed
+  const [statEdits, setStatEdits] = useState({});
+  const [selectedRowGroup, setSelectedRowGroup] = useState(0);
+  const [selectedColumn, setSelectedColumn] = useState(0);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Footer fields this reader doesn't know are lost when the footer is rewritten
+  const droppedFields = getDroppedFields(data);
+  const [acceptDrop, setAcceptDrop] = useState(false);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const rowGroup = fileMetaData.row_groups[selectedRowGroup];
+  const statKey = `${selectedRowGroup}:${selectedColumn}`;
+  const currentStats = getStatTexts(fileMetaData, selectedRowGroup, selectedColumn);
+  const numEditedChunks = Object.values(statEdits).filter((edit) => Object.keys(edit).length > 0).length;
+
+  const updateKeyValue = (idx, field, value) => {
+    setKeyValues(keyValues.map((entry, i) => (i === idx ? { ...entry, [field]: value } : entry)));
+  };
+
+  const updateStat = (field, value) => {
+    const edit = { ...statEdits[statKey] };
+    if (value === currentStats[field]) {
+      delete edit[field];
+    } else {
+      edit[field] = value;
+    }
+    setStatEdits({ ...statEdits, [statKey]: edit });
+  };
+
+  const handleDownload = async () => {
+    setError(null);
+    setSaving(true);
+    try {
+      const statistics = Object.entries(statEdits)
+        .filter(([, edit]) => Object.keys(edit).length > 0)
+        .map(([key, edit]) => {
+          const [rg, col] = key.split(':').map(Number);
+          return { rowGroup: rg, column: col, ...edit };
+        });
+      const edited = applyFooterEdits(fileMetaData, { createdBy, keyValueMetadata: keyValues, statistics });
+      const blob = await buildRewrittenFile(source, footerStart, edited);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName.split('/').pop().replace(/(\.parquet)?$/, '.edited.parquet');
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Failed to rewrite the file');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/40 dark:bg-black/60 flex items-center justify-center p-4"
+      style={{ zIndex: 100000 }}
+      onClick={onClose}
+    >
+      <div
+        className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-2xl
+                   w-full max-w-3xl max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-sm font-bold text-gray-900 dark:text-white">Edit Footer Metadata</h3>
+          <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+            The downloaded file has the same data pages, page indexes and bloom filters; only the footer is rewritten.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          <Section title="Created By">
+            <input className={INPUT} value={createdBy} onChange={(e) => setCreatedBy(e.target.value)} />
+          </Section>
+
+          <Section title="Key/Value Metadata" info="entries with an empty key are removed">
+            <div className="space-y-2">
+              {keyValues.map((entry, idx) => (
+                <div key={idx} className="flex items-start gap-2">
+                  <input
+                    className={`${INPUT} w-1/3`}
+                    value={entry.key}
+                    placeholder="key"
+                    onChange={(e) => updateKeyValue(idx, 'key', e.target.value)}
+                  />
+                  <textarea
+                    className={`${INPUT} flex-1`}
+                    rows={1}
+                    value={entry.value ?? ''}
+                    placeholder="value"
+                    onChange={(e) => updateKeyValue(idx, 'value', e.target.value)}
+                  />
+                  <button
+                    onClick={() => setKeyValues(keyValues.filter((_, i) => i !== idx))}
+                    className="px-2 py-1 text-xs text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded"
+                    title="Remove entry"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => setKeyValues([...keyValues, { key: '', value: '' }])}
+                className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:text-blue-500 dark:hover:text-blue-300"
+              >
+                + Add entry
+              </button>
+            </div>
+          </Section>
+
+          <Section
+            title="Column Chunk Statistics"
+            info={numEditedChunks > 0 ? `${numEditedChunks} column chunk${numEditedChunks === 1 ? '' : 's'} edited` : null}
+          >
+            <div className="flex gap-2 mb-3">
+              <select
+                className={INPUT}
+                value={selectedRowGroup}
+                onChange={(e) => {
+                  setSelectedRowGroup(Number(e.target.value));
+                  setSelectedColumn(0);
+                }}
+              >
+                {fileMetaData.row_groups.map((rg, idx) => (
+                  <option key={idx} value={idx}>
+                    Row Group {idx} ({formatNumber(Number(rg.num_rows))} rows)
+                  </option>
+                ))}
+              </select>
+              <select className={INPUT} value={selectedColumn} onChange={(e) => setSelectedColumn(Number(e.target.value))}>
+                {(rowGroup?.columns || []).map((col, idx) => (
+                  <option key={idx} value={idx}>
+                    {col.meta_data?.path_in_schema.join('.') ?? `Column ${idx}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              {STAT_FIELDS.map(({ name, label }) => (
+                <div key={name}>
+                  <label className={LABEL}>{label}</label>
+                  <input
+                    className={`${INPUT} ${statEdits[statKey]?.[name] !== undefined ? 'border-amber-400 dark:border-amber-500' : ''}`}
+                    value={statEdits[statKey]?.[name] ?? currentStats[name]}
+                    placeholder="not set"
+                    onChange={(e) => updateStat(name, e.target.value)}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-400 dark:text-gray-500">
+              Values use the same format as shown in the file structure. The page index (ColumnIndex) is not changed.
+            </p>
+          </Section>
+        </div>
+
+        {droppedFields.length > 0 && (
+          <div className="px-5 py-3 border-t border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 text-xs text-amber-800 dark:text-amber-200">
+            <p className="font-semibold">
+              The footer has {droppedFields.length} field{droppedFields.length === 1 ? '' : 's'} this reader doesn't know,
+              which the rewritten footer won't contain:
+            </p>
+            <ul className="mt-1 max-h-24 overflow-y-auto font-mono">
+              {droppedFields.map((field, idx) => (
+                <li key={idx}>
+                  {field.path} field {field.fieldId} ({field.typeName})
+                </li>
+              ))}
+            </ul>
+            <label className="mt-2 flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={acceptDrop} onChange={(e) => setAcceptDrop(e.target.checked)} />
+              Drop these fields from the edited file
+            </label>
+          </div>
+        )}
+
+        <div className="px-5 py-3 flex items-center justify-between gap-4">
+          <div className="text-xs text-red-600 dark:text-red-400 font-mono">{error}</div>
+          <div className="flex items-center gap-2 shrink-0">
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 text-sm rounded-md bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleDownload}
+              disabled={saving || (droppedFields.length > 0 && !acceptDrop)}
+              className="px-3 py-1.5 text-sm rounded-md bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50 transition-colors"
+            >
+              {saving ? 'Writing...' : 'Download Edited File'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+export default FooterEditor;
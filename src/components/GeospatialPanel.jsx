@@ -0,0 +1,219 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { formatNumber } from '../parquetParser.js';
+import { getGeospatialColumns, getGeospatialTypeName, formatBoundingBox } from '../geospatial.js';
+
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 240;
+const PADDING = 28;
+
+// Neutral colors that work on light and dark backgrounds
+const GRID_COLOR = 'rgba(128, 128, 128, 0.35)';
+const LABEL_COLOR = 'rgb(128, 128, 128)';
+const BOX_STROKE = 'rgba(59, 130, 246, 0.9)';
+const BOX_FILL = 'rgba(59, 130, 246, 0.12)';
+const HIGHLIGHT_STROKE = 'rgba(245, 158, 11, 1)';
+const HIGHLIGHT_FILL = 'rgba(245, 158, 11, 0.25)';
+
+function formatTypes(types) {
+  if (!types) return 'unknown';
+  return types.map(getGeospatialTypeName).join(', ');
+}
+
+/**
+ * Split a bounding box that crosses the antimeridian (xmin > xmax) into two boxes
+ */
+function splitAtAntimeridian(bbox) {
+  return bbox.xmin > bbox.xmax
+    ? [
+        { ...bbox, xmax: 180 },
+        { ...bbox, xmin: -180 },
+      ]
+    : [bbox];
+}
+
+/**
+ * Plot of the row group bounding boxes of a column within the column's extent (no basemap)
+ */
+function BoundingBoxCanvas({ column, highlighted }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx || !column.bbox) return;
+
+    const scale = window.devicePixelRatio || 1;
+    canvas.width = CANVAS_WIDTH * scale;
+    canvas.height = CANVAS_HEIGHT * scale;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // Extent with some margin, keeping degenerate extents (a single point) visible
+    const { xmin, xmax, ymin, ymax } = column.bbox;
+    const marginX = (xmax - xmin) * 0.05 || 1;
+    const marginY = (ymax - ymin) * 0.05 || 1;
+    const extent = { xmin: xmin - marginX, xmax: xmax + marginX, ymin: ymin - marginY, ymax: ymax + marginY };
+    const toX = (x) => PADDING + ((x - extent.xmin) / (extent.xmax - extent.xmin)) * (CANVAS_WIDTH - 2 * PADDING);
+    const toY = (y) => CANVAS_HEIGHT - PADDING - ((y - extent.ymin) / (extent.ymax - extent.ymin)) * (CANVAS_HEIGHT - 2 * PADDING);
+
+    // Frame and extent labels
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(PADDING, PADDING, CANVAS_WIDTH - 2 * PADDING, CANVAS_HEIGHT - 2 * PADDING);
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.font = '10px ui-monospace, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(String(+extent.xmin.toPrecision(6)), PADDING, CANVAS_HEIGHT - PADDING + 14);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(+extent.xmax.toPrecision(6)), CANVAS_WIDTH - PADDING, CANVAS_HEIGHT - PADDING + 14);
+    ctx.save();
+    ctx.translate(PADDING - 6, CANVAS_HEIGHT - PADDING);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'left';
+    ctx.fillText(String(+extent.ymin.toPrecision(6)), 0, 0);
+    ctx.restore();
+    ctx.save();
+    ctx.translate(PADDING - 6, PADDING);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(+extent.ymax.toPrecision(6)), 0, 0);
+    ctx.restore();
+
+    // Row group boxes, the highlighted one last so it's on top
+    const entries = column.rowGroups.filter((entry) => entry.bbox);
+    const ordered = [
+      ...entries.filter((entry) => entry.rowGroup !== highlighted),
+      ...entries.filter((entry) => entry.rowGroup === highlighted),
+    ];
+    for (const entry of ordered) {
+      const isHighlighted = entry.rowGroup === highlighted;
+      ctx.strokeStyle = isHighlighted ? HIGHLIGHT_STROKE : BOX_STROKE;
+      ctx.fillStyle = isHighlighted ? HIGHLIGHT_FILL : BOX_FILL;
+      ctx.lineWidth = isHighlighted ? 2 : 1;
+      for (const box of splitAtAntimeridian(entry.bbox)) {
+        const x = toX(box.xmin);
+        const y = toY(box.ymax);
+        const width = Math.max(toX(box.xmax) - x, 3);
+        const height = Math.max(toY(box.ymin) - y, 3);
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeRect(x, y, width, height);
+      }
+    }
+  }, [column, highlighted]);
+
+  if (!column.bbox) {
+    return (
+      <div className="flex items-center justify-center text-xs text-gray-400 dark:text-gray-500 italic h-24">
+        No bounding boxes in the statistics
+      </div>
+    );
+  }
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="w-full max-w-[480px] rounded-lg bg-gray-50 dark:bg-gray-900/60 border border-gray-200 dark:border-gray-700"
+      style={{ aspectRatio: `${CANVAS_WIDTH} / ${CANVAS_HEIGHT}` }}
+    />
+  );
+}
+
+function GeospatialColumn({ column }) {
+  const [highlighted, setHighlighted] = useState(null);
+  const { geoType } = column;
+
+  return (
+    <div className="px-5 py-4 border-b border-gray-100 dark:border-gray-700/50 last:border-b-0">
+      <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1 mb-3 text-xs">
+        <span className="font-mono text-sm font-medium text-gray-900 dark:text-white">{column.path}</span>
+        {geoType ? (
+          <>
+            <span className="px-1.5 py-0.5 rounded bg-cyan-100 dark:bg-cyan-900/40 text-cyan-700 dark:text-cyan-300">
+              {geoType.type}
+            </span>
+            <span className="text-gray-500 dark:text-gray-400">
+              CRS <span className="font-mono text-gray-700 dark:text-gray-300 break-all">{geoType.crs}</span>
+            </span>
+            <span className="text-gray-500 dark:text-gray-400">
+              Edges{' '}
+              <span className="text-gray-700 dark:text-gray-300">{geoType.algorithm ?? 'planar (linear)'}</span>
+            </span>
+          </>
+        ) : (
+          <span className="text-amber-600 dark:text-amber-400">geospatial statistics without a GEOMETRY/GEOGRAPHY type</span>
+        )}
+        <span className="text-gray-500 dark:text-gray-400">
+          Types <span className="text-gray-700 dark:text-gray-300">{formatTypes(column.types)}</span>
+        </span>
+      </div>
+
+      <div className="grid md:grid-cols-[auto_1fr] gap-4 items-start">
+        <BoundingBoxCanvas column={column} highlighted={highlighted} />
+        <div className="max-h-60 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="text-left text-gray-500 dark:text-gray-400">
+              <tr>
+                <th className="pr-3 py-1 font-medium">Row group</th>
+                <th className="pr-3 py-1 font-medium">Bounding box</th>
+                <th className="py-1 font-medium">Types</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50 text-gray-700 dark:text-gray-300">
+              {column.rowGroups.map((entry) => (
+                <tr
+                  key={entry.rowGroup}
+                  className={highlighted === entry.rowGroup ? 'bg-amber-50 dark:bg-amber-900/20' : ''}
+                  onMouseEnter={() => setHighlighted(entry.rowGroup)}
+                  onMouseLeave={() => setHighlighted(null)}
+                >
+                  <td className="pr-3 py-1 font-mono">{formatNumber(entry.rowGroup)}</td>
+                  <td className="pr-3 py-1 font-mono">{entry.bbox ? formatBoundingBox(entry.bbox) : '-'}</td>
+                  <td className="py-1">{formatTypes(entry.types)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * GeospatialPanel - GEOMETRY/GEOGRAPHY columns with their CRS and edge interpolation, and the
+ * bounding boxes of their GeospatialStatistics per row group plotted within the column's extent
+ */
+function GeospatialPanel({ data }) {
+  const columns = useMemo(() => getGeospatialColumns(data), [data]);
+  if (columns.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-teal-500 dark:text-teal-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+            />
+          </svg>
+          Geospatial
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          {columns.length} geospatial column{columns.length === 1 ? '' : 's'} - bounding boxes from the statistics of
+          each row group (hover a row group to highlight it)
+        </p>
+      </div>
+      {columns.map((column) => (
+        <GeospatialColumn key={column.columnIndex} column={column} />
+      ))}
+    </div>
+  );
+}
+
+export default GeospatialPanel;
@@ -0,0 +1,223 @@
+import { useMemo, useState } from 'react';
+import { formatBytes, formatNumber } from '../parquetParser.js';
+import { summarizePageDistribution } from '../pageDistribution.js';
+
+// Scatter plot area in SVG units, and the room left for the axis labels
+const PLOT_WIDTH = 720;
+const PLOT_HEIGHT = 260;
+const MARGIN = { left: 56, right: 12, top: 10, bottom: 30 };
+// Drawing more points than this slows the page down without showing more
+const MAX_SCATTER_POINTS = 5000;
+
+// Point colors, cycled through by column
+const COLUMN_COLORS = ['#0ea5e9', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#14b8a6', '#6366f1'];
+
+function getColumnColor(columnIndex) {
+  return COLUMN_COLORS[columnIndex % COLUMN_COLORS.length];
+}
+
+/**
+ * Map a value onto [0, 1] on a log scale between the lowest and highest bin edges
+ */
+function logPosition(value, bins) {
+  const low = Math.log2(bins[0].from);
+  const high = Math.log2(bins[bins.length - 1].to);
+  return (Math.log2(Math.max(value, bins[0].from)) - low) / (high - low);
+}
+
+function Histogram({ counts, bins, format, color }) {
+  const max = Math.max(...counts, 1);
+  return (
+    <div className="flex items-end gap-px h-6 w-28">
+      {counts.map((count, i) => (
+        <div
+          key={i}
+          className={`flex-1 rounded-t-sm ${count > 0 ? color : 'bg-gray-100 dark:bg-gray-700/50'}`}
+          style={{ height: count > 0 ? `${Math.max((count / max) * 100, 8)}%` : '8%' }}
+          title={`${format(bins[i].from)} - ${format(bins[i].to)}: ${formatNumber(count)} page${count === 1 ? '' : 's'}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+function Distribution({ stats, format }) {
+  if (!stats) return <span className="text-gray-400 dark:text-gray-500">-</span>;
+  return (
+    <span className="font-mono whitespace-nowrap">
+      {format(stats.min)} / {format(stats.median)} / {format(stats.p95)} / {format(stats.max)}
+    </span>
+  );
+}
+
+function ScatterPlot({ summary, hovered, onHover }) {
+  const { pages, sizeBins, rowBins } = summary;
+  const step = Math.ceil(pages.length / MAX_SCATTER_POINTS);
+  const shown = step > 1 ? pages.filter((page, i) => i % step === 0) : pages;
+  const innerWidth = PLOT_WIDTH - MARGIN.left - MARGIN.right;
+  const innerHeight = PLOT_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const toX = (rows) => MARGIN.left + logPosition(rows, rowBins) * innerWidth;
+  const toY = (size) => MARGIN.top + (1 - logPosition(size, sizeBins)) * innerHeight;
+
+  // Label every other power of two on each axis so the labels don't overlap
+  const xTicks = [...rowBins.map((bin) => bin.from), rowBins[rowBins.length - 1].to].filter((_, i) => i % 2 === 0);
+  const yTicks = [...sizeBins.map((bin) => bin.from), sizeBins[sizeBins.length - 1].to].filter((_, i) => i % 2 === 0);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}`} className="w-full h-auto text-gray-400 dark:text-gray-500">
+        {yTicks.map((tick) => (
+          <g key={`y${tick}`}>
+            <line
+              x1={MARGIN.left}
+              x2={PLOT_WIDTH - MARGIN.right}
+              y1={toY(tick)}
+              y2={toY(tick)}
+              stroke="currentColor"
+              strokeOpacity={0.2}
+            />
+            <text x={MARGIN.left - 6} y={toY(tick)} textAnchor="end" dominantBaseline="middle" fontSize={10} fill="currentColor">
+              {formatBytes(tick)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((tick) => (
+          <g key={`x${tick}`}>
+            <line
+              x1={toX(tick)}
+              x2={toX(tick)}
+              y1={MARGIN.top}
+              y2={PLOT_HEIGHT - MARGIN.bottom}
+              stroke="currentColor"
+              strokeOpacity={0.2}
+            />
+            <text x={toX(tick)} y={PLOT_HEIGHT - MARGIN.bottom + 14} textAnchor="middle" fontSize={10} fill="currentColor">
+              {formatNumber(tick)}
+            </text>
+          </g>
+        ))}
+        <text x={PLOT_WIDTH - MARGIN.right} y={PLOT_HEIGHT - 2} textAnchor="end" fontSize={10} fill="currentColor">
+          rows per page
+        </text>
+        {shown.map((page) => (
+          <circle
+            key={`${page.rowGroup}-${page.columnIndex}-${page.page}`}
+            cx={toX(page.rows)}
+            cy={toY(page.size)}
+            r={hovered === page.columnIndex ? 4 : 3}
+            fill={getColumnColor(page.columnIndex)}
+            fillOpacity={hovered === null || hovered === page.columnIndex ? 0.7 : 0.1}
+            onMouseEnter={() => onHover(page.columnIndex)}
+            onMouseLeave={() => onHover(null)}
+          >
+            <title>
+              {`${summary.columns[page.columnIndex]?.path} - row group ${page.rowGroup}, page ${page.page}: ` +
+                `${formatBytes(page.size)}, ${formatNumber(page.rows)} rows`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      {step > 1 && (
+        <p className="text-[10px] text-gray-400 dark:text-gray-500 text-right">
+          Showing every {formatNumber(step)}th of {formatNumber(pages.length)} pages
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * PageDistribution - per-column distribution of compressed page sizes and rows per page, and a
+ * file-wide scatter plot of the two, to spot writers that cut pages far too small or too large
+ */
+function PageDistribution({ data }) {
+  const summary = useMemo(() => summarizePageDistribution(data), [data]);
+  const [hovered, setHovered] = useState(null);
+
+  if (summary.pages.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-emerald-500 dark:text-emerald-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 20h16M7 16v-5m5 5V6m5 10v-8" />
+          </svg>
+          Page Distribution
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          {formatNumber(summary.pages.length)} data page{summary.pages.length === 1 ? '' : 's'} - compressed size and
+          rows per page (min / median / p95 / max), histograms on a log scale
+          {summary.rowsEstimated && '; rows per page are estimated where the file has no offset index'}
+        </p>
+      </div>
+
+      {summary.sizeBins.length > 0 && summary.rowBins.length > 0 && (
+        <div className="px-5 pt-4">
+          <ScatterPlot summary={summary} hovered={hovered} onHover={setHovered} />
+        </div>
+      )}
+
+      <div className="mt-2 max-h-96 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50 dark:bg-gray-900/50 sticky top-0">
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="pl-5 pr-3 py-2 font-medium">Column</th>
+              <th className="px-3 py-2 font-medium text-right">Pages</th>
+              <th className="px-3 py-2 font-medium">Page size</th>
+              <th className="px-3 py-2 font-medium"></th>
+              <th className="px-3 py-2 font-medium">Rows per page</th>
+              <th className="pl-3 pr-5 py-2 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50 text-gray-700 dark:text-gray-300">
+            {summary.columns.map((column) => (
+              <tr
+                key={column.columnIndex}
+                className={hovered === column.columnIndex ? 'bg-emerald-50 dark:bg-emerald-900/20' : ''}
+                onMouseEnter={() => setHovered(column.columnIndex)}
+                onMouseLeave={() => setHovered(null)}
+              >
+                <td className="pl-5 pr-3 py-1.5 font-mono text-gray-900 dark:text-white">
+                  <span
+                    className="inline-block w-2 h-2 rounded-full mr-2"
+                    style={{ backgroundColor: getColumnColor(column.columnIndex) }}
+                  />
+                  {column.path}
+                </td>
+                <td className="px-3 py-1.5 text-right font-mono">{formatNumber(column.numPages)}</td>
+                <td className="px-3 py-1.5">
+                  <Distribution stats={column.sizes} format={formatBytes} />
+                </td>
+                <td className="px-3 py-1.5">
+                  <Histogram
+                    counts={column.sizeCounts}
+                    bins={summary.sizeBins}
+                    format={formatBytes}
+                    color="bg-emerald-500 dark:bg-emerald-400"
+                  />
+                </td>
+                <td className="px-3 py-1.5">
+                  <Distribution stats={column.rows} format={formatNumber} />
+                </td>
+                <td className="pl-3 pr-5 py-1.5">
+                  <Histogram
+                    counts={column.rowCounts}
+                    bins={summary.rowBins}
+                    format={formatNumber}
+                    color="bg-sky-500 dark:bg-sky-400"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default PageDistribution;
@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import { formatBytes, formatNumber } from '../parquetParser.js';
+import { simulatePushdown } from '../predicatePushdown.js';
+
+const EXAMPLES = ["id = 42", "country IN ('DE', 'FR') AND amount > 100", 'NOT (name IS NULL)'];
+
+function percent(part, total) {
+  return total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '-';
+}
+
+function Stat({ label, read, total, format = formatNumber }) {
+  return (
+    <div className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700">
+      <div className="text-[10px] uppercase tracking-wide text-gray-500 dark:text-gray-400">{label}</div>
+      <div className="text-sm font-mono text-gray-900 dark:text-white">
+        {format(read)} <span className="text-gray-400 dark:text-gray-500">of {format(total)}</span>
+      </div>
+      <div className="mt-1 h-1 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+        <div className="h-full bg-emerald-500" style={{ width: total > 0 ? `${(read / total) * 100}%` : 0 }} />
+      </div>
+      <div className="text-[10px] text-gray-500 dark:text-gray-400 mt-0.5">{percent(read, total)} read</div>
+    </div>
+  );
+}
+
+/**
+ * PushdownPanel - evaluates a filter against the file's statistics, column index and bloom filters
+ * and reports which row groups and pages a query engine would read. The result is passed up so the
+ * layout diagram and the file structure can highlight what is skipped.
+ */
+function PushdownPanel({ data, result, onResult }) {
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setError(null);
+    setRunning(true);
+    try {
+      onResult(await simulatePushdown(data, query));
+    } catch (err) {
+      setError(err.message);
+      onResult(null);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    setError(null);
+    onResult(null);
+  };
+
+  const totals = result?.totals;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-emerald-500 dark:text-emerald-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z"
+            />
+          </svg>
+          Predicate Pushdown
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          Which row groups and pages a reader would fetch for a filter, judged by statistics, the column index and
+          bloom filters (all columns selected)
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="px-5 py-3 flex items-center gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={`WHERE ... e.g. ${EXAMPLES[1]}`}
+          spellCheck={false}
+          className="flex-1 min-w-0 px-3 py-1.5 text-sm font-mono rounded-lg border border-gray-300 dark:border-gray-600
+                     bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-emerald-500"
+        />
+        <button
+          type="submit"
+          disabled={running || !query.trim()}
+          className="px-3 py-1.5 text-sm font-medium rounded-lg bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white transition-colors"
+        >
+          {running ? 'Evaluating...' : 'Evaluate'}
+        </button>
+        {(result || error) && (
+          <button
+            type="button"
+            onClick={handleClear}
+            className="px-3 py-1.5 text-sm rounded-lg bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+          >
+            Clear
+          </button>
+        )}
+      </form>
+
+      {error && <div className="px-5 pb-3 text-xs text-red-600 dark:text-red-400 font-mono">{error}</div>}
+
+      {!result && !error && (
+        <div className="px-5 pb-3 text-xs text-gray-400 dark:text-gray-500">
+          Comparisons, IN, BETWEEN, IS [NOT] NULL, AND, OR, NOT and parentheses on full column paths, e.g.{' '}
+          {EXAMPLES.map((example, i) => (
+            <span key={example}>
+              {i > 0 && ', '}
+              <code className="font-mono text-gray-500 dark:text-gray-400">{example}</code>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {result && (
+        <div className="px-5 pb-4 space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <Stat label="Row groups" read={totals.rowGroupsRead} total={totals.rowGroups} />
+            <Stat label="Pages" read={totals.pagesRead} total={totals.pages} />
+            <Stat label="Rows (in pages read)" read={totals.selectedRows} total={totals.rows} />
+            <Stat label="Bytes scanned" read={totals.bytesRead} total={totals.bytesTotal} format={formatBytes} />
+          </div>
+
+          <div className="flex flex-wrap gap-1 text-xs">
+            {result.rowGroups.map((rowGroup, rgIdx) => (
+              <span
+                key={rgIdx}
+                title={
+                  rowGroup.read
+                    ? `${formatNumber(rowGroup.selectedRows)} of ${formatNumber(rowGroup.numRows)} rows, ${formatBytes(rowGroup.bytesRead)} of ${formatBytes(rowGroup.bytesTotal)}`
+                    : `Skipped by ${rowGroup.prunedBy.join(', ')}`
+                }
+                className={`px-1.5 py-0.5 rounded ${
+                  rowGroup.read
+                    ? 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-200'
+                    : 'bg-gray-100 dark:bg-gray-700/50 text-gray-500 dark:text-gray-400 line-through'
+                }`}
+              >
+                RG {rgIdx}
+                {rowGroup.read && rowGroup.bytesRead < rowGroup.bytesTotal && ` (${percent(rowGroup.bytesRead, rowGroup.bytesTotal)})`}
+              </span>
+            ))}
+          </div>
+
+          {result.notes.length > 0 && (
+            <ul className="text-xs text-amber-700 dark:text-amber-400 space-y-0.5">
+              {result.notes.map((note) => (
+                <li key={note}>{note}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PushdownPanel;
@@ -0,0 +1,82 @@
+import { formatBytes, formatNumber } from '../parquetParser.js';
+
+function Stat({ label, value, className }) {
+  return (
+    <div className="bg-gray-100/50 dark:bg-gray-900/50 rounded-lg px-3 py-2 border border-gray-200/50 dark:border-gray-700/50">
+      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">{label}</div>
+      <div className={`text-sm font-semibold ${className}`}>{value}</div>
+    </div>
+  );
+}
+
+/**
+ * SalvageSummary - what a page scan (see salvage.js) recovered from a file whose footer couldn't be
+ * read, shown in place of FileMetadataHeader
+ */
+function SalvageSummary({ fileName, salvage }) {
+  const { fileSize, pages, chunks, gaps, tail, truncatedPage, recoveredBytes, reason } = salvage;
+  const recoveredPercent = fileSize > 0 ? (recoveredBytes / fileSize) * 100 : 0;
+  const numDataPages = chunks.reduce((sum, chunk) => sum + chunk.numDataPages, 0);
+  const numValues = chunks.reduce((sum, chunk) => sum + chunk.numValues, 0);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-amber-300 dark:border-amber-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div className="px-5 py-4 bg-gradient-to-r from-amber-50 dark:from-gray-800 via-white dark:via-gray-750 to-amber-50 dark:to-gray-800">
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3 mb-1">
+          <svg className="w-5 h-5 text-amber-500 dark:text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5}
+                  d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+          </svg>
+          {fileName}
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 ml-8 mb-3">
+          Recovered by scanning for pages: the footer couldn&apos;t be read
+          {reason && <span className="font-mono"> ({reason})</span>}, so column names, types, row groups and statistics are unknown
+        </p>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+          <Stat label="File Size" value={`${formatNumber(fileSize)} B`} className="text-purple-600 dark:text-purple-300" />
+          <Stat
+            label="Recovered"
+            value={`${formatBytes(recoveredBytes)} (${recoveredPercent.toFixed(1)}%)`}
+            className="text-cyan-600 dark:text-cyan-300"
+          />
+          <Stat
+            label="Pages"
+            value={`${formatNumber(numDataPages)} data, ${formatNumber(pages.length - numDataPages)} other`}
+            className="text-green-600 dark:text-green-300"
+          />
+          <Stat label="Inferred Column Chunks" value={formatNumber(chunks.length)} className="text-blue-600 dark:text-blue-300" />
+          <Stat label="Values" value={formatNumber(numValues)} className="text-emerald-600 dark:text-emerald-300" />
+        </div>
+
+        <ul className="mt-3 space-y-1 text-xs text-gray-500 dark:text-gray-400">
+          {truncatedPage && (
+            <li>
+              The file ends within the page at offset {formatNumber(truncatedPage.offset)}:{' '}
+              {formatBytes(fileSize - truncatedPage.offset)} of {formatBytes(truncatedPage.compressed_page_size)} were written.
+            </li>
+          )}
+          {!truncatedPage && tail && (
+            <li>
+              No pages after offset {formatNumber(tail.start)}: the last {formatBytes(tail.end - tail.start)} hold the page
+              indexes and footer, or damaged data.
+            </li>
+          )}
+          {gaps.length > 0 && (
+            <li>
+              {formatNumber(gaps.length)} unrecognized byte range{gaps.length === 1 ? '' : 's'} (
+              {formatBytes(gaps.reduce((sum, gap) => sum + gap.end - gap.start, 0))}) skipped between pages.
+            </li>
+          )}
+          <li>
+            Column chunk boundaries are inferred from page types, encodings and value counts and may merge or split
+            chunks of the original file.
+          </li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default SalvageSummary;
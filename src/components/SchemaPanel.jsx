@@ -0,0 +1,147 @@
+import { useMemo, useState } from 'react';
+import { EnumHelpers } from '../parquetParser.js';
+import { getLogicalTypeDescription } from '../statsFormatter.js';
+import { getSchemaIndex } from '../schemaTree.js';
+
+const REPETITION_STYLES = {
+  REQUIRED: 'text-gray-500 dark:text-gray-400',
+  OPTIONAL: 'text-sky-600 dark:text-sky-400',
+  REPEATED: 'text-fuchsia-600 dark:text-fuchsia-400',
+};
+
+function getPhysicalType(element) {
+  const type = EnumHelpers.getTypeName(element.type);
+  return element.type_length != null && type === 'FIXED_LEN_BYTE_ARRAY' ? `${type}(${element.type_length})` : type;
+}
+
+function getMaxDepth(node) {
+  return node.children.length === 0 ? 0 : 1 + Math.max(...node.children.map(getMaxDepth));
+}
+
+function SchemaTreeNode({ node, level, selectedColumn, onSelectColumn }) {
+  const [expanded, setExpanded] = useState(true);
+  const elem = node.element;
+  const isLeaf = node.children.length === 0;
+  const selected = isLeaf && selectedColumn === node.columnIndex;
+  const repetition = EnumHelpers.getRepetitionTypeName(elem.repetition_type);
+  const logicalType = getLogicalTypeDescription(elem);
+
+  const handleClick = () => {
+    if (isLeaf) {
+      onSelectColumn(selected ? null : { column: node.columnIndex, path: node.path.join('.') });
+    } else {
+      setExpanded(!expanded);
+    }
+  };
+
+  return (
+    <>
+      <div
+        className={`flex items-center gap-2 py-1 pr-5 text-xs cursor-pointer transition-colors ${
+          selected
+            ? 'bg-purple-100 dark:bg-purple-900/40'
+            : 'hover:bg-gray-50 dark:hover:bg-gray-700/30'
+        }`}
+        style={{ paddingLeft: `${level * 16 + 20}px` }}
+        onClick={handleClick}
+        title={isLeaf ? `Show only ${node.path.join('.')} in the file structure` : undefined}
+      >
+        {isLeaf ? (
+          <span className="w-3.5" />
+        ) : (
+          <svg
+            className={`w-3.5 h-3.5 text-gray-400 transition-transform ${expanded ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+        )}
+        <span className={`font-mono ${isLeaf ? 'text-gray-900 dark:text-white' : 'font-semibold text-gray-700 dark:text-gray-200'}`}>
+          {elem.name}
+        </span>
+        {repetition && (
+          <span className={`text-[10px] uppercase ${REPETITION_STYLES[repetition] ?? ''}`}>{repetition.toLowerCase()}</span>
+        )}
+        <span className="font-mono text-gray-500 dark:text-gray-400">{isLeaf ? getPhysicalType(elem) : 'group'}</span>
+        {logicalType && (
+          <span className="px-1.5 py-0.5 rounded bg-cyan-100 dark:bg-cyan-900/40 text-cyan-700 dark:text-cyan-300 text-[10px]">
+            {logicalType}
+          </span>
+        )}
+        {elem.field_id != null && <span className="text-gray-400 dark:text-gray-500">id={elem.field_id}</span>}
+        {isLeaf && (
+          <span
+            className="ml-auto font-mono text-gray-400 dark:text-gray-500"
+            title="Max definition level / max repetition level"
+          >
+            D{node.maxDefinitionLevel} R{node.maxRepetitionLevel}
+          </span>
+        )}
+      </div>
+      {!isLeaf &&
+        expanded &&
+        node.children.map((child) => (
+          <SchemaTreeNode
+            key={child.element.name}
+            node={child}
+            level={level + 1}
+            selectedColumn={selectedColumn}
+            onSelectColumn={onSelectColumn}
+          />
+        ))}
+    </>
+  );
+}
+
+/**
+ * SchemaPanel - the nested schema with repetition, physical and logical types, field IDs and the
+ * max definition/repetition levels of every column. Clicking a column selects it (null to clear).
+ */
+function SchemaPanel({ schema, selectedColumn = null, onSelectColumn }) {
+  const { tree, columns } = getSchemaIndex(schema);
+  const maxDepth = useMemo(() => getMaxDepth(tree), [tree]);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-cyan-500 dark:text-cyan-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M4 6h6M4 6v12m0-6h6m-6 6h6m4-12h6m-6 6h6m-6 6h6"
+            />
+          </svg>
+          Schema
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          {columns.length} column{columns.length === 1 ? '' : 's'}, nested {maxDepth} level
+          {maxDepth === 1 ? '' : 's'} deep - click a column to show only it in the file structure
+        </p>
+      </div>
+
+      <div className="py-2 max-h-96 overflow-y-auto">
+        <div className="flex items-center gap-2 py-1 px-5 text-xs font-mono font-semibold text-gray-700 dark:text-gray-200">
+          {tree.element.name}
+        </div>
+        {tree.children.map((node) => (
+          <SchemaTreeNode
+            key={node.element.name}
+            node={node}
+            level={1}
+            selectedColumn={selectedColumn}
+            onSelectColumn={onSelectColumn}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SchemaPanel;
@@ -0,0 +1,201 @@
+import { useMemo, useState } from 'react';
+import { formatBytes } from '../parquetParser.js';
+import { summarizeColumnStorage, layoutTreemap } from '../storageBreakdown.js';
+
+// Treemap area in layout units, roughly the shape of the rendered box
+const TREEMAP_WIDTH = 1000;
+const TREEMAP_HEIGHT = 280;
+
+// Treemap cells are colored by the column's dominant encoding
+const ENCODING_COLORS = {
+  PLAIN: 'bg-sky-500 dark:bg-sky-600',
+  PLAIN_DICTIONARY: 'bg-violet-500 dark:bg-violet-600',
+  RLE_DICTIONARY: 'bg-violet-500 dark:bg-violet-600',
+  RLE: 'bg-amber-500 dark:bg-amber-600',
+  DELTA_BINARY_PACKED: 'bg-emerald-500 dark:bg-emerald-600',
+  DELTA_LENGTH_BYTE_ARRAY: 'bg-teal-500 dark:bg-teal-600',
+  DELTA_BYTE_ARRAY: 'bg-cyan-500 dark:bg-cyan-600',
+  BYTE_STREAM_SPLIT: 'bg-rose-500 dark:bg-rose-600',
+};
+const OTHER_COLOR = 'bg-gray-500 dark:bg-gray-600';
+
+const SORT_COLUMNS = [
+  { key: 'path', label: 'Column', align: 'left' },
+  { key: 'type', label: 'Type', align: 'left' },
+  { key: 'codec', label: 'Codec', align: 'left' },
+  { key: 'encoding', label: 'Encoding', align: 'left' },
+  { key: 'compressedSize', label: 'Compressed', align: 'right' },
+  { key: 'uncompressedSize', label: 'Uncompressed', align: 'right' },
+  { key: 'ratio', label: 'Ratio', align: 'right' },
+  { key: 'fileShare', label: '% of file', align: 'right' },
+];
+
+function getSortValue(column, key) {
+  if (key === 'codec') return column.codecs.join(', ');
+  return column[key] ?? -1;
+}
+
+function formatRatio(ratio) {
+  return ratio != null ? `${ratio.toFixed(2)}x` : '-';
+}
+
+/**
+ * StorageBreakdown - file-wide size of every leaf column (summed across row groups) as a treemap
+ * and a sortable table with codec, dominant encoding, compression ratio and share of the file
+ */
+function StorageBreakdown({ data }) {
+  const summary = useMemo(() => summarizeColumnStorage(data), [data]);
+  const [sort, setSort] = useState({ key: 'compressedSize', descending: true });
+  const [hovered, setHovered] = useState(null);
+
+  const cells = useMemo(
+    () =>
+      layoutTreemap(
+        summary.columns.map((column) => ({ ...column, value: column.compressedSize })),
+        TREEMAP_WIDTH,
+        TREEMAP_HEIGHT,
+      ),
+    [summary],
+  );
+
+  const sortedColumns = useMemo(() => {
+    const { key, descending } = sort;
+    return [...summary.columns].sort((a, b) => {
+      const va = getSortValue(a, key);
+      const vb = getSortValue(b, key);
+      const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      return descending ? -order : order;
+    });
+  }, [summary, sort]);
+
+  const handleSort = (key) => {
+    setSort((current) =>
+      current.key === key
+        ? { key, descending: !current.descending }
+        : { key, descending: key !== 'path' && key !== 'type' && key !== 'codec' && key !== 'encoding' },
+    );
+  };
+
+  const encodingsInUse = [...new Set(summary.columns.map((column) => column.encoding).filter(Boolean))];
+  const numLocked = summary.columns.filter((column) => column.lockedChunks > 0).length;
+  const overallRatio = summary.totalCompressed > 0 ? summary.totalUncompressed / summary.totalCompressed : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700"
+      >
+        <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <svg className="w-5 h-5 text-sky-500 dark:text-sky-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={1.5}
+              d="M4 5a1 1 0 011-1h6v16H5a1 1 0 01-1-1V5zm7-1h8a1 1 0 011 1v7h-9V4zm0 8h9v7a1 1 0 01-1 1h-8v-8z"
+            />
+          </svg>
+          Storage by Column
+        </h2>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+          {formatBytes(summary.totalCompressed)} of column data ({formatBytes(summary.totalUncompressed)} uncompressed,{' '}
+          {formatRatio(overallRatio)}) in a {formatBytes(summary.fileSize)} file, summed across all row groups
+        </p>
+      </div>
+
+      {cells.length > 0 && (
+        <div className="px-5 pt-4">
+          <div
+            className="relative w-full rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-900"
+            style={{ aspectRatio: `${TREEMAP_WIDTH} / ${TREEMAP_HEIGHT}` }}
+          >
+            {cells.map(({ item, x, y, width, height }) => (
+              <div
+                key={item.columnIndex}
+                className={`absolute border border-white dark:border-gray-800 overflow-hidden transition-opacity
+                            ${ENCODING_COLORS[item.encoding] ?? OTHER_COLOR}
+                            ${hovered !== null && hovered !== item.columnIndex ? 'opacity-60' : ''}`}
+                style={{
+                  left: `${(x / TREEMAP_WIDTH) * 100}%`,
+                  top: `${(y / TREEMAP_HEIGHT) * 100}%`,
+                  width: `${(width / TREEMAP_WIDTH) * 100}%`,
+                  height: `${(height / TREEMAP_HEIGHT) * 100}%`,
+                }}
+                title={`${item.path}: ${formatBytes(item.compressedSize)} (${(item.fileShare * 100).toFixed(1)}% of file), ${item.encoding ?? 'unknown encoding'}`}
+                onMouseEnter={() => setHovered(item.columnIndex)}
+                onMouseLeave={() => setHovered(null)}
+              >
+                <div className="px-1.5 py-1 text-[10px] leading-tight text-white">
+                  <div className="font-mono truncate">{item.path}</div>
+                  <div className="opacity-80 truncate">{(item.fileShare * 100).toFixed(1)}%</div>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-500 dark:text-gray-400">
+            {encodingsInUse.map((encoding) => (
+              <div key={encoding} className="flex items-center gap-1.5">
+                <div className={`w-3 h-3 rounded ${ENCODING_COLORS[encoding] ?? OTHER_COLOR}`}></div>
+                <span>{encoding}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-3 max-h-96 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50 dark:bg-gray-900/50 sticky top-0">
+            <tr className="text-gray-500 dark:text-gray-400">
+              {SORT_COLUMNS.map(({ key, label, align }) => (
+                <th
+                  key={key}
+                  className={`px-3 first:pl-5 last:pr-5 py-2 font-medium cursor-pointer select-none hover:text-gray-700 dark:hover:text-gray-200 ${
+                    align === 'right' ? 'text-right' : 'text-left'
+                  }`}
+                  onClick={() => handleSort(key)}
+                >
+                  {label}
+                  {sort.key === key && (sort.descending ? ' ↓' : ' ↑')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50 text-gray-700 dark:text-gray-300">
+            {sortedColumns.map((column) => (
+              <tr
+                key={column.columnIndex}
+                className={hovered === column.columnIndex ? 'bg-sky-50 dark:bg-sky-900/20' : ''}
+                onMouseEnter={() => setHovered(column.columnIndex)}
+                onMouseLeave={() => setHovered(null)}
+              >
+                <td className="pl-5 pr-3 py-1.5 font-mono text-gray-900 dark:text-white">{column.path}</td>
+                <td className="px-3 py-1.5">{column.type}</td>
+                <td className="px-3 py-1.5">{column.codecs.join(', ') || '-'}</td>
+                <td className="px-3 py-1.5">{column.encoding ?? '-'}</td>
+                <td className="px-3 py-1.5 text-right font-mono">{formatBytes(column.compressedSize)}</td>
+                <td className="px-3 py-1.5 text-right font-mono">{formatBytes(column.uncompressedSize)}</td>
+                <td
+                  className={`px-3 py-1.5 text-right font-mono ${
+                    column.ratio != null && column.ratio < 1 ? 'text-red-600 dark:text-red-400' : ''
+                  }`}
+                >
+                  {formatRatio(column.ratio)}
+                </td>
+                <td className="pl-3 pr-5 py-1.5 text-right font-mono">{(column.fileShare * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {numLocked > 0 && (
+        <div className="px-5 py-2 text-xs text-amber-600 dark:text-amber-400 border-t border-gray-100 dark:border-gray-700/50">
+          {numLocked} encrypted column{numLocked === 1 ? '' : 's'} can't be sized without the key
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StorageBreakdown;
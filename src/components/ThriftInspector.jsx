@@ -0,0 +1,316 @@
+import { useState, useEffect } from 'react';
+import { formatNumber, readFileSlice } from '../parquetParser.js';
+import { FileMetaData, FileCryptoMetaData, ColumnIndex, OffsetIndex } from '../parquetInit.js';
+import { traceThriftStruct, mapBytesToNodes, formatTracedValue, getThriftTypeName } from '../thriftInspector.js';
+import { getSchemaIndex } from '../schemaTree.js';
+
+const BYTES_PER_ROW = 16;
+const ROWS_PER_PAGE = 64;
+const BYTES_PER_PAGE = BYTES_PER_ROW * ROWS_PER_PAGE;
+
+const TARGETS = [
+  { kind: 'footer', label: 'Footer' },
+  { kind: 'columnIndex', label: 'ColumnIndex' },
+  { kind: 'offsetIndex', label: 'OffsetIndex' },
+];
+
+/**
+ * Byte range and struct type of the selected Thrift blob, or null if the column chunk has none
+ */
+function getBlob(data, { kind, rowGroup, column }) {
+  if (kind === 'footer') {
+    return {
+      start: data.footerStart,
+      end: data.footerStart + data.footerLength,
+      // An encrypted footer starts with the plaintext FileCryptoMetaData, followed by the encrypted FileMetaData
+      StructType: data.encryption?.encryptedFooter ? FileCryptoMetaData : FileMetaData,
+    };
+  }
+  const chunk = data.fileMetaData.row_groups[rowGroup]?.columns[column];
+  const offset = kind === 'columnIndex' ? chunk?.column_index_offset : chunk?.offset_index_offset;
+  const length = kind === 'columnIndex' ? chunk?.column_index_length : chunk?.offset_index_length;
+  if (offset == null || !length) return null;
+  return {
+    start: Number(offset),
+    end: Number(offset) + length,
+    StructType: kind === 'columnIndex' ? ColumnIndex : OffsetIndex,
+  };
+}
+
+function toHex(value, digits) {
+  return value.toString(16).padStart(digits, '0');
+}
+
+function getByteClass(index, owner, active, decodedLength) {
+  if (active && index >= active.start && index < active.end) {
+    return index < active.headerEnd
+      ? 'bg-amber-200 dark:bg-amber-700/60 text-gray-900 dark:text-white'
+      : 'bg-blue-200 dark:bg-blue-700/60 text-gray-900 dark:text-white';
+  }
+  if (index >= decodedLength || !owner) return 'text-gray-300 dark:text-gray-600';
+  if (owner.name === null && owner.fieldId !== null) return 'text-amber-600 dark:text-amber-400';
+  if (index < owner.headerEnd) return 'text-gray-400 dark:text-gray-500';
+  return 'text-gray-700 dark:text-gray-300';
+}
+
+/**
+ * ThriftInspector - hex view of the footer or a ColumnIndex/OffsetIndex blob, where hovering a byte
+ * shows the Thrift field it belongs to (field id, type, byte range and decoded value)
+ */
+function ThriftInspector({ data }) {
+  const { fileMetaData } = data;
+  const [open, setOpen] = useState(false);
+  const [target, setTarget] = useState({ kind: 'footer', rowGroup: 0, column: 0 });
+  const [page, setPage] = useState(0);
+  const [hovered, setHovered] = useState(null);
+  const [pinned, setPinned] = useState(null);
+  // Last decoded blob, tagged with the target it was read for
+  const [result, setResult] = useState(null);
+
+  const blob = getBlob(data, target);
+
+  useEffect(() => {
+    const selected = getBlob(data, target);
+    if (!open || !selected) return undefined;
+    let cancelled = false;
+    const { start, end, StructType } = selected;
+    readFileSlice(data.source, start, end).then(
+      (bytes) => {
+        if (cancelled) return;
+        const trace = traceThriftStruct(bytes, StructType);
+        setResult({ target, bytes, trace, owners: mapBytesToNodes(trace.root, trace.length), error: null });
+      },
+      (err) => !cancelled && setResult({ target, bytes: null, trace: null, owners: null, error: err.message || 'Failed to read bytes' }),
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [open, data, target]);
+
+  const current = result?.target === target ? result : null;
+  const { columns } = getSchemaIndex(fileMetaData.schema);
+
+  const selectTarget = (changes) => {
+    setTarget({ ...target, ...changes });
+    setPage(0);
+    setPinned(null);
+    setHovered(null);
+  };
+
+  const activeIndex = hovered ?? pinned;
+  const active = current?.owners && activeIndex !== null ? current.owners[activeIndex] : null;
+
+  const renderHex = () => {
+    const { bytes, trace, owners } = current;
+    const numPages = Math.max(1, Math.ceil(bytes.length / BYTES_PER_PAGE));
+    const pageStart = page * BYTES_PER_PAGE;
+    const pageEnd = Math.min(bytes.length, pageStart + BYTES_PER_PAGE);
+    const offsetDigits = Math.max(4, toHex(blob.end, 1).length);
+
+    const rows = [];
+    for (let rowStart = pageStart; rowStart < pageEnd; rowStart += BYTES_PER_ROW) {
+      const indexes = [];
+      for (let i = rowStart; i < Math.min(rowStart + BYTES_PER_ROW, pageEnd); i++) indexes.push(i);
+      rows.push(
+        <div key={rowStart} className="flex gap-4 whitespace-pre">
+          <span className="text-gray-400 dark:text-gray-500 select-none">{toHex(blob.start + rowStart, offsetDigits)}</span>
+          <span className="flex">
+            {indexes.map((i) => (
+              <span
+                key={i}
+                data-index={i}
+                className={`px-[3px] cursor-pointer ${getByteClass(i, owners[i], active, trace.length)} ${
+                  i === pinned ? 'outline outline-1 outline-blue-500' : ''
+                }`}
+              >
+                {toHex(bytes[i], 2)}
+              </span>
+            ))}
+          </span>
+          <span className="text-gray-400 dark:text-gray-500">
+            {indexes.map((i) => (bytes[i] >= 0x20 && bytes[i] < 0x7f ? String.fromCharCode(bytes[i]) : '.')).join('')}
+          </span>
+        </div>,
+      );
+    }
+
+    return (
+      <>
+        <div className="flex items-center justify-between gap-4 mb-2 text-xs text-gray-500 dark:text-gray-400">
+          <span>
+            {formatNumber(bytes.length)} bytes at offset {formatNumber(blob.start)}
+            {trace.length < bytes.length && ` - ${formatNumber(bytes.length - trace.length)} trailing bytes not decoded`}
+          </span>
+          {numPages > 1 && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                className="px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-40"
+              >
+                ‹
+              </button>
+              <span>
+                {formatNumber(page + 1)} / {formatNumber(numPages)}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page === numPages - 1}
+                className="px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-40"
+              >
+                ›
+              </button>
+            </div>
+          )}
+        </div>
+        {trace.error && (
+          <div className="mb-2 text-xs text-red-600 dark:text-red-400 font-mono">
+            Decoding stopped at byte {formatNumber(trace.length)}: {trace.error}
+          </div>
+        )}
+        <div
+          className="font-mono text-xs overflow-x-auto"
+          onMouseOver={(e) => {
+            const index = e.target.dataset?.index;
+            if (index !== undefined) setHovered(Number(index));
+          }}
+          onMouseLeave={() => setHovered(null)}
+          onClick={(e) => {
+            const index = e.target.dataset?.index;
+            if (index !== undefined) setPinned(pinned === Number(index) ? null : Number(index));
+          }}
+        >
+          {rows}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700 flex items-center justify-between gap-4"
+      >
+        <div>
+          <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+            <svg className="w-5 h-5 text-indigo-500 dark:text-indigo-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+            </svg>
+            Thrift Bytes
+          </h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+            Hex view of the footer and page index structs - hover a byte to see the field it encodes, click to pin it
+          </p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          {open && (
+            <>
+              <select
+                value={target.kind}
+                onChange={(e) => selectTarget({ kind: e.target.value })}
+                className="text-xs rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 px-2 py-1"
+              >
+                {TARGETS.map(({ kind, label }) => (
+                  <option key={kind} value={kind}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {target.kind !== 'footer' && (
+                <>
+                  <select
+                    value={target.rowGroup}
+                    onChange={(e) => selectTarget({ rowGroup: Number(e.target.value) })}
+                    className="text-xs rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 px-2 py-1"
+                  >
+                    {fileMetaData.row_groups.map((_, rgIdx) => (
+                      <option key={rgIdx} value={rgIdx}>
+                        Row Group {rgIdx}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={target.column}
+                    onChange={(e) => selectTarget({ column: Number(e.target.value) })}
+                    className="text-xs rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 px-2 py-1 max-w-48"
+                  >
+                    {columns.map((leaf) => (
+                      <option key={leaf.columnIndex} value={leaf.columnIndex}>
+                        {leaf.path.join('.')}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </>
+          )}
+          <button
+            onClick={() => setOpen(!open)}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200
+                       hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+          >
+            {open ? 'Hide' : 'Show bytes'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="p-4">
+          {!blob && (
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              This column chunk has no {target.kind === 'columnIndex' ? 'ColumnIndex' : 'OffsetIndex'}.
+            </div>
+          )}
+          {blob && !current && <div className="text-sm text-gray-500 dark:text-gray-400">Reading bytes...</div>}
+          {blob && current?.error && <div className="text-sm text-red-600 dark:text-red-400 font-mono">{current.error}</div>}
+          {blob && current?.bytes && (
+            <div className="flex flex-col lg:flex-row gap-4">
+              <div className="min-w-0">{renderHex()}</div>
+
+              {/* Field of the hovered or pinned byte */}
+              <div className="lg:w-80 shrink-0 p-3 bg-gray-100 dark:bg-gray-900 rounded-lg text-xs self-start">
+                {active ? (
+                  <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+                    <dt className="text-gray-500">Field</dt>
+                    <dd className="font-mono text-gray-900 dark:text-white break-all">{active.path}</dd>
+                    {active.fieldId !== null && (
+                      <>
+                        <dt className="text-gray-500">Field ID</dt>
+                        <dd className="font-mono text-gray-700 dark:text-gray-300">
+                          {active.fieldId}
+                          {active.name === null && (
+                            <span className="ml-2 text-amber-600 dark:text-amber-400">not decoded (unknown field or unexpected type)</span>
+                          )}
+                        </dd>
+                      </>
+                    )}
+                    <dt className="text-gray-500">Type</dt>
+                    <dd className="font-mono text-gray-700 dark:text-gray-300">{getThriftTypeName(active.type)}</dd>
+                    <dt className="text-gray-500">Bytes</dt>
+                    <dd className="font-mono text-gray-700 dark:text-gray-300">
+                      {formatNumber(blob.start + active.start)}–{formatNumber(blob.start + active.end)} (
+                      {formatNumber(active.end - active.start)} B
+                      {active.headerEnd > active.start && `, ${formatNumber(active.headerEnd - active.start)} B header`})
+                    </dd>
+                    <dt className="text-gray-500">Value</dt>
+                    <dd className="font-mono text-gray-700 dark:text-gray-300 break-all">{formatTracedValue(active)}</dd>
+                  </dl>
+                ) : (
+                  <p className="text-gray-500">
+                    {activeIndex !== null
+                      ? 'This byte was not decoded.'
+                      : 'Hover a byte to see its field. Field headers are highlighted in amber, values in blue.'}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ThriftInspector;
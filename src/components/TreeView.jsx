@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { formatBytes, formatNumber, EnumHelpers } from '../parquetParser.js';
-import { formatStatValue, findSchemaElement, getLogicalTypeDescription } from '../statsFormatter.js';
+import { formatStatValue, getLogicalTypeDescription } from '../statsFormatter.js';
+import { buildSchemaTree, findSchemaElement } from '../schemaTree.js';
 
 function ChevronIcon({ expanded }) {
   return (
@@ -236,39 +237,6 @@ function RowGroupNode({ rowGroup, rgIndex, pageIndexes, schema }) {
 }
 
 function SchemaNode({ schema }) {
-  // Build schema tree from flat list
-  const buildSchemaTree = (elements) => {
-    const root = elements[0];
-    let idx = 1;
-
-    const buildNode = (parent, depth) => {
-      const nodes = [];
-      const numChildren = parent.num_children || 0;
-
-      for (let i = 0; i < numChildren && idx < elements.length; i++) {
-        const elem = elements[idx++];
-        const node = {
-          element: elem,
-          children: [],
-        };
-
-        if (elem.num_children) {
-          const childNodes = buildNode(elem, depth + 1);
-          node.children = childNodes;
-        }
-
-        nodes.push(node);
-      }
-
-      return nodes;
-    };
-
-    return {
-      element: root,
-      children: buildNode(root, 0),
-    };
-  };
-
   const renderSchemaNode = (node, level) => {
     const elem = node.element;
     const isLeaf = !elem.num_children;
@@ -292,6 +260,7 @@ function SchemaNode({ schema }) {
     );
   };
 
+  // Build schema tree from flat list
   const tree = buildSchemaTree(schema);
 
   return (
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { formatNumber } from '../parquetParser.js';
+import { validateFile, exportValidationReport } from '../fileValidator.js';
+
+// Issues listed in the panel; the export always has all of them
+const MAX_LISTED_ISSUES = 200;
+
+const SEVERITY_STYLES = {
+  error: 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300',
+  warning: 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300',
+  info: 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300',
+};
+
+function plural(count, word) {
+  return `${formatNumber(count)} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function getLocationLabel(issue) {
+  if (issue.rowGroup === null) return null;
+  return issue.column ? `${issue.column} · Row Group ${issue.rowGroup}` : `Row Group ${issue.rowGroup}`;
+}
+
+/**
+ * ValidationPanel - structural integrity checks of the footer, page indexes and page headers
+ * (offsets within bounds, non-overlapping ranges, consistent row and value counts), run on demand
+ * and exportable as a JSON report
+ */
+function ValidationPanel({ data, fileName, onNavigate }) {
+  const [validation, setValidation] = useState(null);
+  const [severity, setSeverity] = useState(null);
+
+  // The result belongs to the file it was computed for
+  const result = validation?.data === data ? validation.result : null;
+
+  const handleValidate = () => {
+    setValidation({ data, result: validateFile(data) });
+    setSeverity(null);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportValidationReport(data, fileName, result)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName.split('/').pop()}.validation.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const issues = result ? result.issues.filter((issue) => !severity || issue.severity === severity) : [];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden shadow-lg dark:shadow-2xl">
+      <div
+        className="px-5 py-4 bg-gradient-to-r from-gray-50 dark:from-gray-800 via-white dark:via-gray-750 to-gray-50 dark:to-gray-800
+                      border-b border-gray-200 dark:border-gray-700 flex items-start justify-between gap-4"
+      >
+        <div>
+          <h2 className="text-base font-bold text-gray-900 dark:text-white flex items-center gap-3">
+            <svg className="w-5 h-5 text-red-500 dark:text-red-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={1.5}
+                d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
+              />
+            </svg>
+            Validation
+          </h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 ml-8">
+            {!result
+              ? 'Cross-check offsets, byte ranges, row and value counts of the footer, page indexes and page headers'
+              : result.issues.length === 0
+                ? `No structural problems found in ${plural(result.checkedChunks, 'column chunk')}`
+                : `${plural(result.counts.error, 'error')}, ${plural(result.counts.warning, 'warning')}, ` +
+                  `${formatNumber(result.counts.info)} info in ${plural(result.checkedChunks, 'column chunk')}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          {result && (
+            <button
+              onClick={handleExport}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200
+                         hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+              title="Download the validation report as JSON"
+            >
+              Export Report
+            </button>
+          )}
+          <button
+            onClick={handleValidate}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg bg-red-600 hover:bg-red-500 text-white transition-colors"
+          >
+            {result ? 'Validate Again' : 'Validate'}
+          </button>
+        </div>
+      </div>
+
+      {result && result.issues.length > 0 && (
+        <>
+          <div className="px-5 py-2 flex flex-wrap gap-1.5 text-xs border-b border-gray-100 dark:border-gray-700/50">
+            {[null, 'error', 'warning', 'info'].map((level) => (
+              <button
+                key={level ?? 'all'}
+                onClick={() => setSeverity(level)}
+                disabled={level !== null && result.counts[level] === 0}
+                className={`px-2 py-0.5 rounded-full border transition-colors disabled:opacity-40 ${
+                  severity === level
+                    ? 'border-gray-400 dark:border-gray-500 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white'
+                    : 'border-gray-200 dark:border-gray-700 text-gray-500 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700/30'
+                }`}
+              >
+                {level === null ? `All (${formatNumber(result.issues.length)})` : `${level} (${formatNumber(result.counts[level])})`}
+              </button>
+            ))}
+          </div>
+
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700/50 max-h-96 overflow-y-auto">
+            {issues.slice(0, MAX_LISTED_ISSUES).map((issue, i) => {
+              const location = getLocationLabel(issue);
+              return (
+                <li
+                  key={i}
+                  className={`px-5 py-3 flex items-start gap-3 ${
+                    location ? 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/30' : ''
+                  } transition-colors`}
+                  onClick={location ? () => onNavigate({ rowGroup: issue.rowGroup, column: issue.columnIndex }) : undefined}
+                >
+                  <span
+                    className={`mt-0.5 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase ${SEVERITY_STYLES[issue.severity]}`}
+                  >
+                    {issue.severity}
+                  </span>
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center justify-between gap-4">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white">{issue.title}</span>
+                      {location && (
+                        <span className="text-xs font-mono text-blue-600 dark:text-blue-400 truncate">{location} →</span>
+                      )}
+                    </div>
+                    <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400 break-words">{issue.message}</p>
+                  </div>
+                </li>
+              );
+            })}
+            {issues.length > MAX_LISTED_ISSUES && (
+              <li className="px-5 py-2 text-xs text-gray-400 dark:text-gray-500 italic">
+                {formatNumber(issues.length - MAX_LISTED_ISSUES)} more - export the report to see all issues
+              </li>
+            )}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ValidationPanel;
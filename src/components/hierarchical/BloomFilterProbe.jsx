@@ -0,0 +1,134 @@
+import React, { useState, useRef } from 'react';
+import {
+  loadBloomFilterBitset,
+  hasReadableBloomFilter,
+  readBloomFilterHeader,
+  EnumHelpers,
+} from '../../parquetParser.js';
+import { parseStatValue, getLogicalTypeDescription } from '../../statsFormatter.js';
+import { xxHash64, bloomFilterMightContain } from '../../bloomFilter.js';
+
+/**
+ * Bloom filter probe - checks a user-entered value against this column's bloom filters in all row groups
+ * Remote files are parsed without their bloom filter headers, so missing headers are read on first probe.
+ */
+export default function BloomFilterProbe({
+  source,
+  allRowGroups,
+  allPageIndexes,
+  colIdx,
+  rowGroupIndex,
+  columnMeta,
+  schemaElement,
+}) {
+  const [value, setValue] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [probing, setProbing] = useState(false);
+
+  // Headers not read with the file and bitsets are loaded on first probe and kept for subsequent ones
+  const headerCache = useRef(new Map());
+  const bitsetCache = useRef(new Map());
+
+  const typeHint = getLogicalTypeDescription(schemaElement) || EnumHelpers.getTypeName(columnMeta.type);
+
+  const handleProbe = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setResults(null);
+
+    let hash;
+    try {
+      hash = xxHash64(parseStatValue(value, columnMeta, schemaElement));
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setProbing(true);
+    try {
+      const probeResults = [];
+      for (let rgIdx = 0; rgIdx < allRowGroups.length; rgIdx++) {
+        const columnChunk = allRowGroups[rgIdx].columns[colIdx];
+        let bloomFilter = allPageIndexes[rgIdx]?.[colIdx]?.bloomFilter;
+        if (!bloomFilter && hasReadableBloomFilter(columnChunk)) {
+          const offset = Number(columnChunk.meta_data.bloom_filter_offset);
+          bloomFilter = headerCache.current.get(offset);
+          if (!bloomFilter) {
+            ({ bloomFilter } = await readBloomFilterHeader(source, columnChunk.meta_data));
+            headerCache.current.set(offset, bloomFilter);
+          }
+        }
+        if (!bloomFilter) {
+          probeResults.push({ rgIdx, status: 'none' });
+          continue;
+        }
+
+        let bitset = bitsetCache.current.get(bloomFilter.offset);
+        if (!bitset) {
+          bitset = await loadBloomFilterBitset(source, bloomFilter);
+          bitsetCache.current.set(bloomFilter.offset, bitset);
+        }
+        probeResults.push({ rgIdx, status: bloomFilterMightContain(bitset, hash) ? 'maybe' : 'absent' });
+      }
+      setResults(probeResults);
+    } catch (err) {
+      setError(err.message || 'Failed to read bloom filter');
+    } finally {
+      setProbing(false);
+    }
+  };
+
+  const absentCount = results?.filter((r) => r.status === 'absent').length || 0;
+  const probedCount = results?.filter((r) => r.status !== 'none').length || 0;
+
+  return (
+    <div className="px-3 py-2 bg-purple-50 dark:bg-purple-950/20 border-b border-cyan-200 dark:border-cyan-800/30 text-xs">
+      <form onSubmit={handleProbe} className="flex items-center gap-2">
+        <span className="text-purple-700 dark:text-purple-300 font-medium flex-shrink-0">Probe bloom filter:</span>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={typeHint}
+          className="flex-1 min-w-0 px-2 py-1 rounded border border-purple-200 dark:border-purple-800/50 bg-white dark:bg-gray-900
+                     text-gray-900 dark:text-gray-100 font-mono focus:outline-none focus:border-purple-400 dark:focus:border-purple-600"
+        />
+        <button
+          type="submit"
+          disabled={probing}
+          className="px-2 py-1 rounded bg-purple-600 hover:bg-purple-500 disabled:opacity-50 text-white transition-colors"
+        >
+          {probing ? 'Probing...' : 'Probe'}
+        </button>
+      </form>
+
+      {error && <div className="mt-2 text-red-600 dark:text-red-400 font-mono">{error}</div>}
+
+      {results && (
+        <div className="mt-2">
+          <div className="text-purple-700/80 dark:text-purple-300/80 mb-1">
+            Definitely absent in {absentCount} of {probedCount} row group{probedCount === 1 ? '' : 's'} with a bloom filter
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {results.map(({ rgIdx, status }) => (
+              <span
+                key={rgIdx}
+                className={`px-1.5 py-0.5 rounded ${
+                  status === 'maybe'
+                    ? 'bg-purple-200 dark:bg-purple-800/50 text-purple-800 dark:text-purple-200'
+                    : status === 'absent'
+                      ? 'bg-gray-200 dark:bg-gray-700/50 text-gray-600 dark:text-gray-300'
+                      : 'bg-gray-100 dark:bg-gray-800/50 text-gray-400 dark:text-gray-500 italic'
+                } ${rgIdx === rowGroupIndex ? 'ring-1 ring-purple-500' : ''}`}
+              >
+                RG {rgIdx}:{' '}
+                {status === 'maybe' ? 'maybe present' : status === 'absent' ? 'definitely absent' : 'no bloom filter'}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,14 @@
 import React, { useState, useRef } from 'react';
-import { formatBytes, formatNumber, EnumHelpers } from '../../parquetParser.js';
-import { ChevronIcon } from './Icons.jsx';
+import {
+  formatBytes,
+  formatNumber,
+  EnumHelpers,
+  getPageLocations,
+  hasReadableBloomFilter,
+} from '../../parquetParser.js';
+import { getChunkSizeStatistics, describeLevels } from '../../sizeStatistics.js';
+import { getChunkGeospatialStatistics, getGeospatialTypeName, formatBoundingBox } from '../../geospatial.js';
+import { ChevronIcon, LockIcon } from './Icons.jsx';
 import {
   getShortEncodingName,
   getPrimaryEncodings,
@@ -9,31 +17,74 @@ import {
 import PageBox from './PageBox.jsx';
 import FloatingTooltip from './FloatingTooltip.jsx';
 import ColumnChunkTooltip from './ColumnChunkTooltip.jsx';
+import BloomFilterProbe from './BloomFilterProbe.jsx';
+import PageValuesPreview from './PageValuesPreview.jsx';
+import LevelHistogram from './LevelHistogram.jsx';
 
 /**
  * Column box for rows view - shows column metadata and expandable pages
+ * `pagesRead` (one flag per page, from a pushdown simulation) dims the pages a filtered read skips.
  */
-export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaElement }) {
+export default function ColumnBox({
+  column,
+  pageIndex,
+  rowGroupRows,
+  schemaElement,
+  schema,
+  source,
+  columnDecryptor,
+  allRowGroups,
+  allPageIndexes,
+  colIdx,
+  rowGroupIndex,
+  highlighted = false,
+  pagesRead = null,
+}) {
   const meta = column.meta_data;
   const offsetIndex = pageIndex?.offsetIndex;
   const colIndex = pageIndex?.columnIndex;
-  const pages = offsetIndex?.page_locations || [];
+  const pages = getPageLocations(pageIndex);
+  const pagesFromHeaders = pages.length > 0 && !offsetIndex?.page_locations?.length;
 
-  // Auto-expand if column has offset index (pages available)
+  // Auto-expand if pages are available (from the offset index or decoded page headers)
   const hasPages = pages.length > 0;
   const [expanded, setExpanded] = useState(hasPages);
+  const [prevHasPages, setPrevHasPages] = useState(hasPages);
+  if (hasPages !== prevHasPages) {
+    setPrevHasPages(hasPages);
+    setExpanded(hasPages);
+  }
 
   // Tooltip state for index/dictionary info
   const headerRef = useRef(null);
   const [showTooltip, setShowTooltip] = useState(false);
 
+  // Bloom filter probe toggled via the BF badge
+  const [showProbe, setShowProbe] = useState(false);
+
+  // Index of the page whose values are previewed (null if none)
+  const [previewPage, setPreviewPage] = useState(null);
+
   // Check if we have any index/dict info to show in tooltip
   const hasTooltipContent =
     column.offset_index_offset != null ||
     column.column_index_offset != null ||
     meta?.dictionary_page_offset != null;
 
-  if (!meta) return null;
+  if (!meta) {
+    // Encrypted column chunk whose metadata can't be decrypted without its key
+    return columnDecryptor ? (
+      <div
+        id={`row-group-${rowGroupIndex}-column-${colIdx}`}
+        className="px-3 py-2 flex items-center gap-2 bg-gray-50 dark:bg-gray-900/40 border border-dashed border-gray-300 dark:border-gray-600
+                   rounded-lg text-sm text-gray-500 dark:text-gray-400"
+      >
+        <LockIcon className="w-3.5 h-3.5 text-amber-500 dark:text-amber-400" />
+        <span className="font-medium">{columnDecryptor.path ?? `Column ${colIdx}`}</span>
+        <span className="text-xs">encrypted with a column key - enter the key in the Encryption panel to read it</span>
+      </div>
+    ) : null;
+  }
 
   const columnName = meta.path_in_schema[meta.path_in_schema.length - 1];
   const fullPath = meta.path_in_schema.join('.');
@@ -43,6 +94,8 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
   const dataType = EnumHelpers.getTypeName(meta.type);
   const compressionRatio = uncompressedSize > 0 ? compressedSize / uncompressedSize : 1;
   const hasBloomFilter = meta.bloom_filter_offset != null;
+  // Headers missing from the page index (remote files) are read by the probe
+  const canProbeBloomFilter = hasReadableBloomFilter(column) && source != null;
 
   // Get encodings
   const primaryEncodings = getPrimaryEncodings(meta.encodings, meta.encoding_stats);
@@ -52,6 +105,11 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
   const stats = meta.statistics;
   const nullCount = stats?.null_count != null ? Number(stats.null_count) : null;
 
+  // Size statistics: unencoded BYTE_ARRAY size and level histograms
+  const sizeStats = getChunkSizeStatistics(meta);
+  const levels = sizeStats && describeLevels(sizeStats.definitionLevels, sizeStats.repetitionLevels);
+  const geoStats = getChunkGeospatialStatistics(meta);
+
   // Prepare page data with next row info for calculating row counts
   const pagesWithNext = pages.map((page, i) => ({
     ...page,
@@ -60,8 +118,10 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
 
   return (
     <div
-      className="bg-cyan-50 dark:bg-cyan-950/30 border border-cyan-200 dark:border-cyan-800/40 rounded-lg overflow-visible
-                    hover:border-cyan-300 dark:hover:border-cyan-700/60 transition-all"
+      id={`row-group-${rowGroupIndex}-column-${colIdx}`}
+      className={`bg-cyan-50 dark:bg-cyan-950/30 border border-cyan-200 dark:border-cyan-800/40 rounded-lg overflow-visible
+                    hover:border-cyan-300 dark:hover:border-cyan-700/60 transition-all
+                    ${highlighted ? 'ring-2 ring-amber-400 dark:ring-amber-500' : ''}`}
     >
       {/* Column Header */}
       <div
@@ -83,6 +143,17 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
             <span className="text-cyan-700 dark:text-cyan-200 font-medium text-sm" title={fullPath}>
               {columnName}
             </span>
+            {columnDecryptor && (
+              <span
+                title={`Encrypted with the ${columnDecryptor.keyType} key${columnDecryptor.canDecrypt ? '' : ' (not available)'}`}
+              >
+                <LockIcon
+                  className={`w-3.5 h-3.5 ${
+                    columnDecryptor.canDecrypt ? 'text-emerald-500 dark:text-emerald-400' : 'text-amber-500 dark:text-amber-400'
+                  }`}
+                />
+              </span>
+            )}
           </div>
           <div className="flex items-center gap-2">
             <span className="text-cyan-600/60 dark:text-cyan-400/60 text-xs">{dataType}</span>
@@ -120,11 +191,66 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
               {formatNumber(nullCount)} null{nullCount === 1 ? '' : 's'}
             </span>
           )}
-          {hasBloomFilter && (
-            <span className="text-purple-600/70 dark:text-purple-400/70" title="Bloom filter present">
+          {sizeStats?.unencodedBytes != null && (
+            <span title="Size of the BYTE_ARRAY values before encoding and compression (SizeStatistics)">
+              {formatBytes(sizeStats.unencodedBytes)} unencoded
+            </span>
+          )}
+          {levels?.entriesPerRow != null && (
+            <span
+              className="text-fuchsia-600/70 dark:text-fuchsia-400/70"
+              title={`${formatNumber(levels.entries)} entries in ${formatNumber(levels.rows)} rows (from the repetition level histogram)`}
+            >
+              {levels.entriesPerRow.toFixed(2)} entries/row
+            </span>
+          )}
+          {sizeStats?.definitionLevels && (
+            <LevelHistogram kind="D" counts={sizeStats.definitionLevels} className="h-3.5" />
+          )}
+          {sizeStats?.repetitionLevels && (
+            <LevelHistogram kind="R" counts={sizeStats.repetitionLevels} className="h-3.5" />
+          )}
+          {geoStats && (
+            <span
+              className="text-teal-600/70 dark:text-teal-400/70"
+              title={[
+                geoStats.bbox && `Bounding box: ${formatBoundingBox(geoStats.bbox)}`,
+                geoStats.types && `Types: ${geoStats.types.map(getGeospatialTypeName).join(', ')}`,
+              ]
+                .filter(Boolean)
+                .join('\n')}
+            >
+              {geoStats.bbox ? `bbox ${formatBoundingBox(geoStats.bbox)}` : 'geospatial stats'}
+            </span>
+          )}
+          {hasBloomFilter && !canProbeBloomFilter && (
+            <span
+              className="text-purple-600/70 dark:text-purple-400/70"
+              title={
+                column.crypto_metadata
+                  ? 'Bloom filter present - encrypted with the column, so it cannot be probed'
+                  : 'Bloom filter present'
+              }
+            >
               BF
             </span>
           )}
+          {canProbeBloomFilter && (
+            <button
+              className={`px-1 rounded transition-colors ${
+                showProbe
+                  ? 'bg-purple-200 dark:bg-purple-800/50 text-purple-700 dark:text-purple-200'
+                  : 'text-purple-600/70 dark:text-purple-400/70 hover:bg-purple-100 dark:hover:bg-purple-900/40'
+              }`}
+              title="Bloom filter present - click to probe a value"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowProbe(!showProbe);
+              }}
+            >
+              BF
+            </button>
+          )}
           {pages.length > 0 && (
             <span>
               {pages.length} page{pages.length === 1 ? '' : 's'}
@@ -134,6 +260,19 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
         </div>
       </div>
 
+      {/* Bloom filter probe */}
+      {showProbe && canProbeBloomFilter && (
+        <BloomFilterProbe
+          source={source}
+          allRowGroups={allRowGroups}
+          allPageIndexes={allPageIndexes}
+          colIdx={colIdx}
+          rowGroupIndex={rowGroupIndex}
+          columnMeta={meta}
+          schemaElement={schemaElement}
+        />
+      )}
+
       {/* Pages Grid */}
       {expanded && pages.length > 0 && (
         <div className="p-3 bg-cyan-50/50 dark:bg-cyan-950/20 overflow-visible">
@@ -152,6 +291,11 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
               ))}
             </div>
           )}
+          {pagesFromHeaders && (
+            <div className="mb-2 text-[10px] text-cyan-500 dark:text-cyan-600/70 italic">
+              No page index - pages decoded from page headers
+            </div>
+          )}
           <div className="flex flex-wrap gap-1.5 overflow-visible">
             {pagesWithNext.map((page, i) => (
               <PageBox
@@ -163,15 +307,32 @@ export default function ColumnBox({ column, pageIndex, rowGroupRows, schemaEleme
                 columnIndex={colIndex}
                 columnMeta={meta}
                 schemaElement={schemaElement}
+                onPreview={source && columnDecryptor?.canDecrypt !== false ? setPreviewPage : undefined}
+                skipped={pagesRead?.[i] === false}
               />
             ))}
           </div>
         </div>
       )}
 
+      {/* Decoded values of a clicked page */}
+      {previewPage !== null && (
+        <PageValuesPreview
+          key={previewPage}
+          source={source}
+          columnMeta={meta}
+          columnDecryptor={columnDecryptor}
+          schema={schema}
+          schemaElement={schemaElement}
+          page={pages[previewPage]}
+          pageNumber={previewPage}
+          onClose={() => setPreviewPage(null)}
+        />
+      )}
+
       {/* No pages message */}
       {expanded && pages.length === 0 && (
-        <div className="p-3 text-xs text-cyan-500 dark:text-cyan-600/50 italic">No page index available</div>
+        <div className="p-3 text-xs text-cyan-500 dark:text-cyan-600/50 italic">No pages found</div>
       )}
 
       {/* Floating tooltip for index/dictionary info */}
@@ -1,5 +1,5 @@
 import React, { useState, useRef } from 'react';
-import { formatBytes, formatNumber, EnumHelpers } from '../../parquetParser.js';
+import { formatBytes, formatNumber, EnumHelpers, getPageLocations } from '../../parquetParser.js';
 import { getShortEncodingName, getPrimaryEncodings } from './encodingUtils.js';
 import FloatingTooltip from './FloatingTooltip.jsx';
 import ColumnChunkTooltip from './ColumnChunkTooltip.jsx';
@@ -9,7 +9,7 @@ import ColumnChunkTooltip from './ColumnChunkTooltip.jsx';
  */
 export default function ColumnHeader({ column, pageIndex, columnWidth }) {
   const meta = column.meta_data;
-  const pages = pageIndex?.offsetIndex?.page_locations || [];
+  const pages = getPageLocations(pageIndex);
   const headerRef = useRef(null);
   const [showTooltip, setShowTooltip] = useState(false);
 
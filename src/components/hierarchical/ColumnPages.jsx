@@ -1,5 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { getPageLocations } from '../../parquetParser.js';
 import PageBlockColumn from './PageBlockColumn.jsx';
+import PageValuesPreview from './PageValuesPreview.jsx';
 
 /**
  * Column pages component for columns view - just the pages, no header
@@ -11,11 +13,17 @@ export default function ColumnPages({
   containerHeight,
   columnWidth,
   schemaElement,
+  schema,
+  source,
+  columnDecryptor,
+  pagesRead = null,
 }) {
   const meta = column.meta_data;
-  const offsetIndex = pageIndex?.offsetIndex;
   const colIndex = pageIndex?.columnIndex;
-  const pages = offsetIndex?.page_locations || [];
+  const pages = getPageLocations(pageIndex);
+
+  // Index of the page whose values are previewed (null if none)
+  const [previewPage, setPreviewPage] = useState(null);
 
   if (!meta) return null;
 
@@ -53,9 +61,25 @@ export default function ColumnPages({
             columnIndex={colIndex}
             columnMeta={meta}
             schemaElement={schemaElement}
+            onPreview={source && columnDecryptor?.canDecrypt !== false ? setPreviewPage : undefined}
+            skipped={pagesRead?.[i] === false}
           />
         ))}
       </div>
+
+      {previewPage !== null && (
+        <PageValuesPreview
+          key={previewPage}
+          source={source}
+          columnMeta={meta}
+          columnDecryptor={columnDecryptor}
+          schema={schema}
+          schemaElement={schemaElement}
+          page={pages[previewPage]}
+          pageNumber={previewPage}
+          onClose={() => setPreviewPage(null)}
+        />
+      )}
     </div>
   );
 }
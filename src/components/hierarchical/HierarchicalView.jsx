@@ -1,28 +1,54 @@
-import React, { useState, useMemo } from 'react';
-import { formatNumber } from '../../parquetParser.js';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { formatNumber, getPageLocations } from '../../parquetParser.js';
+import { getSchemaIndex } from '../../schemaTree.js';
 import { RowsIcon, ColumnsIcon } from './Icons.jsx';
 import RowGroupBox from './RowGroupBox.jsx';
 
 /**
  * HierarchicalView - main component for visualizing Parquet file structure
+ * `focus` ({ rowGroup, column }) expands, highlights and scrolls to a row group or column chunk.
+ * `columnFilter` ({ column, path }) only shows that column's chunks, until `onClearColumnFilter` is called.
+ * `pushdown` (a simulatePushdown result) dims the row groups and pages a filtered read would skip.
  */
-export default function HierarchicalView({ data }) {
-  const { fileMetaData, pageIndexes } = data;
+export default function HierarchicalView({ data, focus = null, columnFilter = null, onClearColumnFilter, pushdown = null }) {
+  const { source, fileMetaData, pageIndexes, decryptor } = data;
   const numRows = Number(fileMetaData.num_rows);
   const numRowGroups = fileMetaData.row_groups.length;
-  const numColumns = fileMetaData.schema.length - 1;
+  const numColumns = getSchemaIndex(fileMetaData.schema).columns.length;
 
-  // Check if page index is available (needed for columns view)
-  const hasPageIndex = useMemo(() => {
+  // Check if page locations are available (needed for columns view)
+  const hasPageLocations = useMemo(() => {
     if (!pageIndexes || pageIndexes.length === 0) return false;
-    return pageIndexes.some(
-      (rg) => rg && rg.some((col) => col?.offsetIndex?.page_locations?.length > 0)
-    );
+    return pageIndexes.some((rg) => rg && rg.some((col) => getPageLocations(col).length > 0));
   }, [pageIndexes]);
 
   // View mode: 'rows' (horizontal layout) or 'columns' (vertical column strips)
-  // Default to 'columns' if page index available, otherwise 'rows'
-  const [viewMode, setViewMode] = useState(hasPageIndex ? 'columns' : 'rows');
+  // Default to 'columns' if page locations are available, otherwise 'rows'
+  const [viewMode, setViewMode] = useState(hasPageLocations ? 'columns' : 'rows');
+
+  // Page headers decoded after the first render can make page locations available
+  const [prevHasPageLocations, setPrevHasPageLocations] = useState(hasPageLocations);
+  if (hasPageLocations !== prevHasPageLocations) {
+    setPrevHasPageLocations(hasPageLocations);
+    if (hasPageLocations && focus?.column == null) setViewMode('columns');
+  }
+
+  // Column chunks are only shown individually in the rows view
+  const [prevFocus, setPrevFocus] = useState(focus);
+  if (focus !== prevFocus) {
+    setPrevFocus(focus);
+    if (focus?.column != null) setViewMode('rows');
+  }
+
+  // Scroll to the focused element once it has been rendered (not for a focus present on mount)
+  const scrolledFocus = useRef(focus);
+  useEffect(() => {
+    if (!focus || focus === scrolledFocus.current) return;
+    scrolledFocus.current = focus;
+    const id =
+      focus.column != null ? `row-group-${focus.rowGroup}-column-${focus.column}` : `row-group-${focus.rowGroup}`;
+    document.getElementById(id)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focus]);
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-lg dark:shadow-2xl overflow-visible">
@@ -49,8 +75,8 @@ export default function HierarchicalView({ data }) {
             File Structure
           </h2>
 
-          {/* View Mode Toggle - only show if page index is available */}
-          {hasPageIndex && (
+          {/* View Mode Toggle - only show if page locations are available */}
+          {hasPageLocations && (
             <div className="flex items-center gap-1 bg-gray-100 dark:bg-gray-900/50 rounded-lg p-1">
               <button
                 onClick={() => setViewMode('rows')}
@@ -98,6 +124,20 @@ export default function HierarchicalView({ data }) {
               {numColumns} column{numColumns === 1 ? '' : 's'}
             </span>
           </div>
+          {columnFilter && (
+            <div className="ml-auto flex items-center gap-2 px-2 py-0.5 rounded-md bg-purple-100 dark:bg-purple-900/40 text-xs">
+              <span className="text-purple-700 dark:text-purple-300">
+                Only showing <span className="font-mono">{columnFilter.path}</span>
+              </span>
+              <button
+                onClick={onClearColumnFilter}
+                className="text-purple-500 dark:text-purple-400 hover:text-purple-700 dark:hover:text-purple-200"
+                title="Show all columns"
+              >
+                ✕
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -111,6 +151,13 @@ export default function HierarchicalView({ data }) {
             pageIndexes={pageIndexes[rgIdx]}
             viewMode={viewMode}
             schema={fileMetaData.schema}
+            source={source}
+            decryptor={decryptor}
+            allRowGroups={fileMetaData.row_groups}
+            allPageIndexes={pageIndexes}
+            focus={focus?.rowGroup === rgIdx ? focus : null}
+            columnFilter={columnFilter?.column ?? null}
+            pushdown={pushdown?.rowGroups[rgIdx] ?? null}
           />
         ))}
       </div>
@@ -130,6 +177,12 @@ export default function HierarchicalView({ data }) {
             <div className="w-3 h-3 rounded bg-emerald-100 dark:bg-emerald-900/50 border border-emerald-300 dark:border-emerald-700/50"></div>
             <span>Data Page</span>
           </div>
+          {pushdown && (
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 rounded bg-gray-200 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 opacity-40"></div>
+              <span>Skipped by the filter</span>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,32 @@
+import React from 'react';
+import { formatNumber } from '../../parquetParser.js';
+
+const COLORS = {
+  D: 'bg-orange-400 dark:bg-orange-500',
+  R: 'bg-fuchsia-400 dark:bg-fuchsia-500',
+};
+
+/**
+ * Level histogram - small bar chart of the number of entries per definition (D) or repetition (R) level
+ */
+export default function LevelHistogram({ kind, counts, className = 'h-5' }) {
+  const max = Math.max(...counts, 1);
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const title = counts.map((count, level) => `${kind}${level}: ${formatNumber(count)}`).join(', ');
+
+  return (
+    <span className="inline-flex items-end gap-1" title={title}>
+      <span className="text-[10px] leading-none text-gray-500 dark:text-gray-400">{kind}</span>
+      <span className={`inline-flex items-end gap-px ${className}`}>
+        {counts.map((count, level) => (
+          <span
+            key={level}
+            className={`w-1.5 rounded-t-sm ${count > 0 ? COLORS[kind] : 'bg-gray-200 dark:bg-gray-700'}`}
+            style={{ height: count > 0 ? `${Math.max((count / max) * 100, 10)}%` : '10%' }}
+            title={`${kind}${level}: ${formatNumber(count)} (${total > 0 ? ((count / total) * 100).toFixed(1) : 0}%)`}
+          />
+        ))}
+      </span>
+    </span>
+  );
+}
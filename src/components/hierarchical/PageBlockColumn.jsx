@@ -13,6 +13,8 @@ export default function PageBlockColumn({
   columnIndex,
   columnMeta,
   schemaElement,
+  onPreview,
+  skipped = false,
 }) {
   const firstRow = Number(page.first_row_index);
   const isNullPage = columnIndex?.null_pages?.[index] || false;
@@ -32,7 +34,7 @@ export default function PageBlockColumn({
   return (
     <div
       ref={blockRef}
-      className="absolute left-0 right-0"
+      className={`absolute left-0 right-0 ${skipped ? 'opacity-30' : ''}`}
       style={{
         top: `${topPercent}%`,
         height: `${heightPercent}%`,
@@ -41,7 +43,8 @@ export default function PageBlockColumn({
       onMouseLeave={() => setIsHovered(false)}
     >
       <div
-        className={`h-full rounded border transition-all cursor-default flex items-center justify-center ${baseClasses}`}
+        className={`h-full rounded border transition-all ${onPreview ? 'cursor-pointer' : 'cursor-default'} flex items-center justify-center ${baseClasses}`}
+        onClick={onPreview ? () => onPreview(index) : undefined}
       >
         <span className={`text-[10px] font-medium ${textColor}`}>P{index}</span>
       </div>
@@ -56,6 +59,8 @@ export default function PageBlockColumn({
           columnIndex={columnIndex}
           columnMeta={columnMeta}
           schemaElement={schemaElement}
+          canPreview={!!onPreview}
+          skipped={skipped}
         />
       </FloatingTooltip>
     </div>
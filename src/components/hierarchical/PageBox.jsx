@@ -13,6 +13,8 @@ export default function PageBox({
   columnIndex,
   columnMeta,
   schemaElement,
+  onPreview,
+  skipped = false,
 }) {
   // Calculate rows in this page
   const firstRow = Number(page.first_row_index);
@@ -29,8 +31,11 @@ export default function PageBox({
   const textColorDim = isNullPage ? 'text-orange-600/60 dark:text-orange-500/60' : 'text-emerald-600/60 dark:text-emerald-500/60';
 
   return (
-    <div className="group/page relative">
-      <div className={`rounded px-2 py-1.5 transition-all cursor-default ${baseClasses}`}>
+    <div className={`group/page relative ${skipped ? 'opacity-30' : ''}`}>
+      <div
+        className={`rounded px-2 py-1.5 transition-all ${onPreview ? 'cursor-pointer' : 'cursor-default'} ${baseClasses}`}
+        onClick={onPreview ? () => onPreview(index) : undefined}
+      >
         <div className="flex items-center justify-between gap-3">
           <span className={`text-xs font-medium ${textColor}`}>P{index}</span>
           <span className={`text-xs ${textColorMuted}`}>
@@ -39,6 +44,7 @@ export default function PageBox({
         </div>
         {rowCount !== null && (
           <div className={`text-[10px] mt-0.5 ${textColorDim}`}>
+            {page.rowsEstimated && '~'}
             {formatNumber(rowCount)} row{rowCount === 1 ? '' : 's'}
           </div>
         )}
@@ -58,6 +64,8 @@ export default function PageBox({
           columnIndex={columnIndex}
           columnMeta={columnMeta}
           schemaElement={schemaElement}
+          canPreview={!!onPreview}
+          skipped={skipped}
         />
         <div className="absolute top-full left-1/2 -translate-x-1/2 -mt-1">
           <div className="border-4 border-transparent border-t-gray-200 dark:border-t-gray-700"></div>
@@ -1,6 +1,8 @@
 import React from 'react';
-import { formatBytes, formatNumber } from '../../parquetParser.js';
-import { formatStatValue } from '../../statsFormatter.js';
+import { formatBytes, formatNumber, EnumHelpers } from '../../parquetParser.js';
+import { formatStatValue, getStatisticsMinMax } from '../../statsFormatter.js';
+import { getPageSizeStatistics, describeLevels } from '../../sizeStatistics.js';
+import LevelHistogram from './LevelHistogram.jsx';
 
 /**
  * Shared page tooltip component - used by both PageBox and PageBlockColumn
@@ -13,6 +15,8 @@ export default function PageTooltip({
   columnIndex,
   columnMeta,
   schemaElement,
+  canPreview = false,
+  skipped = false,
 }) {
   const hasStats =
     columnIndex &&
@@ -31,6 +35,23 @@ export default function PageTooltip({
     : null;
   const isNullPage = columnIndex?.null_pages?.[index] || false;
 
+  // Size statistics from the page index (unencoded BYTE_ARRAY size, level histograms)
+  const sizeStats = getPageSizeStatistics(columnIndex, page, index);
+  const levels = sizeStats && describeLevels(sizeStats.definitionLevels, sizeStats.repetitionLevels);
+
+  // Decoded page header (if available) - its statistics are used when there's no column index
+  const header = page.header;
+  const dataHeader = header?.data_page_header || header?.data_page_header_v2;
+  const headerStats = !hasStats ? dataHeader?.statistics : null;
+  const headerRange = getStatisticsMinMax(headerStats, schemaElement);
+  const headerMin = headerRange?.min;
+  const headerMax = headerRange?.max;
+  const headerNullCount = header?.data_page_header_v2
+    ? header.data_page_header_v2.num_nulls
+    : headerStats?.null_count != null
+      ? Number(headerStats.null_count)
+      : null;
+
   return (
     <div className="text-xs space-y-1">
       <div className="text-gray-500 dark:text-gray-400">
@@ -45,9 +66,57 @@ export default function PageTooltip({
       {rowCount !== null && (
         <div className="text-gray-500 dark:text-gray-400">
           Row{rowCount === 1 ? '' : 's'}:{' '}
-          <span className="text-gray-900 dark:text-white">{formatNumber(rowCount)}</span>
+          <span className="text-gray-900 dark:text-white">
+            {page.rowsEstimated && '~'}
+            {formatNumber(rowCount)}
+          </span>
         </div>
       )}
+      {dataHeader && (
+        <>
+          <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
+          <div className="text-gray-500 dark:text-gray-400">
+            Page Type: <span className="text-gray-900 dark:text-white">{EnumHelpers.getPageTypeName(header.type)}</span>
+          </div>
+          <div className="text-gray-500 dark:text-gray-400">
+            Encoding: <span className="text-gray-900 dark:text-white">{EnumHelpers.getEncodingName(dataHeader.encoding)}</span>
+          </div>
+          <div className="text-gray-500 dark:text-gray-400">
+            Values: <span className="text-gray-900 dark:text-white">{formatNumber(dataHeader.num_values)}</span>
+          </div>
+          <div className="text-gray-500 dark:text-gray-400">
+            Uncompressed: <span className="text-gray-900 dark:text-white">{formatBytes(header.uncompressed_page_size)}</span>
+          </div>
+        </>
+      )}
+      {(headerMin || headerMax || headerNullCount !== null) && (
+        <>
+          <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
+          {headerMin && (
+            <div className="text-gray-500 dark:text-gray-400">
+              Min: <span className="text-gray-900 dark:text-white font-mono">{formatStatValue(headerMin, columnMeta, schemaElement)}</span>
+            </div>
+          )}
+          {headerMax && (
+            <div className="text-gray-500 dark:text-gray-400">
+              Max: <span className="text-gray-900 dark:text-white font-mono">{formatStatValue(headerMax, columnMeta, schemaElement)}</span>
+            </div>
+          )}
+          {headerRange?.deprecated && (
+            <div className="text-orange-600 dark:text-orange-400 text-[10px]">
+              {headerRange.reliable
+                ? 'From the deprecated min/max fields'
+                : "From the deprecated min/max fields, which may not follow this type's sort order"}
+            </div>
+          )}
+          {headerNullCount !== null && (
+            <div className="text-gray-500 dark:text-gray-400">
+              Null{headerNullCount === 1 ? '' : 's'}:{' '}
+              <span className="text-gray-900 dark:text-white">{formatNumber(headerNullCount)}</span>
+            </div>
+          )}
+        </>
+      )}
       {hasStats && (
         <>
           <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
@@ -71,6 +140,46 @@ export default function PageTooltip({
           )}
         </>
       )}
+      {sizeStats && (
+        <>
+          <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
+          {sizeStats.unencodedBytes != null && (
+            <div className="text-gray-500 dark:text-gray-400">
+              Unencoded: <span className="text-gray-900 dark:text-white">{formatBytes(sizeStats.unencodedBytes)}</span>
+            </div>
+          )}
+          {sizeStats.definitionLevels && (
+            <div className="flex items-end gap-2 text-gray-500 dark:text-gray-400">
+              <LevelHistogram kind="D" counts={sizeStats.definitionLevels} />
+              <span>
+                {formatNumber(levels.values)} value{levels.values === 1 ? '' : 's'}, {formatNumber(levels.nullOrEmpty)} null
+                or empty
+              </span>
+            </div>
+          )}
+          {sizeStats.repetitionLevels && (
+            <div className="flex items-end gap-2 text-gray-500 dark:text-gray-400">
+              <LevelHistogram kind="R" counts={sizeStats.repetitionLevels} />
+              <span>
+                {formatNumber(levels.rows)} row{levels.rows === 1 ? '' : 's'}
+                {levels.entriesPerRow != null && `, ${levels.entriesPerRow.toFixed(2)} entries/row`}
+              </span>
+            </div>
+          )}
+        </>
+      )}
+      {skipped && (
+        <>
+          <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
+          <div className="text-gray-500 dark:text-gray-400 text-[10px]">Skipped by the pushdown filter</div>
+        </>
+      )}
+      {canPreview && (
+        <>
+          <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
+          <div className="text-blue-600 dark:text-blue-400 text-[10px]">Click to preview values</div>
+        </>
+      )}
     </div>
   );
 }
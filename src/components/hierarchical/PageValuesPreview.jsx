@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { formatBytes, formatNumber } from '../../parquetParser.js';
+import { formatStatValue } from '../../statsFormatter.js';
+import { getSchemaIndex } from '../../schemaTree.js';
+import { readPageValues } from '../../pageReader.js';
+
+// Number of values shown at first and added by "Show more"
+const PREVIEW_ROWS = 100;
+
+/**
+ * Page values preview - reads a single page, decodes it and shows its first values in a modal
+ */
+export default function PageValuesPreview({
+  source,
+  columnMeta,
+  columnDecryptor,
+  schema,
+  schemaElement,
+  page,
+  pageNumber,
+  onClose,
+}) {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [visibleRows, setVisibleRows] = useState(PREVIEW_ROWS);
+
+  const columnNode = useMemo(
+    () => getSchemaIndex(schema).findColumn(columnMeta.path_in_schema),
+    [schema, columnMeta]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    readPageValues(source, {
+      columnMeta,
+      offset: Number(page.offset),
+      maxDefinitionLevel: columnNode?.maxDefinitionLevel ?? 0,
+      maxRepetitionLevel: columnNode?.maxRepetitionLevel ?? 0,
+      typeLength: schemaElement?.type_length,
+      columnDecryptor,
+      pageOrdinal: pageNumber,
+    }).then(
+      (pageValues) => !cancelled && setResult(pageValues),
+      (err) => !cancelled && setError(err.message || 'Failed to decode page')
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [source, columnMeta, columnDecryptor, columnNode, schemaElement, page, pageNumber]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Pair each level slot with its value: only slots at the max definition level hold one
+  const slots = useMemo(() => {
+    if (!result) return [];
+    const maxDefinitionLevel = columnNode?.maxDefinitionLevel ?? 0;
+    const firstRow = Number(page.first_row_index);
+    const rows = [];
+    let valueIdx = 0;
+    let row = firstRow - 1;
+
+    for (let i = 0; i < Math.min(result.numValues, visibleRows); i++) {
+      const repetitionLevel = result.repetitionLevels ? result.repetitionLevels[i] : 0;
+      const definitionLevel = result.definitionLevels ? result.definitionLevels[i] : maxDefinitionLevel;
+      if (repetitionLevel === 0) row++;
+      const value = definitionLevel === maxDefinitionLevel ? result.values[valueIdx++] : null;
+      rows.push({ row, repetitionLevel, definitionLevel, value });
+    }
+    return rows;
+  }, [result, columnNode, page, visibleRows]);
+
+  const hasLevels = result && (result.repetitionLevels || result.definitionLevels);
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/40 dark:bg-black/60 flex items-center justify-center p-4"
+      style={{ zIndex: 100000 }}
+      onClick={onClose}
+    >
+      <div
+        className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-2xl
+                   w-full max-w-3xl max-h-[80vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h3 className="text-sm font-bold text-gray-900 dark:text-white truncate">
+              {columnMeta.path_in_schema.join('.')} - Page {pageNumber}
+            </h3>
+            {result && (
+              <div className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                {result.pageType} · {result.encoding} · {formatNumber(result.numValues)} value
+                {result.numValues === 1 ? '' : 's'}
+                {result.numNulls > 0 && ` (${formatNumber(result.numNulls)} null)`} ·{' '}
+                {formatBytes(result.header.compressed_page_size)} → {formatBytes(result.header.uncompressed_page_size)}
+              </div>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Values */}
+        <div className="flex-1 overflow-y-auto">
+          {!result && !error && (
+            <div className="px-5 py-8 text-center text-sm text-gray-500 dark:text-gray-400">Decoding page...</div>
+          )}
+          {error && <div className="px-5 py-4 text-sm text-red-600 dark:text-red-400 font-mono">{error}</div>}
+          {result && (
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 dark:bg-gray-900/50 sticky top-0">
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="px-4 py-2 font-medium">Row</th>
+                  {hasLevels && <th className="px-2 py-2 font-medium" title="Repetition level">R</th>}
+                  {hasLevels && <th className="px-2 py-2 font-medium" title="Definition level">D</th>}
+                  <th className="px-4 py-2 font-medium w-full">Value</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50 font-mono">
+                {slots.map((slot, i) => (
+                  <tr key={i} className="text-gray-700 dark:text-gray-300">
+                    <td className="px-4 py-1 text-gray-400 dark:text-gray-500">
+                      {page.rowsEstimated && '~'}
+                      {formatNumber(slot.row)}
+                    </td>
+                    {hasLevels && <td className="px-2 py-1 text-gray-400 dark:text-gray-500">{slot.repetitionLevel}</td>}
+                    {hasLevels && <td className="px-2 py-1 text-gray-400 dark:text-gray-500">{slot.definitionLevel}</td>}
+                    <td className="px-4 py-1 break-all">
+                      {slot.value ? (
+                        formatStatValue(slot.value, columnMeta, schemaElement)
+                      ) : (
+                        <span className="italic text-orange-600/70 dark:text-orange-400/70">null</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {result && result.numValues > visibleRows && (
+          <div className="px-5 py-2 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+            <span>
+              Showing {formatNumber(visibleRows)} of {formatNumber(result.numValues)} values
+            </span>
+            <button
+              onClick={() => setVisibleRows(visibleRows + PREVIEW_ROWS)}
+              className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            >
+              Show more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
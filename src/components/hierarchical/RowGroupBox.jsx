@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { formatNumber } from '../../parquetParser.js';
-import { findSchemaElement } from '../../statsFormatter.js';
+import { findSchemaElement } from '../../schemaTree.js';
 import { ChevronIcon } from './Icons.jsx';
 import ColumnBox from './ColumnBox.jsx';
 import RowGroupColumnsView from './RowGroupColumnsView.jsx';
@@ -8,20 +8,51 @@ import RowGroupColumnsView from './RowGroupColumnsView.jsx';
 /**
  * Row group box - collapsible container for a single row group
  */
-export default function RowGroupBox({ rowGroup, index, pageIndexes, viewMode, schema }) {
+export default function RowGroupBox({
+  rowGroup,
+  index,
+  pageIndexes,
+  viewMode,
+  schema,
+  source,
+  decryptor,
+  allRowGroups,
+  allPageIndexes,
+  focus,
+  columnFilter = null,
+  pushdown = null,
+}) {
   // Only expand first row group by default
   const [expanded, setExpanded] = useState(index === 0);
+
+  // Expand when navigated to (e.g. from a finding)
+  const [prevFocus, setPrevFocus] = useState(focus);
+  if (focus !== prevFocus) {
+    setPrevFocus(focus);
+    if (focus) setExpanded(true);
+  }
+  const highlighted = focus != null && focus.column == null;
+  const skipped = pushdown != null && !pushdown.read;
   const numRows = Number(rowGroup.num_rows);
   const totalBytes = Number(rowGroup.total_byte_size);
   const compressedBytes = rowGroup.total_compressed_size
     ? Number(rowGroup.total_compressed_size)
     : totalBytes;
   const numColumns = rowGroup.columns.length;
+  // Decryptors of the column chunks (null for unencrypted ones)
+  const columnDecryptors = rowGroup.columns.map((col, colIdx) => decryptor?.forColumn(col, index, colIdx) ?? null);
+  // Indexes of the column chunks to show (all unless filtered to a single column)
+  const columnIndexes = useMemo(
+    () => (columnFilter != null ? [columnFilter] : rowGroup.columns.map((col, colIdx) => colIdx)),
+    [columnFilter, rowGroup],
+  );
 
   return (
     <div
-      className="bg-blue-50 dark:bg-blue-950/30 border border-blue-200 dark:border-blue-700/40 rounded-xl
-                    shadow-md dark:shadow-lg shadow-blue-200/50 dark:shadow-blue-900/20 overflow-visible"
+      id={`row-group-${index}`}
+      className={`bg-blue-50 dark:bg-blue-950/30 border border-blue-200 dark:border-blue-700/40 rounded-xl
+                    shadow-md dark:shadow-lg shadow-blue-200/50 dark:shadow-blue-900/20 overflow-visible
+                    ${highlighted ? 'ring-2 ring-amber-400 dark:ring-amber-500' : ''} ${skipped ? 'opacity-50' : ''}`}
     >
       {/* Row Group Header */}
       <div
@@ -36,6 +67,16 @@ export default function RowGroupBox({ rowGroup, index, pageIndexes, viewMode, sc
             <h3 className="text-blue-800 dark:text-blue-100 font-semibold">Row Group {index}</h3>
           </div>
           <div className="flex items-center gap-3">
+            {pushdown &&
+              (skipped ? (
+                <span className="px-2 py-1 bg-gray-200 dark:bg-gray-700/60 rounded-md text-gray-600 dark:text-gray-300 text-xs">
+                  Skipped by {pushdown.prunedBy.join(', ')}
+                </span>
+              ) : (
+                <span className="px-2 py-1 bg-emerald-100 dark:bg-emerald-900/40 rounded-md text-emerald-700 dark:text-emerald-300 text-xs">
+                  Reads {formatNumber(pushdown.bytesRead)} of {formatNumber(pushdown.bytesTotal)} B
+                </span>
+              ))}
             <span className="px-2 py-1 bg-blue-200 dark:bg-blue-800/50 rounded-md text-blue-700 dark:text-blue-200 text-sm">
               {formatNumber(compressedBytes)} B
             </span>
@@ -74,7 +115,8 @@ export default function RowGroupBox({ rowGroup, index, pageIndexes, viewMode, sc
       {/* Rows Mode - current column chunk layout */}
       {expanded && viewMode === 'rows' && (
         <div className="p-4 space-y-2 overflow-visible">
-          {rowGroup.columns.map((col, colIdx) => {
+          {columnIndexes.map((colIdx) => {
+            const col = rowGroup.columns[colIdx];
             const schemaElem = col.meta_data
               ? findSchemaElement(schema, col.meta_data.path_in_schema)
               : null;
@@ -85,6 +127,15 @@ export default function RowGroupBox({ rowGroup, index, pageIndexes, viewMode, sc
                 pageIndex={pageIndexes?.[colIdx]}
                 rowGroupRows={numRows}
                 schemaElement={schemaElem}
+                schema={schema}
+                source={source}
+                columnDecryptor={columnDecryptors[colIdx]}
+                allRowGroups={allRowGroups}
+                allPageIndexes={allPageIndexes}
+                colIdx={colIdx}
+                rowGroupIndex={index}
+                highlighted={focus?.column === colIdx}
+                pagesRead={pushdown?.columns[colIdx].pages ?? null}
               />
             );
           })}
@@ -98,6 +149,10 @@ export default function RowGroupBox({ rowGroup, index, pageIndexes, viewMode, sc
           pageIndexes={pageIndexes}
           numRows={numRows}
           schema={schema}
+          source={source}
+          columnDecryptors={columnDecryptors}
+          columnIndexes={columnIndexes}
+          pushdown={pushdown}
         />
       )}
     </div>
@@ -1,14 +1,25 @@
 import React, { useRef, useState, useEffect, useMemo } from 'react';
-import { formatNumber } from '../../parquetParser.js';
-import { findSchemaElement } from '../../statsFormatter.js';
+import { formatNumber, getPageLocations } from '../../parquetParser.js';
+import { findSchemaElement } from '../../schemaTree.js';
 import { MIN_PAGE_HEIGHT_PX, MIN_COLUMN_WIDTH, SCALE_WIDTH } from './constants.js';
 import ColumnHeader from './ColumnHeader.jsx';
 import ColumnPages from './ColumnPages.jsx';
 
 /**
  * Row group columns view - horizontal layout of column strips
+ * `columnIndexes` are the column chunks to show, in order.
+ * `pushdown` (the row group's entry of a pushdown simulation) dims the pages a filtered read skips.
  */
-export default function RowGroupColumnsView({ rowGroup, pageIndexes, numRows, schema }) {
+export default function RowGroupColumnsView({
+  rowGroup,
+  pageIndexes,
+  numRows,
+  schema,
+  source,
+  columnDecryptors,
+  columnIndexes,
+  pushdown = null,
+}) {
   const containerRef = useRef(null);
   const headersScrollRef = useRef(null);
   const pagesScrollRef = useRef(null);
@@ -47,14 +58,14 @@ export default function RowGroupColumnsView({ rowGroup, pageIndexes, numRows, sc
     isScrollingRef.current = false;
   };
 
-  const numColumns = rowGroup.columns.length;
+  const numColumns = columnIndexes.length;
 
   // Calculate container height: ensure the smallest page (by row count) gets at least MIN_PAGE_HEIGHT_PX
   const containerHeight = useMemo(() => {
     let minRowFraction = 1;
 
-    for (let i = 0; i < numColumns; i++) {
-      const pages = pageIndexes?.[i]?.offsetIndex?.page_locations || [];
+    for (const i of columnIndexes) {
+      const pages = getPageLocations(pageIndexes?.[i]);
       for (let j = 0; j < pages.length; j++) {
         const firstRow = Number(pages[j].first_row_index);
         const nextFirstRow = pages[j + 1] ? Number(pages[j + 1].first_row_index) : numRows;
@@ -68,7 +79,7 @@ export default function RowGroupColumnsView({ rowGroup, pageIndexes, numRows, sc
 
     const neededHeight = MIN_PAGE_HEIGHT_PX / minRowFraction;
     return Math.max(300, Math.ceil(neededHeight));
-  }, [pageIndexes, numColumns, numRows]);
+  }, [pageIndexes, columnIndexes, numRows]);
 
   // Calculate column width
   const availableWidth = Math.max(0, containerWidth - SCALE_WIDTH - 32 - 8);
@@ -106,10 +117,10 @@ export default function RowGroupColumnsView({ rowGroup, pageIndexes, numRows, sc
             className="flex gap-1"
             style={{ width: needsScroll ? `${totalColumnsWidth}px` : undefined }}
           >
-            {rowGroup.columns.map((col, colIdx) => (
+            {columnIndexes.map((colIdx) => (
               <ColumnHeader
                 key={colIdx}
-                column={col}
+                column={rowGroup.columns[colIdx]}
                 pageIndex={pageIndexes?.[colIdx]}
                 columnWidth={columnWidth}
               />
@@ -149,7 +160,8 @@ export default function RowGroupColumnsView({ rowGroup, pageIndexes, numRows, sc
             className="flex gap-1"
             style={{ width: needsScroll ? `${totalColumnsWidth}px` : undefined }}
           >
-            {rowGroup.columns.map((col, colIdx) => {
+            {columnIndexes.map((colIdx) => {
+              const col = rowGroup.columns[colIdx];
               const schemaElem = col.meta_data
                 ? findSchemaElement(schema, col.meta_data.path_in_schema)
                 : null;
@@ -162,6 +174,10 @@ export default function RowGroupColumnsView({ rowGroup, pageIndexes, numRows, sc
                   containerHeight={containerHeight}
                   columnWidth={columnWidth}
                   schemaElement={schemaElem}
+                  schema={schema}
+                  source={source}
+                  columnDecryptor={columnDecryptors[colIdx]}
+                  pagesRead={pushdown?.columns[colIdx].pages ?? null}
                 />
               );
             })}
@@ -0,0 +1,242 @@
+/**
+ * Parquet Page Decompression
+ * Decompresses page data for the codecs in CompressionCodec.
+ * SNAPPY and LZ4 are implemented here, GZIP (and BROTLI where supported) use the
+ * DecompressionStream API and ZSTD uses fzstd.
+ */
+
+import { decompress as zstdDecompress } from 'fzstd';
+import { EnumHelpers } from './parquetParser.js';
+
+/**
+ * Decompress a raw Snappy block (no framing)
+ * https://github.com/google/snappy/blob/main/format_description.txt
+ */
+function snappyDecompress(input, expectedSize) {
+    let pos = 0;
+
+    // Preamble: uncompressed length as a varint
+    let outputLength = 0;
+    let shift = 0;
+    let byte;
+    do {
+        byte = input[pos++];
+        outputLength += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+    } while (byte & 0x80);
+
+    if (expectedSize !== undefined && outputLength !== expectedSize) {
+        throw new Error(`Snappy: expected ${expectedSize} bytes but the block holds ${outputLength}`);
+    }
+
+    const output = new Uint8Array(outputLength);
+    let outPos = 0;
+
+    while (pos < input.length) {
+        const tag = input[pos++];
+        const elementType = tag & 3;
+
+        if (elementType === 0) {
+            // Literal: length is stored in the tag or in the following 1-4 bytes
+            let length = tag >>> 2;
+            if (length >= 60) {
+                const lengthBytes = length - 59;
+                length = 0;
+                for (let i = 0; i < lengthBytes; i++) {
+                    length += input[pos++] * 2 ** (8 * i);
+                }
+            }
+            length += 1;
+            if (pos + length > input.length || outPos + length > outputLength) {
+                throw new Error('Snappy: literal exceeds block bounds');
+            }
+            output.set(input.subarray(pos, pos + length), outPos);
+            pos += length;
+            outPos += length;
+            continue;
+        }
+
+        // Copy with a 1, 2 or 4 byte offset
+        let length;
+        let offset;
+        if (elementType === 1) {
+            length = ((tag >>> 2) & 7) + 4;
+            offset = ((tag >>> 5) << 8) | input[pos++];
+        } else if (elementType === 2) {
+            length = (tag >>> 2) + 1;
+            offset = input[pos] | (input[pos + 1] << 8);
+            pos += 2;
+        } else {
+            length = (tag >>> 2) + 1;
+            offset = (input[pos] | (input[pos + 1] << 8) | (input[pos + 2] << 16) | (input[pos + 3] << 24)) >>> 0;
+            pos += 4;
+        }
+
+        if (offset === 0 || offset > outPos || outPos + length > outputLength) {
+            throw new Error('Snappy: invalid copy offset');
+        }
+        // Copies may overlap their own output, so copy byte by byte
+        for (let i = 0; i < length; i++) {
+            output[outPos] = output[outPos - offset];
+            outPos++;
+        }
+    }
+
+    if (outPos !== outputLength) {
+        throw new Error(`Snappy: decompressed ${outPos} bytes, expected ${outputLength}`);
+    }
+    return output;
+}
+
+/**
+ * Decompress a raw LZ4 block into the given output buffer
+ * https://github.com/lz4/lz4/blob/dev/doc/lz4_Block_format.md
+ * @returns {number} Number of bytes written
+ */
+function lz4DecompressBlock(input, output, outStart = 0) {
+    let pos = 0;
+    let outPos = outStart;
+
+    while (pos < input.length) {
+        const token = input[pos++];
+
+        // Literals
+        let literalLength = token >>> 4;
+        if (literalLength === 15) {
+            let byte;
+            do {
+                byte = input[pos++];
+                literalLength += byte;
+            } while (byte === 255);
+        }
+        if (pos + literalLength > input.length || outPos + literalLength > output.length) {
+            throw new Error('LZ4: literal exceeds block bounds');
+        }
+        output.set(input.subarray(pos, pos + literalLength), outPos);
+        pos += literalLength;
+        outPos += literalLength;
+
+        // The last sequence only has literals
+        if (pos >= input.length) break;
+
+        // Match
+        const offset = input[pos] | (input[pos + 1] << 8);
+        pos += 2;
+        let matchLength = token & 15;
+        if (matchLength === 15) {
+            let byte;
+            do {
+                byte = input[pos++];
+                matchLength += byte;
+            } while (byte === 255);
+        }
+        matchLength += 4;
+
+        if (offset === 0 || offset > outPos - outStart || outPos + matchLength > output.length) {
+            throw new Error('LZ4: invalid match offset');
+        }
+        for (let i = 0; i < matchLength; i++) {
+            output[outPos] = output[outPos - offset];
+            outPos++;
+        }
+    }
+
+    return outPos - outStart;
+}
+
+function lz4RawDecompress(input, uncompressedSize) {
+    const output = new Uint8Array(uncompressedSize);
+    const written = lz4DecompressBlock(input, output);
+    if (written !== uncompressedSize) {
+        throw new Error(`LZ4: decompressed ${written} bytes, expected ${uncompressedSize}`);
+    }
+    return output;
+}
+
+/**
+ * Decompress the deprecated LZ4 codec: Hadoop's framing (big-endian uncompressed and
+ * compressed length before each block) or, as some writers produce, a raw block
+ */
+function lz4HadoopDecompress(input, uncompressedSize) {
+    try {
+        const output = new Uint8Array(uncompressedSize);
+        const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+        let pos = 0;
+        let outPos = 0;
+        while (pos + 8 <= input.length) {
+            const blockUncompressed = view.getUint32(pos);
+            const blockCompressed = view.getUint32(pos + 4);
+            pos += 8;
+            if (pos + blockCompressed > input.length || outPos + blockUncompressed > uncompressedSize) {
+                throw new Error('LZ4: not Hadoop framed');
+            }
+            const written = lz4DecompressBlock(input.subarray(pos, pos + blockCompressed), output, outPos);
+            if (written !== blockUncompressed) {
+                throw new Error('LZ4: not Hadoop framed');
+            }
+            pos += blockCompressed;
+            outPos += written;
+        }
+        if (pos !== input.length || outPos !== uncompressedSize) {
+            throw new Error('LZ4: not Hadoop framed');
+        }
+        return output;
+    } catch {
+        return lz4RawDecompress(input, uncompressedSize);
+    }
+}
+
+/**
+ * Decompress with the DecompressionStream API (gzip, and brotli in some runtimes)
+ */
+async function streamDecompress(input, format) {
+    let stream;
+    try {
+        stream = new Blob([input]).stream().pipeThrough(new DecompressionStream(format));
+    } catch {
+        throw new Error(`${format} decompression is not supported by this browser`);
+    }
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompress page data
+ * @param {Uint8Array} bytes - The compressed bytes
+ * @param {number} codec - CompressionCodec value from the column chunk metadata
+ * @param {number} uncompressedSize - Expected size (from the page header)
+ * @returns {Promise<Uint8Array>} The decompressed bytes
+ */
+export async function decompress(bytes, codec, uncompressedSize) {
+    const codecName = EnumHelpers.getCompressionName(codec);
+    let output;
+
+    switch (codecName) {
+        case 'UNCOMPRESSED':
+            return bytes;
+        case 'SNAPPY':
+            output = snappyDecompress(bytes, uncompressedSize);
+            break;
+        case 'GZIP':
+            output = await streamDecompress(bytes, 'gzip');
+            break;
+        case 'BROTLI':
+            output = await streamDecompress(bytes, 'brotli');
+            break;
+        case 'ZSTD':
+            output = zstdDecompress(bytes);
+            break;
+        case 'LZ4_RAW':
+            output = lz4RawDecompress(bytes, uncompressedSize);
+            break;
+        case 'LZ4':
+            output = lz4HadoopDecompress(bytes, uncompressedSize);
+            break;
+        default:
+            throw new Error(`Decompression of ${codecName} pages is not supported`);
+    }
+
+    if (output.length !== uncompressedSize) {
+        throw new Error(`${codecName}: decompressed ${output.length} bytes, expected ${uncompressedSize}`);
+    }
+    return output;
+}
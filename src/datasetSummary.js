@@ -0,0 +1,165 @@
+/**
+ * Parquet Dataset Summary
+ * Aggregates the metadata of many files of one dataset (e.g. a directory with Hive-style
+ * `key=value/` partitions): rows and bytes per partition, schema consistency across files,
+ * and the aggregate size of each column.
+ */
+
+import { getColumnTypes, formatColumnType } from './metadataDiff.js';
+
+/**
+ * Extract the Hive-style partition values from a file's relative path
+ * e.g. "year=2024/month=01/part-0.parquet" -> [{ key: 'year', value: '2024' }, { key: 'month', value: '01' }]
+ * @param {string} path - Path of the file relative to the dataset root
+ * @returns {Array} Partition key/value pairs in directory order
+ */
+export function parsePartitionValues(path) {
+    const directories = path.split('/').slice(0, -1);
+    const values = [];
+    for (const dir of directories) {
+        const separator = dir.indexOf('=');
+        if (separator <= 0) continue;
+
+        let value = dir.substring(separator + 1);
+        try {
+            value = decodeURIComponent(value);
+        } catch {
+            // Keep the raw value if it isn't valid percent-encoding
+        }
+        values.push({ key: dir.substring(0, separator), value });
+    }
+    return values;
+}
+
+/**
+ * Summarize the schema of every file and find columns that differ between files
+ */
+function summarizeSchemas(entries) {
+    const variantIds = new Map();
+    const fileVariants = [];
+    const columns = new Map();
+
+    for (const { data } of entries) {
+        const columnTypes = getColumnTypes(data.fileMetaData);
+
+        // Files with the same columns and types share a schema variant
+        const signature = [...columnTypes].map(([path, type]) => `${path}: ${formatColumnType(type)}`).join('\n');
+        if (!variantIds.has(signature)) {
+            variantIds.set(signature, variantIds.size);
+        }
+        fileVariants.push(variantIds.get(signature));
+
+        for (const [path, type] of columnTypes) {
+            let column = columns.get(path);
+            if (!column) {
+                column = { path, numFiles: 0, types: new Map() };
+                columns.set(path, column);
+            }
+            const formatted = formatColumnType(type);
+            column.numFiles++;
+            column.types.set(formatted, (column.types.get(formatted) || 0) + 1);
+        }
+    }
+
+    const variantCounts = new Array(variantIds.size).fill(0);
+    fileVariants.forEach((variant) => variantCounts[variant]++);
+
+    return {
+        fileVariants,
+        variants: variantCounts.map((numFiles, id) => ({ id, numFiles })),
+        columns: [...columns.values()].map((column) => ({
+            path: column.path,
+            numFiles: column.numFiles,
+            types: [...column.types].map(([type, numFiles]) => ({ type, numFiles })),
+            drift: column.numFiles < entries.length || column.types.size > 1,
+        })),
+        consistent: variantIds.size <= 1,
+    };
+}
+
+/**
+ * Sum the column chunk sizes of each column across all files and row groups
+ */
+function summarizeColumnSizes(entries) {
+    const sizes = new Map();
+    let totalCompressed = 0;
+
+    for (const { data } of entries) {
+        for (const rg of data.fileMetaData.row_groups) {
+            for (const col of rg.columns) {
+                const meta = col.meta_data;
+                if (!meta) continue;
+
+                const path = meta.path_in_schema.join('.');
+                let size = sizes.get(path);
+                if (!size) {
+                    size = { path, compressedSize: 0, uncompressedSize: 0 };
+                    sizes.set(path, size);
+                }
+                size.compressedSize += Number(meta.total_compressed_size);
+                size.uncompressedSize += Number(meta.total_uncompressed_size);
+                totalCompressed += Number(meta.total_compressed_size);
+            }
+        }
+    }
+
+    return [...sizes.values()]
+        .map((size) => ({ ...size, share: totalCompressed > 0 ? size.compressedSize / totalCompressed : 0 }))
+        .sort((a, b) => b.compressedSize - a.compressedSize);
+}
+
+/**
+ * Summarize a dataset of parsed Parquet files
+ * @param {Array} entries - [{ path, data }] where path is relative to the dataset root and
+ *                          data is the result of parseParquetFileStreaming
+ * @returns {Object} { numFiles, numRows, totalSize, partitionKeys, partitions, files, schema, columnSizes }
+ */
+export function summarizeDataset(entries) {
+    const schema = summarizeSchemas(entries);
+    const partitionKeys = [];
+    const partitions = new Map();
+
+    const files = entries.map(({ path, data }, i) => {
+        const values = parsePartitionValues(path);
+        values.forEach(({ key }) => {
+            if (!partitionKeys.includes(key)) partitionKeys.push(key);
+        });
+
+        const partitionPath = values.map(({ key, value }) => `${key}=${value}`).join('/');
+        const numRows = Number(data.fileMetaData.num_rows);
+
+        let partition = partitions.get(partitionPath);
+        if (!partition) {
+            partition = { path: partitionPath, values, numFiles: 0, numRows: 0, totalSize: 0 };
+            partitions.set(partitionPath, partition);
+        }
+        partition.numFiles++;
+        partition.numRows += numRows;
+        partition.totalSize += data.fileSize;
+
+        return {
+            path,
+            partition: partitionPath,
+            numRows,
+            numRowGroups: data.fileMetaData.row_groups.length,
+            fileSize: data.fileSize,
+            createdBy: data.fileMetaData.created_by || null,
+            schemaVariant: schema.fileVariants[i],
+        };
+    });
+
+    return {
+        numFiles: files.length,
+        numRows: files.reduce((sum, file) => sum + file.numRows, 0),
+        totalSize: files.reduce((sum, file) => sum + file.fileSize, 0),
+        partitionKeys,
+        partitions: [...partitions.values()].sort((a, b) => a.path.localeCompare(b.path)),
+        files,
+        schema: {
+            variants: schema.variants,
+            columns: schema.columns,
+            consistent: schema.consistent,
+        },
+        columnSizes: summarizeColumnSizes(entries),
+    };
+}
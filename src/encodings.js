@@ -0,0 +1,414 @@
+/**
+ * Parquet Value Encodings
+ * Decodes repetition/definition levels and the value encodings of data and dictionary pages
+ * https://github.com/apache/parquet-format/blob/master/Encodings.md
+ *
+ * Decoded values are returned in their PLAIN byte representation (one Uint8Array per value,
+ * byte arrays without the length prefix) - the same representation as statistics, so they
+ * can be formatted with formatStatValue.
+ */
+
+import { EnumHelpers } from './parquetParser.js';
+
+/**
+ * Sequential reader over a byte array
+ */
+class ByteCursor {
+    constructor(bytes, pos = 0) {
+        this.bytes = bytes;
+        this.pos = pos;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    ensure(length) {
+        if (this.pos + length > this.bytes.length) {
+            throw new Error(`Unexpected end of page data at byte ${this.pos} (needed ${length} more)`);
+        }
+    }
+
+    readBytes(length) {
+        this.ensure(length);
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    readUint32() {
+        this.ensure(4);
+        const value = this.view.getUint32(this.pos, true);
+        this.pos += 4;
+        return value;
+    }
+
+    readVarInt() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            this.ensure(1);
+            byte = this.bytes[this.pos++];
+            result += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    readVarLong() {
+        let result = 0n;
+        let shift = 0n;
+        let byte;
+        do {
+            this.ensure(1);
+            byte = this.bytes[this.pos++];
+            result |= BigInt(byte & 0x7f) << shift;
+            shift += 7n;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    readZigZagVarLong() {
+        const value = this.readVarLong();
+        return (value >> 1n) ^ -(value & 1n);
+    }
+}
+
+/**
+ * Get the bit width needed to store levels up to maxLevel
+ */
+export function getBitWidth(maxLevel) {
+    return maxLevel === 0 ? 0 : 32 - Math.clz32(maxLevel);
+}
+
+/**
+ * Read `count` little-endian bit-packed values (LSB first) as numbers (bitWidth <= 32)
+ */
+function unpackBits(bytes, bitWidth, count, output) {
+    let bitPos = 0;
+    for (let i = 0; i < count; i++) {
+        let value = 0;
+        for (let bit = 0; bit < bitWidth; bit++, bitPos++) {
+            if (bytes[bitPos >>> 3] & (1 << (bitPos & 7))) {
+                value += 2 ** bit;
+            }
+        }
+        output.push(value);
+    }
+}
+
+/**
+ * Read `count` little-endian bit-packed values (LSB first) as BigInts (bitWidth <= 64)
+ */
+function unpackBitsBig(bytes, bitWidth, count, output) {
+    let bitPos = 0;
+    for (let i = 0; i < count; i++) {
+        let value = 0n;
+        for (let bit = 0; bit < bitWidth; bit++, bitPos++) {
+            if (bytes[bitPos >>> 3] & (1 << (bitPos & 7))) {
+                value |= 1n << BigInt(bit);
+            }
+        }
+        output.push(value);
+    }
+}
+
+/**
+ * Decode the RLE / bit-packing hybrid encoding (levels, dictionary indices, RLE booleans)
+ * @param {Uint8Array} bytes - The encoded runs (without a length prefix)
+ * @param {number} bitWidth - Bit width of the values
+ * @param {number} count - Number of values to decode
+ * @returns {Array<number>} The decoded values
+ */
+export function decodeRleBitPackedHybrid(bytes, bitWidth, count) {
+    const values = [];
+    if (bitWidth === 0) {
+        return new Array(count).fill(0);
+    }
+
+    const cursor = new ByteCursor(bytes);
+    const valueBytes = Math.ceil(bitWidth / 8);
+
+    while (values.length < count) {
+        const header = cursor.readVarInt();
+        if (header & 1) {
+            // Bit-packed run: groups of 8 values
+            const numValues = (header >>> 1) * 8;
+            const packed = cursor.readBytes(Math.min((numValues * bitWidth) / 8, bytes.length - cursor.pos));
+            const run = [];
+            unpackBits(packed, bitWidth, numValues, run);
+            values.push(...run.slice(0, count - values.length));
+        } else {
+            // RLE run: one value repeated
+            const runLength = header >>> 1;
+            let value = 0;
+            const encoded = cursor.readBytes(valueBytes);
+            for (let i = 0; i < valueBytes; i++) {
+                value += encoded[i] * 2 ** (8 * i);
+            }
+            for (let i = 0; i < runLength && values.length < count; i++) {
+                values.push(value);
+            }
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Decode levels with the deprecated BIT_PACKED encoding (MSB first, no runs)
+ */
+function decodeBitPackedLevels(bytes, bitWidth, count) {
+    const values = [];
+    let bitPos = 0;
+    for (let i = 0; i < count; i++) {
+        let value = 0;
+        for (let bit = 0; bit < bitWidth; bit++, bitPos++) {
+            const byte = bytes[bitPos >>> 3];
+            value = (value << 1) | ((byte >>> (7 - (bitPos & 7))) & 1);
+        }
+        values.push(value);
+    }
+    return values;
+}
+
+/**
+ * Read the repetition or definition levels of a V1 data page
+ * @param {Uint8Array} bytes - The page data
+ * @param {number} pos - Offset of the levels in the page data
+ * @param {number} encoding - Encoding of the levels (RLE or BIT_PACKED)
+ * @param {number} maxLevel - Max level of the column (0 means no levels are stored)
+ * @param {number} count - Number of levels (num_values of the page)
+ * @returns {{levels: Array<number>|null, pos: number}} The levels and the offset after them
+ */
+export function readLevelsV1(bytes, pos, encoding, maxLevel, count) {
+    if (maxLevel === 0) return { levels: null, pos };
+
+    const bitWidth = getBitWidth(maxLevel);
+    const encodingName = EnumHelpers.getEncodingName(encoding);
+    const cursor = new ByteCursor(bytes, pos);
+
+    if (encodingName === 'BIT_PACKED') {
+        const length = Math.ceil((count * bitWidth) / 8);
+        return { levels: decodeBitPackedLevels(cursor.readBytes(length), bitWidth, count), pos: cursor.pos };
+    }
+    if (encodingName !== 'RLE') {
+        throw new Error(`Unsupported level encoding ${encodingName}`);
+    }
+
+    // RLE levels in V1 pages are prefixed with their byte length
+    const length = cursor.readUint32();
+    return { levels: decodeRleBitPackedHybrid(cursor.readBytes(length), bitWidth, count), pos: cursor.pos };
+}
+
+function getPlainValueSize(physicalType, typeLength) {
+    switch (physicalType) {
+        case 'INT32':
+        case 'FLOAT':
+            return 4;
+        case 'INT64':
+        case 'DOUBLE':
+            return 8;
+        case 'INT96':
+            return 12;
+        case 'FIXED_LEN_BYTE_ARRAY':
+            return typeLength;
+        default:
+            return null;
+    }
+}
+
+function decodePlain(cursor, physicalType, count, typeLength) {
+    const values = [];
+
+    if (physicalType === 'BOOLEAN') {
+        // Booleans are bit-packed, LSB first
+        const packed = cursor.readBytes(Math.ceil(count / 8));
+        for (let i = 0; i < count; i++) {
+            values.push(new Uint8Array([(packed[i >>> 3] >>> (i & 7)) & 1]));
+        }
+        return values;
+    }
+
+    if (physicalType === 'BYTE_ARRAY') {
+        for (let i = 0; i < count; i++) {
+            const length = cursor.readUint32();
+            values.push(cursor.readBytes(length));
+        }
+        return values;
+    }
+
+    const size = getPlainValueSize(physicalType, typeLength);
+    if (!size) {
+        throw new Error(`Cannot decode PLAIN values of type ${physicalType}`);
+    }
+    for (let i = 0; i < count; i++) {
+        values.push(cursor.readBytes(size));
+    }
+    return values;
+}
+
+/**
+ * Decode DELTA_BINARY_PACKED integers
+ * @returns {Array<bigint>} The values (not yet wrapped to the physical type's width)
+ */
+function decodeDeltaBinaryPacked(cursor, maxCount = Infinity) {
+    const blockSize = cursor.readVarInt();
+    const miniblocksPerBlock = cursor.readVarInt();
+    const totalCount = cursor.readVarInt();
+    let value = cursor.readZigZagVarLong();
+
+    const count = Math.min(totalCount, maxCount);
+    const values = [];
+    if (totalCount > 0) values.push(value);
+
+    const valuesPerMiniblock = blockSize / miniblocksPerBlock;
+    if (!Number.isInteger(valuesPerMiniblock) || valuesPerMiniblock % 8 !== 0) {
+        throw new Error('Invalid DELTA_BINARY_PACKED header');
+    }
+
+    // Values must be read to the end (up to totalCount) so the cursor ends up behind the encoded data
+    let remaining = totalCount - 1;
+    while (remaining > 0) {
+        const minDelta = cursor.readZigZagVarLong();
+        const bitWidths = cursor.readBytes(miniblocksPerBlock);
+
+        for (let m = 0; m < miniblocksPerBlock && remaining > 0; m++) {
+            const bitWidth = bitWidths[m];
+            const packed = cursor.readBytes((valuesPerMiniblock * bitWidth) / 8);
+            const deltas = [];
+            unpackBitsBig(packed, bitWidth, valuesPerMiniblock, deltas);
+
+            for (let i = 0; i < valuesPerMiniblock && remaining > 0; i++, remaining--) {
+                value = BigInt.asIntN(64, value + minDelta + deltas[i]);
+                if (values.length < count) values.push(value);
+            }
+        }
+    }
+
+    return values;
+}
+
+function intToPlainBytes(value, physicalType) {
+    const size = physicalType === 'INT32' ? 4 : 8;
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    if (size === 4) {
+        view.setInt32(0, Number(BigInt.asIntN(32, value)), true);
+    } else {
+        view.setBigInt64(0, value, true);
+    }
+    return bytes;
+}
+
+function decodeDeltaLengthByteArray(cursor, count) {
+    const lengths = decodeDeltaBinaryPacked(cursor);
+    const values = [];
+    for (let i = 0; i < lengths.length; i++) {
+        const bytes = cursor.readBytes(Number(lengths[i]));
+        if (i < count) values.push(bytes);
+    }
+    return values;
+}
+
+function decodeDeltaByteArray(cursor, count) {
+    const prefixLengths = decodeDeltaBinaryPacked(cursor);
+    const suffixes = decodeDeltaLengthByteArray(cursor, prefixLengths.length);
+    const values = [];
+    let previous = new Uint8Array(0);
+
+    for (let i = 0; i < Math.min(count, suffixes.length); i++) {
+        const prefixLength = Number(prefixLengths[i]);
+        if (prefixLength > previous.length) {
+            throw new Error('Invalid DELTA_BYTE_ARRAY prefix length');
+        }
+        const value = new Uint8Array(prefixLength + suffixes[i].length);
+        value.set(previous.subarray(0, prefixLength));
+        value.set(suffixes[i], prefixLength);
+        values.push(value);
+        previous = value;
+    }
+    return values;
+}
+
+function decodeByteStreamSplit(cursor, physicalType, count, typeLength) {
+    const size = getPlainValueSize(physicalType, typeLength);
+    if (!size || physicalType === 'INT96') {
+        throw new Error(`BYTE_STREAM_SPLIT is not defined for ${physicalType}`);
+    }
+
+    // The encoded data holds `size` streams, stream k holds byte k of every value
+    const data = cursor.readBytes(cursor.bytes.length - cursor.pos);
+    const numValues = data.length / size;
+    const values = [];
+    for (let i = 0; i < Math.min(count, numValues); i++) {
+        const value = new Uint8Array(size);
+        for (let k = 0; k < size; k++) {
+            value[k] = data[k * numValues + i];
+        }
+        values.push(value);
+    }
+    return values;
+}
+
+/**
+ * Decode the values of a data or dictionary page
+ * @param {Uint8Array} bytes - The (decompressed) encoded values
+ * @param {number} encoding - Encoding of the values (from the page header)
+ * @param {Object} columnMeta - The column chunk's ColumnMetaData (for the physical type)
+ * @param {number} count - Number of non-null values in the page
+ * @param {Object} options - { typeLength, dictionary } - FLBA length, decoded dictionary values
+ * @returns {Array<Uint8Array>} The values in their PLAIN byte representation
+ */
+export function decodeValues(bytes, encoding, columnMeta, count, options = {}) {
+    const { typeLength, dictionary } = options;
+    const physicalType = EnumHelpers.getTypeName(columnMeta.type);
+    const encodingName = EnumHelpers.getEncodingName(encoding);
+    const cursor = new ByteCursor(bytes);
+
+    switch (encodingName) {
+        case 'PLAIN':
+            return decodePlain(cursor, physicalType, count, typeLength);
+
+        case 'PLAIN_DICTIONARY':
+        case 'RLE_DICTIONARY': {
+            if (!dictionary) {
+                throw new Error('The page is dictionary encoded but the column chunk has no dictionary page');
+            }
+            const bitWidth = bytes[0];
+            const indices = decodeRleBitPackedHybrid(bytes.subarray(1), bitWidth, count);
+            return indices.map((index) => {
+                if (index >= dictionary.length) {
+                    throw new Error(`Dictionary index ${index} out of range (${dictionary.length} entries)`);
+                }
+                return dictionary[index];
+            });
+        }
+
+        case 'RLE': {
+            if (physicalType !== 'BOOLEAN') {
+                throw new Error(`RLE encoded values of type ${physicalType} are not supported`);
+            }
+            const length = cursor.readUint32();
+            const bits = decodeRleBitPackedHybrid(cursor.readBytes(length), 1, count);
+            return bits.map((bit) => new Uint8Array([bit]));
+        }
+
+        case 'DELTA_BINARY_PACKED': {
+            if (physicalType !== 'INT32' && physicalType !== 'INT64') {
+                throw new Error(`DELTA_BINARY_PACKED is not defined for ${physicalType}`);
+            }
+            return decodeDeltaBinaryPacked(cursor, count).map((value) => intToPlainBytes(value, physicalType));
+        }
+
+        case 'DELTA_LENGTH_BYTE_ARRAY':
+            return decodeDeltaLengthByteArray(cursor, count);
+
+        case 'DELTA_BYTE_ARRAY':
+            return decodeDeltaByteArray(cursor, count);
+
+        case 'BYTE_STREAM_SPLIT':
+            return decodeByteStreamSplit(cursor, physicalType, count, typeLength);
+
+        default:
+            throw new Error(`Decoding ${encodingName} values is not supported`);
+    }
+}
@@ -0,0 +1,158 @@
+import { describe, expect, test } from 'vitest';
+import { Encoding, Type } from './parquetInit.js';
+import { decodeRleBitPackedHybrid, decodeValues, getBitWidth, readLevelsV1 } from './encodings.js';
+
+const bytes = (...values) => Uint8Array.from(values);
+const text = (value) => new TextEncoder().encode(value);
+const concat = (...parts) => Uint8Array.from(parts.flatMap((part) => [...part]));
+const int32 = (value) => new Uint8Array(Int32Array.of(value).buffer);
+const decode = (data, encoding, type, count, options) =>
+    decodeValues(data, Encoding[encoding], { type: Type[type] }, count, options);
+
+// Block header of DELTA_BINARY_PACKED data: 128 values per block in 4 miniblocks of 32
+const DELTA_HEADER = [0x80, 0x01, 0x04];
+
+describe('getBitWidth', () => {
+    test.each([
+        [0, 0],
+        [1, 1],
+        [2, 2],
+        [3, 2],
+        [7, 3],
+        [8, 4],
+    ])('max level %i needs %i bits', (maxLevel, bitWidth) => {
+        expect(getBitWidth(maxLevel)).toBe(bitWidth);
+    });
+});
+
+describe('decodeRleBitPackedHybrid', () => {
+    test.each([
+        // The bit-packing example from Encodings.md: 0-7 with bit width 3 in one group of 8
+        ['a bit-packed run', bytes(0x03, 0x88, 0xc6, 0xfa), 3, 8, [0, 1, 2, 3, 4, 5, 6, 7]],
+        ['a bit-packed run padded to 8 values', bytes(0x03, 0x88, 0xc6, 0xfa), 3, 5, [0, 1, 2, 3, 4]],
+        ['an RLE run', bytes(0x14, 0x05), 3, 10, Array(10).fill(5)],
+        ['an RLE run with a two byte value', bytes(0x06, 0x2c, 0x01), 9, 3, [300, 300, 300]],
+        ['an RLE run longer than needed', bytes(0x14, 0x05), 3, 2, [5, 5]],
+        ['an RLE run followed by a bit-packed run', bytes(0x04, 0x01, 0x03, 0xaa), 1, 6, [1, 1, 0, 1, 0, 1]],
+        ['bit width 0', bytes(), 0, 4, [0, 0, 0, 0]],
+    ])('%s', (_, data, bitWidth, count, expected) => {
+        expect(decodeRleBitPackedHybrid(data, bitWidth, count)).toEqual(expected);
+    });
+});
+
+describe('readLevelsV1', () => {
+    test('reads length-prefixed RLE levels', () => {
+        const page = bytes(0xff, 0x02, 0x00, 0x00, 0x00, 0x08, 0x01, 0xee);
+        expect(readLevelsV1(page, 1, Encoding.RLE, 1, 4)).toEqual({ levels: [1, 1, 1, 1], pos: 7 });
+    });
+
+    test('reads deprecated BIT_PACKED levels most significant bit first', () => {
+        // The BIT_PACKED example from Encodings.md
+        const page = bytes(0x05, 0x39, 0x77);
+        expect(readLevelsV1(page, 0, Encoding.BIT_PACKED, 7, 8)).toEqual({
+            levels: [0, 1, 2, 3, 4, 5, 6, 7],
+            pos: 3,
+        });
+    });
+
+    test('stores no levels for max level 0', () => {
+        expect(readLevelsV1(bytes(1, 2, 3), 1, Encoding.RLE, 0, 3)).toEqual({ levels: null, pos: 1 });
+    });
+});
+
+describe('decodeValues', () => {
+    test('PLAIN booleans are bit-packed', () => {
+        expect(decode(bytes(0b101), 'PLAIN', 'BOOLEAN', 3)).toEqual([bytes(1), bytes(0), bytes(1)]);
+    });
+
+    test('PLAIN byte arrays are length-prefixed', () => {
+        const data = bytes(2, 0, 0, 0, 0x68, 0x69, 0, 0, 0, 0);
+        expect(decode(data, 'PLAIN', 'BYTE_ARRAY', 2)).toEqual([text('hi'), bytes()]);
+    });
+
+    test('PLAIN fixed-size values', () => {
+        const data = concat(int32(-1), int32(7));
+        expect(decode(data, 'PLAIN', 'INT32', 2)).toEqual([int32(-1), int32(7)]);
+        expect(decode(bytes(1, 2, 3, 4, 5, 6), 'PLAIN', 'FIXED_LEN_BYTE_ARRAY', 2, { typeLength: 3 })).toEqual([
+            bytes(1, 2, 3),
+            bytes(4, 5, 6),
+        ]);
+    });
+
+    test('RLE booleans', () => {
+        expect(decode(bytes(2, 0, 0, 0, 0x06, 0x01), 'RLE', 'BOOLEAN', 3)).toEqual([bytes(1), bytes(1), bytes(1)]);
+    });
+
+    test.each(['RLE_DICTIONARY', 'PLAIN_DICTIONARY'])('%s looks up dictionary indices', (encoding) => {
+        const dictionary = [text('a'), text('b'), text('c')];
+        // Bit width 2, an RLE run of index 2 and a bit-packed run of 1, 0, 2 (padded to 8)
+        const data = bytes(0x02, 0x04, 0x02, 0x03, 0x21, 0x00);
+        const values = decode(data, encoding, 'BYTE_ARRAY', 5, { dictionary });
+        expect(values).toEqual(['c', 'c', 'b', 'a', 'c'].map(text));
+    });
+
+    test('rejects dictionary indices past the end of the dictionary', () => {
+        expect(() => decode(bytes(0x02, 0x02, 0x03), 'RLE_DICTIONARY', 'INT32', 1, { dictionary: [int32(1)] })).toThrow(
+            'Dictionary index 3 out of range (1 entries)',
+        );
+    });
+
+    test('DELTA_BINARY_PACKED with constant deltas (Encodings.md example 1)', () => {
+        // 1, 2, 3, 4, 5: min delta 1, all miniblocks have bit width 0
+        const data = bytes(...DELTA_HEADER, 0x05, 0x02, 0x02, 0, 0, 0, 0);
+        expect(decode(data, 'DELTA_BINARY_PACKED', 'INT32', 5)).toEqual([1, 2, 3, 4, 5].map(int32));
+    });
+
+    test('DELTA_BINARY_PACKED with negative deltas (Encodings.md example 2)', () => {
+        // 7, 5, 3, 1, 2, 3, 4, 5: min delta -2, relative deltas 0, 0, 0, 3, 3, 3, 3 in a padded 2-bit miniblock
+        const data = bytes(...DELTA_HEADER, 0x08, 0x0e, 0x03, 2, 0, 0, 0, 0xc0, 0x3f, 0, 0, 0, 0, 0, 0);
+        expect(decode(data, 'DELTA_BINARY_PACKED', 'INT64', 8)).toEqual(
+            [7n, 5n, 3n, 1n, 2n, 3n, 4n, 5n].map((value) => new Uint8Array(BigInt64Array.of(value).buffer)),
+        );
+    });
+
+    test('DELTA_LENGTH_BYTE_ARRAY', () => {
+        // Lengths 5, 5, 6, 6: deltas 0, 1, 0 in a 1-bit miniblock, then the concatenated values
+        const lengths = bytes(...DELTA_HEADER, 0x04, 0x0a, 0x00, 1, 0, 0, 0, 0x02, 0, 0, 0);
+        const data = concat(lengths, text('HelloWorldFoobarABCDEF'));
+        expect(decode(data, 'DELTA_LENGTH_BYTE_ARRAY', 'BYTE_ARRAY', 4)).toEqual(
+            ['Hello', 'World', 'Foobar', 'ABCDEF'].map(text),
+        );
+    });
+
+    test('DELTA_BYTE_ARRAY shares prefixes with the previous value', () => {
+        // Prefix lengths 0, 2, 0, 3 and suffixes axis, le, babble, yhood (lengths 4, 2, 6, 5)
+        const prefixLengths = bytes(...DELTA_HEADER, 0x04, 0x00, 0x03, 3, 0, 0, 0, 0x44, 0x01, ...Array(10).fill(0));
+        const suffixLengths = bytes(...DELTA_HEADER, 0x04, 0x08, 0x03, 3, 0, 0, 0, 0x70, ...Array(11).fill(0));
+        const data = concat(prefixLengths, suffixLengths, text('axislebabbleyhood'));
+        expect(decode(data, 'DELTA_BYTE_ARRAY', 'BYTE_ARRAY', 4)).toEqual(
+            ['axis', 'axle', 'babble', 'babyhood'].map(text),
+        );
+    });
+
+    test('BYTE_STREAM_SPLIT interleaves the bytes of the values', () => {
+        // 1.5 (00 00 c0 3f) and -2 (00 00 00 c0)
+        const data = bytes(0x00, 0x00, 0x00, 0x00, 0xc0, 0x00, 0x3f, 0xc0);
+        expect(decode(data, 'BYTE_STREAM_SPLIT', 'FLOAT', 2)).toEqual([
+            bytes(0x00, 0x00, 0xc0, 0x3f),
+            bytes(0x00, 0x00, 0x00, 0xc0),
+        ]);
+    });
+
+    test('BYTE_STREAM_SPLIT of fixed-length byte arrays', () => {
+        const data = bytes(1, 4, 2, 5, 3, 6);
+        expect(decode(data, 'BYTE_STREAM_SPLIT', 'FIXED_LEN_BYTE_ARRAY', 2, { typeLength: 3 })).toEqual([
+            bytes(1, 2, 3),
+            bytes(4, 5, 6),
+        ]);
+    });
+
+    test.each([
+        ['truncated PLAIN values', bytes(1, 2, 3), 'PLAIN', 'INT32', /Unexpected end of page data at byte 0/],
+        ['DELTA_BINARY_PACKED doubles', bytes(), 'DELTA_BINARY_PACKED', 'DOUBLE', /not defined for DOUBLE/],
+        ['BYTE_STREAM_SPLIT INT96 values', bytes(), 'BYTE_STREAM_SPLIT', 'INT96', /not defined for INT96/],
+        ['RLE integers', bytes(), 'RLE', 'INT32', /RLE encoded values of type INT32 are not supported/],
+    ])('rejects %s', (_, data, encoding, type, error) => {
+        expect(() => decode(data, encoding, type, 1)).toThrow(error);
+    });
+});
@@ -0,0 +1,353 @@
+/**
+ * Parquet Modular Encryption
+ * Decrypts the modules of encrypted Parquet files (footer, column metadata, page indexes,
+ * page headers and pages) with user-provided AES keys, using WebCrypto AES-GCM and AES-CTR.
+ *
+ * Keys are never resolved from key_metadata: it is shown to the user, who looks the key up in
+ * their key management system. An encrypted module is laid out as
+ *   length (4 bytes LE) | nonce (12 bytes) | ciphertext | tag (16 bytes, GCM only)
+ * and authenticated with an AAD made of the file AAD plus the module's type and ordinals.
+ */
+
+import { PageHeader, TCompactProtocolReader } from './parquetInit.js';
+import { decodePrintableText } from './textDecoding.js';
+
+// Magic bytes of files with an encrypted footer
+export const ENCRYPTED_FOOTER_MAGIC = new Uint8Array([0x50, 0x41, 0x52, 0x45]); // "PARE"
+
+/**
+ * Module types, part of each module's AAD
+ */
+export const ModuleType = {
+    FOOTER: 0,
+    COLUMN_META_DATA: 1,
+    DATA_PAGE: 2,
+    DICTIONARY_PAGE: 3,
+    DATA_PAGE_HEADER: 4,
+    DICTIONARY_PAGE_HEADER: 5,
+    COLUMN_INDEX: 6,
+    OFFSET_INDEX: 7,
+    BLOOM_FILTER_HEADER: 8,
+    BLOOM_FILTER_BITSET: 9,
+};
+
+const LENGTH_PREFIX_SIZE = 4;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+// Size of the footer signature appended to plaintext footers (nonce and GCM tag)
+export const FOOTER_SIGNATURE_SIZE = NONCE_SIZE + TAG_SIZE;
+
+const KEY_SIZES = new Set([16, 24, 32]);
+
+/**
+ * Error thrown when a key is needed (or the given key is wrong)
+ * `encryption` describes the file's encryption so the user can be asked for the right key.
+ */
+export class EncryptionKeyError extends Error {
+    constructor(message, encryption) {
+        super(message);
+        this.name = 'EncryptionKeyError';
+        this.encryption = encryption;
+    }
+}
+
+/**
+ * Parse a user-entered AES key: hex (32, 48 or 64 digits) or base64 (16, 24 or 32 bytes)
+ * @param {string} text - The key as entered
+ * @returns {Uint8Array} The raw key bytes
+ * @throws {Error} If the text is not a valid AES-128/192/256 key
+ */
+export function parseKey(text) {
+    const input = text.trim();
+    let bytes = null;
+
+    if (/^(0x)?[0-9a-fA-F]+$/.test(input) && input.replace(/^0x/, '').length % 2 === 0) {
+        const hex = input.replace(/^0x/, '');
+        bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+        }
+    }
+    if (!bytes || !KEY_SIZES.has(bytes.length)) {
+        try {
+            const binary = atob(input);
+            bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        } catch {
+            bytes = null;
+        }
+    }
+    if (!bytes || !KEY_SIZES.has(bytes.length)) {
+        throw new Error('Invalid key: expected a 128, 192 or 256 bit AES key as hex or base64');
+    }
+    return bytes;
+}
+
+/**
+ * Parse the keys passed to the parser
+ * @param {Object} decryption - { footerKey, columnKeys: { [dotted column path]: key }, aadPrefix } as entered
+ * @param {Object} encryption - The file's encryption summary, attached to errors
+ * @returns {Object} Keys for createDecryptor
+ * @throws {EncryptionKeyError} If a key is not valid
+ */
+export function parseDecryptionKeys({ footerKey, columnKeys = {}, aadPrefix } = {}, encryption) {
+    const parse = (text, label) => {
+        try {
+            return parseKey(text);
+        } catch (err) {
+            throw new EncryptionKeyError(`${label}: ${err.message}`, encryption);
+        }
+    };
+    return {
+        footerKey: footerKey ? parse(footerKey, 'Footer key') : null,
+        columnKeys: new Map(
+            Object.entries(columnKeys)
+                .filter(([, key]) => key)
+                .map(([path, key]) => [path, parse(key, `Key of column ${path}`)]),
+        ),
+        aadPrefix: aadPrefix ? new TextEncoder().encode(aadPrefix) : null,
+    };
+}
+
+/**
+ * Get the name and parameters of an EncryptionAlgorithm union
+ * @returns {{name: string, params: Object}} name is 'AES_GCM_V1' or 'AES_GCM_CTR_V1'
+ */
+export function getAlgorithm(encryptionAlgorithm) {
+    if (encryptionAlgorithm?.AES_GCM_V1) {
+        return { name: 'AES_GCM_V1', params: encryptionAlgorithm.AES_GCM_V1 };
+    }
+    if (encryptionAlgorithm?.AES_GCM_CTR_V1) {
+        return { name: 'AES_GCM_CTR_V1', params: encryptionAlgorithm.AES_GCM_CTR_V1 };
+    }
+    throw new Error('Unsupported encryption algorithm');
+}
+
+/**
+ * Describe how a column chunk is encrypted
+ * @param {Object} columnChunk - The ColumnChunk
+ * @returns {Object|null} { keyType ('footer' | 'column'), path, keyMetadata } or null if not encrypted
+ */
+export function getColumnEncryption(columnChunk) {
+    const crypto = columnChunk.crypto_metadata;
+    if (!crypto) return null;
+    if (crypto.ENCRYPTION_WITH_COLUMN_KEY) {
+        const { path_in_schema, key_metadata } = crypto.ENCRYPTION_WITH_COLUMN_KEY;
+        return { keyType: 'column', path: path_in_schema.join('.'), keyMetadata: key_metadata ?? null };
+    }
+    return { keyType: 'footer', path: columnChunk.meta_data?.path_in_schema.join('.') ?? null, keyMetadata: null };
+}
+
+/**
+ * Format key metadata for display: as text if it is printable UTF-8, as hex otherwise
+ */
+export function formatKeyMetadata(keyMetadata) {
+    if (!keyMetadata || keyMetadata.length === 0) return null;
+    const text = decodePrintableText(keyMetadata);
+    if (text !== null) return text;
+    return Array.from(keyMetadata, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the AAD of a module
+ * The footer only appends the module type; other modules add the row group and column ordinals
+ * and data pages (and their headers) the page ordinal, each as 2-byte little-endian integers.
+ */
+function buildModuleAad(fileAad, moduleType, rowGroup, column, page) {
+    const hasOrdinals = moduleType !== ModuleType.FOOTER;
+    const hasPage = moduleType === ModuleType.DATA_PAGE || moduleType === ModuleType.DATA_PAGE_HEADER;
+    const aad = new Uint8Array(fileAad.length + 1 + (hasOrdinals ? 4 : 0) + (hasPage ? 2 : 0));
+    const view = new DataView(aad.buffer);
+    aad.set(fileAad);
+    aad[fileAad.length] = moduleType;
+    if (hasOrdinals) {
+        view.setInt16(fileAad.length + 1, rowGroup, true);
+        view.setInt16(fileAad.length + 3, column, true);
+    }
+    if (hasPage) {
+        view.setInt16(fileAad.length + 5, page, true);
+    }
+    return aad;
+}
+
+/**
+ * Get the total size of an encrypted module (including its length prefix)
+ */
+export function getModuleSize(bytes) {
+    return LENGTH_PREFIX_SIZE + new DataView(bytes.buffer, bytes.byteOffset, LENGTH_PREFIX_SIZE).getUint32(0, true);
+}
+
+function getSubtleCrypto() {
+    if (!globalThis.crypto?.subtle) {
+        throw new Error('Decryption needs the Web Crypto API, which is only available on https:// and localhost');
+    }
+    return globalThis.crypto.subtle;
+}
+
+/**
+ * Create a decryptor for a file
+ * @param {Object} encryptionAlgorithm - The file's EncryptionAlgorithm
+ * @param {Object} keys
+ * @param {Uint8Array} keys.footerKey - Footer key (null if not known)
+ * @param {Map<string, Uint8Array>} keys.columnKeys - Column keys by dotted column path
+ * @param {Uint8Array} keys.aadPrefix - AAD prefix, if the writer didn't store it in the file
+ * @returns {Object} The decryptor
+ */
+export function createDecryptor(encryptionAlgorithm, keys) {
+    const { columnKeys = new Map(), aadPrefix = null } = keys;
+    let footerKey = keys.footerKey ?? null;
+    const { name, params } = getAlgorithm(encryptionAlgorithm);
+    const prefix = params.aad_prefix ?? aadPrefix;
+    const missingAadPrefix = params.supply_aad_prefix && !aadPrefix;
+    const fileAad = new Uint8Array([...(prefix || []), ...(params.aad_file_unique || [])]);
+
+    // WebCrypto keys are bound to one algorithm, so GCM and CTR keys are imported separately
+    const importedKeys = new Map();
+    const importKey = (rawKey, algorithm) => {
+        const cacheKey = `${algorithm}:${Array.from(rawKey).join(',')}`;
+        if (!importedKeys.has(cacheKey)) {
+            importedKeys.set(cacheKey, getSubtleCrypto().importKey('raw', rawKey, algorithm, false, ['encrypt', 'decrypt']));
+        }
+        return importedKeys.get(cacheKey);
+    };
+
+    /**
+     * Decrypt a module (length prefix included) with a raw key
+     * Page data uses AES-CTR with AES_GCM_CTR_V1, everything else AES-GCM.
+     */
+    const decryptModule = async (rawKey, bytes, moduleType, rowGroup, column, page) => {
+        const moduleSize = getModuleSize(bytes);
+        if (moduleSize > bytes.length) {
+            throw new Error(`Encrypted module is truncated (${bytes.length} of ${moduleSize} bytes)`);
+        }
+        const nonce = bytes.subarray(LENGTH_PREFIX_SIZE, LENGTH_PREFIX_SIZE + NONCE_SIZE);
+        const ciphertext = bytes.subarray(LENGTH_PREFIX_SIZE + NONCE_SIZE, moduleSize);
+        const isPage = moduleType === ModuleType.DATA_PAGE || moduleType === ModuleType.DICTIONARY_PAGE;
+
+        if (name === 'AES_GCM_CTR_V1' && isPage) {
+            // The 16-byte counter block is the nonce followed by a 32-bit big-endian counter starting at 1
+            const counter = new Uint8Array(16);
+            counter.set(nonce);
+            counter[15] = 1;
+            const key = await importKey(rawKey, 'AES-CTR');
+            return new Uint8Array(await getSubtleCrypto().decrypt({ name: 'AES-CTR', counter, length: 32 }, key, ciphertext));
+        }
+
+        const key = await importKey(rawKey, 'AES-GCM');
+        const additionalData = buildModuleAad(fileAad, moduleType, rowGroup, column, page);
+        return new Uint8Array(
+            await getSubtleCrypto().decrypt({ name: 'AES-GCM', iv: nonce, additionalData, tagLength: 128 }, key, ciphertext),
+        );
+    };
+
+    return {
+        algorithm: name,
+        missingAadPrefix,
+
+        get hasFooterKey() {
+            return footerKey !== null;
+        },
+
+        /**
+         * Decrypt the encrypted footer (the FileMetaData module after the FileCryptoMetaData)
+         */
+        decryptFooter(bytes) {
+            return decryptModule(footerKey, bytes, ModuleType.FOOTER);
+        },
+
+        /**
+         * Verify the signature of a plaintext footer: the GCM tag of the footer encrypted with the footer key
+         * @param {Uint8Array} footer - The serialized FileMetaData
+         * @param {Uint8Array} signature - The nonce and tag following it
+         * @returns {Promise<boolean>} Whether the signature matches
+         */
+        async verifyFooterSignature(footer, signature) {
+            const key = await importKey(footerKey, 'AES-GCM');
+            const encrypted = new Uint8Array(
+                await getSubtleCrypto().encrypt(
+                    {
+                        name: 'AES-GCM',
+                        iv: signature.subarray(0, NONCE_SIZE),
+                        additionalData: buildModuleAad(fileAad, ModuleType.FOOTER),
+                        tagLength: 128,
+                    },
+                    key,
+                    footer,
+                ),
+            );
+            const tag = encrypted.subarray(encrypted.length - TAG_SIZE);
+            return tag.every((byte, i) => byte === signature[NONCE_SIZE + i]);
+        },
+
+        /**
+         * Drop a key that turned out to be wrong, so the columns using it are treated as locked
+         * @param {Object} encryption - The column encryption the key was used for (see getColumnEncryption)
+         */
+        rejectKey({ keyType, path }) {
+            if (keyType === 'footer') {
+                footerKey = null;
+            } else {
+                columnKeys.delete(path);
+            }
+        },
+
+        /**
+         * Get the decryptor of a column chunk's modules
+         * @param {Object} columnChunk - The ColumnChunk
+         * @param {number} rowGroup - Row group ordinal
+         * @param {number} column - Column ordinal within the row group
+         * @returns {Object|null} { keyType, path, canDecrypt, decrypt(bytes, moduleType, page), decryptPageHeader(bytes, page) }
+         *          or null if the column chunk is not encrypted
+         */
+        forColumn(columnChunk, rowGroup, column) {
+            const encryption = getColumnEncryption(columnChunk);
+            if (!encryption) return null;
+            const rawKey = encryption.keyType === 'footer' ? footerKey : columnKeys.get(encryption.path) || null;
+            const canDecrypt = rawKey !== null && !missingAadPrefix;
+
+            const decrypt = (bytes, moduleType, page = 0) => {
+                if (!canDecrypt) {
+                    throw new EncryptionKeyError(`Column ${encryption.path} is encrypted and its key is not available`, {
+                        ...encryption,
+                    });
+                }
+                return decryptModule(rawKey, bytes, moduleType, rowGroup, column, page);
+            };
+
+            return {
+                ...encryption,
+                canDecrypt,
+                decrypt,
+
+                /**
+                 * Decrypt and decode a page header module
+                 * A dictionary page header can only come before the first data page, so at data page
+                 * ordinal 0 both AADs are tried (the GCM tag only matches the right one).
+                 * @param {Uint8Array} bytes - The header module
+                 * @param {number} page - Ordinal of the next data page
+                 * @returns {Promise<Object>} The PageHeader
+                 */
+                async decryptPageHeader(bytes, page) {
+                    let plaintext;
+                    try {
+                        plaintext = await decrypt(bytes, ModuleType.DATA_PAGE_HEADER, page);
+                    } catch (err) {
+                        if (page !== 0 || err.name !== 'OperationError') throw err;
+                        plaintext = await decrypt(bytes, ModuleType.DICTIONARY_PAGE_HEADER);
+                    }
+                    const header = new PageHeader();
+                    header[Symbol.for('read')](new TCompactProtocolReader(plaintext));
+                    return header;
+                },
+
+                /**
+                 * Decrypt the data of a page, given its decoded header
+                 */
+                decryptPage(bytes, header, page) {
+                    return header.dictionary_page_header
+                        ? decrypt(bytes, ModuleType.DICTIONARY_PAGE)
+                        : decrypt(bytes, ModuleType.DATA_PAGE, page);
+                },
+            };
+        },
+    };
+}
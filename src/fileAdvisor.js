@@ -0,0 +1,251 @@
+/**
+ * Parquet Storage Advisor
+ * Runs rules over the parsed metadata and reports layout choices that make a file
+ * larger or slower to query than it needs to be.
+ */
+
+import { Type, Encoding } from './parquetInit.js';
+import { EnumHelpers, getPageLocations, isDataPageHeader, formatBytes, formatNumber } from './parquetParser.js';
+import { getSchemaIndex } from './schemaTree.js';
+
+const MB = 1024 * 1024;
+
+// Row groups below this size (except the last one) carry too much per-group overhead
+const SMALL_ROW_GROUP_BYTES = 16 * MB;
+// A single row group above this size can't be split up between readers or skipped in part
+const HUGE_SINGLE_ROW_GROUP_BYTES = 1024 * MB;
+// Column chunks below this size are too small for codec findings to matter
+const MIN_CHUNK_BYTES = 1 * MB;
+// Compression saving less than this (uncompressed / compressed) costs CPU for little gain
+const MIN_USEFUL_COMPRESSION_RATIO = 1.1;
+// Pages above this size (compressed) defeat page-level skipping and need a lot of memory to decode
+const OVERSIZED_PAGE_BYTES = 8 * MB;
+
+const DICTIONARY_ENCODINGS = new Set([Encoding.PLAIN_DICTIONARY, Encoding.RLE_DICTIONARY]);
+
+/**
+ * Get the encodings of the data pages of a column chunk
+ * Uses encoding_stats if the writer stored them and falls back to the decoded page headers.
+ */
+function getDataPageEncodings(meta, pageIndex) {
+    if (meta.encoding_stats?.length > 0) {
+        return meta.encoding_stats
+            .filter((stat) => EnumHelpers.getPageTypeName(stat.page_type).startsWith('DATA_PAGE') && stat.count > 0)
+            .map((stat) => stat.encoding);
+    }
+    return (pageIndex?.pageHeaders || [])
+        .filter((entry) => isDataPageHeader(entry.header))
+        .map((entry) => (entry.header.data_page_header || entry.header.data_page_header_v2).encoding);
+}
+
+function hasMinMax(statistics) {
+    return (
+        statistics != null &&
+        ((statistics.min_value != null && statistics.max_value != null) ||
+            (statistics.min != null && statistics.max != null))
+    );
+}
+
+/**
+ * Collect per-column findings over all row groups so a column is reported once, pointing at
+ * the first row group it occurs in
+ */
+function createColumnFindingCollector() {
+    const findings = new Map();
+    return {
+        add(rule, rowGroup, columnIndex, path, build) {
+            const key = `${rule}:${path}`;
+            const existing = findings.get(key);
+            if (existing) {
+                existing.rowGroups.push(rowGroup);
+                return;
+            }
+            findings.set(key, { rule, rowGroup, columnIndex, column: path, rowGroups: [rowGroup], ...build() });
+        },
+        values() {
+            return [...findings.values()];
+        },
+    };
+}
+
+/**
+ * Analyze a parsed file
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Array} Findings sorted by severity: { rule, severity ('warning' | 'info'), title, message,
+ *          rowGroup, columnIndex, column, rowGroups } where rowGroup/columnIndex locate the first
+ *          offending row group and column chunk (null for file-level findings)
+ */
+export function analyzeFile(data) {
+    const { fileMetaData, pageIndexes } = data;
+    const rowGroups = fileMetaData.row_groups;
+    const findings = [];
+    const columnFindings = createColumnFindingCollector();
+
+    const rowGroupSizes = rowGroups.map((rg) =>
+        rg.total_compressed_size != null
+            ? Number(rg.total_compressed_size)
+            : rg.columns.reduce((sum, col) => sum + Number(col.meta_data?.total_compressed_size || 0), 0),
+    );
+
+    // Tiny row groups: the last one is naturally smaller, so it's not counted
+    const smallRowGroups = rowGroupSizes
+        .slice(0, -1)
+        .map((size, idx) => ({ size, idx }))
+        .filter(({ size }) => size < SMALL_ROW_GROUP_BYTES);
+    if (smallRowGroups.length > 0) {
+        const averageSize = smallRowGroups.reduce((sum, { size }) => sum + size, 0) / smallRowGroups.length;
+        const countedRowGroups = rowGroups.length - 1;
+        const smallShare =
+            countedRowGroups === 1
+                ? `The first of ${formatNumber(rowGroups.length)} row groups is`
+                : `${formatNumber(smallRowGroups.length)} of the first ${formatNumber(countedRowGroups)} row groups ` +
+                  (smallRowGroups.length === 1 ? 'is' : 'are');
+        findings.push({
+            rule: 'small-row-groups',
+            severity: 'warning',
+            title: 'Small row groups',
+            message:
+                `${smallShare} smaller than ${formatBytes(SMALL_ROW_GROUP_BYTES)} ` +
+                `(${formatBytes(averageSize)}${smallRowGroups.length > 1 ? ' on average' : ''}). ` +
+                'The last row group is not counted, it holds the rows left over. ' +
+                'Each row group adds metadata and read requests; writing larger row groups usually compresses better and reads faster.',
+            rowGroup: smallRowGroups[0].idx,
+            columnIndex: null,
+            column: null,
+            rowGroups: smallRowGroups.map(({ idx }) => idx),
+        });
+    }
+
+    // One huge row group
+    if (rowGroups.length === 1 && rowGroupSizes[0] > HUGE_SINGLE_ROW_GROUP_BYTES) {
+        findings.push({
+            rule: 'single-huge-row-group',
+            severity: 'warning',
+            title: 'Single large row group',
+            message:
+                `The whole file (${formatBytes(rowGroupSizes[0])}) is one row group. ` +
+                'Readers can neither process it in parallel nor skip parts of it using row group statistics.',
+            rowGroup: 0,
+            columnIndex: null,
+            column: null,
+            rowGroups: [0],
+        });
+    }
+
+    // Missing page index
+    const hasPageIndex = rowGroups.some((rg) =>
+        rg.columns.some((col) => col.column_index_offset != null || col.offset_index_offset != null),
+    );
+    if (rowGroups.length > 0 && !hasPageIndex) {
+        findings.push({
+            rule: 'missing-page-index',
+            severity: 'info',
+            title: 'No page index',
+            message:
+                'The file has no ColumnIndex/OffsetIndex, so readers cannot skip individual pages using min/max values ' +
+                'and have to read all page headers of a column chunk to locate its pages.',
+            rowGroup: null,
+            columnIndex: null,
+            column: null,
+            rowGroups: [],
+        });
+    }
+
+    // INT96 timestamps
+    for (const leaf of getSchemaIndex(fileMetaData.schema).columns) {
+        if (leaf.element.type !== Type.INT96) continue;
+        const path = leaf.path.join('.');
+        const columnIndex = rowGroups[0]?.columns.findIndex((col) => col.meta_data?.path_in_schema.join('.') === path);
+        findings.push({
+            rule: 'int96-timestamp',
+            severity: 'warning',
+            title: 'INT96 timestamp',
+            message:
+                `"${path}" stores timestamps as the deprecated INT96 type. Use INT64 with the TIMESTAMP ` +
+                'logical type instead: it is smaller and has a defined sort order, so its statistics are usable.',
+            rowGroup: rowGroups.length > 0 ? 0 : null,
+            columnIndex: columnIndex >= 0 ? columnIndex : null,
+            column: path,
+            rowGroups: rowGroups.map((rg, idx) => idx),
+        });
+    }
+
+    // Per column chunk rules
+    rowGroups.forEach((rg, rgIdx) => {
+        rg.columns.forEach((column, colIdx) => {
+            const meta = column.meta_data;
+            if (!meta) return;
+            const path = meta.path_in_schema.join('.');
+            const pageIndex = pageIndexes?.[rgIdx]?.[colIdx];
+            const compressedSize = Number(meta.total_compressed_size);
+            const uncompressedSize = Number(meta.total_uncompressed_size);
+            const codec = EnumHelpers.getCompressionName(meta.codec);
+
+            // Dictionary fallback: some data pages are dictionary encoded, later ones are not
+            const encodings = getDataPageEncodings(meta, pageIndex);
+            const dictionaryPages = encodings.filter((encoding) => DICTIONARY_ENCODINGS.has(encoding));
+            if (dictionaryPages.length > 0 && dictionaryPages.length < encodings.length) {
+                const fallbackEncoding = encodings.find((encoding) => !DICTIONARY_ENCODINGS.has(encoding));
+                columnFindings.add('dictionary-fallback', rgIdx, colIdx, path, () => ({
+                    severity: 'warning',
+                    title: 'Dictionary fallback',
+                    message:
+                        `The dictionary of "${path}" outgrew the writer's limit and later pages fell back to ` +
+                        `${EnumHelpers.getEncodingName(fallbackEncoding)}. Raise the dictionary page size limit or ` +
+                        'disable dictionary encoding for this high-cardinality column.',
+                }));
+            }
+
+            if (compressedSize >= MIN_CHUNK_BYTES && codec === 'UNCOMPRESSED') {
+                columnFindings.add('uncompressed', rgIdx, colIdx, path, () => ({
+                    severity: 'warning',
+                    title: 'Uncompressed column',
+                    message: `"${path}" is stored without compression. A codec such as ZSTD or SNAPPY usually reduces its size considerably.`,
+                }));
+            } else if (
+                compressedSize >= MIN_CHUNK_BYTES &&
+                uncompressedSize / compressedSize < MIN_USEFUL_COMPRESSION_RATIO
+            ) {
+                const saving = 1 - compressedSize / uncompressedSize;
+                columnFindings.add('ineffective-compression', rgIdx, colIdx, path, () => ({
+                    severity: 'info',
+                    title: 'Ineffective compression',
+                    message:
+                        (saving > 0
+                            ? `${codec} shrinks "${path}" by only ${(saving * 100).toFixed(1)}%. `
+                            : `${codec} does not shrink "${path}" at all. `) +
+                        'The data may be random or already compressed; storing it UNCOMPRESSED saves decompression time.',
+                }));
+            }
+
+            // Statistics are pointless if all values are null
+            const allNull = meta.statistics?.null_count != null && Number(meta.statistics.null_count) === Number(meta.num_values);
+            if (!hasMinMax(meta.statistics) && !allNull) {
+                columnFindings.add('missing-statistics', rgIdx, colIdx, path, () => ({
+                    severity: 'info',
+                    title: 'Missing statistics',
+                    message: `"${path}" has no min/max statistics, so readers cannot skip row groups when filtering on it.`,
+                }));
+            }
+
+            const largestPage = getPageLocations(pageIndex).reduce(
+                (max, page) => Math.max(max, Number(page.compressed_page_size)),
+                0,
+            );
+            if (largestPage > OVERSIZED_PAGE_BYTES) {
+                columnFindings.add('oversized-pages', rgIdx, colIdx, path, () => ({
+                    severity: 'info',
+                    title: 'Oversized pages',
+                    message:
+                        `"${path}" has pages of up to ${formatBytes(largestPage)}. Pages around 1 MB allow finer-grained ` +
+                        'skipping with the page index and need less memory to decode.',
+                }));
+            }
+        });
+    });
+
+    const severityOrder = { warning: 0, info: 1 };
+    return [...findings, ...columnFindings.values()].sort(
+        (a, b) => severityOrder[a.severity] - severityOrder[b.severity],
+    );
+}
@@ -0,0 +1,39 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, test } from 'vitest';
+import { createBufferSource } from './byteSource.js';
+import { analyzeFile } from './fileAdvisor.js';
+import { parseParquetFileStreaming } from './parquetParser.js';
+
+const MB = 1024 * 1024;
+
+// A file without columns whose row groups have the given compressed sizes
+const withRowGroups = (sizes) => ({
+    fileMetaData: {
+        schema: [{ name: 'schema', num_children: 0 }],
+        row_groups: sizes.map((size) => ({ total_compressed_size: size, num_rows: 1, columns: [] })),
+    },
+    pageIndexes: sizes.map(() => []),
+});
+
+const findSmallRowGroups = (data) => analyzeFile(data).find((finding) => finding.rule === 'small-row-groups');
+
+describe('small row groups', () => {
+    test('are counted among the row groups before the last one', () => {
+        const finding = findSmallRowGroups(withRowGroups([64 * MB, 2 * MB, 4 * MB, 1 * MB]));
+        expect(finding.rowGroups).toEqual([1, 2]);
+        expect(finding.message).toMatch(/^2 of the first 3 row groups are smaller than 16 MB \(3 MB on average\)\./);
+    });
+
+    test('are reported in the example file, which has two row groups', async () => {
+        const file = readFileSync(new URL('../public/example_file.parquet', import.meta.url));
+        const data = await parseParquetFileStreaming(createBufferSource(file, 'example_file.parquet'));
+        const finding = findSmallRowGroups(data);
+        expect(finding.rowGroups).toEqual([0]);
+        expect(finding.message).toMatch(/^The first of 2 row groups is smaller than 16 MB \([\d.]+ KB\)\./);
+    });
+
+    test('ignore a small last row group', () => {
+        expect(findSmallRowGroups(withRowGroups([64 * MB, 1 * MB]))).toBeUndefined();
+        expect(findSmallRowGroups(withRowGroups([1 * MB]))).toBeUndefined();
+    });
+});
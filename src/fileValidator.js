@@ -0,0 +1,555 @@
+/**
+ * Parquet Structure Validator
+ * Cross-checks the footer against itself, the file size and the page indexes and page headers
+ * read by the parser, to find corrupted or truncated files and writer bugs that readers would
+ * otherwise trip over (the parser trusts every offset it reads).
+ */
+
+import {
+    EnumHelpers,
+    getColumnChunkRange,
+    getUnknownFields,
+    isDataPageHeader,
+    formatBytes,
+    formatNumber,
+} from './parquetParser.js';
+import { getSchemaIndex } from './schemaTree.js';
+
+// Size of the "PAR1"/"PARE" magic at the start of the file
+const MAGIC_SIZE = 4;
+
+// Titles of the checks, by id
+const CHECK_TITLES = {
+    'unreadable-structure': 'Unreadable structure',
+    'file-row-count': 'File row count',
+    'column-count': 'Column count',
+    'column-schema': 'Column metadata vs schema',
+    'missing-column-metadata': 'Missing column metadata',
+    'external-column-chunk': 'Column chunk in another file',
+    'out-of-bounds': 'Offset out of bounds',
+    overlap: 'Overlapping byte ranges',
+    'row-group-byte-size': 'Row group byte size',
+    'row-group-file-offset': 'Row group file offset',
+    'row-group-ordinal': 'Row group ordinal',
+    'column-value-count': 'Column value count',
+    'dictionary-page-offset': 'Dictionary page offset',
+    'offset-index-rows': 'OffsetIndex row coverage',
+    'offset-index-pages': 'OffsetIndex page locations',
+    'column-index-lengths': 'ColumnIndex list lengths',
+    'page-headers': 'Page headers vs column metadata',
+    'unknown-field': 'Unknown field',
+};
+
+// Where unknown fields were found, for messages
+const STRUCTURE_NAMES = {
+    footer: 'footer',
+    columnIndex: 'ColumnIndex',
+    offsetIndex: 'OffsetIndex',
+    pageHeader: 'page headers',
+    bloomFilter: 'bloom filter header',
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Format a byte range for messages
+ */
+function formatRange(start, end) {
+    return `${formatNumber(start)}-${formatNumber(end)}`;
+}
+
+/**
+ * Validate a parsed file
+ * Checks that need page indexes or page headers are skipped for column chunks the parser didn't
+ * read them for (remote files, encrypted columns without a key).
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Object} { issues, counts: { error, warning, info }, checkedChunks } where issues are
+ *          sorted by severity: { check, severity ('error' | 'warning' | 'info'), title, message,
+ *          rowGroup, columnIndex, column } (rowGroup/columnIndex null for file-level issues)
+ */
+export function validateFile(data) {
+    const { fileSize, footerStart, fileMetaData, pageIndexes } = data;
+    const rowGroups = fileMetaData.row_groups;
+    const { columns: leaves } = getSchemaIndex(fileMetaData.schema);
+    const issues = [];
+    let checkedChunks = 0;
+
+    const report = (check, severity, message, rowGroup = null, columnIndex = null, column = null) => {
+        issues.push({ check, severity, title: CHECK_TITLES[check], message, rowGroup, columnIndex, column });
+    };
+
+    // Byte ranges of all structures, checked for bounds and overlaps at the end
+    const regions = [];
+    const addRegion = (label, start, end, rowGroup = null, columnIndex = null, column = null) => {
+        regions.push({ label, start, end, rowGroup, columnIndex, column });
+    };
+
+    // File-level row count
+    const rowGroupRows = rowGroups.reduce((sum, rg) => sum + Number(rg.num_rows), 0);
+    if (Number(fileMetaData.num_rows) !== rowGroupRows) {
+        report(
+            'file-row-count',
+            'error',
+            `FileMetaData.num_rows is ${formatNumber(Number(fileMetaData.num_rows))}, but the row groups ` +
+                `add up to ${formatNumber(rowGroupRows)} rows.`,
+        );
+    }
+
+    rowGroups.forEach((rg, rgIdx) => {
+        const numRows = Number(rg.num_rows);
+
+        if (rg.columns.length !== leaves.length) {
+            report(
+                'column-count',
+                'error',
+                `Row group ${rgIdx} has ${formatNumber(rg.columns.length)} column chunks, the schema has ` +
+                    `${formatNumber(leaves.length)} leaf columns.`,
+                rgIdx,
+            );
+        }
+        if (rg.ordinal != null && rg.ordinal !== rgIdx) {
+            report('row-group-ordinal', 'warning', `Row group ${rgIdx} has ordinal ${rg.ordinal}.`, rgIdx);
+        }
+
+        let compressedSum = 0;
+        let uncompressedSum = 0;
+        let firstChunkStart = null;
+
+        rg.columns.forEach((columnChunk, colIdx) => {
+            const meta = columnChunk.meta_data;
+            const leaf = leaves[colIdx];
+            const path = meta?.path_in_schema?.join('.') ?? leaf?.path.join('.') ?? `Column ${colIdx}`;
+            const pageIndex = pageIndexes?.[rgIdx]?.[colIdx];
+            const at = [rgIdx, colIdx, path];
+
+            for (const error of pageIndex?.errors ?? []) {
+                report(
+                    'unreadable-structure',
+                    'error',
+                    `Failed to parse the ${error.structure} of "${path}" at offset ${formatNumber(error.offset)}: ${error.message}`,
+                    ...at,
+                );
+            }
+
+            if (!meta) {
+                // Encrypted column chunks without a key have no readable metadata
+                if (!columnChunk.crypto_metadata) {
+                    report('missing-column-metadata', 'error', `Column chunk ${colIdx} has no ColumnMetaData.`, ...at);
+                }
+                return;
+            }
+            if (columnChunk.file_path) {
+                report(
+                    'external-column-chunk',
+                    'info',
+                    `The data of "${path}" is stored in "${columnChunk.file_path}" and was not checked.`,
+                    ...at,
+                );
+                return;
+            }
+            checkedChunks++;
+
+            // Column metadata vs schema
+            if (leaf && path !== leaf.path.join('.')) {
+                report(
+                    'column-schema',
+                    'error',
+                    `Column chunk ${colIdx} has path "${path}", the schema's leaf column ${colIdx} is "${leaf.path.join('.')}".`,
+                    ...at,
+                );
+            } else if (leaf && meta.type !== leaf.element.type) {
+                report(
+                    'column-schema',
+                    'error',
+                    `"${path}" is ${EnumHelpers.getTypeName(meta.type)} in its column metadata and ` +
+                        `${EnumHelpers.getTypeName(leaf.element.type)} in the schema.`,
+                    ...at,
+                );
+            }
+
+            // A non-repeated column has exactly one value (or null) per row, a repeated one at least one
+            const numValues = Number(meta.num_values);
+            if (leaf && (leaf.maxRepetitionLevel === 0 ? numValues !== numRows : numValues < numRows)) {
+                report(
+                    'column-value-count',
+                    'error',
+                    `"${path}" has ${formatNumber(numValues)} values in a row group of ${formatNumber(numRows)} rows.`,
+                    ...at,
+                );
+            }
+
+            // Column chunk byte range
+            const { start, end } = getColumnChunkRange(meta);
+            const dictionaryOffset = meta.dictionary_page_offset != null ? Number(meta.dictionary_page_offset) : null;
+            if (dictionaryOffset && dictionaryOffset >= Number(meta.data_page_offset)) {
+                report(
+                    'dictionary-page-offset',
+                    'error',
+                    `The dictionary page of "${path}" (offset ${formatNumber(dictionaryOffset)}) doesn't come before ` +
+                        `its first data page (offset ${formatNumber(Number(meta.data_page_offset))}).`,
+                    ...at,
+                );
+            }
+            addRegion(`column chunk "${path}"`, start, end, ...at);
+            firstChunkStart = firstChunkStart === null ? start : Math.min(firstChunkStart, start);
+            compressedSum += Number(meta.total_compressed_size);
+            uncompressedSum += Number(meta.total_uncompressed_size);
+
+            // Page index and bloom filter byte ranges
+            if (columnChunk.column_index_offset != null && columnChunk.column_index_length) {
+                const offset = Number(columnChunk.column_index_offset);
+                addRegion(`ColumnIndex of "${path}"`, offset, offset + columnChunk.column_index_length, ...at);
+            }
+            if (columnChunk.offset_index_offset != null && columnChunk.offset_index_length) {
+                const offset = Number(columnChunk.offset_index_offset);
+                addRegion(`OffsetIndex of "${path}"`, offset, offset + columnChunk.offset_index_length, ...at);
+            }
+            if (meta.bloom_filter_offset != null) {
+                const offset = Number(meta.bloom_filter_offset);
+                const bloomFilter = pageIndex?.bloomFilter;
+                const length =
+                    meta.bloom_filter_length ?? (bloomFilter ? bloomFilter.headerSize + bloomFilter.numBytes : 1);
+                addRegion(`bloom filter of "${path}"`, offset, offset + length, ...at);
+            }
+
+            validatePageIndex(pageIndex, meta, leaf, numRows, start, end, (check, severity, message) =>
+                report(check, severity, message, ...at),
+            );
+            validatePageHeaders(pageIndex, columnChunk, start, end, (check, severity, message) =>
+                report(check, severity, message, ...at),
+            );
+        });
+
+        // Row group totals
+        if (Number(rg.total_byte_size) !== uncompressedSum) {
+            report(
+                'row-group-byte-size',
+                'warning',
+                `Row group ${rgIdx} has total_byte_size ${formatNumber(Number(rg.total_byte_size))}, its column ` +
+                    `chunks add up to ${formatNumber(uncompressedSum)} bytes uncompressed.`,
+                rgIdx,
+            );
+        }
+        if (rg.total_compressed_size != null && Number(rg.total_compressed_size) !== compressedSum) {
+            report(
+                'row-group-byte-size',
+                'warning',
+                `Row group ${rgIdx} has total_compressed_size ${formatNumber(Number(rg.total_compressed_size))}, ` +
+                    `its column chunks add up to ${formatNumber(compressedSum)} bytes.`,
+                rgIdx,
+            );
+        }
+        if (rg.file_offset != null && firstChunkStart !== null) {
+            const fileOffset = Number(rg.file_offset);
+            if (fileOffset < MAGIC_SIZE || fileOffset >= footerStart) {
+                report(
+                    'row-group-file-offset',
+                    'error',
+                    `Row group ${rgIdx} has file_offset ${formatNumber(fileOffset)}, outside of the data ` +
+                        `(${formatRange(MAGIC_SIZE, footerStart)}).`,
+                    rgIdx,
+                );
+            } else if (fileOffset !== firstChunkStart) {
+                report(
+                    'row-group-file-offset',
+                    'warning',
+                    `Row group ${rgIdx} has file_offset ${formatNumber(fileOffset)}, but its first page starts at ` +
+                        `${formatNumber(firstChunkStart)}.`,
+                    rgIdx,
+                );
+            }
+        }
+    });
+
+    validateRegions(regions, fileSize, footerStart, report);
+    validateUnknownFields(data, leaves, report);
+
+    issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const issue of issues) counts[issue.severity]++;
+    return { issues, counts, checkedChunks };
+}
+
+/**
+ * Check the OffsetIndex and ColumnIndex of a column chunk against each other and the chunk
+ */
+function validatePageIndex(pageIndex, meta, leaf, numRows, chunkStart, chunkEnd, report) {
+    const locations = pageIndex?.offsetIndex?.page_locations;
+    const columnIndex = pageIndex?.columnIndex;
+
+    if (locations) {
+        if (locations.length === 0) {
+            if (numRows > 0) report('offset-index-pages', 'error', 'The OffsetIndex lists no pages.');
+            return;
+        }
+
+        // Rows: the first page starts at row 0, every page has rows, the last one ends within the row group
+        const firstRows = locations.map((loc) => Number(loc.first_row_index));
+        const unordered = firstRows.findIndex((row, i) => i > 0 && row <= firstRows[i - 1]);
+        if (firstRows[0] !== 0) {
+            report('offset-index-rows', 'error', `The first page starts at row ${formatNumber(firstRows[0])} instead of 0.`);
+        } else if (unordered !== -1) {
+            report(
+                'offset-index-rows',
+                'error',
+                `Page ${unordered} starts at row ${formatNumber(firstRows[unordered])}, not after page ${unordered - 1} ` +
+                    `(row ${formatNumber(firstRows[unordered - 1])}).`,
+            );
+        } else if (firstRows[firstRows.length - 1] >= numRows) {
+            report(
+                'offset-index-rows',
+                'error',
+                `The last page starts at row ${formatNumber(firstRows[firstRows.length - 1])}, but the row group ` +
+                    `has ${formatNumber(numRows)} rows.`,
+            );
+        }
+
+        // Pages: inside the chunk, starting at the first data page, contiguous
+        const dataPageOffset = Number(meta.data_page_offset);
+        if (Number(locations[0].offset) !== dataPageOffset) {
+            report(
+                'offset-index-pages',
+                'error',
+                `The first page is at offset ${formatNumber(Number(locations[0].offset))}, but data_page_offset ` +
+                    `is ${formatNumber(dataPageOffset)}.`,
+            );
+        }
+        for (let i = 0; i < locations.length; i++) {
+            const start = Number(locations[i].offset);
+            const end = start + locations[i].compressed_page_size;
+            if (start < chunkStart || end > chunkEnd) {
+                report(
+                    'offset-index-pages',
+                    'error',
+                    `Page ${i} (${formatRange(start, end)}) lies outside of the column chunk ` +
+                        `(${formatRange(chunkStart, chunkEnd)}).`,
+                );
+                break;
+            }
+            const next = locations[i + 1];
+            if (next && Number(next.offset) !== end) {
+                const gap = Number(next.offset) - end;
+                report(
+                    'offset-index-pages',
+                    gap < 0 ? 'error' : 'warning',
+                    gap < 0
+                        ? `Page ${i} (${formatRange(start, end)}) overlaps page ${i + 1}.`
+                        : `${formatBytes(gap)} between page ${i} and page ${i + 1} are not covered by any page.`,
+                );
+                break;
+            }
+        }
+
+        const unencodedSizes = pageIndex.offsetIndex.unencoded_byte_array_data_bytes;
+        if (unencodedSizes?.length > 0 && unencodedSizes.length !== locations.length) {
+            report(
+                'offset-index-pages',
+                'error',
+                `The OffsetIndex has ${formatNumber(locations.length)} pages but ` +
+                    `${formatNumber(unencodedSizes.length)} unencoded_byte_array_data_bytes entries.`,
+            );
+        }
+    }
+
+    if (columnIndex) {
+        // All lists have one entry per page (histograms one per level and page)
+        const numPages = locations?.length ?? columnIndex.null_pages.length;
+        const lists = [
+            ['null_pages', columnIndex.null_pages, 1],
+            ['min_values', columnIndex.min_values, 1],
+            ['max_values', columnIndex.max_values, 1],
+            ['null_counts', columnIndex.null_counts, 1],
+            ['definition_level_histograms', columnIndex.definition_level_histograms, (leaf?.maxDefinitionLevel ?? 0) + 1],
+            ['repetition_level_histograms', columnIndex.repetition_level_histograms, (leaf?.maxRepetitionLevel ?? 0) + 1],
+        ];
+        const mismatches = lists
+            .filter(([, list, perPage]) => list?.length > 0 && list.length !== numPages * perPage)
+            .map(([name, list, perPage]) => `${name} has ${formatNumber(list.length)} (expected ${formatNumber(numPages * perPage)})`);
+        // null_pages, min_values and max_values are required even if empty
+        const missing = lists.slice(0, 3).filter(([, list]) => numPages > 0 && !(list?.length > 0));
+        mismatches.push(...missing.map(([name]) => `${name} is empty`));
+        if (mismatches.length > 0) {
+            report(
+                'column-index-lengths',
+                'error',
+                `The ColumnIndex doesn't match the ${formatNumber(numPages)} pages${locations ? ' of the OffsetIndex' : ''}: ` +
+                    `${mismatches.join(', ')}.`,
+            );
+        }
+    }
+}
+
+/**
+ * Check the decoded page headers of a column chunk against its metadata and OffsetIndex
+ */
+function validatePageHeaders(pageIndex, columnChunk, chunkStart, chunkEnd, report) {
+    const meta = columnChunk.meta_data;
+    const pageHeaders = pageIndex?.pageHeaders ?? [];
+    if (pageHeaders.length === 0) return;
+
+    const lastPage = pageHeaders[pageHeaders.length - 1];
+    const pagesEnd = lastPage.offset + lastPage.compressed_page_size;
+    if (pagesEnd > chunkEnd) {
+        report(
+            'page-headers',
+            'error',
+            `The last page ends at offset ${formatNumber(pagesEnd)}, past the end of the column chunk ` +
+                `(${formatNumber(chunkEnd)}, ${formatBytes(Number(meta.total_compressed_size))}).`,
+        );
+    }
+
+    const dictionaryOffset = meta.dictionary_page_offset != null ? Number(meta.dictionary_page_offset) : null;
+    if (dictionaryOffset && dictionaryOffset === chunkStart && !pageHeaders[0].header.dictionary_page_header) {
+        report(
+            'page-headers',
+            'error',
+            `dictionary_page_offset points at a ${EnumHelpers.getPageTypeName(pageHeaders[0].header.type)} page.`,
+        );
+    }
+
+    const dataPages = pageHeaders.filter((entry) => isDataPageHeader(entry.header));
+    const values = dataPages.reduce(
+        (sum, entry) => sum + (entry.header.data_page_header || entry.header.data_page_header_v2).num_values,
+        0,
+    );
+    if (values !== Number(meta.num_values)) {
+        report(
+            'page-headers',
+            'error',
+            `The data pages hold ${formatNumber(values)} values, the column metadata says ${formatNumber(Number(meta.num_values))}.`,
+        );
+    }
+
+    // total_uncompressed_size includes the page headers (whose size changes when they are encrypted)
+    const uncompressed = pageHeaders.reduce(
+        (sum, entry) => sum + entry.header_size + entry.header.uncompressed_page_size,
+        0,
+    );
+    if (!columnChunk.crypto_metadata && pagesEnd <= chunkEnd && uncompressed !== Number(meta.total_uncompressed_size)) {
+        report(
+            'page-headers',
+            'warning',
+            `The pages add up to ${formatNumber(uncompressed)} bytes uncompressed (headers included), ` +
+                `total_uncompressed_size is ${formatNumber(Number(meta.total_uncompressed_size))}.`,
+        );
+    }
+
+    const locations = pageIndex.offsetIndex?.page_locations;
+    if (locations?.length > 0) {
+        if (locations.length !== dataPages.length) {
+            report(
+                'page-headers',
+                'error',
+                `The column chunk has ${formatNumber(dataPages.length)} data pages, the OffsetIndex lists ` +
+                    `${formatNumber(locations.length)}.`,
+            );
+            return;
+        }
+
+        // Row counts of V2 pages are exact, so they must match the OffsetIndex
+        const mismatch = dataPages.findIndex((entry, i) => {
+            const rows = entry.header.data_page_header_v2?.num_rows;
+            if (rows == null) return false;
+            const nextRow = i + 1 < locations.length ? Number(locations[i + 1].first_row_index) : null;
+            return nextRow !== null && nextRow - Number(locations[i].first_row_index) !== rows;
+        });
+        if (mismatch !== -1) {
+            report(
+                'page-headers',
+                'error',
+                `Data page ${mismatch} has ${formatNumber(dataPages[mismatch].header.data_page_header_v2.num_rows)} rows, ` +
+                    `which doesn't match the first_row_index of the next page in the OffsetIndex.`,
+            );
+        }
+    }
+}
+
+/**
+ * Check that all structures lie between the header magic and the footer and don't overlap
+ */
+function validateRegions(regions, fileSize, footerStart, report) {
+    const sorted = regions.filter((region) => {
+        if (region.start >= MAGIC_SIZE && region.end <= footerStart && region.end >= region.start) return true;
+        report(
+            'out-of-bounds',
+            'error',
+            `The ${region.label} (${formatRange(region.start, region.end)}) is outside of the data between the ` +
+                `header magic and the footer (${formatRange(MAGIC_SIZE, footerStart)} of ${formatBytes(fileSize)}).`,
+            region.rowGroup,
+            region.columnIndex,
+            region.column,
+        );
+        return false;
+    });
+    sorted.sort((a, b) => a.start - b.start || a.end - b.end);
+
+    let previous = null;
+    for (const region of sorted) {
+        if (previous && region.start < previous.end) {
+            report(
+                'overlap',
+                'error',
+                `The ${region.label} (${formatRange(region.start, region.end)}) overlaps the ${previous.label} ` +
+                    `(${formatRange(previous.start, previous.end)}).`,
+                region.rowGroup,
+                region.columnIndex,
+                region.column,
+            );
+        }
+        if (!previous || region.end > previous.end) previous = region;
+    }
+}
+
+/**
+ * Report the fields the parser skipped because it doesn't know them: written by a newer version of
+ * the format or a writer extension, and ignored by readers that don't know them either
+ * Repeated fields (e.g. in every page header of a column chunk) are reported once per column chunk.
+ */
+function validateUnknownFields(data, leaves, report) {
+    const groups = new Map();
+    for (const field of getUnknownFields(data)) {
+        const key = `${field.rowGroup}:${field.column}:${field.structure}:${field.structName}:${field.fieldId}`;
+        if (groups.has(key)) {
+            groups.get(key).count++;
+        } else {
+            groups.set(key, { field, count: 1 });
+        }
+    }
+
+    for (const { field, count } of groups.values()) {
+        const { rowGroup, column: colIdx } = field;
+        const meta = rowGroup !== null ? data.fileMetaData.row_groups[rowGroup]?.columns[colIdx]?.meta_data : null;
+        const path = meta?.path_in_schema?.join('.') ?? leaves[colIdx]?.path.join('.') ?? `Column ${colIdx}`;
+        const where = field.start === null ? 'in decrypted bytes' : `at bytes ${formatRange(field.start, field.end)}`;
+        const described = `field ${field.fieldId} (${field.typeName})`;
+
+        const message =
+            count === 1
+                ? `${field.path} has ${described} ${where}, which this reader doesn't know and skipped.`
+                : `${formatNumber(count)} ${field.structName ?? 'struct'}s in the ${STRUCTURE_NAMES[field.structure]} ` +
+                  `of "${path}" have ${described}, which this reader doesn't know and skipped (first ${where}).`;
+        report('unknown-field', 'info', message, ...(rowGroup === null ? [] : [rowGroup, colIdx, path]));
+    }
+}
+
+/**
+ * Serialize a validation report as pretty-printed JSON
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @param {string} fileName - Name of the file, included for reference
+ * @param {Object} result - Result of validateFile
+ * @returns {string} JSON text
+ */
+export function exportValidationReport(data, fileName, result) {
+    return JSON.stringify(
+        {
+            fileName,
+            fileSize: data.fileSize,
+            createdBy: data.fileMetaData.created_by ?? null,
+            checkedChunks: result.checkedChunks,
+            counts: result.counts,
+            issues: result.issues,
+        },
+        null,
+        2,
+    );
+}
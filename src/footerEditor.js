@@ -0,0 +1,165 @@
+/**
+ * Parquet Footer Editor
+ * Applies edits to the FileMetaData (created_by, key/value metadata, column chunk statistics)
+ * and rewrites the file: everything before the footer is copied byte-for-byte, only the footer is
+ * re-serialized. Since the footer is the last part of the file, all offsets stay valid.
+ */
+
+import { FileMetaData, KeyValue, Statistics, TCompactProtocolReader, TCompactProtocolWriter } from './parquetInit.js';
+import { parseStatValue } from './statsFormatter.js';
+import { findSchemaElement } from './schemaTree.js';
+import { getUnknownFields } from './parquetParser.js';
+
+const PARQUET_MAGIC = new Uint8Array([0x50, 0x41, 0x52, 0x31]); // "PAR1"
+
+// Size of the chunks the file body is copied in when the source is not a Blob
+const COPY_CHUNK_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Serialize a FileMetaData struct with the Thrift compact protocol
+ * @param {Object} fileMetaData - The FileMetaData to serialize
+ * @returns {Uint8Array} The footer bytes (without length and magic)
+ */
+export function serializeFileMetaData(fileMetaData) {
+    const writer = new TCompactProtocolWriter();
+    fileMetaData[Symbol.for('write')](writer);
+    return writer.getBuffer();
+}
+
+/**
+ * Deep copy a FileMetaData struct (by serializing and parsing it again)
+ */
+export function cloneFileMetaData(fileMetaData) {
+    const copy = new FileMetaData();
+    copy[Symbol.for('read')](new TCompactProtocolReader(serializeFileMetaData(fileMetaData)));
+    return copy;
+}
+
+/**
+ * Get the footer fields that rewriting the footer drops
+ * The footer is re-serialized through the generated FileMetaData, which only writes the fields
+ * parquet.thrift defines; page indexes, page headers and bloom filters are copied unchanged.
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Array} The footer's unknown fields (see getUnknownFields)
+ */
+export function getDroppedFields(data) {
+    return getUnknownFields(data).filter((field) => field.structure === 'footer');
+}
+
+/**
+ * Parse a user-entered count (empty means unset)
+ */
+function parseCount(text, label) {
+    const input = text.trim();
+    if (input === '') return null;
+    if (!/^\d+$/.test(input)) {
+        throw new Error(`Invalid ${label}: ${text} (expected a non-negative integer)`);
+    }
+    const value = BigInt(input);
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+/**
+ * Apply a statistics edit to a column chunk
+ * Fields that are undefined stay unchanged, empty strings remove the value.
+ */
+function applyStatisticsEdit(fileMetaData, edit) {
+    const column = fileMetaData.row_groups[edit.rowGroup]?.columns[edit.column];
+    const meta = column?.meta_data;
+    if (!meta) {
+        throw new Error(`Row group ${edit.rowGroup} has no column chunk ${edit.column}`);
+    }
+
+    const path = meta.path_in_schema.join('.');
+    const schemaElement = findSchemaElement(fileMetaData.schema, meta.path_in_schema);
+    const stats = meta.statistics || new Statistics();
+
+    const parseValue = (text, label) => {
+        if (text.trim() === '') return null;
+        try {
+            return parseStatValue(text, meta, schemaElement);
+        } catch (err) {
+            throw new Error(`${label} of ${path} in row group ${edit.rowGroup}: ${err.message}`);
+        }
+    };
+
+    if (edit.min !== undefined) {
+        stats.min_value = parseValue(edit.min, 'Min');
+        // The deprecated field may use a different sort order, so it's dropped rather than left stale
+        stats.min = null;
+    }
+    if (edit.max !== undefined) {
+        stats.max_value = parseValue(edit.max, 'Max');
+        stats.max = null;
+    }
+    if (edit.nullCount !== undefined) {
+        stats.null_count = parseCount(edit.nullCount, `null count of ${path}`);
+    }
+    if (edit.distinctCount !== undefined) {
+        stats.distinct_count = parseCount(edit.distinctCount, `distinct count of ${path}`);
+    }
+
+    meta.statistics = stats;
+}
+
+/**
+ * Apply edits to a copy of the FileMetaData
+ * @param {Object} fileMetaData - The parsed FileMetaData (not modified)
+ * @param {Object} edits
+ * @param {string} edits.createdBy - New created_by (undefined keeps it, empty string removes it)
+ * @param {Array} edits.keyValueMetadata - New key/value metadata [{ key, value }] (undefined keeps it)
+ * @param {Array} edits.statistics - Statistics edits [{ rowGroup, column, min, max, nullCount, distinctCount }]
+ *        with the values as entered by the user (formatted like formatStatValue)
+ * @returns {Object} The edited FileMetaData
+ * @throws {Error} If a statistics value is not valid for its column
+ */
+export function applyFooterEdits(fileMetaData, edits) {
+    const edited = cloneFileMetaData(fileMetaData);
+
+    if (edits.createdBy !== undefined) {
+        edited.created_by = edits.createdBy === '' ? null : edits.createdBy;
+    }
+
+    if (edits.keyValueMetadata !== undefined) {
+        const entries = edits.keyValueMetadata.filter((entry) => entry.key !== '');
+        const keys = new Set();
+        for (const { key } of entries) {
+            if (keys.has(key)) throw new Error(`Duplicate metadata key: ${key}`);
+            keys.add(key);
+        }
+        edited.key_value_metadata =
+            entries.length > 0 ? entries.map(({ key, value }) => new KeyValue({ key, value: value ?? null })) : null;
+    }
+
+    for (const edit of edits.statistics || []) {
+        applyStatisticsEdit(edited, edit);
+    }
+
+    return edited;
+}
+
+/**
+ * Build the rewritten file: the original bytes up to the footer plus the new footer
+ * @param {Object} source - Byte source of the original file (Blob sources are referenced, not read)
+ * @param {number} footerStart - Offset of the original footer
+ * @param {Object} fileMetaData - The FileMetaData to write
+ * @returns {Promise<Blob>} The new file
+ */
+export async function buildRewrittenFile(source, footerStart, fileMetaData) {
+    const parts = [];
+
+    if (source.blob) {
+        parts.push(source.blob.slice(0, footerStart));
+    } else {
+        for (let offset = 0; offset < footerStart; offset += COPY_CHUNK_SIZE) {
+            parts.push(await source.read(offset, Math.min(offset + COPY_CHUNK_SIZE, footerStart)));
+        }
+    }
+
+    const footer = serializeFileMetaData(fileMetaData);
+    const footerLength = new Uint8Array(4);
+    new DataView(footerLength.buffer).setUint32(0, footer.length, true);
+    parts.push(footer, footerLength, PARQUET_MAGIC);
+
+    return new Blob(parts, { type: 'application/vnd.apache.parquet' });
+}
@@ -0,0 +1,258 @@
+/**
+ * Geospatial Types
+ * Support for the GEOMETRY and GEOGRAPHY logical types: decoding Well-Known Binary (WKB) values to
+ * Well-Known Text (WKT), naming geospatial type codes, and collecting the bounding boxes of
+ * GeospatialStatistics per row group.
+ */
+
+import { getSchemaIndex } from './schemaTree.js';
+import { EnumHelpers } from './parquetParser.js';
+
+// CRS of GEOMETRY and GEOGRAPHY columns that don't set one (longitude/latitude on WGS84)
+export const DEFAULT_CRS = 'OGC:CRS84';
+
+const GEOMETRY_TYPE_NAMES = {
+    1: 'Point',
+    2: 'LineString',
+    3: 'Polygon',
+    4: 'MultiPoint',
+    5: 'MultiLineString',
+    6: 'MultiPolygon',
+    7: 'GeometryCollection',
+};
+
+// Dimension suffixes of ISO WKB type codes (code / 1000)
+const DIMENSIONS = ['', ' Z', ' M', ' ZM'];
+
+// Extended WKB (PostGIS) flags in the high bits of the type code
+const EWKB_Z = 0x80000000;
+const EWKB_M = 0x40000000;
+const EWKB_SRID = 0x20000000;
+
+/**
+ * Get the name of a geospatial type code as used in WKB and GeospatialStatistics.geospatial_types
+ * e.g. 1 -> "Point", 1003 -> "Polygon Z", 3001 -> "Point ZM"
+ */
+export function getGeospatialTypeName(code) {
+    const name = GEOMETRY_TYPE_NAMES[code % 1000];
+    const dimensions = DIMENSIONS[Math.floor(code / 1000)];
+    return name && dimensions != null ? name + dimensions : `Unknown(${code})`;
+}
+
+/**
+ * Reader over a WKB byte array that follows the byte order marker of each (nested) geometry
+ */
+class WkbReader {
+    constructor(bytes) {
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.littleEndian = true;
+    }
+
+    readByteOrder() {
+        const order = this.view.getUint8(this.offset++);
+        if (order > 1) throw new Error(`Invalid WKB byte order ${order} at offset ${this.offset - 1}`);
+        this.littleEndian = order === 1;
+    }
+
+    readUint32() {
+        const value = this.view.getUint32(this.offset, this.littleEndian);
+        this.offset += 4;
+        return value;
+    }
+
+    readDouble() {
+        const value = this.view.getFloat64(this.offset, this.littleEndian);
+        this.offset += 8;
+        return value;
+    }
+}
+
+function formatCoordinate(values) {
+    return values.map((value) => String(value)).join(' ');
+}
+
+/**
+ * Read one geometry and return its WKT
+ */
+function readGeometry(reader, depth = 0) {
+    if (depth > 32) throw new Error('WKB geometry nested too deeply');
+    reader.readByteOrder();
+    let code = reader.readUint32();
+
+    // Extended WKB: dimensions as flags, optionally followed by an SRID
+    let hasZ = (code & EWKB_Z) !== 0;
+    let hasM = (code & EWKB_M) !== 0;
+    if (code & EWKB_SRID) reader.readUint32();
+    code &= 0x0fffffff;
+
+    // ISO WKB: dimensions as thousands (1000 Z, 2000 M, 3000 ZM)
+    const isoDimensions = Math.floor(code / 1000);
+    if (isoDimensions > 3) throw new Error(`Unknown WKB geometry type ${code}`);
+    hasZ ||= isoDimensions === 1 || isoDimensions === 3;
+    hasM ||= isoDimensions === 2 || isoDimensions === 3;
+    const baseType = code % 1000;
+    const name = GEOMETRY_TYPE_NAMES[baseType];
+    if (!name) throw new Error(`Unknown WKB geometry type ${code}`);
+
+    const numOrdinates = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+    const tag = `${name.toUpperCase()}${hasZ && hasM ? ' ZM' : hasZ ? ' Z' : hasM ? ' M' : ''}`;
+
+    const readPoint = () => Array.from({ length: numOrdinates }, () => reader.readDouble());
+    const readPoints = () => Array.from({ length: reader.readUint32() }, () => formatCoordinate(readPoint()));
+    const readRings = () => Array.from({ length: reader.readUint32() }, () => `(${readPoints().join(', ')})`);
+    const readChildren = () => Array.from({ length: reader.readUint32() }, () => readGeometry(reader, depth + 1));
+    const wrap = (parts) => (parts.length === 0 ? `${tag} EMPTY` : `${tag} (${parts.join(', ')})`);
+
+    switch (baseType) {
+        case 1: {
+            // An empty point is stored with NaN coordinates
+            const point = readPoint();
+            return point.every(Number.isNaN) ? `${tag} EMPTY` : `${tag} (${formatCoordinate(point)})`;
+        }
+        case 2:
+            return wrap(readPoints());
+        case 3:
+            return wrap(readRings());
+        case 4:
+        case 5:
+        case 6:
+            // Members are full geometries; strip their type tag to get the WKT of the multi-geometry
+            return wrap(readChildren().map((child) => child.replace(/^[A-Z ]+?(?= \(| EMPTY)/, '').trim()));
+        default:
+            return wrap(readChildren());
+    }
+}
+
+/**
+ * Decode a WKB (ISO or extended) value to WKT
+ * @param {Uint8Array} bytes - The WKB value
+ * @returns {string} e.g. "POINT (13.4 52.5)"
+ * @throws {Error} If the value isn't valid WKB
+ */
+export function wkbToWkt(bytes) {
+    const reader = new WkbReader(bytes);
+    try {
+        return readGeometry(reader);
+    } catch (err) {
+        if (err instanceof RangeError) throw new Error('Truncated WKB value');
+        throw err;
+    }
+}
+
+/**
+ * Get the GEOMETRY/GEOGRAPHY annotation of a schema element
+ * @returns {Object|null} { type: 'GEOMETRY' | 'GEOGRAPHY', crs, algorithm } with the defaults
+ *          filled in (algorithm is null for GEOMETRY, whose edges are always planar)
+ */
+export function getGeospatialType(schemaElement) {
+    const logicalType = schemaElement?.logicalType;
+    if (logicalType?.GEOMETRY) {
+        return { type: 'GEOMETRY', crs: logicalType.GEOMETRY.crs || DEFAULT_CRS, algorithm: null };
+    }
+    if (logicalType?.GEOGRAPHY) {
+        const { crs, algorithm } = logicalType.GEOGRAPHY;
+        return {
+            type: 'GEOGRAPHY',
+            crs: crs || DEFAULT_CRS,
+            algorithm: algorithm != null ? EnumHelpers.getEdgeInterpolationName(algorithm) : 'SPHERICAL',
+        };
+    }
+    return null;
+}
+
+function toBoundingBox(bbox) {
+    if (!bbox) return null;
+    const optional = (value) => (value != null ? Number(value) : null);
+    return {
+        xmin: Number(bbox.xmin),
+        xmax: Number(bbox.xmax),
+        ymin: Number(bbox.ymin),
+        ymax: Number(bbox.ymax),
+        zmin: optional(bbox.zmin),
+        zmax: optional(bbox.zmax),
+        mmin: optional(bbox.mmin),
+        mmax: optional(bbox.mmax),
+    };
+}
+
+/**
+ * Get the GeospatialStatistics of a column chunk
+ * @param {Object} meta - ColumnMetaData
+ * @returns {Object|null} { bbox, types } (bbox null if not written, types null if unknown), or null
+ *          if the chunk has no geospatial statistics
+ */
+export function getChunkGeospatialStatistics(meta) {
+    const stats = meta?.geospatial_statistics;
+    if (!stats) return null;
+    return {
+        bbox: toBoundingBox(stats.bbox),
+        types: stats.geospatial_types?.length > 0 ? [...stats.geospatial_types] : null,
+    };
+}
+
+/**
+ * Union of bounding boxes in x/y
+ * A GEOGRAPHY bounding box with xmin > xmax crosses the antimeridian; the union then spans all longitudes.
+ */
+function unionBoundingBoxes(boxes) {
+    if (boxes.length === 0) return null;
+    const wraps = boxes.some((box) => box.xmin > box.xmax);
+    return {
+        xmin: wraps ? -180 : Math.min(...boxes.map((box) => box.xmin)),
+        xmax: wraps ? 180 : Math.max(...boxes.map((box) => box.xmax)),
+        ymin: Math.min(...boxes.map((box) => box.ymin)),
+        ymax: Math.max(...boxes.map((box) => box.ymax)),
+    };
+}
+
+/**
+ * Format a bounding box for display, e.g. "x 13.1..13.8, y 52.3..52.7"
+ */
+export function formatBoundingBox(bbox) {
+    const range = (axis, min, max) => (min != null && max != null ? `${axis} ${min}..${max}` : null);
+    return [
+        range('x', bbox.xmin, bbox.xmax),
+        range('y', bbox.ymin, bbox.ymax),
+        range('z', bbox.zmin, bbox.zmax),
+        range('m', bbox.mmin, bbox.mmax),
+    ]
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Collect the geospatial columns of a file with the GeospatialStatistics of each row group
+ * Columns are included if they have a GEOMETRY/GEOGRAPHY annotation or any geospatial statistics.
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Array} [{ columnIndex, path, geoType, rowGroups: [{ rowGroup, bbox, types }], bbox, types }]
+ *          where geoType is getGeospatialType's result (or null), bbox a bounding box (null if unknown)
+ *          and types the type codes (null if unknown)
+ */
+export function getGeospatialColumns(data) {
+    const { fileMetaData } = data;
+    const { columns } = getSchemaIndex(fileMetaData.schema);
+
+    return columns
+        .map((leaf) => {
+            const rowGroups = fileMetaData.row_groups.map((rowGroup, rgIdx) => ({
+                rowGroup: rgIdx,
+                bbox: null,
+                types: null,
+                ...getChunkGeospatialStatistics(rowGroup.columns[leaf.columnIndex]?.meta_data),
+            }));
+            const boxes = rowGroups.map((entry) => entry.bbox).filter(Boolean);
+            const types = rowGroups.some((entry) => entry.types)
+                ? [...new Set(rowGroups.flatMap((entry) => entry.types ?? []))].sort((a, b) => a - b)
+                : null;
+            return {
+                columnIndex: leaf.columnIndex,
+                path: leaf.path.join('.'),
+                geoType: getGeospatialType(leaf.element),
+                rowGroups,
+                bbox: unionBoundingBoxes(boxes),
+                types,
+            };
+        })
+        .filter((column) => column.geoType || column.bbox || column.types);
+}
@@ -0,0 +1,178 @@
+/**
+ * Parquet Metadata Diff
+ * Compares the metadata of two Parquet files: schema changes, row group layout,
+ * per-column codec/encoding changes and compression ratios.
+ */
+
+import { EnumHelpers } from './parquetParser.js';
+import { getLogicalTypeDescription } from './statsFormatter.js';
+import { getSchemaIndex } from './schemaTree.js';
+
+/**
+ * Describe the type of a leaf schema element for comparison
+ */
+function describeColumnType(elem) {
+    return {
+        type: EnumHelpers.getTypeName(elem.type),
+        typeLength: elem.type_length ?? null,
+        logicalType: getLogicalTypeDescription(elem),
+        repetition: EnumHelpers.getRepetitionTypeName(elem.repetition_type),
+    };
+}
+
+function isSameColumnType(a, b) {
+    return (
+        a.type === b.type &&
+        a.typeLength === b.typeLength &&
+        a.logicalType === b.logicalType &&
+        a.repetition === b.repetition
+    );
+}
+
+/**
+ * Format a column type description for display, e.g. "BYTE_ARRAY (String, optional)"
+ * @param {Object|null} columnType - A type description from getColumnTypes
+ */
+export function formatColumnType(columnType) {
+    if (!columnType) return '-';
+    const type = columnType.typeLength !== null ? `${columnType.type}(${columnType.typeLength})` : columnType.type;
+    const details = [columnType.logicalType, columnType.repetition?.toLowerCase()].filter(Boolean);
+    return details.length > 0 ? `${type} (${details.join(', ')})` : type;
+}
+
+/**
+ * Map each leaf column path (dot-joined) to its type description
+ * @param {Object} fileMetaData - The file's FileMetaData
+ * @returns {Map<string, Object>} Path -> { type, typeLength, logicalType, repetition }
+ */
+export function getColumnTypes(fileMetaData) {
+    const columns = new Map();
+    for (const leaf of getSchemaIndex(fileMetaData.schema).columns) {
+        columns.set(leaf.path.join('.'), describeColumnType(leaf.element));
+    }
+    return columns;
+}
+
+/**
+ * Aggregate the column chunks of each column across all row groups
+ */
+function getColumnChunkTotals(fileMetaData) {
+    const totals = new Map();
+    for (const rg of fileMetaData.row_groups) {
+        for (const col of rg.columns) {
+            const meta = col.meta_data;
+            if (!meta) continue;
+
+            const path = meta.path_in_schema.join('.');
+            let total = totals.get(path);
+            if (!total) {
+                total = { codecs: new Set(), encodings: new Set(), compressedSize: 0, uncompressedSize: 0 };
+                totals.set(path, total);
+            }
+            total.codecs.add(EnumHelpers.getCompressionName(meta.codec));
+            meta.encodings.forEach((enc) => total.encodings.add(EnumHelpers.getEncodingName(enc)));
+            total.compressedSize += Number(meta.total_compressed_size);
+            total.uncompressedSize += Number(meta.total_uncompressed_size);
+        }
+    }
+
+    const result = new Map();
+    for (const [path, total] of totals) {
+        result.set(path, {
+            codecs: [...total.codecs].sort(),
+            encodings: [...total.encodings].sort(),
+            compressedSize: total.compressedSize,
+            uncompressedSize: total.uncompressedSize,
+            compressionRatio: total.compressedSize > 0 ? total.uncompressedSize / total.compressedSize : null,
+        });
+    }
+    return result;
+}
+
+function isSameList(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+/**
+ * Summarize a row group for comparison
+ */
+function describeRowGroup(rg) {
+    const compressedSize =
+        rg.total_compressed_size != null
+            ? Number(rg.total_compressed_size)
+            : rg.columns.reduce((sum, col) => sum + Number(col.meta_data?.total_compressed_size || 0), 0);
+    return {
+        numRows: Number(rg.num_rows),
+        compressedSize,
+        uncompressedSize: Number(rg.total_byte_size),
+    };
+}
+
+/**
+ * Compare the metadata of two parsed Parquet files
+ * @param {Object} base - Result of parseParquetFileStreaming for the baseline file
+ * @param {Object} target - Result of parseParquetFileStreaming for the file compared against it
+ * @returns {Object} { summary, schema, rowGroups, columns }
+ */
+export function diffFileMetadata(base, target) {
+    const baseMeta = base.fileMetaData;
+    const targetMeta = target.fileMetaData;
+
+    const summary = {
+        fileSize: { base: base.fileSize, target: target.fileSize },
+        footerLength: { base: base.footerLength, target: target.footerLength },
+        numRows: { base: Number(baseMeta.num_rows), target: Number(targetMeta.num_rows) },
+        numRowGroups: { base: baseMeta.row_groups.length, target: targetMeta.row_groups.length },
+        createdBy: { base: baseMeta.created_by || null, target: targetMeta.created_by || null },
+        version: { base: baseMeta.version, target: targetMeta.version },
+    };
+
+    // Schema: match leaf columns by path, in base order followed by columns only in target
+    const baseTypes = getColumnTypes(baseMeta);
+    const targetTypes = getColumnTypes(targetMeta);
+    const paths = [...baseTypes.keys(), ...[...targetTypes.keys()].filter((path) => !baseTypes.has(path))];
+
+    const schema = paths.map((path) => {
+        const baseType = baseTypes.get(path) || null;
+        const targetType = targetTypes.get(path) || null;
+        let status = 'unchanged';
+        if (!baseType) status = 'added';
+        else if (!targetType) status = 'removed';
+        else if (!isSameColumnType(baseType, targetType)) status = 'retyped';
+        return { path, status, base: baseType, target: targetType };
+    });
+
+    // Row groups are compared by position
+    const numRowGroups = Math.max(baseMeta.row_groups.length, targetMeta.row_groups.length);
+    const rowGroups = [];
+    for (let i = 0; i < numRowGroups; i++) {
+        rowGroups.push({
+            index: i,
+            base: baseMeta.row_groups[i] ? describeRowGroup(baseMeta.row_groups[i]) : null,
+            target: targetMeta.row_groups[i] ? describeRowGroup(targetMeta.row_groups[i]) : null,
+        });
+    }
+
+    // Column chunks: totals across row groups for columns present in both files
+    const baseTotals = getColumnChunkTotals(baseMeta);
+    const targetTotals = getColumnChunkTotals(targetMeta);
+    const columns = paths
+        .filter((path) => baseTotals.has(path) && targetTotals.has(path))
+        .map((path) => {
+            const baseTotal = baseTotals.get(path);
+            const targetTotal = targetTotals.get(path);
+            return {
+                path,
+                base: baseTotal,
+                target: targetTotal,
+                codecChanged: !isSameList(baseTotal.codecs, targetTotal.codecs),
+                encodingsChanged: !isSameList(baseTotal.encodings, targetTotal.encodings),
+                compressionRatioDelta:
+                    baseTotal.compressionRatio !== null && targetTotal.compressionRatio !== null
+                        ? targetTotal.compressionRatio - baseTotal.compressionRatio
+                        : null,
+            };
+        });
+
+    return { summary, schema, rowGroups, columns };
+}
@@ -0,0 +1,96 @@
+/**
+ * Parquet Metadata Export
+ * Serializes the parsed metadata (FileMetaData, page indexes, page headers and bloom filter headers)
+ * to plain JSON, e.g. to attach it to a bug report or diff two files with jq.
+ */
+
+import { PageHeader } from './parquetInit.js';
+import { EnumHelpers } from './parquetParser.js';
+
+/**
+ * Struct fields holding enum values, converted to their names
+ * `type` is a PageType in PageHeader and a physical Type everywhere else.
+ */
+const ENUM_FIELDS = {
+    type: (value, struct) =>
+        struct instanceof PageHeader ? EnumHelpers.getPageTypeName(value) : EnumHelpers.getTypeName(value),
+    repetition_type: (value) => EnumHelpers.getRepetitionTypeName(value),
+    converted_type: (value) => EnumHelpers.getConvertedTypeName(value),
+    codec: (value) => EnumHelpers.getCompressionName(value),
+    encodings: (value) => EnumHelpers.getEncodingName(value),
+    encoding: (value) => EnumHelpers.getEncodingName(value),
+    definition_level_encoding: (value) => EnumHelpers.getEncodingName(value),
+    repetition_level_encoding: (value) => EnumHelpers.getEncodingName(value),
+    page_type: (value) => EnumHelpers.getPageTypeName(value),
+    boundary_order: (value) => EnumHelpers.getBoundaryOrderName(value),
+};
+
+/**
+ * Encode bytes as base64 (in chunks, String.fromCharCode takes a limited number of arguments)
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Convert a parsed value to JSON-safe data
+ * BigInts become strings, byte arrays base64 strings, enum fields their names.
+ * Unset (null) struct fields are left out.
+ */
+function toJsonValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Uint8Array) return toBase64(value);
+    if (Array.isArray(value)) return value.map(toJsonValue);
+    if (typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        if (fieldValue === null || fieldValue === undefined) continue;
+        const toEnumName = ENUM_FIELDS[key];
+        if (toEnumName && typeof fieldValue === 'number') {
+            result[key] = toEnumName(fieldValue, value);
+        } else if (toEnumName && Array.isArray(fieldValue)) {
+            result[key] = fieldValue.map((item) => toEnumName(item, value));
+        } else {
+            result[key] = toJsonValue(fieldValue);
+        }
+    }
+    return result;
+}
+
+/**
+ * Build the JSON export of a parsed file
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @param {string} fileName - Name of the file, included for reference
+ * @returns {Object} JSON-safe object: { fileName, fileSize, footerLength, footerStart, fileMetaData, pageIndexes },
+ *   plus `encryption` for encrypted files and `unknownFields` if the footer has fields this reader doesn't know
+ */
+export function buildMetadataExport(data, fileName) {
+    return {
+        fileName,
+        fileSize: data.fileSize,
+        footerLength: data.footerLength,
+        footerStart: data.footerStart,
+        fileMetaData: toJsonValue(data.fileMetaData),
+        // One entry per row group and column chunk: { columnIndex, offsetIndex, pageHeaders, bloomFilter, errors, unknownFields }
+        pageIndexes: toJsonValue(data.pageIndexes),
+        ...(data.unknownFields?.length > 0 && { unknownFields: toJsonValue(data.unknownFields) }),
+        // Algorithm, footer mode and per-column key metadata; keys are never included
+        ...(data.encryption && { encryption: toJsonValue(data.encryption) }),
+    };
+}
+
+/**
+ * Serialize a parsed file's metadata as pretty-printed JSON
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @param {string} fileName - Name of the file
+ * @returns {string} JSON text
+ */
+export function exportMetadataJson(data, fileName) {
+    return JSON.stringify(buildMetadataExport(data, fileName), null, 2);
+}
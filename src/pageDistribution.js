@@ -0,0 +1,120 @@
+/**
+ * Page Size Distribution
+ * Collects the compressed size and row count of every data page (from the offset index, or the
+ * decoded page headers if there is none) to show how evenly a writer cut each column into pages.
+ */
+
+import { getPageLocations } from './parquetParser.js';
+import { getSchemaIndex } from './schemaTree.js';
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/**
+ * Min, median, 95th percentile and max of a list of numbers
+ * @returns {Object|null} { min, median, p95, max }, or null for an empty list
+ */
+function describe(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        min: sorted[0],
+        median: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1],
+    };
+}
+
+/**
+ * Get the bin edges of a histogram over powers of two, covering all values
+ * Page sizes and row counts span orders of magnitude, so linear bins would put almost every page in one.
+ * @returns {Array} [{ from, to }] where a value v falls in the bin with from <= v < to
+ */
+function getLogBins(values) {
+    let min = Infinity;
+    let max = 0;
+    for (const value of values) {
+        if (value > 0 && value < min) min = value;
+        if (value > max) max = value;
+    }
+    if (max === 0) return [];
+    const low = Math.floor(Math.log2(min));
+    const high = Math.floor(Math.log2(max)) + 1;
+    return Array.from({ length: high - low }, (_, i) => ({ from: 2 ** (low + i), to: 2 ** (low + i + 1) }));
+}
+
+/**
+ * Count the values per bin (values below the first bin, i.e. zeros, count towards it)
+ */
+function countBins(values, bins) {
+    const counts = bins.map(() => 0);
+    if (bins.length === 0) return counts;
+    const low = Math.log2(bins[0].from);
+    for (const value of values) {
+        const bin = value > 0 ? Math.floor(Math.log2(value)) - low : 0;
+        counts[Math.min(Math.max(bin, 0), bins.length - 1)]++;
+    }
+    return counts;
+}
+
+/**
+ * Summarize the page sizes and rows per page of every column across all row groups
+ * Histograms of all columns share the same bins so they can be compared with each other.
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Object} { columns, pages, sizeBins, rowBins, rowsEstimated } where each column is
+ *          { columnIndex, path, numPages, sizes, rows, sizeCounts, rowCounts } (sizes and rows as
+ *          { min, median, p95, max }, null without pages) and pages lists every data page as
+ *          { columnIndex, rowGroup, page, size, rows }
+ */
+export function summarizePageDistribution(data) {
+    const { fileMetaData, pageIndexes } = data;
+    const { columns: leaves } = getSchemaIndex(fileMetaData.schema);
+    const pages = [];
+    const pagesByColumn = leaves.map(() => []);
+    let rowsEstimated = false;
+
+    fileMetaData.row_groups.forEach((rowGroup, rgIdx) => {
+        const numRows = Number(rowGroup.num_rows);
+        rowGroup.columns.forEach((chunk, colIdx) => {
+            const locations = getPageLocations(pageIndexes[rgIdx]?.[colIdx]);
+            locations.forEach((location, i) => {
+                const firstRow = Number(location.first_row_index);
+                const nextFirstRow = locations[i + 1] ? Number(locations[i + 1].first_row_index) : numRows;
+                const page = {
+                    columnIndex: colIdx,
+                    rowGroup: rgIdx,
+                    page: i,
+                    size: location.compressed_page_size,
+                    rows: nextFirstRow - firstRow,
+                };
+                rowsEstimated ||= location.rowsEstimated;
+                pages.push(page);
+                pagesByColumn[colIdx]?.push(page);
+            });
+        });
+    });
+
+    const sizeBins = getLogBins(pages.map((page) => page.size));
+    const rowBins = getLogBins(pages.map((page) => page.rows));
+
+    const columns = leaves.map((leaf) => {
+        const columnPages = pagesByColumn[leaf.columnIndex];
+        const sizes = columnPages.map((page) => page.size);
+        const rows = columnPages.map((page) => page.rows);
+        return {
+            columnIndex: leaf.columnIndex,
+            path: leaf.path.join('.'),
+            numPages: columnPages.length,
+            sizes: describe(sizes),
+            rows: describe(rows),
+            sizeCounts: countBins(sizes, sizeBins),
+            rowCounts: countBins(rows, rowBins),
+        };
+    });
+
+    return { columns, pages, sizeBins, rowBins, rowsEstimated };
+}
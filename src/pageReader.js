@@ -0,0 +1,232 @@
+/**
+ * Parquet Page Reader
+ * Reads data pages on demand (a single page, or the leading pages of a column chunk) plus the
+ * dictionary page if needed, decompresses them and decodes their repetition/definition levels and values.
+ * Pages of encrypted column chunks are decrypted first if a column decryptor is given (see encryption.js).
+ */
+
+import { PageHeader, Encoding } from './parquetInit.js';
+import {
+    readFileSlice,
+    readThriftStructAt,
+    readEncryptedPageHeaderAt,
+    getColumnChunkRange,
+    isDataPageHeader,
+    EnumHelpers,
+} from './parquetParser.js';
+import { decompress } from './compression.js';
+import { decodeValues, readLevelsV1, decodeRleBitPackedHybrid, getBitWidth } from './encodings.js';
+
+const DICTIONARY_ENCODINGS = new Set([Encoding.PLAIN_DICTIONARY, Encoding.RLE_DICTIONARY]);
+
+/**
+ * Read a page header and the (still compressed) page data following it
+ * Encrypted pages are decrypted; `page` is the data page ordinal they are authenticated with.
+ */
+async function readPageAt(source, offset, limit, columnDecryptor = null, page = 0) {
+    const read = (start, end) => readFileSlice(source, start, end);
+    const { header, headerSize } = columnDecryptor
+        ? await readEncryptedPageHeaderAt(read, columnDecryptor, offset, page)
+        : await readThriftStructAt(read, PageHeader, offset, limit);
+    const dataStart = offset + headerSize;
+    const data = await read(dataStart, dataStart + header.compressed_page_size);
+    return {
+        header,
+        headerSize,
+        data: columnDecryptor ? await columnDecryptor.decryptPage(data, header, page) : data,
+    };
+}
+
+/**
+ * Decode a dictionary page (PLAIN_DICTIONARY on a dictionary page means the dictionary itself is PLAIN encoded)
+ */
+async function decodeDictionaryPage(header, data, columnMeta, typeLength) {
+    const bytes = await decompress(data, columnMeta.codec, header.uncompressed_page_size);
+    return decodeValues(bytes, Encoding.PLAIN, columnMeta, header.dictionary_page_header.num_values, { typeLength });
+}
+
+/**
+ * Read and decode the dictionary page of a column chunk
+ * The dictionary page is always the chunk's first page (not all writers set dictionary_page_offset).
+ */
+async function readDictionary(source, columnMeta, typeLength, columnDecryptor) {
+    const { start, end } = getColumnChunkRange(columnMeta);
+    const { header, data } = await readPageAt(source, start, end, columnDecryptor);
+    if (!header.dictionary_page_header) {
+        throw new Error('The page is dictionary encoded but the column chunk has no dictionary page');
+    }
+    return decodeDictionaryPage(header, data, columnMeta, typeLength);
+}
+
+/**
+ * Decompress a data page and decode its levels and values
+ * @returns {Promise<Object>} { numValues, numNulls, definitionLevels, repetitionLevels, values }
+ */
+async function decodeDataPage(header, data, options, dictionary) {
+    const { columnMeta, maxDefinitionLevel, maxRepetitionLevel, typeLength } = options;
+    const pageHeader = header.data_page_header || header.data_page_header_v2;
+    if (DICTIONARY_ENCODINGS.has(pageHeader.encoding) && !dictionary) {
+        throw new Error('The page is dictionary encoded but the column chunk has no dictionary page');
+    }
+
+    let repetitionLevels;
+    let definitionLevels;
+    let valueBytes;
+
+    if (header.data_page_header) {
+        // V1: levels and values are compressed together, levels are length-prefixed
+        const bytes = await decompress(data, columnMeta.codec, header.uncompressed_page_size);
+        const numValues = pageHeader.num_values;
+
+        const rep = readLevelsV1(bytes, 0, pageHeader.repetition_level_encoding, maxRepetitionLevel, numValues);
+        const def = readLevelsV1(bytes, rep.pos, pageHeader.definition_level_encoding, maxDefinitionLevel, numValues);
+        repetitionLevels = rep.levels;
+        definitionLevels = def.levels;
+        valueBytes = bytes.subarray(def.pos);
+    } else {
+        // V2: levels are stored uncompressed before the (optionally compressed) values
+        const repLength = pageHeader.repetition_levels_byte_length;
+        const defLength = pageHeader.definition_levels_byte_length;
+        const numValues = pageHeader.num_values;
+
+        repetitionLevels =
+            maxRepetitionLevel > 0
+                ? decodeRleBitPackedHybrid(data.subarray(0, repLength), getBitWidth(maxRepetitionLevel), numValues)
+                : null;
+        definitionLevels =
+            maxDefinitionLevel > 0
+                ? decodeRleBitPackedHybrid(
+                      data.subarray(repLength, repLength + defLength),
+                      getBitWidth(maxDefinitionLevel),
+                      numValues,
+                  )
+                : null;
+
+        const compressedValues = data.subarray(repLength + defLength);
+        valueBytes =
+            pageHeader.is_compressed === false
+                ? compressedValues
+                : await decompress(
+                      compressedValues,
+                      columnMeta.codec,
+                      header.uncompressed_page_size - repLength - defLength,
+                  );
+    }
+
+    // Only slots at the max definition level hold a value
+    const numValues = pageHeader.num_values;
+    const numNonNull = definitionLevels
+        ? definitionLevels.reduce((count, level) => count + (level === maxDefinitionLevel ? 1 : 0), 0)
+        : numValues;
+
+    const values = decodeValues(valueBytes, pageHeader.encoding, columnMeta, numNonNull, { typeLength, dictionary });
+
+    return {
+        numValues,
+        numNulls: numValues - numNonNull,
+        definitionLevels,
+        repetitionLevels,
+        values,
+    };
+}
+
+/**
+ * Read a data page and decode its levels and values
+ * @param {Object} source - Byte source of the file
+ * @param {Object} options
+ * @param {Object} options.columnMeta - The column chunk's ColumnMetaData
+ * @param {number} options.offset - File offset of the page (where its header starts)
+ * @param {number} options.maxDefinitionLevel - Max definition level of the column
+ * @param {number} options.maxRepetitionLevel - Max repetition level of the column
+ * @param {number} options.typeLength - Length of FIXED_LEN_BYTE_ARRAY values
+ * @param {Object} options.columnDecryptor - Decryptor of the column chunk if it is encrypted
+ * @param {number} options.pageOrdinal - Index of the page among the chunk's data pages (needed to decrypt it)
+ * @returns {Promise<Object>} { header, pageType, encoding, numValues, numNulls, definitionLevels, repetitionLevels, values }
+ *          where values holds the non-null values in their PLAIN byte representation
+ */
+export async function readPageValues(source, options) {
+    const { columnMeta, offset, typeLength, columnDecryptor = null, pageOrdinal = 0 } = options;
+    const { end } = getColumnChunkRange(columnMeta);
+    const { header, data } = await readPageAt(source, offset, end, columnDecryptor, pageOrdinal);
+
+    const pageHeader = header.data_page_header || header.data_page_header_v2;
+    if (!pageHeader) {
+        throw new Error(`Page at offset ${offset} is a ${EnumHelpers.getPageTypeName(header.type)}, not a data page`);
+    }
+
+    const dictionary = DICTIONARY_ENCODINGS.has(pageHeader.encoding)
+        ? await readDictionary(source, columnMeta, typeLength, columnDecryptor)
+        : null;
+
+    return {
+        header,
+        pageType: EnumHelpers.getPageTypeName(header.type),
+        encoding: EnumHelpers.getEncodingName(pageHeader.encoding),
+        ...(await decodeDataPage(header, data, options, dictionary)),
+    };
+}
+
+/**
+ * Read the first rows of a column chunk
+ * Pages are read one by one from the start of the chunk and reading stops as soon as the
+ * requested number of rows is complete, so only the leading pages of large chunks are fetched.
+ * @param {Object} source - Byte source of the file
+ * @param {Object} options - Same as readPageValues without offset and pageOrdinal
+ * @param {number} numRows - Number of rows to read
+ * @returns {Promise<Object>} { numRows, definitionLevels, repetitionLevels, values } for the rows read;
+ *          levels are null if the column has none
+ */
+export async function readColumnChunkRows(source, options, numRows) {
+    const { columnMeta, maxDefinitionLevel, maxRepetitionLevel, typeLength, columnDecryptor = null } = options;
+    const { start, end } = getColumnChunkRange(columnMeta);
+
+    const definitionLevels = [];
+    const repetitionLevels = [];
+    const values = [];
+    let rowsRead = 0;
+    let dictionary = null;
+    let offset = start;
+    let dataPages = 0;
+
+    while (offset < end) {
+        const { header, headerSize, data } = await readPageAt(source, offset, end, columnDecryptor, dataPages);
+        offset += headerSize + header.compressed_page_size;
+
+        if (header.dictionary_page_header) {
+            dictionary = await decodeDictionaryPage(header, data, columnMeta, typeLength);
+            continue;
+        }
+        if (!isDataPageHeader(header)) continue;
+        dataPages++;
+
+        const page = await decodeDataPage(header, data, options, dictionary);
+        let valueIdx = 0;
+        let complete = false;
+
+        for (let i = 0; i < page.numValues; i++) {
+            // A repetition level of 0 starts a new row
+            const repetitionLevel = page.repetitionLevels ? page.repetitionLevels[i] : 0;
+            if (repetitionLevel === 0) {
+                if (rowsRead === numRows) {
+                    complete = true;
+                    break;
+                }
+                rowsRead++;
+            }
+            const definitionLevel = page.definitionLevels ? page.definitionLevels[i] : maxDefinitionLevel;
+            repetitionLevels.push(repetitionLevel);
+            definitionLevels.push(definitionLevel);
+            if (definitionLevel === maxDefinitionLevel) values.push(page.values[valueIdx++]);
+        }
+
+        // With repetition the last row may continue on the next page
+        if (complete || (rowsRead === numRows && maxRepetitionLevel === 0)) break;
+    }
+
+    return {
+        numRows: rowsRead,
+        definitionLevels: maxDefinitionLevel > 0 ? definitionLevels : null,
+        repetitionLevels: maxRepetitionLevel > 0 ? repetitionLevels : null,
+        values,
+    };
+}
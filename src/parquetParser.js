@@ -2,13 +2,18 @@
  * Parquet File Parser for Browser
  * Parses Parquet file metadata, column indexes, and offset indexes
  * Supports streaming reads for large files (only reads necessary parts)
+ * from local files, in-memory buffers and remote URLs (see byteSource.js)
  */
 
 import {
     TCompactProtocolReader,
     FileMetaData,
+    FileCryptoMetaData,
+    ColumnMetaData,
     ColumnIndex,
     OffsetIndex,
+    PageHeader,
+    BloomFilterHeader,
     Type,
     ConvertedType,
     CompressionCodec,
@@ -16,11 +21,35 @@ import {
     FieldRepetitionType,
     PageType,
     BoundaryOrder,
+    EdgeInterpolationAlgorithm,
+    describeSkippedFields,
 } from './parquetInit.js';
+import { isByteSource, createBlobSource, createBufferSource } from './byteSource.js';
+import {
+    ENCRYPTED_FOOTER_MAGIC,
+    FOOTER_SIGNATURE_SIZE,
+    ModuleType,
+    EncryptionKeyError,
+    getAlgorithm,
+    getModuleSize,
+    parseDecryptionKeys,
+    createDecryptor,
+} from './encryption.js';
 
 // Magic bytes for Parquet files
 const PARQUET_MAGIC = new Uint8Array([0x50, 0x41, 0x52, 0x31]); // "PAR1"
 
+// Bytes read from the end of the file up front (covers the footer of most files in one read)
+const FOOTER_PREFETCH_SIZE = 64 * 1024; // 64KB
+
+// Header reads: start with a small window and grow it for headers that don't fit (e.g. large statistics)
+const HEADER_READ_WINDOW = 1024; // 1KB
+const MAX_HEADER_SIZE = 16 * 1024 * 1024; // 16MB
+// Column chunks up to this size are read in one go instead of header by header
+const WHOLE_CHUNK_READ_LIMIT = 1024 * 1024; // 1MB
+// Column chunks whose page headers are decoded at the same time
+const PAGE_HEADER_CONCURRENCY = 8;
+
 /**
  * Check if two byte arrays are equal
  */
@@ -33,17 +62,15 @@ function bytesEqual(a, b) {
 }
 
 /**
- * Read a slice of a File object as Uint8Array
- * @param {File} file - The file to read from
+ * Read a slice of a byte source as Uint8Array
+ * @param {Object} source - The byte source to read from (see byteSource.js)
  * @param {number} start - Start offset
  * @param {number} end - End offset (exclusive)
  * @returns {Promise<Uint8Array>} The bytes read
  */
-async function readFileSlice(file, start, end) {
+export async function readFileSlice(source, start, end) {
     try {
-        const blob = file.slice(start, end);
-        const buffer = await blob.arrayBuffer();
-        return new Uint8Array(buffer);
+        return await source.read(start, end);
     } catch (err) {
         // Provide more helpful error message for large file issues
         const rangeInfo = `bytes ${start.toLocaleString()}-${end.toLocaleString()}`;
@@ -60,12 +87,27 @@ async function readFileSlice(file, start, end) {
 
 /**
  * Parse a Parquet file using streaming reads (for large files)
- * Only reads the necessary parts: header, footer, and page indexes
- * @param {File} file - The File object to parse
- * @returns {Object} Parsed metadata including file metadata and page indexes
+ * Only reads the necessary parts: header, footer, and page indexes.
+ * For local sources, page headers and bloom filter headers are read as well by default;
+ * remote sources skip them since they require one request per column chunk.
+ * Page headers can also be decoded later with loadPageHeaders.
+ * With readPageIndexes: false only the footer is read (the page index entries stay empty).
+ * Encrypted files (see encryption.js) are decrypted with the keys in options.decryption:
+ * { footerKey, columnKeys: { [dotted column path]: key }, aadPrefix }. Column chunks without a
+ * key are left encrypted; an encrypted footer without its key throws an EncryptionKeyError.
+ * @param {Object|Blob} input - A byte source (see byteSource.js) or a File/Blob
+ * @param {Object} options - { readPageIndexes, readPageHeaders, readBloomFilters, decryption }
+ * @returns {Object} Parsed metadata including file metadata and page indexes, plus the encryption
+ *          summary and decryptor (both null for unencrypted files)
  */
-export async function parseParquetFileStreaming(file) {
-    const fileSize = file.size;
+export async function parseParquetFileStreaming(input, options = {}) {
+    const source = isByteSource(input) ? input : createBlobSource(input);
+    const {
+        readPageIndexes = true,
+        readPageHeaders = !source.isRemote,
+        readBloomFilters = !source.isRemote,
+    } = options;
+    const fileSize = source.size;
 
     // Validate file size
     if (fileSize < 12) {
@@ -73,18 +115,22 @@ export async function parseParquetFileStreaming(file) {
     }
 
     // Read header magic (first 4 bytes)
-    const headerMagic = await readFileSlice(file, 0, 4);
-    if (!bytesEqual(headerMagic, PARQUET_MAGIC)) {
-        throw new Error('Invalid Parquet file: missing header magic bytes (PAR1)');
+    const headerMagic = await readFileSlice(source, 0, 4);
+    const encryptedFooter = bytesEqual(headerMagic, ENCRYPTED_FOOTER_MAGIC);
+    if (!encryptedFooter && !bytesEqual(headerMagic, PARQUET_MAGIC)) {
+        throw new Error('Invalid Parquet file: missing header magic bytes (PAR1 or PARE)');
     }
+    const magicName = encryptedFooter ? 'PARE' : 'PAR1';
 
-    // Read footer (last 8 bytes: 4 bytes length + 4 bytes magic)
-    const footerEnd = await readFileSlice(file, fileSize - 8, fileSize);
+    // Read the tail of the file: usually contains the whole footer, saving a round trip
+    const tailStart = Math.max(0, fileSize - FOOTER_PREFETCH_SIZE);
+    const tail = await readFileSlice(source, tailStart, fileSize);
+    const footerEnd = tail.subarray(tail.length - 8);
 
     // Check magic bytes at the end
     const footerMagic = footerEnd.slice(4, 8);
-    if (!bytesEqual(footerMagic, PARQUET_MAGIC)) {
-        throw new Error('Invalid Parquet file: missing footer magic bytes (PAR1)');
+    if (!bytesEqual(footerMagic, encryptedFooter ? ENCRYPTED_FOOTER_MAGIC : PARQUET_MAGIC)) {
+        throw new Error(`Invalid Parquet file: missing footer magic bytes (${magicName})`);
     }
 
     // Read footer length (4 bytes before magic, little-endian)
@@ -94,88 +140,253 @@ export async function parseParquetFileStreaming(file) {
         throw new Error(`Invalid footer length: ${footerLength} exceeds file size`);
     }
 
-    // Read footer metadata
+    // Read footer metadata (from the prefetched tail if it fits)
     const footerStart = fileSize - 8 - footerLength;
-    const footerBytes = await readFileSlice(file, footerStart, footerStart + footerLength);
-
-    // Parse FileMetaData using Thrift Compact Protocol
-    const reader = new TCompactProtocolReader(footerBytes);
-    const fileMetaData = new FileMetaData();
-    fileMetaData[Symbol.for('read')](reader);
+    const footerBytes =
+        footerStart >= tailStart
+            ? tail.subarray(footerStart - tailStart, footerStart - tailStart + footerLength)
+            : await readFileSlice(source, footerStart, footerStart + footerLength);
+
+    // Parse FileMetaData using Thrift Compact Protocol (decrypting it for encrypted files)
+    const { fileMetaData, encryption, decryptor, unknownFields } = await parseFooter(
+        footerBytes,
+        encryptedFooter,
+        options.decryption,
+        footerStart,
+    );
 
     // Parse page indexes for each column chunk (streaming)
-    const pageIndexes = await parsePageIndexesStreaming(file, fileMetaData);
+    const pageIndexes = await parsePageIndexesStreaming(source, fileMetaData, readPageIndexes, decryptor);
+
+    const read = (start, end) => readFileSlice(source, start, end);
+
+    // Walk each column chunk and decode its page headers (works without a page index)
+    if (readPageHeaders) {
+        await parsePageHeaders(read, fileMetaData, pageIndexes, decryptor);
+    }
+
+    // Read bloom filter headers (bitsets are loaded on demand)
+    if (readBloomFilters) {
+        await parseBloomFilterHeaders(source, fileMetaData, pageIndexes);
+    }
 
     return {
+        source,
         fileSize,
         footerLength,
         footerStart,
         fileMetaData,
         pageIndexes,
+        encryption,
+        decryptor,
+        unknownFields,
     };
 }
 
 /**
- * Parse a Parquet file and extract metadata (legacy - reads entire file)
- * @param {ArrayBuffer} buffer - The complete parquet file as ArrayBuffer
- * @returns {Object} Parsed metadata including file metadata and page indexes
- * @deprecated Use parseParquetFileStreaming for large files
+ * Parse the footer of a file
+ * Encrypted footers (PARE) are a FileCryptoMetaData followed by the encrypted FileMetaData.
+ * Plaintext footers of encrypted files are signed with the footer key, the signature is checked
+ * if the key is known.
+ * @param {Uint8Array} footerBytes - The footer (without length and magic)
+ * @param {boolean} encryptedFooter - Whether the file has an encrypted footer
+ * @param {Object} decryption - Keys as passed to parseParquetFileStreaming
+ * @param {number} footerStart - File offset of the footer
+ * @returns {Promise<Object>} { fileMetaData, encryption, decryptor, unknownFields } where unknownFields
+ *          are the fields of the footer structs this reader doesn't know (see getUnknownFields)
  */
-export async function parseParquetFile(buffer) {
-    const bytes = new Uint8Array(buffer);
-    const fileSize = bytes.length;
-
-    // Validate file size
-    if (fileSize < 12) {
-        throw new Error('File too small to be a valid Parquet file');
+async function parseFooter(footerBytes, encryptedFooter, decryption, footerStart) {
+    const reader = new TCompactProtocolReader(footerBytes);
+    const fileMetaData = new FileMetaData();
+    const unknownFields = [];
+    let cryptoMetaData = null;
+
+    if (encryptedFooter) {
+        cryptoMetaData = new FileCryptoMetaData();
+        cryptoMetaData[Symbol.for('read')](reader);
+        unknownFields.push(...describeUnknownFields(cryptoMetaData, reader.skippedFields, footerStart, 'footer'));
+    } else {
+        fileMetaData[Symbol.for('read')](reader);
+        unknownFields.push(...describeUnknownFields(fileMetaData, reader.skippedFields, footerStart, 'footer'));
+        if (!fileMetaData.encryption_algorithm) {
+            return { fileMetaData, encryption: null, decryptor: null, unknownFields };
+        }
     }
 
-    // Check magic bytes at the beginning
-    const headerMagic = bytes.slice(0, 4);
-    if (!bytesEqual(headerMagic, PARQUET_MAGIC)) {
-        throw new Error('Invalid Parquet file: missing header magic bytes (PAR1)');
+    const encryptionAlgorithm = encryptedFooter
+        ? cryptoMetaData.encryption_algorithm
+        : fileMetaData.encryption_algorithm;
+    const { name, params } = getAlgorithm(encryptionAlgorithm);
+    const encryption = {
+        encryptedFooter,
+        algorithm: name,
+        footerKeyMetadata: (encryptedFooter ? cryptoMetaData.key_metadata : fileMetaData.footer_signing_key_metadata) ?? null,
+        supplyAadPrefix: !!params.supply_aad_prefix,
+        // Plaintext footers only: true/false once checked with the footer key
+        footerSignatureValid: null,
+        columns: [],
+    };
+    const decryptor = createDecryptor(encryptionAlgorithm, parseDecryptionKeys(decryption, encryption));
+
+    if (encryptedFooter) {
+        if (!decryptor.hasFooterKey || decryptor.missingAadPrefix) {
+            throw new EncryptionKeyError(
+                `The footer of this file is encrypted (${name}). Enter the footer key` +
+                    `${encryption.supplyAadPrefix ? ' and AAD prefix' : ''} to read it.`,
+                encryption,
+            );
+        }
+        try {
+            const plaintext = await decryptor.decryptFooter(footerBytes.subarray(reader.offset));
+            const plaintextReader = new TCompactProtocolReader(plaintext);
+            fileMetaData[Symbol.for('read')](plaintextReader);
+            unknownFields.push(...describeUnknownFields(fileMetaData, plaintextReader.skippedFields, null, 'footer'));
+        } catch (e) {
+            if (e.name !== 'OperationError') throw e;
+            throw new EncryptionKeyError('Failed to decrypt the footer: the footer key or AAD prefix is wrong', encryption);
+        }
+    } else if (decryptor.hasFooterKey && !decryptor.missingAadPrefix) {
+        encryption.footerSignatureValid = await decryptor.verifyFooterSignature(
+            footerBytes.subarray(0, reader.offset),
+            footerBytes.subarray(reader.offset, reader.offset + FOOTER_SIGNATURE_SIZE),
+        );
+        // A signature mismatch means a wrong key (or a tampered footer): the key isn't used for the columns
+        if (!encryption.footerSignatureValid) {
+            decryptor.rejectKey({ keyType: 'footer' });
+        }
     }
 
-    // Check magic bytes at the end
-    const footerMagic = bytes.slice(fileSize - 4, fileSize);
-    if (!bytesEqual(footerMagic, PARQUET_MAGIC)) {
-        throw new Error('Invalid Parquet file: missing footer magic bytes (PAR1)');
-    }
+    encryption.columns = await decryptColumnMetaData(fileMetaData, decryptor, unknownFields);
+    return { fileMetaData, encryption, decryptor, unknownFields };
+}
 
-    // Read footer length (4 bytes before magic, little-endian)
-    const footerLengthBytes = bytes.slice(fileSize - 8, fileSize - 4);
-    const footerLength = new DataView(footerLengthBytes.buffer, footerLengthBytes.byteOffset, 4).getUint32(0, true);
+/**
+ * Decrypt the ColumnMetaData of the encrypted column chunks whose key is known
+ * Column chunks without a key keep what the footer has in plaintext: no meta_data with an
+ * encrypted footer, a copy without statistics with a plaintext footer.
+ * @param {Object} fileMetaData - The parsed FileMetaData (modified in place)
+ * @param {Object} decryptor - The file's decryptor
+ * @param {Array} unknownFields - Unknown fields of the decrypted ColumnMetaData are added to it
+ * @returns {Promise<Array>} One entry per encrypted column: { path, keyType, keyMetadata, decrypted, error }
+ */
+async function decryptColumnMetaData(fileMetaData, decryptor, unknownFields) {
+    const columns = new Map();
 
-    if (footerLength > fileSize - 8) {
-        throw new Error(`Invalid footer length: ${footerLength} exceeds file size`);
+    for (let rgIdx = 0; rgIdx < fileMetaData.row_groups.length; rgIdx++) {
+        const rowGroup = fileMetaData.row_groups[rgIdx];
+        for (let colIdx = 0; colIdx < rowGroup.columns.length; colIdx++) {
+            const columnChunk = rowGroup.columns[colIdx];
+            const columnDecryptor = decryptor.forColumn(columnChunk, rgIdx, colIdx);
+            if (!columnDecryptor) continue;
+
+            const path = columnDecryptor.path ?? `Column ${colIdx}`;
+            if (!columns.has(path)) {
+                columns.set(path, {
+                    path,
+                    keyType: columnDecryptor.keyType,
+                    keyMetadata: columnDecryptor.keyMetadata,
+                    decrypted: columnDecryptor.canDecrypt,
+                    error: null,
+                });
+            }
+            const status = columns.get(path);
+            if (!columnDecryptor.canDecrypt) {
+                status.decrypted = false;
+                continue;
+            }
+            if (!columnChunk.encrypted_column_metadata) continue;
+
+            try {
+                const plaintext = await columnDecryptor.decrypt(
+                    columnChunk.encrypted_column_metadata,
+                    ModuleType.COLUMN_META_DATA,
+                );
+                const meta = new ColumnMetaData();
+                const metaReader = new TCompactProtocolReader(plaintext);
+                meta[Symbol.for('read')](metaReader);
+                columnChunk.meta_data = meta;
+                // Named as the field of the footer the decrypted struct replaces
+                const footerPath = `FileMetaData.row_groups[${rgIdx}].columns[${colIdx}].meta_data`;
+                for (const field of describeUnknownFields(meta, metaReader.skippedFields, null, 'footer')) {
+                    unknownFields.push({ ...field, path: footerPath + field.path.slice('ColumnMetaData'.length) });
+                }
+            } catch (e) {
+                status.decrypted = false;
+                status.error = e.name === 'OperationError' ? 'Wrong key' : e.message;
+                decryptor.rejectKey(columnDecryptor);
+            }
+        }
     }
 
-    // Read footer metadata
-    const footerStart = fileSize - 8 - footerLength;
-    const footerBytes = bytes.slice(footerStart, footerStart + footerLength);
+    return [...columns.values()];
+}
 
-    // Parse FileMetaData using Thrift Compact Protocol
-    const reader = new TCompactProtocolReader(footerBytes);
-    const fileMetaData = new FileMetaData();
-    fileMetaData[Symbol.for('read')](reader);
+// Path prefix of fields in a column chunk's footer entry
+const COLUMN_CHUNK_PATH = /^FileMetaData\.row_groups\[(\d+)\]\.columns\[(\d+)\]/;
 
-    // Parse page indexes for each column chunk
-    const pageIndexes = await parsePageIndexes(bytes, fileMetaData);
+/**
+ * Describe the fields a reader skipped while decoding a struct, i.e. fields added to the format
+ * after parquet_types.js was generated (or written by a non-conforming writer)
+ * @param {Object} struct - The decoded struct
+ * @param {Array} skippedFields - The reader's skippedFields
+ * @param {number|null} offset - File offset the struct was decoded from (null for decrypted structs)
+ * @param {string} structure - Where the struct is read from: 'footer', 'columnIndex', 'offsetIndex',
+ *        'pageHeader' or 'bloomFilter'
+ */
+function describeUnknownFields(struct, skippedFields, offset, structure) {
+    return describeSkippedFields(struct, skippedFields).map((field) => ({
+        structure,
+        ...field,
+        start: offset === null ? null : offset + field.start,
+        end: offset === null ? null : offset + field.end,
+    }));
+}
 
-    return {
-        fileSize,
-        footerLength,
-        footerStart,
-        fileMetaData,
-        pageIndexes,
-    };
+/**
+ * Get all fields the parser skipped because it doesn't know them
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Array} { structure, path, structName, fieldId, type, typeName, start, end, rowGroup, column }
+ *          where path names the struct holding the field (e.g. "FileMetaData.row_groups[0].columns[1]"),
+ *          start/end is the field's byte range in the file (null in decrypted structs) and
+ *          rowGroup/column locate the column chunk (null for other parts of the footer)
+ */
+export function getUnknownFields(data) {
+    const fields = (data.unknownFields ?? []).map((field) => {
+        const match = COLUMN_CHUNK_PATH.exec(field.path);
+        return {
+            ...field,
+            rowGroup: match ? Number(match[1]) : null,
+            column: match ? Number(match[2]) : null,
+        };
+    });
+    data.pageIndexes.forEach((rgIndexes, rgIdx) => {
+        rgIndexes.forEach((pageIndex, colIdx) => {
+            for (const field of pageIndex.unknownFields ?? []) {
+                fields.push({ ...field, rowGroup: rgIdx, column: colIdx });
+            }
+        });
+    });
+    return fields;
+}
+
+/**
+ * Parse a Parquet file and extract metadata (legacy - reads entire file)
+ * @param {ArrayBuffer} buffer - The complete parquet file as ArrayBuffer
+ * @returns {Object} Parsed metadata including file metadata and page indexes
+ * @deprecated Use parseParquetFileStreaming with a byte source instead
+ */
+export async function parseParquetFile(buffer) {
+    return parseParquetFileStreaming(createBufferSource(buffer));
 }
 
 /**
  * Parse ColumnIndex and OffsetIndex for all column chunks (streaming version)
  * Batches reads to minimize I/O operations
+ * Structures that fail to parse are left null and recorded in the entry's `errors` as
+ * { structure, offset, message } (as are page header and bloom filter header failures later on).
+ * Fields the reader doesn't know are recorded in the entry's `unknownFields` (see getUnknownFields).
  */
-async function parsePageIndexesStreaming(file, fileMetaData) {
+async function parsePageIndexesStreaming(source, fileMetaData, readIndexes = true, decryptor = null) {
     const indexes = [];
 
     // Collect all required byte ranges first
@@ -184,6 +395,9 @@ async function parsePageIndexesStreaming(file, fileMetaData) {
         const rowGroup = fileMetaData.row_groups[rgIdx];
         for (let colIdx = 0; colIdx < rowGroup.columns.length; colIdx++) {
             const columnChunk = rowGroup.columns[colIdx];
+            // Indexes of encrypted columns are encrypted modules, skipped without the column's key
+            const columnDecryptor = decryptor?.forColumn(columnChunk, rgIdx, colIdx) ?? null;
+            if (columnDecryptor && !columnDecryptor.canDecrypt) continue;
 
             if (columnChunk.column_index_offset && columnChunk.column_index_length) {
                 readRequests.push({
@@ -192,6 +406,7 @@ async function parsePageIndexesStreaming(file, fileMetaData) {
                     type: 'columnIndex',
                     offset: Number(columnChunk.column_index_offset),
                     length: Number(columnChunk.column_index_length),
+                    columnDecryptor,
                 });
             }
 
@@ -202,6 +417,7 @@ async function parsePageIndexesStreaming(file, fileMetaData) {
                     type: 'offsetIndex',
                     offset: Number(columnChunk.offset_index_offset),
                     length: Number(columnChunk.offset_index_length),
+                    columnDecryptor,
                 });
             }
         }
@@ -245,32 +461,44 @@ async function parsePageIndexesStreaming(file, fileMetaData) {
         const rowGroup = fileMetaData.row_groups[rgIdx];
         const rgIndexes = [];
         for (let colIdx = 0; colIdx < rowGroup.columns.length; colIdx++) {
-            rgIndexes.push({ columnIndex: null, offsetIndex: null });
+            rgIndexes.push({
+                columnIndex: null,
+                offsetIndex: null,
+                pageHeaders: [],
+                bloomFilter: null,
+                errors: [],
+                unknownFields: [],
+            });
         }
         indexes.push(rgIndexes);
     }
 
+    if (!readIndexes) {
+        return indexes;
+    }
+
     // Read and parse batches
     for (const batch of batches) {
-        const batchBytes = await readFileSlice(file, batch.start, batch.end);
+        const batchBytes = await readFileSlice(source, batch.start, batch.end);
 
         for (const req of batch.requests) {
             const localOffset = req.offset - batch.start;
             const indexBytes = batchBytes.slice(localOffset, localOffset + req.length);
 
             try {
-                const reader = new TCompactProtocolReader(indexBytes);
-                if (req.type === 'columnIndex') {
-                    const columnIndex = new ColumnIndex();
-                    columnIndex[Symbol.for('read')](reader);
-                    indexes[req.rgIdx][req.colIdx].columnIndex = columnIndex;
-                } else {
-                    const offsetIndex = new OffsetIndex();
-                    offsetIndex[Symbol.for('read')](reader);
-                    indexes[req.rgIdx][req.colIdx].offsetIndex = offsetIndex;
-                }
+                const moduleType = req.type === 'columnIndex' ? ModuleType.COLUMN_INDEX : ModuleType.OFFSET_INDEX;
+                const reader = new TCompactProtocolReader(
+                    req.columnDecryptor ? await req.columnDecryptor.decrypt(indexBytes, moduleType) : indexBytes,
+                );
+                const index = req.type === 'columnIndex' ? new ColumnIndex() : new OffsetIndex();
+                index[Symbol.for('read')](reader);
+                indexes[req.rgIdx][req.colIdx][req.type] = index;
+                indexes[req.rgIdx][req.colIdx].unknownFields.push(
+                    ...describeUnknownFields(index, reader.skippedFields, req.columnDecryptor ? null : req.offset, req.type),
+                );
             } catch (e) {
                 console.warn(`Failed to parse ${req.type} for row group ${req.rgIdx}, column ${req.colIdx}:`, e);
+                indexes[req.rgIdx][req.colIdx].errors.push({ structure: req.type, offset: req.offset, message: e.message });
             }
         }
     }
@@ -279,54 +507,337 @@ async function parsePageIndexesStreaming(file, fileMetaData) {
 }
 
 /**
- * Parse ColumnIndex and OffsetIndex for all column chunks (legacy - from buffer)
+ * Get the byte range covered by a column chunk's pages (dictionary page included)
+ * @param {Object} meta - The column chunk's ColumnMetaData
+ * @returns {{start: number, end: number}} Start and end (exclusive) offsets
  */
-async function parsePageIndexes(bytes, fileMetaData) {
-    const indexes = [];
+export function getColumnChunkRange(meta) {
+    const dictOffset = meta.dictionary_page_offset ? Number(meta.dictionary_page_offset) : null;
+    const dataOffset = Number(meta.data_page_offset);
+    const start = dictOffset ? Math.min(dictOffset, dataOffset) : dataOffset;
+    return { start, end: start + Number(meta.total_compressed_size) };
+}
 
+/**
+ * Decode a single Thrift struct from the start of a byte array
+ * @param {Uint8Array} bytes - The bytes to decode from
+ * @param {Function} StructType - The generated struct class (e.g. PageHeader)
+ * @returns {{header: Object, headerSize: number, skippedFields: Array}} The struct, its encoded size in
+ *          bytes and the fields the reader skipped (see TCompactProtocolReader)
+ */
+function decodeThriftStruct(bytes, StructType) {
+    const reader = new TCompactProtocolReader(bytes);
+    const header = new StructType();
+    header[Symbol.for('read')](reader);
+    return { header, headerSize: reader.offset, skippedFields: reader.skippedFields };
+}
+
+/**
+ * Read a Thrift struct at a file offset, growing the read window until the struct fits
+ * @param {Function} read - async (start, end) => Uint8Array
+ * @param {Function} StructType - The generated struct class
+ * @param {number} offset - File offset of the struct
+ * @param {number} limit - Offset the struct cannot extend past
+ */
+export async function readThriftStructAt(read, StructType, offset, limit) {
+    let windowSize = HEADER_READ_WINDOW;
+    while (true) {
+        const windowEnd = Math.min(offset + windowSize, limit);
+        const bytes = await read(offset, windowEnd);
+        try {
+            return decodeThriftStruct(bytes, StructType);
+        } catch (e) {
+            const isUnderflow = e.message?.startsWith('Buffer underflow');
+            if (!isUnderflow || windowEnd >= limit || windowSize >= MAX_HEADER_SIZE) {
+                throw e;
+            }
+            windowSize *= 4;
+        }
+    }
+}
+
+/**
+ * Read and decrypt the page header module at a file offset
+ * @param {Function} read - async (start, end) => Uint8Array
+ * @param {Object} columnDecryptor - The column chunk's decryptor (see encryption.js)
+ * @param {number} offset - File offset of the header module
+ * @param {number} page - Ordinal of the next data page in the column chunk
+ * @returns {Promise<{header: Object, headerSize: number}>} The header and the module's size in bytes
+ */
+export async function readEncryptedPageHeaderAt(read, columnDecryptor, offset, page) {
+    const headerSize = getModuleSize(await read(offset, offset + 4));
+    const header = await columnDecryptor.decryptPageHeader(await read(offset, offset + headerSize), page);
+    return { header, headerSize };
+}
+
+/**
+ * Decode all page headers of a column chunk by walking from its first page to its end
+ * @param {Function} read - async (start, end) => Uint8Array
+ * @param {Object} meta - The column chunk's ColumnMetaData
+ * @param {number} rowGroupRows - Number of rows in the row group
+ * @param {Object} columnDecryptor - The column chunk's decryptor if it is encrypted
+ * @param {Array} unknownFields - Unknown fields of the (unencrypted) page headers are added to it
+ * @returns {Promise<Array>} Page header entries in file order
+ */
+async function readColumnChunkPageHeaders(read, meta, rowGroupRows, columnDecryptor = null, unknownFields = []) {
+    const { start, end } = getColumnChunkRange(meta);
+    const chunkBytes = end - start <= WHOLE_CHUNK_READ_LIMIT ? await read(start, end) : null;
+
+    // A chunk with exactly one value per row is not repeated, so each value is a row.
+    // Otherwise V1 data pages carry no row count and the row position is estimated from values.
+    const totalValues = Number(meta.num_values);
+    const valuesAreRows = totalValues === rowGroupRows;
+
+    const pageHeaders = [];
+    let offset = start;
+    let valuesSoFar = 0;
+    let rowsSoFar = 0;
+    let dataPages = 0;
+
+    while (offset < end) {
+        let pageHeader;
+        if (columnDecryptor) {
+            const readChunk = chunkBytes ? async (from, to) => chunkBytes.subarray(from - start, to - start) : read;
+            pageHeader = await readEncryptedPageHeaderAt(readChunk, columnDecryptor, offset, dataPages);
+        } else {
+            pageHeader = chunkBytes
+                ? decodeThriftStruct(chunkBytes.subarray(offset - start), PageHeader)
+                : await readThriftStructAt(read, PageHeader, offset, end);
+        }
+        const { header, headerSize } = pageHeader;
+        if (pageHeader.skippedFields) {
+            unknownFields.push(...describeUnknownFields(header, pageHeader.skippedFields, offset, 'pageHeader'));
+        }
+
+        const entry = {
+            offset,
+            header_size: headerSize,
+            // Includes the header, same as PageLocation.compressed_page_size
+            compressed_page_size: headerSize + header.compressed_page_size,
+            first_row_index: null,
+            rowsEstimated: false,
+            header,
+        };
+
+        if (header.data_page_header_v2) {
+            entry.first_row_index = rowsSoFar;
+            rowsSoFar += header.data_page_header_v2.num_rows;
+            valuesSoFar += header.data_page_header_v2.num_values;
+        } else if (header.data_page_header) {
+            const numValues = header.data_page_header.num_values;
+            if (valuesAreRows) {
+                entry.first_row_index = rowsSoFar;
+                rowsSoFar += numValues;
+            } else {
+                entry.first_row_index = Math.round((valuesSoFar / totalValues) * rowGroupRows);
+                entry.rowsEstimated = true;
+            }
+            valuesSoFar += numValues;
+        }
+
+        if (header.compressed_page_size < 0) {
+            throw new Error(`Invalid compressed page size ${header.compressed_page_size} at offset ${offset}`);
+        }
+
+        if (isDataPageHeader(header)) dataPages++;
+        pageHeaders.push(entry);
+        offset += entry.compressed_page_size;
+    }
+
+    return pageHeaders;
+}
+
+/**
+ * Decode the page headers of all column chunks and attach them to the page index entries
+ * Chunks are walked a few at a time, so the reads of one chunk overlap with decoding another.
+ * @param {Function} read - async (start, end) => Uint8Array
+ * @param {Object} fileMetaData - The parsed FileMetaData
+ * @param {Array} indexes - Page index entries per row group and column (modified in place)
+ * @param {Object} decryptor - The file's decryptor (null if not encrypted)
+ */
+async function parsePageHeaders(read, fileMetaData, indexes, decryptor) {
+    const chunks = fileMetaData.row_groups.flatMap((rowGroup, rgIdx) =>
+        rowGroup.columns.map((columnChunk, colIdx) => ({ rowGroup, columnChunk, rgIdx, colIdx })),
+    );
+
+    const parseChunk = async ({ rowGroup, columnChunk, rgIdx, colIdx }) => {
+        const meta = columnChunk.meta_data;
+        const columnDecryptor = decryptor?.forColumn(columnChunk, rgIdx, colIdx) ?? null;
+        if (!meta || (columnDecryptor && !columnDecryptor.canDecrypt)) return;
+
+        try {
+            indexes[rgIdx][colIdx].pageHeaders = await readColumnChunkPageHeaders(
+                read,
+                meta,
+                Number(rowGroup.num_rows),
+                columnDecryptor,
+                indexes[rgIdx][colIdx].unknownFields,
+            );
+        } catch (e) {
+            console.warn(`Failed to parse page headers for row group ${rgIdx}, column ${colIdx}:`, e);
+            indexes[rgIdx][colIdx].errors.push({
+                structure: 'pageHeaders',
+                offset: getColumnChunkRange(meta).start,
+                message: e.message,
+            });
+        }
+    };
+
+    let next = 0;
+    const parseNext = async () => {
+        while (next < chunks.length) {
+            await parseChunk(chunks[next++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(PAGE_HEADER_CONCURRENCY, chunks.length) }, parseNext));
+}
+
+/**
+ * Decode the page headers of a file parsed with readPageHeaders: false
+ * Lets the file be shown from its footer and page indexes first. The page index entries of `data`
+ * are left as they are: the headers go into copies, returned as a new result.
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Promise<Object>} The result with page headers
+ */
+export async function loadPageHeaders(data) {
+    const { source, fileMetaData, decryptor } = data;
+    const pageIndexes = data.pageIndexes.map((rgIndexes) =>
+        rgIndexes.map((entry) => ({
+            ...entry,
+            pageHeaders: [],
+            errors: entry.errors.filter((error) => error.structure !== 'pageHeaders'),
+            unknownFields: entry.unknownFields.filter((field) => field.structure !== 'pageHeader'),
+        })),
+    );
+    await parsePageHeaders((start, end) => readFileSlice(source, start, end), fileMetaData, pageIndexes, decryptor);
+    return { ...data, pageIndexes };
+}
+
+/**
+ * Check whether the bloom filter of a column chunk can be read
+ * Bloom filters of encrypted columns are encrypted as well and are not read.
+ */
+export function hasReadableBloomFilter(columnChunk) {
+    return columnChunk.meta_data?.bloom_filter_offset != null && !columnChunk.crypto_metadata;
+}
+
+/**
+ * Read the BloomFilterHeader of a column chunk
+ * @param {Object} source - The byte source to read from
+ * @param {Object} meta - The column chunk's ColumnMetaData
+ * @returns {Promise<Object>} { bloomFilter: the page index entry's bloomFilter { offset, headerSize,
+ *          numBytes, header }, unknownFields: fields of the header this reader doesn't know }
+ */
+export async function readBloomFilterHeader(source, meta) {
+    const offset = Number(meta.bloom_filter_offset);
+    // bloom_filter_length is optional (older writers), so the header may extend up to the end of file
+    const limit = meta.bloom_filter_length ? offset + meta.bloom_filter_length : source.size;
+    const read = (start, end) => readFileSlice(source, start, end);
+
+    const { header, headerSize, skippedFields } = await readThriftStructAt(read, BloomFilterHeader, offset, limit);
+    return {
+        bloomFilter: { offset, headerSize, numBytes: header.numBytes, header },
+        unknownFields: describeUnknownFields(header, skippedFields, offset, 'bloomFilter'),
+    };
+}
+
+/**
+ * Read the BloomFilterHeader of every column chunk that has a bloom filter
+ * and attach it to the page index entries (the bitsets are loaded on demand)
+ * @param {Object} source - The byte source to read from
+ * @param {Object} fileMetaData - The parsed FileMetaData
+ * @param {Array} indexes - Page index entries per row group and column (modified in place)
+ */
+async function parseBloomFilterHeaders(source, fileMetaData, indexes) {
     for (let rgIdx = 0; rgIdx < fileMetaData.row_groups.length; rgIdx++) {
         const rowGroup = fileMetaData.row_groups[rgIdx];
-        const rgIndexes = [];
 
         for (let colIdx = 0; colIdx < rowGroup.columns.length; colIdx++) {
             const columnChunk = rowGroup.columns[colIdx];
-            const colIndex = { columnIndex: null, offsetIndex: null };
+            if (!hasReadableBloomFilter(columnChunk)) continue;
 
-            // Parse ColumnIndex if available
-            if (columnChunk.column_index_offset && columnChunk.column_index_length) {
-                try {
-                    const offset = Number(columnChunk.column_index_offset);
-                    const length = Number(columnChunk.column_index_length);
-                    const indexBytes = bytes.slice(offset, offset + length);
-                    const reader = new TCompactProtocolReader(indexBytes);
-                    colIndex.columnIndex = new ColumnIndex();
-                    colIndex.columnIndex[Symbol.for('read')](reader);
-                } catch (e) {
-                    console.warn(`Failed to parse ColumnIndex for row group ${rgIdx}, column ${colIdx}:`, e);
-                }
+            const offset = Number(columnChunk.meta_data.bloom_filter_offset);
+            try {
+                const { bloomFilter, unknownFields } = await readBloomFilterHeader(source, columnChunk.meta_data);
+                indexes[rgIdx][colIdx].unknownFields.push(...unknownFields);
+                indexes[rgIdx][colIdx].bloomFilter = bloomFilter;
+            } catch (e) {
+                console.warn(`Failed to parse bloom filter header for row group ${rgIdx}, column ${colIdx}:`, e);
+                indexes[rgIdx][colIdx].errors.push({ structure: 'bloomFilter', offset, message: e.message });
             }
+        }
+    }
+}
 
-            // Parse OffsetIndex if available
-            if (columnChunk.offset_index_offset && columnChunk.offset_index_length) {
-                try {
-                    const offset = Number(columnChunk.offset_index_offset);
-                    const length = Number(columnChunk.offset_index_length);
-                    const indexBytes = bytes.slice(offset, offset + length);
-                    const reader = new TCompactProtocolReader(indexBytes);
-                    colIndex.offsetIndex = new OffsetIndex();
-                    colIndex.offsetIndex[Symbol.for('read')](reader);
-                } catch (e) {
-                    console.warn(`Failed to parse OffsetIndex for row group ${rgIdx}, column ${colIdx}:`, e);
-                }
-            }
+/**
+ * Load the split-block bitset of a bloom filter
+ * @param {Object} source - The byte source to read from
+ * @param {Object} bloomFilter - The column chunk's bloom filter entry from pageIndexes
+ * @returns {Promise<Uint8Array>} The bitset bytes
+ */
+export async function loadBloomFilterBitset(source, bloomFilter) {
+    const { header } = bloomFilter;
+    if (!header.algorithm?.BLOCK) {
+        throw new Error('Unsupported bloom filter algorithm (only split-block is supported)');
+    }
+    if (!header.hash?.XXHASH) {
+        throw new Error('Unsupported bloom filter hash (only XXH64 is supported)');
+    }
+    if (!header.compression?.UNCOMPRESSED) {
+        throw new Error('Unsupported bloom filter compression (only uncompressed is supported)');
+    }
 
-            rgIndexes.push(colIndex);
-        }
+    const start = bloomFilter.offset + bloomFilter.headerSize;
+    return readFileSlice(source, start, start + bloomFilter.numBytes);
+}
 
-        indexes.push(rgIndexes);
+/**
+ * Check whether a page header describes a data page (V1 or V2)
+ */
+export function isDataPageHeader(header) {
+    return !!(header?.data_page_header || header?.data_page_header_v2);
+}
+
+/**
+ * Get the data page locations of a column chunk
+ * Uses the OffsetIndex if present and falls back to the decoded page headers.
+ * Each location gets the matching decoded page header attached as `header` (or null), and the
+ * page's unencoded_byte_array_data_bytes from the OffsetIndex (or null).
+ * @param {Object} pageIndex - The column chunk's entry from pageIndexes
+ * @returns {Array} Locations with offset, compressed_page_size, first_row_index and header
+ */
+export function getPageLocations(pageIndex) {
+    const pageHeaders = pageIndex?.pageHeaders || [];
+    const pageLocations = pageIndex?.offsetIndex?.page_locations;
+
+    if (pageLocations && pageLocations.length > 0) {
+        const headersByOffset = new Map(pageHeaders.map((entry) => [entry.offset, entry.header]));
+        const unencodedSizes = pageIndex.offsetIndex.unencoded_byte_array_data_bytes;
+        return pageLocations.map((loc, i) => ({
+            ...loc,
+            unencoded_byte_array_data_bytes: unencodedSizes?.[i] ?? null,
+            rowsEstimated: false,
+            header: headersByOffset.get(Number(loc.offset)) || null,
+        }));
     }
 
-    return indexes;
+    return pageHeaders
+        .filter((entry) => isDataPageHeader(entry.header))
+        .map((entry) => ({
+            offset: entry.offset,
+            compressed_page_size: entry.compressed_page_size,
+            first_row_index: entry.first_row_index,
+            rowsEstimated: entry.rowsEstimated,
+            header: entry.header,
+        }));
+}
+
+/**
+ * Get the decoded dictionary page header of a column chunk, if any
+ */
+export function getDictionaryPageHeader(pageIndex) {
+    const entry = pageIndex?.pageHeaders?.find((p) => p.header.dictionary_page_header);
+    return entry ? entry.header : null;
 }
 
 /**
@@ -362,6 +873,10 @@ export const EnumHelpers = {
     getBoundaryOrderName(order) {
         return BoundaryOrder[order] || `Unknown(${order})`;
     },
+
+    getEdgeInterpolationName(algorithm) {
+        return EdgeInterpolationAlgorithm[algorithm] || `Unknown(${algorithm})`;
+    },
 };
 
 /**
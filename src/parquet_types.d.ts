@@ -1,9 +1,8 @@
 //
-// Autogenerated by Thrift Compiler (0.22.0)
+// Generated from parquet.thrift by codegen/generateParquetTypes.js
 //
-// DO NOT EDIT UNLESS YOU ARE SURE THAT YOU KNOW WHAT YOU ARE DOING
+// DO NOT EDIT: change src/parquet.thrift instead (regenerated by the Vite build and `npm run generate-types`)
 //
-import Int64 = require('node-int64');
 
 /**
  * Types supported by Parquet.  These types are intended to be used in combination
@@ -136,14 +135,14 @@ export declare enum BoundaryOrder {
  * nesting level and maximum length of lists).
  */
 export declare class SizeStatistics {
-    unencoded_byte_array_data_bytes?: Int64;
-    repetition_level_histogram?: Int64[];
-    definition_level_histogram?: Int64[];
+    unencoded_byte_array_data_bytes?: number | bigint | null;
+    repetition_level_histogram?: (number | bigint)[] | null;
+    definition_level_histogram?: (number | bigint)[] | null;
 
     constructor(args?: {
-        unencoded_byte_array_data_bytes?: Int64;
-        repetition_level_histogram?: Int64[];
-        definition_level_histogram?: Int64[];
+        unencoded_byte_array_data_bytes?: number | bigint | null;
+        repetition_level_histogram?: (number | bigint)[] | null;
+        definition_level_histogram?: (number | bigint)[] | null;
     });
 }
 
@@ -156,20 +155,20 @@ export declare class BoundingBox {
     xmax: number;
     ymin: number;
     ymax: number;
-    zmin?: number;
-    zmax?: number;
-    mmin?: number;
-    mmax?: number;
+    zmin?: number | null;
+    zmax?: number | null;
+    mmin?: number | null;
+    mmax?: number | null;
 
     constructor(args?: {
         xmin: number;
         xmax: number;
         ymin: number;
         ymax: number;
-        zmin?: number;
-        zmax?: number;
-        mmin?: number;
-        mmax?: number;
+        zmin?: number | null;
+        zmax?: number | null;
+        mmin?: number | null;
+        mmax?: number | null;
     });
 }
 
@@ -177,10 +176,13 @@ export declare class BoundingBox {
  * Statistics specific to Geometry and Geography logical types
  */
 export declare class GeospatialStatistics {
-    bbox?: BoundingBox;
-    geospatial_types?: number[];
+    bbox?: BoundingBox | null;
+    geospatial_types?: number[] | null;
 
-    constructor(args?: { bbox?: BoundingBox; geospatial_types?: number[] });
+    constructor(args?: {
+        bbox?: BoundingBox | null;
+        geospatial_types?: number[] | null;
+    });
 }
 
 /**
@@ -188,24 +190,24 @@ export declare class GeospatialStatistics {
  * All fields are optional.
  */
 export declare class Statistics {
-    max?: Buffer;
-    min?: Buffer;
-    null_count?: Int64;
-    distinct_count?: Int64;
-    max_value?: Buffer;
-    min_value?: Buffer;
-    is_max_value_exact?: boolean;
-    is_min_value_exact?: boolean;
+    max?: Uint8Array | null;
+    min?: Uint8Array | null;
+    null_count?: number | bigint | null;
+    distinct_count?: number | bigint | null;
+    max_value?: Uint8Array | null;
+    min_value?: Uint8Array | null;
+    is_max_value_exact?: boolean | null;
+    is_min_value_exact?: boolean | null;
 
     constructor(args?: {
-        max?: Buffer;
-        min?: Buffer;
-        null_count?: Int64;
-        distinct_count?: Int64;
-        max_value?: Buffer;
-        min_value?: Buffer;
-        is_max_value_exact?: boolean;
-        is_min_value_exact?: boolean;
+        max?: Uint8Array | null;
+        min?: Uint8Array | null;
+        null_count?: number | bigint | null;
+        distinct_count?: number | bigint | null;
+        max_value?: Uint8Array | null;
+        min_value?: Uint8Array | null;
+        is_max_value_exact?: boolean | null;
+        is_min_value_exact?: boolean | null;
     });
 }
 
@@ -250,7 +252,10 @@ export declare class DecimalType {
     scale: number;
     precision: number;
 
-    constructor(args?: { scale: number; precision: number });
+    constructor(args?: {
+        scale: number;
+        precision: number;
+    });
 }
 
 /**
@@ -263,11 +268,15 @@ export declare class MicroSeconds {}
 export declare class NanoSeconds {}
 
 export declare class TimeUnit {
-    MILLIS?: MilliSeconds;
-    MICROS?: MicroSeconds;
-    NANOS?: NanoSeconds;
+    MILLIS?: MilliSeconds | null;
+    MICROS?: MicroSeconds | null;
+    NANOS?: NanoSeconds | null;
 
-    constructor(args?: { MILLIS?: MilliSeconds; MICROS?: MicroSeconds; NANOS?: NanoSeconds });
+    constructor(args?: {
+        MILLIS?: MilliSeconds | null;
+        MICROS?: MicroSeconds | null;
+        NANOS?: NanoSeconds | null;
+    });
 }
 
 /**
@@ -279,7 +288,10 @@ export declare class TimestampType {
     isAdjustedToUTC: boolean;
     unit: TimeUnit;
 
-    constructor(args?: { isAdjustedToUTC: boolean; unit: TimeUnit });
+    constructor(args?: {
+        isAdjustedToUTC: boolean;
+        unit: TimeUnit;
+    });
 }
 
 /**
@@ -291,7 +303,10 @@ export declare class TimeType {
     isAdjustedToUTC: boolean;
     unit: TimeUnit;
 
-    constructor(args?: { isAdjustedToUTC: boolean; unit: TimeUnit });
+    constructor(args?: {
+        isAdjustedToUTC: boolean;
+        unit: TimeUnit;
+    });
 }
 
 /**
@@ -302,10 +317,13 @@ export declare class TimeType {
  * Allowed for physical types: INT32, INT64
  */
 export declare class IntType {
-    bitWidth: any;
+    bitWidth: number;
     isSigned: boolean;
 
-    constructor(args?: { bitWidth: any; isSigned: boolean });
+    constructor(args?: {
+        bitWidth: number;
+        isSigned: boolean;
+    });
 }
 
 /**
@@ -326,9 +344,11 @@ export declare class BsonType {}
  * Embedded Variant logical type annotation
  */
 export declare class VariantType {
-    specification_version?: any;
+    specification_version?: number | null;
 
-    constructor(args?: { specification_version?: any });
+    constructor(args?: {
+        specification_version?: number | null;
+    });
 }
 
 /**
@@ -346,9 +366,11 @@ export declare class VariantType {
  * See Geospatial.md for details.
  */
 export declare class GeometryType {
-    crs?: string;
+    crs?: string | null;
 
-    constructor(args?: { crs?: string });
+    constructor(args?: {
+        crs?: string | null;
+    });
 }
 
 /**
@@ -369,10 +391,13 @@ export declare class GeometryType {
  * See Geospatial.md for details.
  */
 export declare class GeographyType {
-    crs?: string;
-    algorithm?: EdgeInterpolationAlgorithm;
+    crs?: string | null;
+    algorithm?: EdgeInterpolationAlgorithm | null;
 
-    constructor(args?: { crs?: string; algorithm?: EdgeInterpolationAlgorithm });
+    constructor(args?: {
+        crs?: string | null;
+        algorithm?: EdgeInterpolationAlgorithm | null;
+    });
 }
 
 /**
@@ -383,42 +408,42 @@ export declare class GeographyType {
  * from the following table.
  */
 export declare class LogicalType {
-    STRING?: StringType;
-    MAP?: MapType;
-    LIST?: ListType;
-    ENUM?: EnumType;
-    DECIMAL?: DecimalType;
-    DATE?: DateType;
-    TIME?: TimeType;
-    TIMESTAMP?: TimestampType;
-    INTEGER?: IntType;
-    UNKNOWN?: NullType;
-    JSON?: JsonType;
-    BSON?: BsonType;
-    UUID?: UUIDType;
-    FLOAT16?: Float16Type;
-    VARIANT?: VariantType;
-    GEOMETRY?: GeometryType;
-    GEOGRAPHY?: GeographyType;
-
-    constructor(args?: {
-        STRING?: StringType;
-        MAP?: MapType;
-        LIST?: ListType;
-        ENUM?: EnumType;
-        DECIMAL?: DecimalType;
-        DATE?: DateType;
-        TIME?: TimeType;
-        TIMESTAMP?: TimestampType;
-        INTEGER?: IntType;
-        UNKNOWN?: NullType;
-        JSON?: JsonType;
-        BSON?: BsonType;
-        UUID?: UUIDType;
-        FLOAT16?: Float16Type;
-        VARIANT?: VariantType;
-        GEOMETRY?: GeometryType;
-        GEOGRAPHY?: GeographyType;
+    STRING?: StringType | null;
+    MAP?: MapType | null;
+    LIST?: ListType | null;
+    ENUM?: EnumType | null;
+    DECIMAL?: DecimalType | null;
+    DATE?: DateType | null;
+    TIME?: TimeType | null;
+    TIMESTAMP?: TimestampType | null;
+    INTEGER?: IntType | null;
+    UNKNOWN?: NullType | null;
+    JSON?: JsonType | null;
+    BSON?: BsonType | null;
+    UUID?: UUIDType | null;
+    FLOAT16?: Float16Type | null;
+    VARIANT?: VariantType | null;
+    GEOMETRY?: GeometryType | null;
+    GEOGRAPHY?: GeographyType | null;
+
+    constructor(args?: {
+        STRING?: StringType | null;
+        MAP?: MapType | null;
+        LIST?: ListType | null;
+        ENUM?: EnumType | null;
+        DECIMAL?: DecimalType | null;
+        DATE?: DateType | null;
+        TIME?: TimeType | null;
+        TIMESTAMP?: TimestampType | null;
+        INTEGER?: IntType | null;
+        UNKNOWN?: NullType | null;
+        JSON?: JsonType | null;
+        BSON?: BsonType | null;
+        UUID?: UUIDType | null;
+        FLOAT16?: Float16Type | null;
+        VARIANT?: VariantType | null;
+        GEOMETRY?: GeometryType | null;
+        GEOGRAPHY?: GeographyType | null;
     });
 }
 
@@ -429,28 +454,28 @@ export declare class LogicalType {
  * the nodes are listed in depth first traversal order.
  */
 export declare class SchemaElement {
-    type?: Type;
-    type_length?: number;
-    repetition_type?: FieldRepetitionType;
+    type?: Type | null;
+    type_length?: number | null;
+    repetition_type?: FieldRepetitionType | null;
     name: string;
-    num_children?: number;
-    converted_type?: ConvertedType;
-    scale?: number;
-    precision?: number;
-    field_id?: number;
-    logicalType?: LogicalType;
+    num_children?: number | null;
+    converted_type?: ConvertedType | null;
+    scale?: number | null;
+    precision?: number | null;
+    field_id?: number | null;
+    logicalType?: LogicalType | null;
 
     constructor(args?: {
-        type?: Type;
-        type_length?: number;
-        repetition_type?: FieldRepetitionType;
+        type?: Type | null;
+        type_length?: number | null;
+        repetition_type?: FieldRepetitionType | null;
         name: string;
-        num_children?: number;
-        converted_type?: ConvertedType;
-        scale?: number;
-        precision?: number;
-        field_id?: number;
-        logicalType?: LogicalType;
+        num_children?: number | null;
+        converted_type?: ConvertedType | null;
+        scale?: number | null;
+        precision?: number | null;
+        field_id?: number | null;
+        logicalType?: LogicalType | null;
     });
 }
 
@@ -462,14 +487,14 @@ export declare class DataPageHeader {
     encoding: Encoding;
     definition_level_encoding: Encoding;
     repetition_level_encoding: Encoding;
-    statistics?: Statistics;
+    statistics?: Statistics | null;
 
     constructor(args?: {
         num_values: number;
         encoding: Encoding;
         definition_level_encoding: Encoding;
         repetition_level_encoding: Encoding;
-        statistics?: Statistics;
+        statistics?: Statistics | null;
     });
 }
 
@@ -479,14 +504,17 @@ export declare class IndexPageHeader {}
  * The dictionary page must be placed at the first position of the column chunk
  * if it is partly or completely dictionary encoded. At most one dictionary page
  * can be placed in a column chunk.
- *
  */
 export declare class DictionaryPageHeader {
     num_values: number;
     encoding: Encoding;
-    is_sorted?: boolean;
+    is_sorted?: boolean | null;
 
-    constructor(args?: { num_values: number; encoding: Encoding; is_sorted?: boolean });
+    constructor(args?: {
+        num_values: number;
+        encoding: Encoding;
+        is_sorted?: boolean | null;
+    });
 }
 
 /**
@@ -498,7 +526,6 @@ export declare class DictionaryPageHeader {
  * `DataPageHeader` (in particular the original header might provide better compression
  * in some scenarios). Page indexes require pages to start and end at row boundaries,
  * regardless of which page header is used.
- *
  */
 export declare class DataPageHeaderV2 {
     num_values: number;
@@ -507,8 +534,8 @@ export declare class DataPageHeaderV2 {
     encoding: Encoding;
     definition_levels_byte_length: number;
     repetition_levels_byte_length: number;
-    is_compressed?: boolean;
-    statistics?: Statistics;
+    is_compressed?: boolean | null;
+    statistics?: Statistics | null;
 
     constructor(args?: {
         num_values: number;
@@ -517,59 +544,61 @@ export declare class DataPageHeaderV2 {
         encoding: Encoding;
         definition_levels_byte_length: number;
         repetition_levels_byte_length: number;
-        is_compressed?: boolean;
-        statistics?: Statistics;
+        is_compressed?: boolean | null;
+        statistics?: Statistics | null;
     });
 }
 
 /**
- * Block-based algorithm type annotation. *
+ * Block-based algorithm type annotation.
  */
 export declare class SplitBlockAlgorithm {}
 
 /**
- * The algorithm used in Bloom filter. *
+ * The algorithm used in Bloom filter.
  */
 export declare class BloomFilterAlgorithm {
-    BLOCK?: SplitBlockAlgorithm;
+    BLOCK?: SplitBlockAlgorithm | null;
 
-    constructor(args?: { BLOCK?: SplitBlockAlgorithm });
+    constructor(args?: {
+        BLOCK?: SplitBlockAlgorithm | null;
+    });
 }
 
 /**
  * Hash strategy type annotation. xxHash is an extremely fast non-cryptographic hash
  * algorithm. It uses 64 bits version of xxHash.
- *
  */
 export declare class XxHash {}
 
 /**
  * The hash function used in Bloom filter. This function takes the hash of a column value
  * using plain encoding.
- *
  */
 export declare class BloomFilterHash {
-    XXHASH?: XxHash;
+    XXHASH?: XxHash | null;
 
-    constructor(args?: { XXHASH?: XxHash });
+    constructor(args?: {
+        XXHASH?: XxHash | null;
+    });
 }
 
 /**
  * The compression used in the Bloom filter.
- *
  */
 export declare class Uncompressed {}
 
 export declare class BloomFilterCompression {
-    UNCOMPRESSED?: Uncompressed;
+    UNCOMPRESSED?: Uncompressed | null;
 
-    constructor(args?: { UNCOMPRESSED?: Uncompressed });
+    constructor(args?: {
+        UNCOMPRESSED?: Uncompressed | null;
+    });
 }
 
 /**
  * Bloom filter header is stored at beginning of Bloom filter data of each column
  * and followed by its bitset.
- *
  */
 export declare class BloomFilterHeader {
     numBytes: number;
@@ -589,21 +618,21 @@ export declare class PageHeader {
     type: PageType;
     uncompressed_page_size: number;
     compressed_page_size: number;
-    crc?: number;
-    data_page_header?: DataPageHeader;
-    index_page_header?: IndexPageHeader;
-    dictionary_page_header?: DictionaryPageHeader;
-    data_page_header_v2?: DataPageHeaderV2;
+    crc?: number | null;
+    data_page_header?: DataPageHeader | null;
+    index_page_header?: IndexPageHeader | null;
+    dictionary_page_header?: DictionaryPageHeader | null;
+    data_page_header_v2?: DataPageHeaderV2 | null;
 
     constructor(args?: {
         type: PageType;
         uncompressed_page_size: number;
         compressed_page_size: number;
-        crc?: number;
-        data_page_header?: DataPageHeader;
-        index_page_header?: IndexPageHeader;
-        dictionary_page_header?: DictionaryPageHeader;
-        data_page_header_v2?: DataPageHeaderV2;
+        crc?: number | null;
+        data_page_header?: DataPageHeader | null;
+        index_page_header?: IndexPageHeader | null;
+        dictionary_page_header?: DictionaryPageHeader | null;
+        data_page_header_v2?: DataPageHeaderV2 | null;
     });
 }
 
@@ -612,9 +641,12 @@ export declare class PageHeader {
  */
 export declare class KeyValue {
     key: string;
-    value?: string;
+    value?: string | null;
 
-    constructor(args?: { key: string; value?: string });
+    constructor(args?: {
+        key: string;
+        value?: string | null;
+    });
 }
 
 /**
@@ -625,7 +657,11 @@ export declare class SortingColumn {
     descending: boolean;
     nulls_first: boolean;
 
-    constructor(args?: { column_idx: number; descending: boolean; nulls_first: boolean });
+    constructor(args?: {
+        column_idx: number;
+        descending: boolean;
+        nulls_first: boolean;
+    });
 }
 
 /**
@@ -636,7 +672,11 @@ export declare class PageEncodingStats {
     encoding: Encoding;
     count: number;
 
-    constructor(args?: { page_type: PageType; encoding: Encoding; count: number });
+    constructor(args?: {
+        page_type: PageType;
+        encoding: Encoding;
+        count: number;
+    });
 }
 
 /**
@@ -647,38 +687,38 @@ export declare class ColumnMetaData {
     encodings: Encoding[];
     path_in_schema: string[];
     codec: CompressionCodec;
-    num_values: Int64;
-    total_uncompressed_size: Int64;
-    total_compressed_size: Int64;
-    key_value_metadata?: KeyValue[];
-    data_page_offset: Int64;
-    index_page_offset?: Int64;
-    dictionary_page_offset?: Int64;
-    statistics?: Statistics;
-    encoding_stats?: PageEncodingStats[];
-    bloom_filter_offset?: Int64;
-    bloom_filter_length?: number;
-    size_statistics?: SizeStatistics;
-    geospatial_statistics?: GeospatialStatistics;
+    num_values: number | bigint;
+    total_uncompressed_size: number | bigint;
+    total_compressed_size: number | bigint;
+    key_value_metadata?: KeyValue[] | null;
+    data_page_offset: number | bigint;
+    index_page_offset?: number | bigint | null;
+    dictionary_page_offset?: number | bigint | null;
+    statistics?: Statistics | null;
+    encoding_stats?: PageEncodingStats[] | null;
+    bloom_filter_offset?: number | bigint | null;
+    bloom_filter_length?: number | null;
+    size_statistics?: SizeStatistics | null;
+    geospatial_statistics?: GeospatialStatistics | null;
 
     constructor(args?: {
         type: Type;
         encodings: Encoding[];
         path_in_schema: string[];
         codec: CompressionCodec;
-        num_values: Int64;
-        total_uncompressed_size: Int64;
-        total_compressed_size: Int64;
-        key_value_metadata?: KeyValue[];
-        data_page_offset: Int64;
-        index_page_offset?: Int64;
-        dictionary_page_offset?: Int64;
-        statistics?: Statistics;
-        encoding_stats?: PageEncodingStats[];
-        bloom_filter_offset?: Int64;
-        bloom_filter_length?: number;
-        size_statistics?: SizeStatistics;
-        geospatial_statistics?: GeospatialStatistics;
+        num_values: number | bigint;
+        total_uncompressed_size: number | bigint;
+        total_compressed_size: number | bigint;
+        key_value_metadata?: KeyValue[] | null;
+        data_page_offset: number | bigint;
+        index_page_offset?: number | bigint | null;
+        dictionary_page_offset?: number | bigint | null;
+        statistics?: Statistics | null;
+        encoding_stats?: PageEncodingStats[] | null;
+        bloom_filter_offset?: number | bigint | null;
+        bloom_filter_length?: number | null;
+        size_statistics?: SizeStatistics | null;
+        geospatial_statistics?: GeospatialStatistics | null;
     });
 }
 
@@ -686,62 +726,65 @@ export declare class EncryptionWithFooterKey {}
 
 export declare class EncryptionWithColumnKey {
     path_in_schema: string[];
-    key_metadata?: Buffer;
+    key_metadata?: Uint8Array | null;
 
-    constructor(args?: { path_in_schema: string[]; key_metadata?: Buffer });
+    constructor(args?: {
+        path_in_schema: string[];
+        key_metadata?: Uint8Array | null;
+    });
 }
 
 export declare class ColumnCryptoMetaData {
-    ENCRYPTION_WITH_FOOTER_KEY?: EncryptionWithFooterKey;
-    ENCRYPTION_WITH_COLUMN_KEY?: EncryptionWithColumnKey;
+    ENCRYPTION_WITH_FOOTER_KEY?: EncryptionWithFooterKey | null;
+    ENCRYPTION_WITH_COLUMN_KEY?: EncryptionWithColumnKey | null;
 
     constructor(args?: {
-        ENCRYPTION_WITH_FOOTER_KEY?: EncryptionWithFooterKey;
-        ENCRYPTION_WITH_COLUMN_KEY?: EncryptionWithColumnKey;
+        ENCRYPTION_WITH_FOOTER_KEY?: EncryptionWithFooterKey | null;
+        ENCRYPTION_WITH_COLUMN_KEY?: EncryptionWithColumnKey | null;
     });
 }
 
 export declare class ColumnChunk {
-    file_path?: string;
-    file_offset?: Int64;
-    meta_data?: ColumnMetaData;
-    offset_index_offset?: Int64;
-    offset_index_length?: number;
-    column_index_offset?: Int64;
-    column_index_length?: number;
-    crypto_metadata?: ColumnCryptoMetaData;
-    encrypted_column_metadata?: Buffer;
+    file_path?: string | null;
+    file_offset: number | bigint;
+    meta_data?: ColumnMetaData | null;
+    offset_index_offset?: number | bigint | null;
+    offset_index_length?: number | null;
+    column_index_offset?: number | bigint | null;
+    column_index_length?: number | null;
+    crypto_metadata?: ColumnCryptoMetaData | null;
+    encrypted_column_metadata?: Uint8Array | null;
 
     constructor(args?: {
-        file_path?: string;
-        file_offset?: Int64;
-        meta_data?: ColumnMetaData;
-        offset_index_offset?: Int64;
-        offset_index_length?: number;
-        column_index_offset?: Int64;
-        column_index_length?: number;
-        crypto_metadata?: ColumnCryptoMetaData;
-        encrypted_column_metadata?: Buffer;
+        file_path?: string | null;
+        file_offset: number | bigint;
+        meta_data?: ColumnMetaData | null;
+        offset_index_offset?: number | bigint | null;
+        offset_index_length?: number | null;
+        column_index_offset?: number | bigint | null;
+        column_index_length?: number | null;
+        crypto_metadata?: ColumnCryptoMetaData | null;
+        encrypted_column_metadata?: Uint8Array | null;
     });
 }
 
 export declare class RowGroup {
     columns: ColumnChunk[];
-    total_byte_size: Int64;
-    num_rows: Int64;
-    sorting_columns?: SortingColumn[];
-    file_offset?: Int64;
-    total_compressed_size?: Int64;
-    ordinal?: number;
+    total_byte_size: number | bigint;
+    num_rows: number | bigint;
+    sorting_columns?: SortingColumn[] | null;
+    file_offset?: number | bigint | null;
+    total_compressed_size?: number | bigint | null;
+    ordinal?: number | null;
 
     constructor(args?: {
         columns: ColumnChunk[];
-        total_byte_size: Int64;
-        num_rows: Int64;
-        sorting_columns?: SortingColumn[];
-        file_offset?: Int64;
-        total_compressed_size?: Int64;
-        ordinal?: number;
+        total_byte_size: number | bigint;
+        num_rows: number | bigint;
+        sorting_columns?: SortingColumn[] | null;
+        file_offset?: number | bigint | null;
+        total_compressed_size?: number | bigint | null;
+        ordinal?: number | null;
     });
 }
 
@@ -763,17 +806,23 @@ export declare class TypeDefinedOrder {}
  * for this column should be ignored.
  */
 export declare class ColumnOrder {
-    TYPE_ORDER?: TypeDefinedOrder;
+    TYPE_ORDER?: TypeDefinedOrder | null;
 
-    constructor(args?: { TYPE_ORDER?: TypeDefinedOrder });
+    constructor(args?: {
+        TYPE_ORDER?: TypeDefinedOrder | null;
+    });
 }
 
 export declare class PageLocation {
-    offset: Int64;
+    offset: number | bigint;
     compressed_page_size: number;
-    first_row_index: Int64;
+    first_row_index: number | bigint;
 
-    constructor(args?: { offset: Int64; compressed_page_size: number; first_row_index: Int64 });
+    constructor(args?: {
+        offset: number | bigint;
+        compressed_page_size: number;
+        first_row_index: number | bigint;
+    });
 }
 
 /**
@@ -785,9 +834,12 @@ export declare class PageLocation {
  */
 export declare class OffsetIndex {
     page_locations: PageLocation[];
-    unencoded_byte_array_data_bytes?: Int64[];
+    unencoded_byte_array_data_bytes?: (number | bigint)[] | null;
 
-    constructor(args?: { page_locations: PageLocation[]; unencoded_byte_array_data_bytes?: Int64[] });
+    constructor(args?: {
+        page_locations: PageLocation[];
+        unencoded_byte_array_data_bytes?: (number | bigint)[] | null;
+    });
 }
 
 /**
@@ -802,45 +854,56 @@ export declare class OffsetIndex {
  */
 export declare class ColumnIndex {
     null_pages: boolean[];
-    min_values: Buffer[];
-    max_values: Buffer[];
+    min_values: Uint8Array[];
+    max_values: Uint8Array[];
     boundary_order: BoundaryOrder;
-    null_counts?: Int64[];
-    repetition_level_histograms?: Int64[];
-    definition_level_histograms?: Int64[];
+    null_counts?: (number | bigint)[] | null;
+    repetition_level_histograms?: (number | bigint)[] | null;
+    definition_level_histograms?: (number | bigint)[] | null;
 
     constructor(args?: {
         null_pages: boolean[];
-        min_values: Buffer[];
-        max_values: Buffer[];
+        min_values: Uint8Array[];
+        max_values: Uint8Array[];
         boundary_order: BoundaryOrder;
-        null_counts?: Int64[];
-        repetition_level_histograms?: Int64[];
-        definition_level_histograms?: Int64[];
+        null_counts?: (number | bigint)[] | null;
+        repetition_level_histograms?: (number | bigint)[] | null;
+        definition_level_histograms?: (number | bigint)[] | null;
     });
 }
 
 export declare class AesGcmV1 {
-    aad_prefix?: Buffer;
-    aad_file_unique?: Buffer;
-    supply_aad_prefix?: boolean;
+    aad_prefix?: Uint8Array | null;
+    aad_file_unique?: Uint8Array | null;
+    supply_aad_prefix?: boolean | null;
 
-    constructor(args?: { aad_prefix?: Buffer; aad_file_unique?: Buffer; supply_aad_prefix?: boolean });
+    constructor(args?: {
+        aad_prefix?: Uint8Array | null;
+        aad_file_unique?: Uint8Array | null;
+        supply_aad_prefix?: boolean | null;
+    });
 }
 
 export declare class AesGcmCtrV1 {
-    aad_prefix?: Buffer;
-    aad_file_unique?: Buffer;
-    supply_aad_prefix?: boolean;
+    aad_prefix?: Uint8Array | null;
+    aad_file_unique?: Uint8Array | null;
+    supply_aad_prefix?: boolean | null;
 
-    constructor(args?: { aad_prefix?: Buffer; aad_file_unique?: Buffer; supply_aad_prefix?: boolean });
+    constructor(args?: {
+        aad_prefix?: Uint8Array | null;
+        aad_file_unique?: Uint8Array | null;
+        supply_aad_prefix?: boolean | null;
+    });
 }
 
 export declare class EncryptionAlgorithm {
-    AES_GCM_V1?: AesGcmV1;
-    AES_GCM_CTR_V1?: AesGcmCtrV1;
+    AES_GCM_V1?: AesGcmV1 | null;
+    AES_GCM_CTR_V1?: AesGcmCtrV1 | null;
 
-    constructor(args?: { AES_GCM_V1?: AesGcmV1; AES_GCM_CTR_V1?: AesGcmCtrV1 });
+    constructor(args?: {
+        AES_GCM_V1?: AesGcmV1 | null;
+        AES_GCM_CTR_V1?: AesGcmCtrV1 | null;
+    });
 }
 
 /**
@@ -849,33 +912,36 @@ export declare class EncryptionAlgorithm {
 export declare class FileMetaData {
     version: number;
     schema: SchemaElement[];
-    num_rows: Int64;
+    num_rows: number | bigint;
     row_groups: RowGroup[];
-    key_value_metadata?: KeyValue[];
-    created_by?: string;
-    column_orders?: ColumnOrder[];
-    encryption_algorithm?: EncryptionAlgorithm;
-    footer_signing_key_metadata?: Buffer;
+    key_value_metadata?: KeyValue[] | null;
+    created_by?: string | null;
+    column_orders?: ColumnOrder[] | null;
+    encryption_algorithm?: EncryptionAlgorithm | null;
+    footer_signing_key_metadata?: Uint8Array | null;
 
     constructor(args?: {
         version: number;
         schema: SchemaElement[];
-        num_rows: Int64;
+        num_rows: number | bigint;
         row_groups: RowGroup[];
-        key_value_metadata?: KeyValue[];
-        created_by?: string;
-        column_orders?: ColumnOrder[];
-        encryption_algorithm?: EncryptionAlgorithm;
-        footer_signing_key_metadata?: Buffer;
+        key_value_metadata?: KeyValue[] | null;
+        created_by?: string | null;
+        column_orders?: ColumnOrder[] | null;
+        encryption_algorithm?: EncryptionAlgorithm | null;
+        footer_signing_key_metadata?: Uint8Array | null;
     });
 }
 
 /**
- * Crypto metadata for files with encrypted footer *
+ * Crypto metadata for files with encrypted footer
  */
 export declare class FileCryptoMetaData {
     encryption_algorithm: EncryptionAlgorithm;
-    key_metadata?: Buffer;
+    key_metadata?: Uint8Array | null;
 
-    constructor(args?: { encryption_algorithm: EncryptionAlgorithm; key_metadata?: Buffer });
+    constructor(args?: {
+        encryption_algorithm: EncryptionAlgorithm;
+        key_metadata?: Uint8Array | null;
+    });
 }
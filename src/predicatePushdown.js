@@ -0,0 +1,660 @@
+/**
+ * Predicate Pushdown Simulator
+ * Evaluates a simple SQL-like filter against the metadata a query engine uses to skip data:
+ * row group statistics, bloom filters and the column index (page min/max and null pages).
+ * The result tells which row groups and pages a reader would have to fetch and how many bytes
+ * that is, assuming all columns are read (SELECT *).
+ *
+ * Supported syntax: comparisons (=, !=, <>, <, <=, >, >=), IN (...), BETWEEN ... AND ...,
+ * IS [NOT] NULL, combined with AND, OR, NOT and parentheses. Columns are referenced by their
+ * full dot-separated path (quote names with special characters in double quotes or backticks),
+ * values are numbers, true/false or single-quoted strings such as '2024-01-01 12:00:00'.
+ * Conditions on repeated columns match a row if any of its values matches.
+ */
+
+import {
+    EnumHelpers,
+    getPageLocations,
+    hasReadableBloomFilter,
+    loadBloomFilterBitset,
+    readBloomFilterHeader,
+} from './parquetParser.js';
+import { parseStatValue, getLogicalTypeInfo, hasReliableLegacyMinMax } from './statsFormatter.js';
+import { getSchemaIndex } from './schemaTree.js';
+import { xxHash64, bloomFilterMightContain } from './bloomFilter.js';
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'BETWEEN', 'TRUE', 'FALSE']);
+const COMPARISON_OPERATORS = new Set(['=', '==', '!=', '<>', '<', '<=', '>', '>=']);
+
+// Operator that matches exactly the rows the negated comparison matches (nulls match neither)
+const NEGATED_OPERATORS = { '=': '!=', '!=': '=', '<': '>=', '<=': '>', '>': '<=', '>=': '<' };
+
+/**
+ * Split a predicate into tokens: { type: 'identifier' | 'keyword' | 'string' | 'number' | 'operator', value, position }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        const char = text[pos];
+        if (/\s/.test(char)) {
+            pos++;
+            continue;
+        }
+
+        const start = pos;
+        if (char === "'" || char === '"' || char === '`') {
+            // Quoted string or identifier, a doubled quote escapes the quote character
+            let value = '';
+            pos++;
+            while (true) {
+                if (pos >= text.length) throw new Error(`Unterminated ${char} quote at position ${start + 1}`);
+                if (text[pos] === char) {
+                    if (text[pos + 1] !== char) break;
+                    pos++;
+                }
+                value += text[pos++];
+            }
+            pos++;
+            tokens.push({ type: char === "'" ? 'string' : 'identifier', value, position: start });
+            continue;
+        }
+
+        const number = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(pos));
+        if (number) {
+            tokens.push({ type: 'number', value: number[0], position: start });
+            pos += number[0].length;
+            continue;
+        }
+
+        const word = /^[A-Za-z_][\w.]*/.exec(text.slice(pos));
+        if (word) {
+            const upper = word[0].toUpperCase();
+            tokens.push(
+                KEYWORDS.has(upper)
+                    ? { type: 'keyword', value: upper, position: start }
+                    : { type: 'identifier', value: word[0], position: start },
+            );
+            pos += word[0].length;
+            continue;
+        }
+
+        const operator = /^(==|!=|<>|<=|>=|[=<>(),])/.exec(text.slice(pos));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator[0], position: start });
+            pos += operator[0].length;
+            continue;
+        }
+
+        throw new Error(`Unexpected character "${char}" at position ${start + 1}`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a predicate into an expression tree
+ * Nodes: { type: 'and' | 'or', children }, { type: 'not', child }, { type: 'compare', column, op, value },
+ * { type: 'in', column, values }, { type: 'between', column, low, high }, { type: 'null', column, negated }
+ * @param {string} text - The predicate, e.g. "country = 'DE' AND amount > 100"
+ * @returns {Object} Root node
+ * @throws {Error} On syntax errors, with the position of the offending token
+ */
+export function parsePredicate(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const describe = (token) => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of input');
+    const fail = (expected) => {
+        throw new Error(`Expected ${expected}, found ${describe(peek())}`);
+    };
+    const acceptKeyword = (keyword) => {
+        if (peek()?.type === 'keyword' && peek().value === keyword) {
+            pos++;
+            return true;
+        }
+        return false;
+    };
+    const expectOperator = (operator) => {
+        if (peek()?.type !== 'operator' || peek().value !== operator) fail(`"${operator}"`);
+        pos++;
+    };
+
+    const parseValue = () => {
+        const token = peek();
+        if (token?.type === 'string' || token?.type === 'number') {
+            pos++;
+            return token.value;
+        }
+        if (token?.type === 'keyword' && (token.value === 'TRUE' || token.value === 'FALSE')) {
+            pos++;
+            return token.value.toLowerCase();
+        }
+        if (token?.type === 'keyword' && token.value === 'NULL') {
+            throw new Error(`Comparisons with NULL never match, use IS NULL (position ${token.position + 1})`);
+        }
+        return fail('a value');
+    };
+
+    const parseCondition = () => {
+        if (peek()?.type === 'operator' && peek().value === '(') {
+            pos++;
+            const expression = parseOr();
+            expectOperator(')');
+            return expression;
+        }
+
+        const columnToken = peek();
+        if (columnToken?.type !== 'identifier') fail('a column name');
+        pos++;
+        const column = columnToken.value;
+
+        if (acceptKeyword('IS')) {
+            const negated = acceptKeyword('NOT');
+            if (!acceptKeyword('NULL')) fail('NULL');
+            return { type: 'null', column, negated };
+        }
+
+        const negated = acceptKeyword('NOT');
+        let condition;
+        if (acceptKeyword('IN')) {
+            expectOperator('(');
+            const values = [parseValue()];
+            while (peek()?.type === 'operator' && peek().value === ',') {
+                pos++;
+                values.push(parseValue());
+            }
+            expectOperator(')');
+            condition = { type: 'in', column, values };
+        } else if (acceptKeyword('BETWEEN')) {
+            const low = parseValue();
+            if (!acceptKeyword('AND')) fail('AND');
+            condition = { type: 'between', column, low, high: parseValue() };
+        } else if (!negated && peek()?.type === 'operator' && COMPARISON_OPERATORS.has(peek().value)) {
+            const op = { '==': '=', '<>': '!=' }[peek().value] ?? peek().value;
+            pos++;
+            condition = { type: 'compare', column, op, value: parseValue() };
+        } else {
+            fail(negated ? 'IN or BETWEEN' : 'a comparison operator, IN, BETWEEN or IS');
+        }
+        return negated ? { type: 'not', child: condition } : condition;
+    };
+
+    const parseNot = () => (acceptKeyword('NOT') ? { type: 'not', child: parseNot() } : parseCondition());
+
+    const parseAnd = () => {
+        const children = [parseNot()];
+        while (acceptKeyword('AND')) children.push(parseNot());
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (acceptKeyword('OR')) children.push(parseAnd());
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    if (tokens.length === 0) throw new Error('Enter a predicate, e.g. id = 42');
+    const expression = parseOr();
+    if (pos < tokens.length) fail('AND, OR or end of input');
+    return expression;
+}
+
+/**
+ * Rewrite an expression into and/or nodes over leaf conditions without NOT
+ * Leaves: { column, op, values } with op one of =, !=, <, <=, >, >=, in, not in, is null, is not null.
+ * A negated comparison matches the same rows as the inverse comparison (null values match neither).
+ */
+function toLeaves(node, negated = false) {
+    switch (node.type) {
+        case 'and':
+        case 'or': {
+            const type = (node.type === 'and') !== negated ? 'and' : 'or';
+            return { type, children: node.children.map((child) => toLeaves(child, negated)) };
+        }
+        case 'not':
+            return toLeaves(node.child, !negated);
+        case 'compare':
+            return { column: node.column, op: negated ? NEGATED_OPERATORS[node.op] : node.op, values: [node.value] };
+        case 'in':
+            return { column: node.column, op: negated ? 'not in' : 'in', values: node.values };
+        case 'null':
+            return { column: node.column, op: node.negated !== negated ? 'is not null' : 'is null', values: [] };
+        case 'between':
+            return negated
+                ? {
+                      type: 'or',
+                      children: [
+                          { column: node.column, op: '<', values: [node.low] },
+                          { column: node.column, op: '>', values: [node.high] },
+                      ],
+                  }
+                : {
+                      type: 'and',
+                      children: [
+                          { column: node.column, op: '>=', values: [node.low] },
+                          { column: node.column, op: '<=', values: [node.high] },
+                      ],
+                  };
+        default:
+            throw new Error(`Unknown expression node: ${node.type}`);
+    }
+}
+
+/**
+ * Compare two byte arrays as unsigned bytes (lexicographically)
+ */
+function compareBytes(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Decode a big-endian two's complement integer (DECIMAL stored as a byte array)
+ */
+function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (const byte of bytes) value = (value << 8n) | BigInt(byte);
+    return bytes.length > 0 && bytes[0] & 0x80 ? value - (1n << BigInt(bytes.length * 8)) : value;
+}
+
+/**
+ * Get the functions that turn a column's plain-encoded statistic values into comparable values
+ * following the column's sort order
+ * @returns {Object|null} { decode(bytes), compare(a, b) }, or null if the type has no usable order
+ *          (INT96, FLOAT16, geospatial and unknown types, whose min/max a reader can't rely on)
+ */
+function getValueOrder(column) {
+    const physicalType = EnumHelpers.getTypeName(column.element.type);
+    const logicalInfo = getLogicalTypeInfo(column.element);
+    const isUnsigned = logicalInfo.type === 'INTEGER' && logicalInfo.details?.isSigned === false;
+    const compareNumbers = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+
+    switch (physicalType) {
+        case 'BOOLEAN':
+            return { decode: (bytes) => bytes[0] & 1, compare: compareNumbers };
+        case 'INT32':
+            return {
+                decode: (bytes) => (isUnsigned ? view(bytes).getUint32(0, true) : view(bytes).getInt32(0, true)),
+                compare: compareNumbers,
+            };
+        case 'INT64':
+            return {
+                decode: (bytes) => (isUnsigned ? view(bytes).getBigUint64(0, true) : view(bytes).getBigInt64(0, true)),
+                compare: compareNumbers,
+            };
+        case 'FLOAT':
+        case 'DOUBLE':
+            // NaN bounds or values can't be used to rule anything out
+            return {
+                decode: (bytes) => {
+                    const value = physicalType === 'FLOAT' ? view(bytes).getFloat32(0, true) : view(bytes).getFloat64(0, true);
+                    return Number.isNaN(value) ? null : value;
+                },
+                compare: compareNumbers,
+            };
+        case 'BYTE_ARRAY':
+        case 'FIXED_LEN_BYTE_ARRAY':
+            if (logicalInfo.type === 'FLOAT16') return null;
+            // WKB values have no defined sort order (bounding boxes are in geospatial_statistics instead)
+            if (logicalInfo.type === 'GEOMETRY' || logicalInfo.type === 'GEOGRAPHY') return null;
+            if (logicalInfo.type === 'DECIMAL') return { decode: bytesToBigInt, compare: compareNumbers };
+            return { decode: (bytes) => bytes, compare: compareBytes };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Resolve the columns of the leaf conditions and convert their values
+ * @throws {Error} For unknown columns and values that don't fit the column's type
+ */
+function bindLeaves(node, fileMetaData, boundColumns) {
+    if (node.children) {
+        return { ...node, children: node.children.map((child) => bindLeaves(child, fileMetaData, boundColumns)) };
+    }
+
+    const { columns } = getSchemaIndex(fileMetaData.schema);
+    const column = columns.find((candidate) => candidate.path.join('.') === node.column);
+    if (!column) {
+        const suffixMatch = columns.find((candidate) => candidate.path.at(-1) === node.column);
+        throw new Error(
+            `Unknown column "${node.column}"${suffixMatch ? ` (did you mean ${suffixMatch.path.join('.')}?)` : ''}`,
+        );
+    }
+
+    const order = getValueOrder(column);
+    const values = node.values.map((text) => {
+        try {
+            const bytes = parseStatValue(text, { type: column.element.type }, column.element);
+            return { text, bytes, value: order?.decode(bytes) ?? null };
+        } catch (err) {
+            throw new Error(`${node.column}: ${err.message}`);
+        }
+    });
+
+    boundColumns.add(column);
+    return { ...node, column, order, values };
+}
+
+/**
+ * Decide whether a leaf condition may match any value in a range summary
+ * @param {Object} leaf - Bound leaf condition
+ * @param {Object} summary - { min, max (decoded, or null if unknown), nullCount (null if unknown), allNull }
+ * @returns {boolean} false if no row can match
+ */
+function mayMatch(leaf, summary) {
+    const { min, max, nullCount, allNull } = summary;
+    if (leaf.op === 'is null') return nullCount == null || nullCount > 0;
+    if (allNull) return false;
+    if (leaf.op === 'is not null') return true;
+    if (min == null || max == null || !leaf.order) return true;
+
+    const compare = leaf.order.compare;
+    const values = leaf.values.map((entry) => entry.value);
+    if (values.some((value) => value == null)) return true;
+    const [value] = values;
+    const inRange = (candidate) => compare(candidate, min) >= 0 && compare(candidate, max) <= 0;
+
+    switch (leaf.op) {
+        case '=':
+            return inRange(value);
+        case 'in':
+            return values.some(inRange);
+        case '!=':
+            return !(compare(min, value) === 0 && compare(max, value) === 0);
+        case 'not in':
+            return !(compare(min, max) === 0 && values.some((candidate) => compare(candidate, min) === 0));
+        case '<':
+            return compare(min, value) < 0;
+        case '<=':
+            return compare(min, value) <= 0;
+        case '>':
+            return compare(max, value) > 0;
+        case '>=':
+            return compare(max, value) >= 0;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Summarize the statistics of a column chunk for mayMatch
+ */
+function getChunkSummary(leaf, meta, useTypeOrder) {
+    const stats = meta.statistics;
+    const numValues = Number(meta.num_values);
+    const nullCount = stats?.null_count != null ? Number(stats.null_count) : null;
+    let minBytes = null;
+    let maxBytes = null;
+    if (useTypeOrder && stats?.min_value != null && stats?.max_value != null) {
+        minBytes = stats.min_value;
+        maxBytes = stats.max_value;
+    } else if (hasReliableLegacyMinMax(leaf.column.element) && stats?.min != null && stats?.max != null) {
+        minBytes = stats.min;
+        maxBytes = stats.max;
+    }
+    return {
+        min: minBytes && leaf.order ? leaf.order.decode(minBytes) : null,
+        max: maxBytes && leaf.order ? leaf.order.decode(maxBytes) : null,
+        nullCount,
+        allNull: nullCount != null && nullCount === numValues && numValues > 0,
+    };
+}
+
+/**
+ * Evaluate an and/or tree of leaves
+ * @param {Object} node - Root of the tree
+ * @param {Function} evaluateLeaf - leaf => { match, prunedBy } with prunedBy naming what ruled the leaf out
+ * @returns {Object} { match, prunedBy: [...] } where prunedBy lists the reasons when match is false
+ */
+function evaluate(node, evaluateLeaf) {
+    if (!node.children) return evaluateLeaf(node);
+
+    const results = node.children.map((child) => evaluate(child, evaluateLeaf));
+    const failed = results.filter((result) => !result.match);
+    const match = node.type === 'and' ? failed.length === 0 : failed.length < results.length;
+    return { match, prunedBy: match ? [] : [...new Set(failed.flatMap((result) => result.prunedBy))] };
+}
+
+// Row ranges are sorted, non-overlapping [start, end) pairs
+
+function unionRanges(a, b) {
+    const merged = [];
+    for (const [start, end] of [...a, ...b].sort((x, y) => x[0] - y[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+}
+
+function intersectRanges(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        const start = Math.max(a[i][0], b[j][0]);
+        const end = Math.min(a[i][1], b[j][1]);
+        if (start < end) result.push([start, end]);
+        if (a[i][1] < b[j][1]) i++;
+        else j++;
+    }
+    return result;
+}
+
+function countRows(ranges) {
+    return ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+}
+
+/**
+ * Get the row ranges of the pages a leaf condition may match, using the column index
+ * @returns {Array|null} Row ranges, or null if the column chunk has no usable column index
+ */
+function getMatchingPageRanges(leaf, pageIndex, numRows) {
+    const columnIndex = pageIndex?.columnIndex;
+    const pages = getPageLocations(pageIndex);
+    if (!columnIndex || pages.length === 0 || columnIndex.null_pages?.length !== pages.length) return null;
+
+    const ranges = [];
+    pages.forEach((page, i) => {
+        const isNullPage = columnIndex.null_pages[i];
+        const nullCount = columnIndex.null_counts?.[i];
+        const summary = {
+            min: !isNullPage && leaf.order ? leaf.order.decode(columnIndex.min_values[i]) : null,
+            max: !isNullPage && leaf.order ? leaf.order.decode(columnIndex.max_values[i]) : null,
+            nullCount: isNullPage ? Infinity : nullCount != null ? Number(nullCount) : null,
+            allNull: isNullPage,
+        };
+        if (mayMatch(leaf, summary)) {
+            const start = Number(page.first_row_index);
+            const end = pages[i + 1] ? Number(pages[i + 1].first_row_index) : numRows;
+            ranges.push([start, end]);
+        }
+    });
+    return unionRanges(ranges, []);
+}
+
+/**
+ * Combine the row ranges of the leaves like the expression combines the leaves
+ */
+function evaluateRanges(node, getLeafRanges) {
+    if (!node.children) return getLeafRanges(node);
+    const childRanges = node.children.map((child) => evaluateRanges(child, getLeafRanges));
+    return childRanges.reduce((result, ranges) =>
+        node.type === 'and' ? intersectRanges(result, ranges) : unionRanges(result, ranges),
+    );
+}
+
+/**
+ * Work out which bytes of a column chunk a reader fetches for the selected row ranges
+ * Pages overlapping a selected range are read, plus the dictionary page if any page is.
+ * Without page locations the whole chunk is read as soon as any row is selected.
+ */
+function getChunkScan(meta, pageIndex, selectedRanges, numRows) {
+    const bytesTotal = Number(meta.total_compressed_size);
+    const pages = getPageLocations(pageIndex);
+    if (pages.length === 0) {
+        return { bytesTotal, bytesRead: selectedRanges.length > 0 ? bytesTotal : 0, pages: null };
+    }
+
+    const pagesRead = pages.map((page, i) => {
+        const start = Number(page.first_row_index);
+        const end = pages[i + 1] ? Number(pages[i + 1].first_row_index) : numRows;
+        return intersectRanges([[start, end]], selectedRanges).length > 0;
+    });
+    let bytesRead = pages.reduce((sum, page, i) => sum + (pagesRead[i] ? page.compressed_page_size : 0), 0);
+    if (bytesRead > 0 && meta.dictionary_page_offset != null) {
+        bytesRead += Number(pages[0].offset) - Number(meta.dictionary_page_offset);
+    }
+    return { bytesTotal, bytesRead, pages: pagesRead };
+}
+
+/**
+ * Simulate reading a file with a filter
+ * @param {Object} data - Result of parseParquetFileStreaming (bloom filters are read from data.source,
+ *        their headers too for files parsed without them, e.g. remote files)
+ * @param {string} text - The predicate
+ * @returns {Promise<Object>} { columns: paths used by the predicate, notes: caveats about the metadata,
+ *          rowGroups: [{ read, prunedBy, numRows, selectedRows, bytesRead, bytesTotal,
+ *                        columns: [{ bytesRead, bytesTotal, pages: per page read flags (null if unknown) }] }],
+ *          totals: { rowGroups, rowGroupsRead, pages, pagesRead, rows, selectedRows, bytesRead, bytesTotal } }
+ * @throws {Error} For syntax errors, unknown columns and invalid values
+ */
+export async function simulatePushdown(data, text) {
+    const { source, fileMetaData, pageIndexes, decryptor } = data;
+    const boundColumns = new Set();
+    const predicate = bindLeaves(toLeaves(parsePredicate(text)), fileMetaData, boundColumns);
+    const notes = new Set();
+    const bitsets = new Map();
+    // Bloom filter headers read for this simulation, by offset
+    const bloomFilters = new Map();
+
+    // min_value/max_value follow the type's sort order only if the writer says so in column_orders
+    const usesTypeOrder = (column) => fileMetaData.column_orders?.[column.columnIndex]?.TYPE_ORDER != null;
+
+    for (const column of boundColumns) {
+        const path = column.path.join('.');
+        if (!getValueOrder(column)) {
+            notes.add(`${path}: the min/max statistics of this type have no defined order and are ignored`);
+        } else if (!usesTypeOrder(column) && !hasReliableLegacyMinMax(column.element)) {
+            notes.add(`${path}: the file declares no sort order for its statistics, so only null counts are used`);
+        }
+    }
+
+    // The bloom filter of a column chunk, reading its header if the file was parsed without them
+    const getBloomFilter = async (leaf, chunk, pageIndex) => {
+        if (pageIndex?.bloomFilter || !hasReadableBloomFilter(chunk)) return pageIndex?.bloomFilter ?? null;
+        const offset = Number(chunk.meta_data.bloom_filter_offset);
+        if (!bloomFilters.has(offset)) {
+            try {
+                bloomFilters.set(offset, (await readBloomFilterHeader(source, chunk.meta_data)).bloomFilter);
+            } catch (err) {
+                notes.add(`${leaf.column.path.join('.')}: failed to read the bloom filter header: ${err.message}`);
+                bloomFilters.set(offset, null);
+            }
+        }
+        return bloomFilters.get(offset);
+    };
+
+    const mayContainValues = async (leaf, chunk, pageIndex) => {
+        if (leaf.op !== '=' && leaf.op !== 'in') return true;
+        const bloomFilter = await getBloomFilter(leaf, chunk, pageIndex);
+        if (!bloomFilter) return true;
+        let bitset = bitsets.get(bloomFilter.offset);
+        if (bitset === undefined) {
+            try {
+                bitset = await loadBloomFilterBitset(source, bloomFilter);
+            } catch (err) {
+                notes.add(`${leaf.column.path.join('.')}: ${err.message}`);
+                bitset = null;
+            }
+            bitsets.set(bloomFilter.offset, bitset);
+        }
+        return !bitset || leaf.values.some((entry) => bloomFilterMightContain(bitset, xxHash64(entry.bytes)));
+    };
+
+    const rowGroups = [];
+    for (const [rgIdx, rowGroup] of fileMetaData.row_groups.entries()) {
+        const numRows = Number(rowGroup.num_rows);
+        const getChunk = (leaf) => {
+            const chunk = rowGroup.columns[leaf.column.columnIndex];
+            const locked = decryptor?.forColumn(chunk, rgIdx, leaf.column.columnIndex)?.canDecrypt === false;
+            return {
+                chunk,
+                meta: locked ? null : chunk?.meta_data,
+                pageIndex: pageIndexes[rgIdx]?.[leaf.column.columnIndex],
+            };
+        };
+
+        // Row group statistics and bloom filters (the bloom filter is only read if the statistics can't rule it out)
+        const leafResults = new Map();
+        const collectLeaves = (node) => (node.children ? node.children.flatMap(collectLeaves) : [node]);
+        for (const leaf of collectLeaves(predicate)) {
+            const { chunk, meta, pageIndex } = getChunk(leaf);
+            let result = { match: true, prunedBy: [] };
+            const path = leaf.column.path.join('.');
+            if (meta && !mayMatch(leaf, getChunkSummary(leaf, meta, usesTypeOrder(leaf.column)))) {
+                result = { match: false, prunedBy: [`statistics of ${path}`] };
+            } else if (meta && !(await mayContainValues(leaf, chunk, pageIndex))) {
+                result = { match: false, prunedBy: [`bloom filter of ${path}`] };
+            }
+            leafResults.set(leaf, result);
+        }
+        const rowGroupResult = evaluate(predicate, (leaf) => leafResults.get(leaf));
+
+        // Column index: rows of the pages that may match
+        let selectedRanges = [];
+        let prunedBy = rowGroupResult.prunedBy;
+        if (rowGroupResult.match) {
+            selectedRanges = evaluateRanges(predicate, (leaf) => {
+                if (!leafResults.get(leaf).match) return [];
+                const { meta, pageIndex } = getChunk(leaf);
+                return (meta && getMatchingPageRanges(leaf, pageIndex, numRows)) ?? [[0, numRows]];
+            });
+            if (selectedRanges.length === 0) prunedBy = ['column index'];
+        }
+
+        const columns = rowGroup.columns.map((chunk, colIdx) => {
+            const locked = decryptor?.forColumn(chunk, rgIdx, colIdx)?.canDecrypt === false;
+            if (!chunk.meta_data || locked) return { bytesRead: 0, bytesTotal: 0, pages: null };
+            return getChunkScan(chunk.meta_data, pageIndexes[rgIdx]?.[colIdx], selectedRanges, numRows);
+        });
+
+        rowGroups.push({
+            read: selectedRanges.length > 0,
+            prunedBy: selectedRanges.length > 0 ? [] : prunedBy,
+            numRows,
+            selectedRows: countRows(selectedRanges),
+            bytesRead: columns.reduce((sum, column) => sum + column.bytesRead, 0),
+            bytesTotal: columns.reduce((sum, column) => sum + column.bytesTotal, 0),
+            columns,
+        });
+    }
+
+    const allPages = rowGroups.flatMap((rowGroup) => rowGroup.columns.flatMap((column) => column.pages ?? []));
+    return {
+        columns: [...boundColumns].map((column) => column.path.join('.')),
+        notes: [...notes],
+        rowGroups,
+        totals: {
+            rowGroups: rowGroups.length,
+            rowGroupsRead: rowGroups.filter((rowGroup) => rowGroup.read).length,
+            pages: allPages.length,
+            pagesRead: allPages.filter(Boolean).length,
+            rows: rowGroups.reduce((sum, rowGroup) => sum + rowGroup.numRows, 0),
+            selectedRows: rowGroups.reduce((sum, rowGroup) => sum + rowGroup.selectedRows, 0),
+            bytesRead: rowGroups.reduce((sum, rowGroup) => sum + rowGroup.bytesRead, 0),
+            bytesTotal: rowGroups.reduce((sum, rowGroup) => sum + rowGroup.bytesTotal, 0),
+        },
+    };
+}
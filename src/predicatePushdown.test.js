@@ -0,0 +1,251 @@
+import { describe, expect, test } from 'vitest';
+import { ConvertedType, FieldRepetitionType, Type } from './parquetInit.js';
+import { createBufferSource } from './byteSource.js';
+import { parsePredicate, simulatePushdown } from './predicatePushdown.js';
+import { parseStatValue } from './statsFormatter.js';
+
+const ID = { name: 'id', type: Type.INT64, repetition_type: FieldRepetitionType.REQUIRED };
+const COUNTRY = {
+    name: 'country',
+    type: Type.BYTE_ARRAY,
+    converted_type: ConvertedType.UTF8,
+    repetition_type: FieldRepetitionType.OPTIONAL,
+};
+const encode = (element, text) => parseStatValue(text, { type: element.type }, element);
+
+/**
+ * Build a column chunk: statistics from [min, max, nullCount] and pages from [firstRow, min, max, nullCount]
+ * entries, each page 100 bytes (no pages: no column index and offset index)
+ */
+function chunk(element, { numValues, stats, pages = [], bloomFilter = null }) {
+    const [min, max, nullCount = 0] = stats;
+    return {
+        meta: {
+            num_values: numValues,
+            total_compressed_size: Math.max(pages.length, 1) * 100,
+            data_page_offset: 0,
+            statistics: { min_value: encode(element, min), max_value: encode(element, max), null_count: nullCount },
+        },
+        pageIndex:
+            pages.length === 0 && !bloomFilter
+                ? null
+                : {
+                      columnIndex: pages.length
+                          ? {
+                                null_pages: pages.map(() => false),
+                                min_values: pages.map(([, pageMin]) => encode(element, pageMin)),
+                                max_values: pages.map(([, , pageMax]) => encode(element, pageMax)),
+                                null_counts: pages.map(([, , , pageNullCount = 0]) => pageNullCount),
+                            }
+                          : null,
+                      offsetIndex: pages.length
+                          ? {
+                                page_locations: pages.map(([firstRow], i) => ({
+                                    offset: i * 100,
+                                    compressed_page_size: 100,
+                                    first_row_index: firstRow,
+                                })),
+                            }
+                          : null,
+                      bloomFilter,
+                  },
+    };
+}
+
+/**
+ * Build the parse result of a file with the columns id and country
+ * @param {Array} rowGroups - [{ numRows, id: chunk, country: chunk }]
+ */
+function file(rowGroups, { typeOrder = true, source = null } = {}) {
+    return {
+        source,
+        fileMetaData: {
+            schema: [{ name: 'schema', num_children: 2 }, ID, COUNTRY],
+            column_orders: typeOrder ? [{ TYPE_ORDER: {} }, { TYPE_ORDER: {} }] : undefined,
+            row_groups: rowGroups.map((rowGroup) => ({
+                num_rows: rowGroup.numRows,
+                columns: [{ meta_data: rowGroup.id.meta }, { meta_data: rowGroup.country.meta }],
+            })),
+        },
+        pageIndexes: rowGroups.map((rowGroup) => [rowGroup.id.pageIndex, rowGroup.country.pageIndex]),
+    };
+}
+
+// Two row groups of 100 rows: ids 1-100 and 101-200, each in two pages of 50 rows.
+// The country pages of the second row group split at row 30 instead, with all its nulls in the first page.
+const EXAMPLE = file([
+    {
+        numRows: 100,
+        id: chunk(ID, { numValues: 100, stats: ['1', '100'], pages: [[0, '1', '50'], [50, '51', '100']] }),
+        country: chunk(COUNTRY, { numValues: 100, stats: ['AT', 'FR', 0] }),
+    },
+    {
+        numRows: 100,
+        id: chunk(ID, { numValues: 100, stats: ['101', '200'], pages: [[0, '101', '150'], [50, '151', '200']] }),
+        country: chunk(COUNTRY, {
+            numValues: 100,
+            stats: ['DE', 'US', 5],
+            pages: [[0, 'DE', 'DE', 5], [30, 'FR', 'US']],
+        }),
+    },
+]);
+
+describe('parsePredicate', () => {
+    test.each([
+        ['id = 42', { type: 'compare', column: 'id', op: '=', value: '42' }],
+        ['id == 42', { type: 'compare', column: 'id', op: '=', value: '42' }],
+        ['id <> -1.5e3', { type: 'compare', column: 'id', op: '!=', value: '-1.5e3' }],
+        ["country = 'it''s'", { type: 'compare', column: 'country', op: '=', value: "it's" }],
+        ['"a ""b"".c" >= TRUE', { type: 'compare', column: 'a "b".c', op: '>=', value: 'true' }],
+        ['`x y` < 1', { type: 'compare', column: 'x y', op: '<', value: '1' }],
+        ['id IN (1, 2, 3)', { type: 'in', column: 'id', values: ['1', '2', '3'] }],
+        ['id not in (1)', { type: 'not', child: { type: 'in', column: 'id', values: ['1'] } }],
+        ['id BETWEEN 1 AND 5', { type: 'between', column: 'id', low: '1', high: '5' }],
+        ['id IS NOT NULL', { type: 'null', column: 'id', negated: true }],
+        [
+            'a = 1 OR b = 2 AND c = 3',
+            {
+                type: 'or',
+                children: [
+                    { type: 'compare', column: 'a', op: '=', value: '1' },
+                    {
+                        type: 'and',
+                        children: [
+                            { type: 'compare', column: 'b', op: '=', value: '2' },
+                            { type: 'compare', column: 'c', op: '=', value: '3' },
+                        ],
+                    },
+                ],
+            },
+        ],
+        [
+            'NOT (a = 1 OR b IS NULL) AND c = 3',
+            {
+                type: 'and',
+                children: [
+                    {
+                        type: 'not',
+                        child: {
+                            type: 'or',
+                            children: [
+                                { type: 'compare', column: 'a', op: '=', value: '1' },
+                                { type: 'null', column: 'b', negated: false },
+                            ],
+                        },
+                    },
+                    { type: 'compare', column: 'c', op: '=', value: '3' },
+                ],
+            },
+        ],
+    ])('%s', (text, expected) => {
+        expect(parsePredicate(text)).toEqual(expected);
+    });
+
+    test.each([
+        ['', /Enter a predicate/],
+        ["country = 'DE", /Unterminated ' quote at position 11/],
+        ['id = NULL', /use IS NULL \(position 6\)/],
+        ['id = 1 id = 2', /Expected AND, OR or end of input, found "id" at position 8/],
+        ['id NOT = 1', /Expected IN or BETWEEN/],
+        ['id BETWEEN 1 OR 2', /Expected AND/],
+        ['(id = 1', /Expected "\)", found end of input/],
+        ['id = 1 ; DROP', /Unexpected character ";" at position 8/],
+    ])('rejects %j', (text, error) => {
+        expect(() => parsePredicate(text)).toThrow(error);
+    });
+});
+
+describe('simulatePushdown', () => {
+    const summarize = (result) =>
+        result.rowGroups.map(({ read, prunedBy, selectedRows }) => ({ read, prunedBy, selectedRows }));
+    const read = (selectedRows) => ({ read: true, prunedBy: [], selectedRows });
+    const pruned = (...prunedBy) => ({ read: false, prunedBy, selectedRows: 0 });
+
+    test.each([
+        ['id = 150', [pruned('statistics of id'), read(50)]],
+        ['id IN (7, 300)', [read(50), pruned('statistics of id')]],
+        ['id >= 101', [pruned('statistics of id'), read(100)]],
+        // NOT is pushed down to the inverse comparison, so negated conditions still prune
+        ['NOT id < 101', [pruned('statistics of id'), read(100)]],
+        ['NOT id < 100', [read(50), read(100)]],
+        ['NOT (id BETWEEN 1 AND 100)', [pruned('statistics of id'), read(100)]],
+        ['NOT (id <= 100 OR id > 150)', [pruned('statistics of id'), read(50)]],
+        // Union and intersection of the pages each leaf selects
+        ['id < 30 OR id > 190', [read(50), read(50)]],
+        ["id > 150 AND country = 'US'", [pruned('statistics of id', 'statistics of country'), read(50)]],
+        ["id <= 120 AND country = 'DE'", [read(100), read(30)]],
+        ["id < 120 AND country != 'DE'", [read(100), read(20)]],
+        ["country = 'US' OR id = 3", [read(50), read(70)]],
+        // Pages selected by one column but not the other leave no rows
+        ["id > 150 AND country = 'DE'", [pruned('statistics of id'), pruned('column index')]],
+        // Null counts
+        ['country IS NULL', [pruned('statistics of country'), read(30)]],
+        ['id IS NOT NULL', [read(100), read(100)]],
+    ])('%s', async (text, expected) => {
+        expect(summarize(await simulatePushdown(EXAMPLE, text))).toEqual(expected);
+    });
+
+    test('counts the pages and bytes read', async () => {
+        const result = await simulatePushdown(EXAMPLE, 'id = 160');
+        expect(result.columns).toEqual(['id']);
+        expect(result.rowGroups[1].columns.map((column) => column.pages)).toEqual([
+            [false, true],
+            [false, true],
+        ]);
+        expect(result.totals).toEqual({
+            rowGroups: 2,
+            rowGroupsRead: 1,
+            pages: 6,
+            pagesRead: 2,
+            rows: 200,
+            selectedRows: 50,
+            bytesRead: 200,
+            bytesTotal: 700,
+        });
+    });
+
+    test('prunes a row group whose bloom filter rules the values out', async () => {
+        const header = { algorithm: { BLOCK: {} }, hash: { XXHASH: {} }, compression: { UNCOMPRESSED: {} } };
+        const emptyFilter = { offset: 0, headerSize: 0, numBytes: 32, header };
+        const data = file(
+            [
+                {
+                    numRows: 100,
+                    id: chunk(ID, { numValues: 100, stats: ['1', '100'], bloomFilter: emptyFilter }),
+                    country: chunk(COUNTRY, { numValues: 100, stats: ['AT', 'FR'] }),
+                },
+            ],
+            { source: createBufferSource(new Uint8Array(32)) },
+        );
+
+        expect(summarize(await simulatePushdown(data, 'id IN (5, 6)'))).toEqual([pruned('bloom filter of id')]);
+        // Statistics are checked first, and ranges can't be answered by a bloom filter
+        expect(summarize(await simulatePushdown(data, 'id = 500'))).toEqual([pruned('statistics of id')]);
+        expect(summarize(await simulatePushdown(data, 'id > 5'))).toEqual([read(100)]);
+    });
+
+    test('ignores min/max values that may not follow the sort order', async () => {
+        const data = file(
+            [
+                {
+                    numRows: 100,
+                    id: chunk(ID, { numValues: 100, stats: ['1', '100'] }),
+                    country: chunk(COUNTRY, { numValues: 100, stats: ['AT', 'FR'] }),
+                },
+            ],
+            { typeOrder: false },
+        );
+        const result = await simulatePushdown(data, "country = 'US'");
+        expect(summarize(result)).toEqual([read(100)]);
+        expect(result.notes).toEqual([
+            'country: the file declares no sort order for its statistics, so only null counts are used',
+        ]);
+    });
+
+    test.each([
+        ['name = 1', 'Unknown column "name"'],
+        ['id = 1.5', 'id: Invalid integer: 1.5'],
+    ])('rejects %s', async (text, error) => {
+        await expect(simulatePushdown(EXAMPLE, text)).rejects.toThrow(error);
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Parquet Record Assembly
+ * Rebuilds nested rows from the flat, level-encoded values of the leaf columns
+ * (the inverse of Dremel shredding) and turns LIST and MAP groups into arrays and objects.
+ */
+
+import { ConvertedType, FieldRepetitionType } from './parquetInit.js';
+import { getSchemaIndex } from './schemaTree.js';
+import { readColumnChunkRows } from './pageReader.js';
+import { formatStatValue } from './statsFormatter.js';
+
+function isRepeated(node) {
+    return node.element.repetition_type === FieldRepetitionType.REPEATED;
+}
+
+function isListNode(node) {
+    return !!node.element.logicalType?.LIST || node.element.converted_type === ConvertedType.LIST;
+}
+
+function isMapNode(node) {
+    return (
+        !!node.element.logicalType?.MAP ||
+        node.element.converted_type === ConvertedType.MAP ||
+        node.element.converted_type === ConvertedType.MAP_KEY_VALUE
+    );
+}
+
+/**
+ * Rebuild the values of one leaf column as nested groups, one value per row
+ * Groups become objects holding just the field on the leaf's path, repeated fields become arrays.
+ * @param {Array} pathNodes - Schema nodes from the top-level field down to the leaf
+ * @param {Object} column - { definitionLevels, repetitionLevels, values } as read by readColumnChunkRows
+ * @param {Function} convert - Converts a leaf value for display
+ * @returns {Array} Value of the top-level field per row
+ */
+function assembleColumn(pathNodes, column, convert) {
+    const leaf = pathNodes[pathNodes.length - 1];
+    const numSlots = column.definitionLevels?.length ?? column.repetitionLevels?.length ?? column.values.length;
+    const rows = [];
+    // Current array of each repeated field on the path, by its repetition level
+    const lists = [];
+    let valueIdx = 0;
+
+    // Build the instance of pathNodes[depth], which is known to be defined
+    const build = (depth, definitionLevel) => {
+        if (depth === pathNodes.length - 1) return convert(column.values[valueIdx++]);
+
+        const child = pathNodes[depth + 1];
+        if (isRepeated(child)) {
+            const list = [];
+            lists[child.maxRepetitionLevel] = list;
+            if (definitionLevel >= child.maxDefinitionLevel) list.push(build(depth + 1, definitionLevel));
+            return { [child.element.name]: list };
+        }
+        return {
+            [child.element.name]: definitionLevel >= child.maxDefinitionLevel ? build(depth + 1, definitionLevel) : null,
+        };
+    };
+
+    for (let i = 0; i < numSlots; i++) {
+        const repetitionLevel = column.repetitionLevels ? column.repetitionLevels[i] : 0;
+        const definitionLevel = column.definitionLevels ? column.definitionLevels[i] : leaf.maxDefinitionLevel;
+
+        if (repetitionLevel > 0) {
+            // Another element of the repeated field at this repetition level
+            const depth = pathNodes.findIndex((node) => isRepeated(node) && node.maxRepetitionLevel === repetitionLevel);
+            lists[repetitionLevel].push(build(depth, definitionLevel));
+            continue;
+        }
+
+        const top = pathNodes[0];
+        if (isRepeated(top)) {
+            const list = [];
+            lists[top.maxRepetitionLevel] = list;
+            if (definitionLevel >= top.maxDefinitionLevel) list.push(build(0, definitionLevel));
+            rows.push(list);
+        } else {
+            rows.push(definitionLevel >= top.maxDefinitionLevel ? build(0, definitionLevel) : null);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Merge the partial values of two leaf columns sharing (part of) their path
+ * Both have the same nesting and nulls along the shared part, so arrays are merged element-wise.
+ */
+function mergeValues(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.map((item, i) => mergeValues(item, b[i]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const merged = { ...a };
+        for (const [key, value] of Object.entries(b)) {
+            merged[key] = key in a ? mergeValues(a[key], value) : value;
+        }
+        return merged;
+    }
+    return a ?? b;
+}
+
+/**
+ * Turn a raw group value into its logical form: LIST groups into arrays, MAP groups into objects
+ * @param {Object} node - Schema node of the value
+ * @param {*} value - Raw value as built by assembleColumn (for a repeated node: a single instance)
+ */
+function toLogicalValue(node, value) {
+    if (value === null || value === undefined || node.children.length === 0) return value ?? null;
+
+    const repeatedChild = node.children.length === 1 && isRepeated(node.children[0]) ? node.children[0] : null;
+
+    if (repeatedChild && isListNode(node)) {
+        const instances = value[repeatedChild.element.name] || [];
+        // Three-level lists wrap each element in a single-field group; older writers put the element
+        // directly in the repeated field (see the backward compatibility rules of the format spec)
+        const isThreeLevel =
+            repeatedChild.children.length === 1 &&
+            repeatedChild.element.name !== 'array' &&
+            repeatedChild.element.name !== `${node.element.name}_tuple`;
+        if (isThreeLevel) {
+            const elementNode = repeatedChild.children[0];
+            return instances.map((instance) => toLogicalValue(elementNode, instance[elementNode.element.name]));
+        }
+        return instances.map((instance) => toLogicalValue(repeatedChild, instance));
+    }
+
+    if (repeatedChild && isMapNode(node) && repeatedChild.children.length >= 1) {
+        const [keyNode, valueNode] = repeatedChild.children;
+        const instances = value[repeatedChild.element.name] || [];
+        return Object.fromEntries(
+            instances.map((entry) => [
+                String(toLogicalValue(keyNode, entry[keyNode.element.name])),
+                valueNode ? toLogicalValue(valueNode, entry[valueNode.element.name]) : null,
+            ]),
+        );
+    }
+
+    // Plain struct: convert each field, repeated fields hold one instance per element
+    const result = {};
+    for (const child of node.children) {
+        const childValue = value[child.element.name];
+        result[child.element.name] = isRepeated(child)
+            ? (childValue || []).map((instance) => toLogicalValue(child, instance))
+            : toLogicalValue(child, childValue);
+    }
+    return result;
+}
+
+/**
+ * Assemble rows from the values of all leaf columns
+ * @param {Object} tree - Root node from buildSchemaTree
+ * @param {Map} columns - Leaf path (joined with '.') => { definitionLevels, repetitionLevels, values }
+ * @param {number} numRows - Number of rows to assemble
+ * @param {Function} convert - (value, leafNode) => display value of a non-null leaf value
+ * @returns {Array} One object per row keyed by top-level field name
+ */
+export function assembleRecords(tree, columns, numRows, convert) {
+    const rows = Array.from({ length: numRows }, () => ({}));
+
+    for (const field of tree.children) {
+        let fieldValues = null;
+
+        const visit = (node, pathNodes) => {
+            if (node.children.length > 0) {
+                node.children.forEach((child) => visit(child, [...pathNodes, child]));
+                return;
+            }
+            const column = columns.get(node.path.join('.'));
+            if (!column) return;
+            const values = assembleColumn(pathNodes, column, (value) => convert(value, node));
+            fieldValues = fieldValues ? fieldValues.map((value, i) => mergeValues(value, values[i])) : values;
+        };
+        visit(field, [field]);
+
+        if (!fieldValues) continue;
+        for (let i = 0; i < numRows; i++) {
+            const value = fieldValues[i];
+            rows[i][field.element.name] = isRepeated(field)
+                ? (value || []).map((instance) => toLogicalValue(field, instance))
+                : toLogicalValue(field, value);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Read and assemble the first rows of a row group
+ * Each column chunk is read page by page only until the requested rows are complete.
+ * Leaf values are formatted for display like statistics values.
+ * @param {Object} source - Byte source of the file
+ * @param {Object} fileMetaData - The parsed FileMetaData
+ * @param {Object} options
+ * @param {number} options.rowGroup - Index of the row group (default 0)
+ * @param {number} options.numRows - Maximum number of rows to read
+ * @param {Object} options.decryptor - The file's decryptor (encrypted files only)
+ * @returns {Promise<Object>} { fields: top-level field names, rows: one object per row keyed by field name,
+ *          lockedColumns: paths of encrypted columns left out because their key is not known }
+ */
+export async function readFirstRows(source, fileMetaData, { rowGroup = 0, numRows, decryptor = null }) {
+    const schemaIndex = getSchemaIndex(fileMetaData.schema);
+    const { tree } = schemaIndex;
+    const rowGroupMeta = fileMetaData.row_groups[rowGroup];
+    if (!rowGroupMeta) {
+        return { fields: tree.children.map((field) => field.element.name), rows: [], lockedColumns: [] };
+    }
+
+    const count = Math.min(numRows, Number(rowGroupMeta.num_rows));
+    const columns = new Map();
+    const metaByPath = new Map();
+    const lockedColumns = [];
+
+    for (const [colIdx, column] of rowGroupMeta.columns.entries()) {
+        const meta = column.meta_data;
+        const columnDecryptor = decryptor?.forColumn(column, rowGroup, colIdx) ?? null;
+        if (columnDecryptor && !columnDecryptor.canDecrypt) {
+            lockedColumns.push(columnDecryptor.path ?? `Column ${colIdx}`);
+            continue;
+        }
+        if (!meta) continue;
+        const leaf = schemaIndex.findColumn(meta.path_in_schema);
+        if (!leaf) continue;
+        const path = meta.path_in_schema.join('.');
+
+        metaByPath.set(path, meta);
+        columns.set(
+            path,
+            await readColumnChunkRows(
+                source,
+                {
+                    columnMeta: meta,
+                    maxDefinitionLevel: leaf.maxDefinitionLevel,
+                    maxRepetitionLevel: leaf.maxRepetitionLevel,
+                    typeLength: leaf.element.type_length,
+                    columnDecryptor,
+                },
+                count,
+            ),
+        );
+    }
+
+    const convert = (value, leaf) => formatStatValue(value, metaByPath.get(leaf.path.join('.')), leaf.element);
+    return {
+        fields: tree.children.map((field) => field.element.name),
+        rows: assembleRecords(tree, columns, count, convert),
+        lockedColumns,
+    };
+}
@@ -0,0 +1,289 @@
+/**
+ * Parquet Salvage
+ * Recovers the page structure of a file whose footer is missing or corrupt, e.g. a file left
+ * half-written by a crashed job. Pages are self-describing: starting after the header magic, the
+ * scanner decodes one PageHeader after the other and skips over the page data. Column chunk
+ * boundaries aren't stored in the pages, so they are inferred from the page sequence.
+ */
+
+import { TCompactProtocolReader, PageHeader, PageType, Encoding } from './parquetInit.js';
+import { readFileSlice, readThriftStructAt, isDataPageHeader } from './parquetParser.js';
+import { isByteSource, createBlobSource } from './byteSource.js';
+
+// Bytes read from the file at a time while scanning
+const SCAN_WINDOW = 4 * 1024 * 1024; // 4MB
+// Bytes a page header is decoded from while resynchronizing (larger headers are missed there)
+const RESYNC_HEADER_WINDOW = 64 * 1024; // 64KB
+// Unreadable bytes searched for the next page before the rest of the file is given up on
+const MAX_RESYNC_BYTES = 64 * 1024 * 1024; // 64MB
+
+// Compact protocol byte of PageHeader's first field (field 1, i32 `type`), where every header starts
+const PAGE_HEADER_FIRST_BYTE = 0x15;
+
+const DICTIONARY_ENCODINGS = new Set([Encoding.PLAIN_DICTIONARY, Encoding.RLE_DICTIONARY]);
+
+/**
+ * Create a reader that serves small reads from a window of the file
+ */
+function createWindowedReader(source) {
+    let windowStart = 0;
+    let windowBytes = new Uint8Array(0);
+    return async (start, end) => {
+        if (start < windowStart || end > windowStart + windowBytes.length) {
+            windowStart = start;
+            windowBytes = await readFileSlice(source, start, Math.min(source.size, Math.max(end, start + SCAN_WINDOW)));
+        }
+        return windowBytes.subarray(start - windowStart, end - windowStart);
+    };
+}
+
+/**
+ * Check whether a decoded page header is consistent enough to be a real page and not
+ * random bytes that happen to decode
+ */
+function isPlausiblePageHeader(header) {
+    if (header.compressed_page_size < 0 || header.uncompressed_page_size < 0) return false;
+    const encodingKnown = (encoding) => Encoding[encoding] !== undefined;
+
+    switch (header.type) {
+        case PageType.DATA_PAGE: {
+            const dataPage = header.data_page_header;
+            return !!dataPage && dataPage.num_values >= 0 && encodingKnown(dataPage.encoding);
+        }
+        case PageType.DATA_PAGE_V2: {
+            const dataPage = header.data_page_header_v2;
+            return (
+                !!dataPage &&
+                dataPage.num_values >= 0 &&
+                dataPage.num_rows >= 0 &&
+                dataPage.num_nulls >= 0 &&
+                dataPage.num_nulls <= dataPage.num_values &&
+                dataPage.definition_levels_byte_length >= 0 &&
+                dataPage.repetition_levels_byte_length >= 0 &&
+                dataPage.definition_levels_byte_length + dataPage.repetition_levels_byte_length <=
+                    header.compressed_page_size &&
+                encodingKnown(dataPage.encoding)
+            );
+        }
+        case PageType.DICTIONARY_PAGE: {
+            const dictionaryPage = header.dictionary_page_header;
+            return !!dictionaryPage && dictionaryPage.num_values >= 0 && encodingKnown(dictionaryPage.encoding);
+        }
+        case PageType.INDEX_PAGE:
+            return !!header.index_page_header;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Describe a page for the salvage result
+ */
+function toPage(offset, header, headerSize) {
+    const dataPage = header.data_page_header || header.data_page_header_v2;
+    return {
+        offset,
+        header_size: headerSize,
+        // Includes the header, same as in pageIndexes
+        compressed_page_size: headerSize + header.compressed_page_size,
+        uncompressed_page_size: header.uncompressed_page_size,
+        numValues: (dataPage || header.dictionary_page_header)?.num_values ?? 0,
+        numRows: header.data_page_header_v2?.num_rows ?? null,
+        encoding: (dataPage || header.dictionary_page_header)?.encoding ?? null,
+        header,
+    };
+}
+
+/**
+ * Try to decode a plausible page header at an offset, without reading more than a small window
+ * @returns {Object|null} The page, or null if there is none at the offset
+ */
+async function tryPageAt(read, offset, fileSize) {
+    const end = Math.min(offset + RESYNC_HEADER_WINDOW, fileSize);
+    try {
+        const reader = new TCompactProtocolReader(await read(offset, end));
+        const header = new PageHeader();
+        header[Symbol.for('read')](reader);
+        return isPlausiblePageHeader(header) ? toPage(offset, header, reader.offset) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find the next offset where a page header starts
+ * A candidate is only accepted if another plausible header follows its page (or the page ends
+ * exactly at the end of the file), which rules out most random matches.
+ * @returns {Promise<number|null>} The offset, or null if none is found within MAX_RESYNC_BYTES
+ */
+async function findNextPage(read, from, fileSize) {
+    const limit = Math.min(fileSize, from + MAX_RESYNC_BYTES);
+    for (let windowStart = from; windowStart < limit; windowStart += SCAN_WINDOW) {
+        const bytes = await read(windowStart, Math.min(windowStart + SCAN_WINDOW, limit));
+        for (let i = bytes.indexOf(PAGE_HEADER_FIRST_BYTE); i !== -1; i = bytes.indexOf(PAGE_HEADER_FIRST_BYTE, i + 1)) {
+            const offset = windowStart + i;
+            const page = await tryPageAt(read, offset, fileSize);
+            if (!page) continue;
+            const pageEnd = offset + page.compressed_page_size;
+            if (pageEnd === fileSize || (pageEnd < fileSize && (await tryPageAt(read, pageEnd, fileSize)))) {
+                return offset;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Group pages into approximate column chunks
+ * A chunk starts at a dictionary page (always the first page of its chunk), when the data page
+ * version changes, when a data page's encoding changes other than by falling back from dictionary
+ * encoding, when a page follows a page with fewer values than the equally sized pages before it (that
+ * page was the last, partial page of its chunk), or when a page has more values than the equally sized
+ * pages before it (a writer splitting pages by value count writes no larger pages). Writers that split
+ * pages by byte size write pages of varying value counts, so a smaller page says nothing there.
+ * A chunk also ends once it has as many rows (V2 pages) or values (V1 pages) as the chunk before it,
+ * since the chunks of a row group usually all have the same number of rows and, for non-repeated
+ * columns, of values.
+ */
+function groupIntoChunks(pages) {
+    const chunks = [];
+    let chunk = null;
+
+    const isDictionaryEncoded = (page) => DICTIONARY_ENCODINGS.has(page.encoding);
+    const getCount = (page) => page.numRows ?? page.numValues;
+
+    for (const page of pages) {
+        const isData = isDataPageHeader(page.header);
+        const previous = chunk?.dataPages[chunk.dataPages.length - 1];
+
+        const startsChunk =
+            !chunk ||
+            chunk.complete ||
+            page.header.type === PageType.DICTIONARY_PAGE ||
+            (isData &&
+                previous &&
+                (page.header.type !== previous.header.type ||
+                    (isDictionaryEncoded(page) && !isDictionaryEncoded(previous)) ||
+                    (!isDictionaryEncoded(previous) && page.encoding !== previous.encoding) ||
+                    (chunk.uniformBeforeLast &&
+                        previous.numValues < chunk.largestPage &&
+                        page.numValues > previous.numValues) ||
+                    (chunk.uniformPages && chunk.dataPages.length > 1 && page.numValues > previous.numValues)));
+
+        if (startsChunk) {
+            const reference = chunk ? chunk.count : null;
+            chunk = {
+                index: chunks.length,
+                pages: [],
+                dataPages: [],
+                largestPage: 0,
+                // Whether the data pages (and the data pages but the last one) all have the same number of values
+                uniformPages: true,
+                uniformBeforeLast: true,
+                count: 0,
+                reference,
+                complete: false,
+            };
+            chunks.push(chunk);
+        }
+        chunk.pages.push(page);
+        if (isData) {
+            chunk.uniformBeforeLast = chunk.uniformPages;
+            chunk.uniformPages &&= !previous || startsChunk || page.numValues === previous.numValues;
+            chunk.dataPages.push(page);
+            chunk.largestPage = Math.max(chunk.largestPage, page.numValues);
+            chunk.count += getCount(page);
+            chunk.complete = chunk.count === chunk.reference;
+        }
+    }
+
+    return chunks.map((entry) => {
+        const { dataPages } = entry;
+        const last = entry.pages[entry.pages.length - 1];
+        return {
+            index: entry.index,
+            start: entry.pages[0].offset,
+            end: last.offset + last.compressed_page_size,
+            pages: entry.pages,
+            numDataPages: dataPages.length,
+            hasDictionaryPage: entry.pages[0].header.type === PageType.DICTIONARY_PAGE,
+            numValues: dataPages.reduce((sum, page) => sum + page.numValues, 0),
+            // Only V2 data pages store their row count
+            numRows: dataPages.every((page) => page.numRows !== null)
+                ? dataPages.reduce((sum, page) => sum + page.numRows, 0)
+                : null,
+            uncompressedSize: entry.pages.reduce((sum, page) => sum + page.header_size + page.uncompressed_page_size, 0),
+            encodings: [...new Set(dataPages.map((page) => page.encoding))],
+        };
+    });
+}
+
+/**
+ * Scan a file for pages, ignoring its footer
+ * @param {Object|Blob} input - A byte source (see byteSource.js) or a File/Blob
+ * @param {Object} options - { reason: why the file couldn't be parsed normally (shown with the result),
+ *        onProgress(scannedBytes, fileSize) }
+ * @returns {Promise<Object>} { source, fileSize, reason, headerMagic (true if the file starts with
+ *          PAR1/PARE), pages, chunks, gaps (unreadable ranges skipped between pages), tail (range after
+ *          the last page: page indexes, footer or garbage, or null), truncatedPage (the last page if
+ *          its data extends past the end of the file, or null), recoveredBytes }
+ */
+export async function salvageParquetFile(input, options = {}) {
+    const source = isByteSource(input) ? input : createBlobSource(input);
+    const { reason = null, onProgress } = options;
+    const fileSize = source.size;
+    const read = createWindowedReader(source);
+
+    const magic = new TextDecoder().decode(await read(0, Math.min(4, fileSize)));
+    const headerMagic = magic === 'PAR1' || magic === 'PARE';
+
+    const pages = [];
+    const gaps = [];
+    let tail = null;
+    let truncatedPage = null;
+    let offset = Math.min(4, fileSize);
+
+    while (offset < fileSize) {
+        let page = null;
+        try {
+            const { header, headerSize } = await readThriftStructAt(read, PageHeader, offset, fileSize);
+            page = isPlausiblePageHeader(header) ? toPage(offset, header, headerSize) : null;
+        } catch {
+            page = null;
+        }
+
+        if (page && offset + page.compressed_page_size > fileSize) {
+            // The header is intact but the file ends within the page's data
+            truncatedPage = page;
+            tail = { start: offset, end: fileSize };
+            break;
+        }
+        if (page) {
+            pages.push(page);
+            offset += page.compressed_page_size;
+        } else {
+            const next = await findNextPage(read, offset + 1, fileSize);
+            if (next === null) {
+                tail = { start: offset, end: fileSize };
+                break;
+            }
+            gaps.push({ start: offset, end: next });
+            offset = next;
+        }
+        onProgress?.(offset, fileSize);
+    }
+
+    const chunks = groupIntoChunks(pages);
+    return {
+        source,
+        fileSize,
+        reason,
+        headerMagic,
+        pages,
+        chunks,
+        gaps,
+        tail,
+        truncatedPage,
+        recoveredBytes: chunks.reduce((sum, chunk) => sum + chunk.end - chunk.start, 0),
+    };
+}
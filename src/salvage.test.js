@@ -0,0 +1,34 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, test } from 'vitest';
+import { createBufferSource } from './byteSource.js';
+import { parseParquetFileStreaming } from './parquetParser.js';
+import { salvageParquetFile } from './salvage.js';
+
+const EXAMPLE_FILE = new Uint8Array(readFileSync(new URL('../public/example_file.parquet', import.meta.url)));
+
+/**
+ * Get the column chunks of a file from its footer: { start, numValues }
+ */
+async function getColumnChunks(file) {
+    const { fileMetaData } = await parseParquetFileStreaming(createBufferSource(file), { readPageHeaders: false });
+    return fileMetaData.row_groups.flatMap((rowGroup) =>
+        rowGroup.columns.map(({ meta_data: meta }) => ({
+            start: Number(meta.dictionary_page_offset ?? meta.data_page_offset),
+            numValues: Number(meta.num_values),
+        })),
+    );
+}
+
+describe('salvageParquetFile', () => {
+    test('recovers the column chunks of the example file without its footer', async () => {
+        // Cutting off the footer length and magic leaves the footer unreadable
+        const result = await salvageParquetFile(createBufferSource(EXAMPLE_FILE.subarray(0, EXAMPLE_FILE.length - 8)));
+
+        expect(result.headerMagic).toBe(true);
+        expect(result.gaps).toEqual([]);
+        // Its large_strings chunk has pages of 5, 6, 5, 6, 5 and 23 values (split by byte size)
+        expect(result.chunks.map(({ start, numValues }) => ({ start, numValues }))).toEqual(
+            await getColumnChunks(EXAMPLE_FILE),
+        );
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Parquet Schema Tree
+ * Rebuilds the nested schema from the flattened, depth-first list in FileMetaData.schema,
+ * and indexes its leaves (the columns) by their full path.
+ */
+
+import { FieldRepetitionType } from './parquetInit.js';
+
+/**
+ * Build a schema tree from the flat schema element list
+ * Group elements announce how many of the following elements are their children (num_children).
+ * Each node also carries the max definition and repetition levels of its position:
+ * every OPTIONAL or REPEATED field on the path adds a definition level, every REPEATED one a repetition level.
+ * @param {Array} elements - FileMetaData.schema (the first element is the root)
+ * @returns {Object} Root node: { element, path, maxDefinitionLevel, maxRepetitionLevel, children: [...] }
+ */
+export function buildSchemaTree(elements) {
+    const root = elements[0];
+    let idx = 1;
+
+    const buildNode = (parent, parentPath, parentDefinitionLevel, parentRepetitionLevel) => {
+        const nodes = [];
+        const numChildren = parent.num_children || 0;
+
+        for (let i = 0; i < numChildren && idx < elements.length; i++) {
+            const elem = elements[idx++];
+            const path = [...parentPath, elem.name];
+            const isRepeated = elem.repetition_type === FieldRepetitionType.REPEATED;
+            const isRequired = elem.repetition_type === FieldRepetitionType.REQUIRED;
+            const node = {
+                element: elem,
+                path,
+                maxDefinitionLevel: parentDefinitionLevel + (isRequired ? 0 : 1),
+                maxRepetitionLevel: parentRepetitionLevel + (isRepeated ? 1 : 0),
+                children: [],
+            };
+
+            if (elem.num_children) {
+                node.children = buildNode(elem, path, node.maxDefinitionLevel, node.maxRepetitionLevel);
+            }
+
+            nodes.push(node);
+        }
+
+        return nodes;
+    };
+
+    return {
+        element: root,
+        path: [],
+        maxDefinitionLevel: 0,
+        maxRepetitionLevel: 0,
+        children: buildNode(root, [], 0, 0),
+    };
+}
+
+/**
+ * Key of a column path in the schema index (names can contain dots, so they're not joined with '.')
+ */
+function getPathKey(path) {
+    return path.join('\u0000');
+}
+
+// Schema indexes by FileMetaData.schema array, built once per file
+const schemaIndexes = new WeakMap();
+
+/**
+ * Get the schema index of a file: its schema tree and its columns by full path
+ * Columns are leaf nodes of the tree, in column chunk order, with two extra fields:
+ * `columnIndex` (position of the column chunk in each row group) and `ancestors`
+ * (the group nodes from the top-level field down to the column's parent).
+ * @param {Array} elements - FileMetaData.schema
+ * @returns {Object} { tree, columns, findColumn(pathInSchema) }
+ */
+export function getSchemaIndex(elements) {
+    let index = schemaIndexes.get(elements);
+    if (index) return index;
+
+    const tree = buildSchemaTree(elements);
+    const columns = [];
+    const columnsByPath = new Map();
+    const visit = (node, ancestors) => {
+        if (node.children.length === 0) {
+            const column = Object.assign(node, { columnIndex: columns.length, ancestors });
+            columns.push(column);
+            columnsByPath.set(getPathKey(node.path), column);
+        } else {
+            node.children.forEach((child) => visit(child, [...ancestors, node]));
+        }
+    };
+    tree.children.forEach((node) => visit(node, []));
+
+    index = {
+        tree,
+        columns,
+        findColumn: (pathInSchema) => columnsByPath.get(getPathKey(pathInSchema)) ?? null,
+    };
+    schemaIndexes.set(elements, index);
+    return index;
+}
+
+/**
+ * Find the schema element of a column by its full path
+ * @param {Array} elements - FileMetaData.schema
+ * @param {Array} pathInSchema - The column's path_in_schema
+ * @returns {Object|null} The column's SchemaElement or null if the schema has no such column
+ */
+export function findSchemaElement(elements, pathInSchema) {
+    if (!elements || !pathInSchema) return null;
+    return getSchemaIndex(elements).findColumn(pathInSchema)?.element ?? null;
+}
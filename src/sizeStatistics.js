@@ -0,0 +1,82 @@
+/**
+ * Size Statistics
+ * Reads SizeStatistics (ColumnMetaData.size_statistics) and their per-page counterparts in the page
+ * index: the unencoded size of BYTE_ARRAY values and histograms of the repetition and definition levels.
+ * Writers add them so readers can size buffers before decoding; here they show null density and list lengths.
+ */
+
+function toNumber(value) {
+    return value != null ? Number(value) : null;
+}
+
+function toNumbers(list) {
+    return list?.length > 0 ? list.map(Number) : null;
+}
+
+/**
+ * Describe level histograms
+ * Entries at the max definition level are values, lower levels are nulls or empty lists (at some
+ * nesting level). Entries at repetition level 0 start a new row, so entries / rows is the average
+ * number of entries per row of a repeated column.
+ * @param {number[]|null} definitionLevels - Count of entries per definition level
+ * @param {number[]|null} repetitionLevels - Count of entries per repetition level
+ * @returns {Object} { entries, values, nullOrEmpty, rows, entriesPerRow }, with null for what the
+ *          histograms don't tell
+ */
+export function describeLevels(definitionLevels, repetitionLevels) {
+    const entries =
+        definitionLevels?.reduce((sum, count) => sum + count, 0) ??
+        repetitionLevels?.reduce((sum, count) => sum + count, 0) ??
+        null;
+    const values = definitionLevels ? definitionLevels[definitionLevels.length - 1] : null;
+    const rows = repetitionLevels ? repetitionLevels[0] : null;
+    return {
+        entries,
+        values,
+        nullOrEmpty: values != null ? entries - values : null,
+        rows,
+        entriesPerRow: rows > 0 && entries != null ? entries / rows : null,
+    };
+}
+
+/**
+ * Get the size statistics of a column chunk
+ * @param {Object} meta - ColumnMetaData
+ * @returns {Object|null} { unencodedBytes, definitionLevels, repetitionLevels } (each null if not
+ *          written), or null if the chunk has no size statistics
+ */
+export function getChunkSizeStatistics(meta) {
+    const stats = meta?.size_statistics;
+    if (!stats) return null;
+    const result = {
+        unencodedBytes: toNumber(stats.unencoded_byte_array_data_bytes),
+        definitionLevels: toNumbers(stats.definition_level_histogram),
+        repetitionLevels: toNumbers(stats.repetition_level_histogram),
+    };
+    return result.unencodedBytes != null || result.definitionLevels || result.repetitionLevels ? result : null;
+}
+
+/**
+ * Get the size statistics of a page from the page index
+ * The column index stores the histograms of all pages concatenated, one entry per level and page.
+ * @param {Object} columnIndex - ColumnIndex of the column chunk (may be null)
+ * @param {Object} page - Page from getPageLocations (carries the offset index's unencoded size)
+ * @param {number} index - Index of the page in the chunk
+ * @returns {Object|null} { unencodedBytes, definitionLevels, repetitionLevels }, or null if none are known
+ */
+export function getPageSizeStatistics(columnIndex, page, index) {
+    const numPages = columnIndex?.null_pages?.length ?? 0;
+    const slice = (histograms) => {
+        const counts = toNumbers(histograms);
+        if (!counts || numPages === 0 || counts.length % numPages !== 0) return null;
+        const numLevels = counts.length / numPages;
+        return counts.slice(index * numLevels, (index + 1) * numLevels);
+    };
+
+    const result = {
+        unencodedBytes: toNumber(page.unencoded_byte_array_data_bytes),
+        definitionLevels: slice(columnIndex?.definition_level_histograms),
+        repetitionLevels: slice(columnIndex?.repetition_level_histograms),
+    };
+    return result.unencodedBytes != null || result.definitionLevels || result.repetitionLevels ? result : null;
+}
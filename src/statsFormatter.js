@@ -4,41 +4,19 @@
  */
 
 import { EnumHelpers } from './parquetParser.js';
+import { getGeospatialType, wkbToWkt } from './geospatial.js';
+import { decodePrintableText } from './textDecoding.js';
 
-/**
- * Find the schema element for a column by its path
- * @param {Array} schema - The file's schema array
- * @param {Array} pathInSchema - The column's path_in_schema
- * @returns {Object|null} The matching SchemaElement or null
- */
-export function findSchemaElement(schema, pathInSchema) {
-    if (!schema || !pathInSchema || pathInSchema.length === 0) return null;
-
-    // Simple approach: find by last element of path (column name)
-    const columnName = pathInSchema[pathInSchema.length - 1];
-    for (const elem of schema) {
-        if (elem.name === columnName && elem.type !== undefined) {
-            return elem;
-        }
-    }
-
-    // Fallback: search by full path match
-    const targetPath = pathInSchema.join('.');
-    for (const elem of schema) {
-        if (elem.name === targetPath) {
-            return elem;
-        }
-    }
-
-    return null;
-}
+// Integers are grouped with commas whatever the browser's locale, so parseInteger can read them back
+const INTEGER_FORMAT = new Intl.NumberFormat('en-US');
 
 /**
  * Get the logical type info from a schema element
+ * Converted types (legacy annotations) are mapped to their logical type equivalent.
  * @param {Object} schemaElement - The schema element
  * @returns {Object} Object with logicalType name and details
  */
-function getLogicalTypeInfo(schemaElement) {
+export function getLogicalTypeInfo(schemaElement) {
     if (!schemaElement) return { type: null, details: null };
 
     // Check new-style LogicalType first
@@ -82,6 +60,19 @@ function getLogicalTypeInfo(schemaElement) {
         if (logicalType.JSON) return { type: 'JSON', details: null };
         if (logicalType.BSON) return { type: 'BSON', details: null };
         if (logicalType.ENUM) return { type: 'ENUM', details: null };
+        if (logicalType.LIST) return { type: 'LIST', details: null };
+        if (logicalType.MAP) return { type: 'MAP', details: null };
+        if (logicalType.UNKNOWN) return { type: 'UNKNOWN', details: null };
+        if (logicalType.FLOAT16) return { type: 'FLOAT16', details: null };
+        if (logicalType.VARIANT)
+            return {
+                type: 'VARIANT',
+                details: { specificationVersion: logicalType.VARIANT.specification_version ?? 1 },
+            };
+        if (logicalType.GEOMETRY || logicalType.GEOGRAPHY) {
+            const { type, crs, algorithm } = getGeospatialType(schemaElement);
+            return { type, details: { crs, algorithm } };
+        }
     }
 
     // Fallback to converted_type
@@ -90,19 +81,20 @@ function getLogicalTypeInfo(schemaElement) {
         const name = EnumHelpers.getConvertedTypeName(convertedType);
 
         // Map converted types to logical type names
+        // Times and timestamps of converted types are always adjusted to UTC
         switch (name) {
             case 'UTF8':
                 return { type: 'STRING', details: null };
             case 'DATE':
                 return { type: 'DATE', details: null };
             case 'TIME_MILLIS':
-                return { type: 'TIME', details: { unit: { MILLIS: {} } } };
+                return { type: 'TIME', details: { isAdjustedToUTC: true, unit: { MILLIS: {} } } };
             case 'TIME_MICROS':
-                return { type: 'TIME', details: { unit: { MICROS: {} } } };
+                return { type: 'TIME', details: { isAdjustedToUTC: true, unit: { MICROS: {} } } };
             case 'TIMESTAMP_MILLIS':
-                return { type: 'TIMESTAMP', details: { unit: { MILLIS: {} } } };
+                return { type: 'TIMESTAMP', details: { isAdjustedToUTC: true, unit: { MILLIS: {} } } };
             case 'TIMESTAMP_MICROS':
-                return { type: 'TIMESTAMP', details: { unit: { MICROS: {} } } };
+                return { type: 'TIMESTAMP', details: { isAdjustedToUTC: true, unit: { MICROS: {} } } };
             case 'DECIMAL':
                 return {
                     type: 'DECIMAL',
@@ -133,6 +125,13 @@ function getLogicalTypeInfo(schemaElement) {
                 return { type: 'BSON', details: null };
             case 'ENUM':
                 return { type: 'ENUM', details: null };
+            case 'LIST':
+                return { type: 'LIST', details: null };
+            case 'MAP':
+            case 'MAP_KEY_VALUE':
+                return { type: 'MAP', details: null };
+            case 'INTERVAL':
+                return { type: 'INTERVAL', details: null };
             default:
                 return { type: name, details: null };
         }
@@ -142,14 +141,12 @@ function getLogicalTypeInfo(schemaElement) {
 }
 
 /**
- * Get the time unit multiplier to convert to milliseconds
+ * Get the number of time units per second
  */
-function getTimeUnitMultiplier(unit) {
-    if (!unit) return 1;
-    if (unit.MILLIS) return 1;
-    if (unit.MICROS) return 0.001;
-    if (unit.NANOS) return 0.000001;
-    return 1;
+function getUnitsPerSecond(unit) {
+    if (unit?.MICROS) return 1000000n;
+    if (unit?.NANOS) return 1000000000n;
+    return 1000n;
 }
 
 /**
@@ -164,21 +161,45 @@ function getTimeUnitName(unit) {
 }
 
 /**
- * Format a timestamp value to ISO string
+ * Split a count of time units into whole seconds and the remaining units (always >= 0)
+ * BigInt arithmetic keeps nanosecond values exact, which doubles can't represent past ~104 days.
+ */
+function splitSeconds(value, unit) {
+    const unitsPerSecond = getUnitsPerSecond(unit);
+    const units = BigInt(value);
+    let seconds = units / unitsPerSecond;
+    let fraction = units % unitsPerSecond;
+    if (fraction < 0n) {
+        seconds -= 1n;
+        fraction += unitsPerSecond;
+    }
+    return { seconds, fraction, digits: unitsPerSecond.toString().length - 1 };
+}
+
+/**
+ * Format fractional seconds with the digits of the unit (".123", ".123456", ".123456789"), or nothing if zero
+ */
+function formatFraction(fraction, digits) {
+    return fraction > 0n ? `.${fraction.toString().padStart(digits, '0')}` : '';
+}
+
+/**
+ * Format a timestamp value (units since epoch)
+ * Timestamps adjusted to UTC are instants and get a "UTC" suffix; local timestamps are wall-clock
+ * times without a time zone and are shown as is.
  */
-function formatTimestamp(value, unit) {
+function formatTimestamp(value, unit, isAdjustedToUTC = true) {
     try {
-        const multiplier = getTimeUnitMultiplier(unit);
-        const ms = Number(value) * multiplier;
-        const date = new Date(ms);
+        const { seconds, fraction, digits } = splitSeconds(value, unit);
+        const date = new Date(Number(seconds) * 1000);
 
         if (isNaN(date.getTime())) {
             return value.toString();
         }
 
-        // Format as ISO string but more readable
-        return date.toISOString().replace('T', ' ').replace('Z', ' UTC');
-    } catch (e) {
+        const text = date.toISOString().replace(/\.\d{3}Z$/, '').replace('T', ' ') + formatFraction(fraction, digits);
+        return isAdjustedToUTC ? `${text} UTC` : text;
+    } catch {
         return value.toString();
     }
 }
@@ -204,31 +225,88 @@ function formatDate(days) {
 /**
  * Format a time value (time since midnight) to HH:MM:SS
  */
-function formatTime(value, unit) {
+function formatTime(value, unit, isAdjustedToUTC = false) {
     try {
-        const multiplier = getTimeUnitMultiplier(unit);
-        let totalMs = Number(value) * multiplier;
-
-        const hours = Math.floor(totalMs / 3600000);
-        totalMs -= hours * 3600000;
-        const minutes = Math.floor(totalMs / 60000);
-        totalMs -= minutes * 60000;
-        const seconds = Math.floor(totalMs / 1000);
-        const ms = Math.round(totalMs - seconds * 1000);
-
-        const hh = hours.toString().padStart(2, '0');
-        const mm = minutes.toString().padStart(2, '0');
-        const ss = seconds.toString().padStart(2, '0');
-
-        if (ms > 0) {
-            return `${hh}:${mm}:${ss}.${ms.toString().padStart(3, '0')}`;
-        }
-        return `${hh}:${mm}:${ss}`;
+        const { seconds, fraction, digits } = splitSeconds(value, unit);
+        const totalSeconds = Number(seconds);
+
+        const hh = Math.floor(totalSeconds / 3600)
+            .toString()
+            .padStart(2, '0');
+        const mm = Math.floor((totalSeconds % 3600) / 60)
+            .toString()
+            .padStart(2, '0');
+        const ss = (totalSeconds % 60).toString().padStart(2, '0');
+
+        const text = `${hh}:${mm}:${ss}${formatFraction(fraction, digits)}`;
+        return isAdjustedToUTC ? `${text} UTC` : text;
     } catch (e) {
         return value.toString();
     }
 }
 
+/**
+ * Decode an IEEE 754 half-precision float (FLOAT16 logical type)
+ */
+function decodeFloat16(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const mantissa = bits & 0x3ff;
+    if (exponent === 0) return sign * mantissa * 2 ** -24; // zero and subnormals
+    if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+    return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+/**
+ * Encode a number as an IEEE 754 half-precision float, rounding to the nearest representable value
+ */
+function encodeFloat16(value) {
+    if (Number.isNaN(value)) return 0x7e00;
+    const sign = value < 0 || Object.is(value, -0) ? 0x8000 : 0;
+    const abs = Math.abs(value);
+    if (abs >= 65520) return sign | 0x7c00; // rounds to infinity
+    if (abs < 2 ** -14) return sign | Math.round(abs * 2 ** 24); // subnormal
+
+    let exponent = Math.floor(Math.log2(abs));
+    if (2 ** exponent > abs) exponent--;
+    if (2 ** (exponent + 1) <= abs) exponent++;
+    let mantissa = Math.round((abs / 2 ** exponent - 1) * 1024);
+    if (mantissa === 1024) {
+        exponent++;
+        mantissa = 0;
+    }
+    return sign | ((exponent + 15) << 10) | mantissa;
+}
+
+/**
+ * Format a floating point value with the given number of significant digits
+ */
+function formatFloat(value, precision, exponentDigits) {
+    // Handle special values
+    if (!isFinite(value)) {
+        if (isNaN(value)) return 'NaN';
+        return value > 0 ? '+Infinity' : '-Infinity';
+    }
+
+    // Format with appropriate precision
+    if (Math.abs(value) < 0.0001 || Math.abs(value) >= 1000000) {
+        return value.toExponential(exponentDigits);
+    }
+    return value.toPrecision(precision).replace(/\.?0+$/, '');
+}
+
+/**
+ * Format an INTERVAL value (FIXED_LEN_BYTE_ARRAY(12): months, days and milliseconds as little-endian
+ * unsigned 32-bit integers)
+ */
+function formatInterval(view) {
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+    const months = view.getUint32(0, true);
+    const days = view.getUint32(4, true);
+    const millis = view.getUint32(8, true);
+    return `${plural(months, 'month')} ${plural(days, 'day')} ${millis} ms`;
+}
+
 /**
  * Format a decimal value with scale
  */
@@ -276,6 +354,7 @@ function formatUUID(bytes) {
 
 /**
  * Parse INT96 timestamp (12 bytes: 8 bytes nanoseconds + 4 bytes Julian day)
+ * @returns {bigint|null} Nanoseconds since epoch
  */
 function parseINT96Timestamp(bytes) {
     try {
@@ -284,9 +363,7 @@ function parseINT96Timestamp(bytes) {
         const view = new DataView(bytes.buffer, bytes.byteOffset, 12);
 
         // First 8 bytes: nanoseconds within the day (little-endian)
-        const nanoLow = view.getUint32(0, true);
-        const nanoHigh = view.getUint32(4, true);
-        const nanoseconds = BigInt(nanoLow) + (BigInt(nanoHigh) << 32n);
+        const nanoseconds = view.getBigUint64(0, true);
 
         // Last 4 bytes: Julian day number (little-endian)
         const julianDay = view.getInt32(8, true);
@@ -294,14 +371,47 @@ function parseINT96Timestamp(bytes) {
         // Convert Julian day to Unix timestamp
         // Julian day 2440588 = 1970-01-01
         const unixDays = julianDay - 2440588;
-        const unixMs = BigInt(unixDays) * 86400000n + nanoseconds / 1000000n;
-
-        return new Date(Number(unixMs));
+        return BigInt(unixDays) * 86400000000000n + nanoseconds;
     } catch (e) {
         return null;
     }
 }
 
+/**
+ * Whether the deprecated min/max statistics fields follow the column's sort order
+ * Old writers computed them with signed comparisons, which is wrong for byte arrays and unsigned integers.
+ * @param {Object} schemaElement - The column's schema element
+ */
+export function hasReliableLegacyMinMax(schemaElement) {
+    const physicalType = EnumHelpers.getTypeName(schemaElement?.type);
+    const logicalInfo = getLogicalTypeInfo(schemaElement);
+    const isUnsigned = logicalInfo.type === 'INTEGER' && logicalInfo.details?.isSigned === false;
+    return physicalType !== 'BYTE_ARRAY' && physicalType !== 'FIXED_LEN_BYTE_ARRAY' && !isUnsigned;
+}
+
+/**
+ * Get the min and max of a Statistics struct, preferring min_value/max_value over the deprecated min/max
+ * @param {Object} stats - The Statistics struct (of a column chunk or page header)
+ * @param {Object} schemaElement - The column's schema element
+ * @returns {Object|null} { min, max, deprecated, reliable } with the raw values (null if unset), where
+ *          deprecated is set for values from min/max and reliable unless those may be in the wrong
+ *          order (see hasReliableLegacyMinMax); null if neither pair is set
+ */
+export function getStatisticsMinMax(stats, schemaElement) {
+    if (stats?.min_value != null || stats?.max_value != null) {
+        return { min: stats.min_value ?? null, max: stats.max_value ?? null, deprecated: false, reliable: true };
+    }
+    if (stats?.min != null || stats?.max != null) {
+        return {
+            min: stats.min ?? null,
+            max: stats.max ?? null,
+            deprecated: true,
+            reliable: hasReliableLegacyMinMax(schemaElement),
+        };
+    }
+    return null;
+}
+
 /**
  * Format a statistic value based on type information
  * @param {Uint8Array} value - The raw bytes of the statistic
@@ -314,10 +424,16 @@ export function formatStatValue(value, columnMeta, schemaElement = null) {
 
     const physicalType = EnumHelpers.getTypeName(columnMeta.type);
     const logicalInfo = getLogicalTypeInfo(schemaElement);
+    const isUnsigned = logicalInfo.type === 'INTEGER' && logicalInfo.details?.isSigned === false;
 
     try {
         const view = new DataView(value.buffer, value.byteOffset, value.length);
 
+        // Columns of the NULL (UNKNOWN) logical type only contain nulls
+        if (logicalInfo.type === 'UNKNOWN') {
+            return 'null';
+        }
+
         // Handle BOOLEAN
         if (physicalType === 'BOOLEAN') {
             return value[0] ? 'true' : 'false';
@@ -326,48 +442,48 @@ export function formatStatValue(value, columnMeta, schemaElement = null) {
         // Handle INT32
         if (physicalType === 'INT32') {
             if (value.length < 4) return 'N/A';
-            const intValue = view.getInt32(0, true);
+            const intValue = isUnsigned ? view.getUint32(0, true) : view.getInt32(0, true);
 
             // Check logical type
             if (logicalInfo.type === 'DATE') {
                 return formatDate(intValue);
             }
             if (logicalInfo.type === 'TIME') {
-                return formatTime(intValue, logicalInfo.details?.unit);
+                return formatTime(intValue, logicalInfo.details?.unit, logicalInfo.details?.isAdjustedToUTC);
             }
             if (logicalInfo.type === 'DECIMAL') {
                 return formatDecimal(intValue, logicalInfo.details?.scale || 0);
             }
 
             // Regular integer
-            return intValue.toLocaleString();
+            return INTEGER_FORMAT.format(intValue);
         }
 
         // Handle INT64
         if (physicalType === 'INT64') {
             if (value.length < 8) return 'N/A';
-            const bigIntValue = view.getBigInt64(0, true);
+            const bigIntValue = isUnsigned ? view.getBigUint64(0, true) : view.getBigInt64(0, true);
 
             // Check logical type
             if (logicalInfo.type === 'TIMESTAMP') {
-                return formatTimestamp(bigIntValue, logicalInfo.details?.unit);
+                return formatTimestamp(bigIntValue, logicalInfo.details?.unit, logicalInfo.details?.isAdjustedToUTC);
             }
             if (logicalInfo.type === 'TIME') {
-                return formatTime(bigIntValue, logicalInfo.details?.unit);
+                return formatTime(bigIntValue, logicalInfo.details?.unit, logicalInfo.details?.isAdjustedToUTC);
             }
             if (logicalInfo.type === 'DECIMAL') {
                 return formatDecimal(bigIntValue, logicalInfo.details?.scale || 0);
             }
 
-            // Regular big integer - format with locale
-            return bigIntValue.toLocaleString();
+            // Regular big integer
+            return INTEGER_FORMAT.format(bigIntValue);
         }
 
-        // Handle INT96 (legacy timestamp)
+        // Handle INT96 (legacy timestamp with nanosecond precision)
         if (physicalType === 'INT96') {
-            const date = parseINT96Timestamp(value);
-            if (date && !isNaN(date.getTime())) {
-                return date.toISOString().replace('T', ' ').replace('Z', ' UTC');
+            const nanos = parseINT96Timestamp(value);
+            if (nanos !== null) {
+                return formatTimestamp(nanos, { NANOS: {} });
             }
             // Fallback to hex
             return Array.from(value.slice(0, 12))
@@ -378,37 +494,13 @@ export function formatStatValue(value, columnMeta, schemaElement = null) {
         // Handle FLOAT
         if (physicalType === 'FLOAT') {
             if (value.length < 4) return 'N/A';
-            const floatValue = view.getFloat32(0, true);
-
-            // Handle special values
-            if (!isFinite(floatValue)) {
-                if (isNaN(floatValue)) return 'NaN';
-                return floatValue > 0 ? '+Infinity' : '-Infinity';
-            }
-
-            // Format with appropriate precision
-            if (Math.abs(floatValue) < 0.0001 || Math.abs(floatValue) >= 1000000) {
-                return floatValue.toExponential(4);
-            }
-            return floatValue.toPrecision(6).replace(/\.?0+$/, '');
+            return formatFloat(view.getFloat32(0, true), 6, 4);
         }
 
         // Handle DOUBLE
         if (physicalType === 'DOUBLE') {
             if (value.length < 8) return 'N/A';
-            const doubleValue = view.getFloat64(0, true);
-
-            // Handle special values
-            if (!isFinite(doubleValue)) {
-                if (isNaN(doubleValue)) return 'NaN';
-                return doubleValue > 0 ? '+Infinity' : '-Infinity';
-            }
-
-            // Format with appropriate precision
-            if (Math.abs(doubleValue) < 0.0001 || Math.abs(doubleValue) >= 1000000) {
-                return doubleValue.toExponential(6);
-            }
-            return doubleValue.toPrecision(10).replace(/\.?0+$/, '');
+            return formatFloat(view.getFloat64(0, true), 10, 6);
         }
 
         // Handle BYTE_ARRAY and FIXED_LEN_BYTE_ARRAY
@@ -418,6 +510,25 @@ export function formatStatValue(value, columnMeta, schemaElement = null) {
                 return formatUUID(value);
             }
 
+            // Half-precision floats are stored as 2 little-endian bytes
+            if (logicalInfo.type === 'FLOAT16' && value.length === 2) {
+                return formatFloat(decodeFloat16(view.getUint16(0, true)), 5, 3);
+            }
+
+            if (logicalInfo.type === 'INTERVAL' && value.length === 12) {
+                return formatInterval(view);
+            }
+
+            // Geospatial values are WKB
+            if (logicalInfo.type === 'GEOMETRY' || logicalInfo.type === 'GEOGRAPHY') {
+                try {
+                    const wkt = wkbToWkt(value);
+                    return wkt.length > 60 ? `${wkt.substring(0, 57)}...` : wkt;
+                } catch {
+                    // Not valid WKB, fall through to hex
+                }
+            }
+
             // Check for decimal stored as byte array
             if (logicalInfo.type === 'DECIMAL') {
                 // Decimal in byte array is stored as big-endian two's complement
@@ -442,22 +553,13 @@ export function formatStatValue(value, columnMeta, schemaElement = null) {
                 logicalInfo.type === 'ENUM' ||
                 logicalInfo.type === null
             ) {
-                try {
-                    const decoder = new TextDecoder('utf-8', { fatal: true });
-                    const text = decoder.decode(value);
-
-                    // Check if it looks like valid text (no control characters except newline/tab)
-                    const isPrintable = /^[\x20-\x7E\t\n\r\u00A0-\uFFFF]*$/.test(text);
-
-                    if (isPrintable) {
-                        // Truncate long strings
-                        if (text.length > 50) {
-                            return `"${text.substring(0, 47)}..."`;
-                        }
-                        return `"${text}"`;
+                const text = decodePrintableText(value);
+                if (text !== null) {
+                    // Truncate long strings
+                    if (text.length > 50) {
+                        return `"${text.substring(0, 47)}..."`;
                     }
-                } catch (e) {
-                    // Not valid UTF-8, fall through to hex
+                    return `"${text}"`;
                 }
             }
 
@@ -494,7 +596,8 @@ export function getLogicalTypeDescription(schemaElement) {
         }
         case 'TIME': {
             const timeUnit = getTimeUnitName(info.details?.unit);
-            return `Time (${timeUnit})`;
+            const tz = info.details?.isAdjustedToUTC ? 'UTC' : 'local';
+            return `Time (${timeUnit}, ${tz})`;
         }
         case 'DATE':
             return 'Date';
@@ -506,11 +609,289 @@ export function getLogicalTypeDescription(schemaElement) {
             return 'UUID';
         case 'JSON':
             return 'JSON';
+        case 'BSON':
+            return 'BSON';
+        case 'ENUM':
+            return 'Enum';
+        case 'LIST':
+            return 'List';
+        case 'MAP':
+            return 'Map';
+        case 'INTERVAL':
+            return 'Interval';
+        case 'FLOAT16':
+            return 'Float16';
+        case 'UNKNOWN':
+            return 'Null';
+        case 'VARIANT':
+            return `Variant (v${info.details.specificationVersion})`;
         case 'INTEGER': {
             const sign = info.details?.isSigned ? 'signed' : 'unsigned';
             return `Int${info.details?.bitWidth} (${sign})`;
         }
+        case 'GEOMETRY':
+            return `Geometry (${info.details.crs})`;
+        case 'GEOGRAPHY':
+            return `Geography (${info.details.crs}, ${info.details.algorithm})`;
         default:
             return info.type;
     }
 }
+
+/**
+ * Convert a fractional seconds string (e.g. "123" from ".123") to time units
+ */
+function parseFraction(fraction, unit) {
+    if (!fraction) return 0n;
+    const nanos = BigInt(fraction.padEnd(9, '0'));
+    const nanosPerUnit = 1000000000n / getUnitsPerSecond(unit);
+    if (nanos % nanosPerUnit !== 0n) {
+        throw new Error(`Fractional seconds .${fraction} exceed the column's ${getTimeUnitName(unit)} precision`);
+    }
+    return nanos / nanosPerUnit;
+}
+
+/**
+ * Parse a YYYY-MM-DD date to days since epoch
+ */
+function parseDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) throw new Error(`Invalid date: ${text} (expected YYYY-MM-DD)`);
+    const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return BigInt(Math.floor(ms / 86400000));
+}
+
+/**
+ * Parse a HH:MM[:SS[.fff]][ UTC] time to units since midnight
+ */
+function parseTime(text, unit) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?\s*(?:Z|UTC)?$/.exec(text);
+    if (!match) throw new Error(`Invalid time: ${text} (expected HH:MM:SS)`);
+    const seconds = BigInt(Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0));
+    return seconds * getUnitsPerSecond(unit) + parseFraction(match[4], unit);
+}
+
+/**
+ * Parse a timestamp (YYYY-MM-DD[ HH:MM[:SS[.fff]]], interpreted as UTC) to units since epoch
+ */
+function parseTimestamp(text, unit) {
+    const match =
+        /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(?:Z|UTC)?$/.exec(text);
+    if (!match) throw new Error(`Invalid timestamp: ${text} (expected YYYY-MM-DD HH:MM:SS)`);
+    const ms = Date.UTC(
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3]),
+        Number(match[4] || 0),
+        Number(match[5] || 0),
+        Number(match[6] || 0),
+    );
+    return BigInt(ms / 1000) * getUnitsPerSecond(unit) + parseFraction(match[7], unit);
+}
+
+/**
+ * Parse a decimal string to its unscaled integer value
+ */
+function parseDecimal(text, scale) {
+    const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (!match[2] && !match[3])) throw new Error(`Invalid decimal: ${text}`);
+    const fraction = match[3] || '';
+    if (fraction.length > scale) {
+        throw new Error(`Decimal ${text} has more than ${scale} fractional digit${scale === 1 ? '' : 's'}`);
+    }
+    const unscaled = BigInt((match[2] || '0') + fraction.padEnd(scale, '0'));
+    return match[1] === '-' ? -unscaled : unscaled;
+}
+
+/**
+ * Parse an integer, accepting the comma thousands separators formatStatValue produces
+ */
+function parseInteger(text) {
+    const cleaned = text.replace(/[,_]/g, '');
+    if (!/^[+-]?\d+$/.test(cleaned)) throw new Error(`Invalid integer: ${text}`);
+    return BigInt(cleaned);
+}
+
+/**
+ * Parse an INT32/INT64 value based on its logical type
+ */
+function parseIntegerValue(text, logicalInfo, bitWidth) {
+    switch (logicalInfo.type) {
+        case 'DATE':
+            return parseDate(text);
+        case 'TIME':
+            return parseTime(text, logicalInfo.details?.unit);
+        case 'TIMESTAMP':
+            return parseTimestamp(text, logicalInfo.details?.unit);
+        case 'DECIMAL':
+            return parseDecimal(text, logicalInfo.details?.scale || 0);
+        default: {
+            const value = parseInteger(text);
+            const width = BigInt(logicalInfo.details?.bitWidth || bitWidth);
+            const isUnsigned = logicalInfo.type === 'INTEGER' && logicalInfo.details?.isSigned === false;
+            const min = isUnsigned ? 0n : -(1n << (width - 1n));
+            const max = isUnsigned ? (1n << width) - 1n : (1n << (width - 1n)) - 1n;
+            if (value < min || value > max) {
+                throw new Error(`${text} is out of range for ${isUnsigned ? 'UInt' : 'Int'}${width}`);
+            }
+            return value;
+        }
+    }
+}
+
+/**
+ * Encode a big-endian two's complement integer (as used by DECIMAL byte arrays)
+ * @param {bigint} value - The value to encode
+ * @param {number|null} length - Fixed byte length, or null for the minimal length
+ */
+function bigIntToBytes(value, length) {
+    let byteLength = length;
+    if (!byteLength) {
+        byteLength = 1;
+        while (value < -(1n << BigInt(byteLength * 8 - 1)) || value >= 1n << BigInt(byteLength * 8 - 1)) {
+            byteLength++;
+        }
+    } else if (value < -(1n << BigInt(byteLength * 8 - 1)) || value >= 1n << BigInt(byteLength * 8 - 1)) {
+        throw new Error(`Value does not fit into ${byteLength} bytes`);
+    }
+
+    const bytes = new Uint8Array(byteLength);
+    let remaining = BigInt.asUintN(byteLength * 8, value);
+    for (let i = byteLength - 1; i >= 0; i--) {
+        bytes[i] = Number(remaining & 0xffn);
+        remaining >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * Parse an interval like "1 month 2 days 3 ms" (as produced by formatStatValue) to its 12 bytes
+ */
+function parseInterval(text) {
+    const match = /^(\d+)\s*months?,?\s*(\d+)\s*days?,?\s*(\d+)\s*ms$/i.exec(text);
+    if (!match) throw new Error(`Invalid interval: ${text} (expected e.g. 1 month 2 days 0 ms)`);
+    const bytes = new Uint8Array(12);
+    const view = new DataView(bytes.buffer);
+    match.slice(1).forEach((part, i) => {
+        const count = Number(part);
+        if (count > 0xffffffff) throw new Error(`Interval component ${part} is out of range`);
+        view.setUint32(i * 4, count, true);
+    });
+    return bytes;
+}
+
+/**
+ * Parse hex input like "0x0a1b" or "0x0a 1b" to bytes
+ */
+function parseHex(text) {
+    const hex = text.slice(2).replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) throw new Error(`Invalid hex value: ${text}`);
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Parse a user-entered value into the raw bytes of a statistic value
+ * This is the inverse of formatStatValue: the result is the PLAIN encoding of the value
+ * (without length prefix for byte arrays), which is also what bloom filters hash.
+ * @param {string} text - The value as entered by the user
+ * @param {Object} columnMeta - The column metadata (ColumnMetaData)
+ * @param {Object} schemaElement - The schema element (optional, for logical type info)
+ * @returns {Uint8Array} The encoded value
+ * @throws {Error} If the text is not a valid value for the column's type
+ */
+export function parseStatValue(text, columnMeta, schemaElement = null) {
+    const physicalType = EnumHelpers.getTypeName(columnMeta.type);
+    const logicalInfo = getLogicalTypeInfo(schemaElement);
+    const input = text.trim();
+
+    if (physicalType === 'BOOLEAN') {
+        if (/^(true|1)$/i.test(input)) return new Uint8Array([1]);
+        if (/^(false|0)$/i.test(input)) return new Uint8Array([0]);
+        throw new Error(`Invalid boolean: ${text} (expected true or false)`);
+    }
+
+    if (physicalType === 'INT32') {
+        const value = parseIntegerValue(input, logicalInfo, 32);
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setInt32(0, Number(BigInt.asIntN(32, value)), true);
+        return bytes;
+    }
+
+    if (physicalType === 'INT64') {
+        const value = parseIntegerValue(input, logicalInfo, 64);
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setBigInt64(0, BigInt.asIntN(64, value), true);
+        return bytes;
+    }
+
+    if (physicalType === 'INT96') {
+        // 8 bytes nanoseconds within the day + 4 bytes Julian day (little-endian)
+        const nanos = parseTimestamp(input, { NANOS: {} });
+        const nanosPerDay = 86400n * 1000000000n;
+        let days = nanos / nanosPerDay;
+        let nanosOfDay = nanos % nanosPerDay;
+        if (nanosOfDay < 0n) {
+            days -= 1n;
+            nanosOfDay += nanosPerDay;
+        }
+        const bytes = new Uint8Array(12);
+        const view = new DataView(bytes.buffer);
+        view.setBigUint64(0, nanosOfDay, true);
+        view.setInt32(8, Number(days) + 2440588, true);
+        return bytes;
+    }
+
+    if (physicalType === 'FLOAT' || physicalType === 'DOUBLE') {
+        const value = Number(input);
+        if (input === '' || (isNaN(value) && input !== 'NaN')) {
+            throw new Error(`Invalid number: ${text}`);
+        }
+        const bytes = new Uint8Array(physicalType === 'FLOAT' ? 4 : 8);
+        const view = new DataView(bytes.buffer);
+        if (physicalType === 'FLOAT') {
+            view.setFloat32(0, value, true);
+        } else {
+            view.setFloat64(0, value, true);
+        }
+        return bytes;
+    }
+
+    if (physicalType === 'BYTE_ARRAY' || physicalType === 'FIXED_LEN_BYTE_ARRAY') {
+        const fixedLength = physicalType === 'FIXED_LEN_BYTE_ARRAY' ? schemaElement?.type_length || null : null;
+        let bytes;
+
+        if (/^0x/i.test(input)) {
+            bytes = parseHex(input);
+        } else if (logicalInfo.type === 'FLOAT16') {
+            const value = Number(input);
+            if (input === '' || (isNaN(value) && input !== 'NaN')) {
+                throw new Error(`Invalid number: ${text}`);
+            }
+            bytes = new Uint8Array(2);
+            new DataView(bytes.buffer).setUint16(0, encodeFloat16(value), true);
+        } else if (logicalInfo.type === 'INTERVAL') {
+            bytes = parseInterval(input);
+        } else if (logicalInfo.type === 'UUID') {
+            const hex = input.replace(/-/g, '');
+            if (!/^[0-9a-fA-F]{32}$/.test(hex)) throw new Error(`Invalid UUID: ${text}`);
+            bytes = parseHex('0x' + hex);
+        } else if (logicalInfo.type === 'DECIMAL') {
+            bytes = bigIntToBytes(parseDecimal(input, logicalInfo.details?.scale || 0), fixedLength);
+        } else {
+            // Strip the quotes formatStatValue adds around strings
+            const unquoted = input.length >= 2 && input.startsWith('"') && input.endsWith('"') ? input.slice(1, -1) : text;
+            bytes = new TextEncoder().encode(unquoted);
+        }
+
+        if (fixedLength && bytes.length !== fixedLength) {
+            throw new Error(`Expected ${fixedLength} bytes, got ${bytes.length}`);
+        }
+        return bytes;
+    }
+
+    throw new Error(`Unsupported physical type: ${physicalType}`);
+}
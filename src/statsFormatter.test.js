@@ -0,0 +1,366 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { ConvertedType, Type } from './parquetInit.js';
+import { formatStatValue, getLogicalTypeDescription, getLogicalTypeInfo, parseStatValue } from './statsFormatter.js';
+
+const hex = (text) => Uint8Array.from(text.match(/../g) ?? [], (byte) => parseInt(byte, 16));
+
+// Schema elements: a physical type with no annotation, a converted type or a logical type
+const plain = (type, extra = {}) => ({ type: Type[type], ...extra });
+const converted = (type, name, extra = {}) => ({ type: Type[type], converted_type: ConvertedType[name], ...extra });
+const logical = (type, logicalType, extra = {}) => ({ type: Type[type], logicalType, ...extra });
+
+const MILLIS = { MILLIS: {} };
+const MICROS = { MICROS: {} };
+const NANOS = { NANOS: {} };
+const FLOAT16 = logical('FIXED_LEN_BYTE_ARRAY', { FLOAT16: {} }, { type_length: 2 });
+
+// Values that format to `text` and parse back to the same (PLAIN-encoded) bytes
+const ROUND_TRIPS = [
+    // Physical types without annotations
+    { name: 'BOOLEAN true', element: plain('BOOLEAN'), text: 'true', bytes: '01' },
+    { name: 'BOOLEAN false', element: plain('BOOLEAN'), text: 'false', bytes: '00' },
+    { name: 'INT32', element: plain('INT32'), text: '-42', bytes: 'd6ffffff' },
+    { name: 'INT64 minimum', element: plain('INT64'), text: '-9,223,372,036,854,775,808', bytes: '0000000000000080' },
+    { name: 'FLOAT', element: plain('FLOAT'), text: '1.5', bytes: '0000c03f' },
+    { name: 'FLOAT -Infinity', element: plain('FLOAT'), text: '-Infinity', bytes: '000080ff' },
+    { name: 'DOUBLE', element: plain('DOUBLE'), text: '-0.1', bytes: '9a9999999999b9bf' },
+    { name: 'DOUBLE exponent', element: plain('DOUBLE'), text: '1.000000e+300', bytes: '9c7500883ce4377e' },
+    { name: 'BYTE_ARRAY text', element: plain('BYTE_ARRAY'), text: '"CLUBS"', bytes: '434c554253' },
+
+    // Integers, signed and unsigned, as converted and logical types
+    { name: 'INT_8 minimum', element: converted('INT32', 'INT_8'), text: '-128', bytes: '80ffffff' },
+    { name: 'UINT_8 maximum', element: converted('INT32', 'UINT_8'), text: '255', bytes: 'ff000000' },
+    { name: 'UINT_16 maximum', element: converted('INT32', 'UINT_16'), text: '65,535', bytes: 'ffff0000' },
+    { name: 'UINT_32 maximum', element: converted('INT32', 'UINT_32'), text: '4,294,967,295', bytes: 'ffffffff' },
+    {
+        name: 'UINT_64 maximum',
+        element: converted('INT64', 'UINT_64'),
+        text: '18,446,744,073,709,551,615',
+        bytes: 'ffffffffffffffff',
+    },
+    {
+        name: 'INTEGER(32, unsigned) maximum',
+        element: logical('INT32', { INTEGER: { bitWidth: 32, isSigned: false } }),
+        text: '4,294,967,295',
+        bytes: 'ffffffff',
+    },
+    {
+        name: 'INTEGER(64, unsigned) maximum',
+        element: logical('INT64', { INTEGER: { bitWidth: 64, isSigned: false } }),
+        text: '18,446,744,073,709,551,615',
+        bytes: 'ffffffffffffffff',
+    },
+    {
+        name: 'INTEGER(64, signed)',
+        element: logical('INT64', { INTEGER: { bitWidth: 64, isSigned: true } }),
+        text: '-1',
+        bytes: 'ffffffffffffffff',
+    },
+
+    // Dates and times
+    { name: 'DATE', element: converted('INT32', 'DATE'), text: '2024-02-29', bytes: '464d0000' },
+    { name: 'DATE before the epoch', element: logical('INT32', { DATE: {} }), text: '1969-07-20', bytes: '5bffffff' },
+    { name: 'TIME_MILLIS', element: converted('INT32', 'TIME_MILLIS'), text: '12:34:56.789 UTC', bytes: '952cb302' },
+    {
+        name: 'TIME_MICROS',
+        element: converted('INT64', 'TIME_MICROS'),
+        text: '12:34:56.789012 UTC',
+        bytes: '1426e68b0a000000',
+    },
+    {
+        name: 'TIME(MICROS) local',
+        element: logical('INT64', { TIME: { isAdjustedToUTC: false, unit: MICROS } }),
+        text: '12:34:56.789012',
+        bytes: '1426e68b0a000000',
+    },
+    {
+        name: 'TIME(NANOS) UTC',
+        element: logical('INT64', { TIME: { isAdjustedToUTC: true, unit: NANOS } }),
+        text: '12:34:56.789012345 UTC',
+        bytes: '79bf047b32290000',
+    },
+    {
+        name: 'TIMESTAMP_MILLIS',
+        element: converted('INT64', 'TIMESTAMP_MILLIS'),
+        text: '2023-11-14 22:13:20.123 UTC',
+        bytes: '7b68e5cf8b010000',
+    },
+    {
+        name: 'TIMESTAMP(MILLIS) local',
+        element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: false, unit: MILLIS } }),
+        text: '2023-11-14 22:13:20.123',
+        bytes: '7b68e5cf8b010000',
+    },
+    {
+        name: 'TIMESTAMP_MICROS',
+        element: converted('INT64', 'TIMESTAMP_MICROS'),
+        text: '2023-11-14 22:13:20.123456 UTC',
+        bytes: '40222018240a0600',
+    },
+    {
+        name: 'TIMESTAMP(MICROS) local',
+        element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: false, unit: MICROS } }),
+        text: '2023-11-14 22:13:20.123456',
+        bytes: '40222018240a0600',
+    },
+    {
+        name: 'TIMESTAMP(NANOS) UTC',
+        element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: true, unit: NANOS } }),
+        text: '2023-11-14 22:13:20.123456789 UTC',
+        bytes: '15cd853dfe9c9717',
+    },
+    {
+        name: 'TIMESTAMP(NANOS) local',
+        element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: false, unit: NANOS } }),
+        text: '2023-11-14 22:13:20.123456789',
+        bytes: '15cd853dfe9c9717',
+    },
+    {
+        name: 'TIMESTAMP(NANOS) before the epoch',
+        element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: true, unit: NANOS } }),
+        text: '1969-12-31 23:59:59.999999999 UTC',
+        bytes: 'ffffffffffffffff',
+    },
+    { name: 'INT96', element: plain('INT96'), text: '2023-11-14 22:13:20.123456789 UTC', bytes: '15cdf07ac2480000678a2500' },
+    { name: 'INT96 before the epoch', element: plain('INT96'), text: '1969-12-31 00:00:00 UTC', bytes: '00000000000000008b3d2500' },
+
+    // Decimals on every physical type they can be stored in
+    {
+        name: 'DECIMAL(9, 2) on INT32',
+        element: converted('INT32', 'DECIMAL', { precision: 9, scale: 2 }),
+        text: '-123.45',
+        bytes: 'c7cfffff',
+    },
+    {
+        name: 'DECIMAL(18, 4) on INT64',
+        element: logical('INT64', { DECIMAL: { precision: 18, scale: 4 } }),
+        text: '9999999999999.9999',
+        bytes: 'ffff895d78456301',
+    },
+    {
+        name: 'DECIMAL(38, 10) on FIXED_LEN_BYTE_ARRAY(16)',
+        element: logical('FIXED_LEN_BYTE_ARRAY', { DECIMAL: { precision: 38, scale: 10 } }, { type_length: 16 }),
+        text: '12345678901234567890.1234567890',
+        bytes: '000000018ee90ff6c373e0ee4e3f0ad2',
+    },
+    {
+        name: 'negative DECIMAL(38, 10) on FIXED_LEN_BYTE_ARRAY(16)',
+        element: converted('FIXED_LEN_BYTE_ARRAY', 'DECIMAL', { precision: 38, scale: 10, type_length: 16 }),
+        text: '-12345678901234567890.1234567890',
+        bytes: 'fffffffe7116f0093c8c1f11b1c0f52e',
+    },
+    {
+        name: 'DECIMAL(5, 1) on BYTE_ARRAY',
+        element: logical('BYTE_ARRAY', { DECIMAL: { precision: 5, scale: 1 } }),
+        text: '1234.5',
+        bytes: '3039',
+    },
+    {
+        name: 'negative DECIMAL(3, 2) on BYTE_ARRAY',
+        element: logical('BYTE_ARRAY', { DECIMAL: { precision: 3, scale: 2 } }),
+        text: '-0.01',
+        bytes: 'ff',
+    },
+
+    // Half-precision floats
+    { name: 'FLOAT16', element: FLOAT16, text: '1.5', bytes: '003e' },
+    { name: 'FLOAT16 negative', element: FLOAT16, text: '-2', bytes: '00c0' },
+    { name: 'FLOAT16 maximum', element: FLOAT16, text: '65504', bytes: 'ff7b' },
+    { name: 'FLOAT16 smallest subnormal', element: FLOAT16, text: '5.960e-8', bytes: '0100' },
+    { name: 'FLOAT16 infinity', element: FLOAT16, text: '+Infinity', bytes: '007c' },
+
+    // Byte array annotations
+    { name: 'UTF8', element: converted('BYTE_ARRAY', 'UTF8'), text: '"grüße"', bytes: '6772c3bcc39f65' },
+    { name: 'STRING', element: logical('BYTE_ARRAY', { STRING: {} }), text: '"grüße"', bytes: '6772c3bcc39f65' },
+    { name: 'JSON', element: converted('BYTE_ARRAY', 'JSON'), text: '"{"a":1}"', bytes: '7b2261223a317d' },
+    { name: 'ENUM', element: logical('BYTE_ARRAY', { ENUM: {} }), text: '"CLUBS"', bytes: '434c554253' },
+    {
+        name: 'UUID',
+        element: logical('FIXED_LEN_BYTE_ARRAY', { UUID: {} }, { type_length: 16 }),
+        text: '123e4567-e89b-12d3-a456-426614174000',
+        bytes: '123e4567e89b12d3a456426614174000',
+    },
+    {
+        name: 'INTERVAL',
+        element: converted('FIXED_LEN_BYTE_ARRAY', 'INTERVAL', { type_length: 12 }),
+        text: '14 months 1 day 86399999 ms',
+        bytes: '0e00000001000000ff5b2605',
+    },
+];
+
+// Values that are only formatted: parsing them back isn't supported (or needs hex input)
+const FORMAT_ONLY = [
+    { name: 'NULL (UNKNOWN)', element: logical('INT32', { UNKNOWN: {} }), bytes: '00000000', text: 'null' },
+    { name: 'BSON', element: converted('BYTE_ARRAY', 'BSON'), bytes: '0500000000', text: '05 00 00 00 00' },
+    { name: 'BSON logical', element: logical('BYTE_ARRAY', { BSON: {} }), bytes: '0500000000', text: '05 00 00 00 00' },
+    { name: 'VARIANT', element: logical('BYTE_ARRAY', { VARIANT: {} }), bytes: '0100', text: '01 00' },
+    {
+        name: 'GEOMETRY point',
+        element: logical('BYTE_ARRAY', { GEOMETRY: {} }),
+        bytes: '0101000000cdcccccccccc2a400000000000404a40',
+        text: 'POINT (13.4 52.5)',
+    },
+    {
+        name: 'GEOGRAPHY point',
+        element: logical('BYTE_ARRAY', { GEOGRAPHY: {} }),
+        bytes: '0101000000cdcccccccccc2a400000000000404a40',
+        text: 'POINT (13.4 52.5)',
+    },
+    { name: 'binary without annotation', element: plain('BYTE_ARRAY'), bytes: '00ff10', text: '00 ff 10' },
+    {
+        name: 'long string',
+        element: logical('BYTE_ARRAY', { STRING: {} }),
+        bytes: '61'.repeat(60),
+        text: `"${'a'.repeat(47)}..."`,
+    },
+    { name: 'FLOAT NaN', element: plain('FLOAT'), bytes: '0000c07f', text: 'NaN' },
+    { name: 'FLOAT16 NaN', element: FLOAT16, bytes: '007e', text: 'NaN' },
+];
+
+// Input parseStatValue rejects
+const PARSE_ERRORS = [
+    { name: 'UINT_32 above the maximum', element: converted('INT32', 'UINT_32'), text: '4294967296', error: /out of range/ },
+    { name: 'UINT_64 negative', element: converted('INT64', 'UINT_64'), text: '-1', error: /out of range/ },
+    { name: 'INT_8 above the maximum', element: converted('INT32', 'INT_8'), text: '128', error: /out of range/ },
+    {
+        name: 'DECIMAL with too many fractional digits',
+        element: converted('INT32', 'DECIMAL', { precision: 9, scale: 2 }),
+        text: '1.234',
+        error: /more than 2 fractional digits/,
+    },
+    {
+        name: 'DECIMAL too large for its FIXED_LEN_BYTE_ARRAY',
+        element: logical('FIXED_LEN_BYTE_ARRAY', { DECIMAL: { precision: 4, scale: 0 } }, { type_length: 2 }),
+        text: '40000',
+        error: /does not fit/,
+    },
+    {
+        name: 'TIMESTAMP_MILLIS with microseconds',
+        element: converted('INT64', 'TIMESTAMP_MILLIS'),
+        text: '2023-11-14 22:13:20.1234',
+        error: /exceed the column's ms precision/,
+    },
+    { name: 'DATE in another format', element: converted('INT32', 'DATE'), text: '29.02.2024', error: /Invalid date/ },
+    {
+        name: 'UUID of the wrong length',
+        element: logical('FIXED_LEN_BYTE_ARRAY', { UUID: {} }, { type_length: 16 }),
+        text: '123e4567',
+        error: /Invalid UUID/,
+    },
+    { name: 'BOOLEAN', element: plain('BOOLEAN'), text: 'yes', error: /Invalid boolean/ },
+];
+
+// Display names of every logical type and converted type
+const DESCRIPTIONS = [
+    { element: logical('BYTE_ARRAY', { STRING: {} }), description: 'String' },
+    { element: logical('BYTE_ARRAY', { ENUM: {} }), description: 'Enum' },
+    { element: logical('BYTE_ARRAY', { JSON: {} }), description: 'JSON' },
+    { element: logical('BYTE_ARRAY', { BSON: {} }), description: 'BSON' },
+    { element: logical('FIXED_LEN_BYTE_ARRAY', { UUID: {} }), description: 'UUID' },
+    { element: logical('FIXED_LEN_BYTE_ARRAY', { FLOAT16: {} }), description: 'Float16' },
+    { element: logical('INT32', { DATE: {} }), description: 'Date' },
+    { element: logical('INT32', { DECIMAL: { precision: 9, scale: 2 } }), description: 'Decimal(9, 2)' },
+    { element: logical('INT32', { INTEGER: { bitWidth: 16, isSigned: true } }), description: 'Int16 (signed)' },
+    { element: logical('INT64', { INTEGER: { bitWidth: 64, isSigned: false } }), description: 'Int64 (unsigned)' },
+    { element: logical('INT32', { TIME: { isAdjustedToUTC: true, unit: MILLIS } }), description: 'Time (ms, UTC)' },
+    { element: logical('INT64', { TIME: { isAdjustedToUTC: false, unit: NANOS } }), description: 'Time (ns, local)' },
+    { element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: true, unit: MICROS } }), description: 'Timestamp (us, UTC)' },
+    { element: logical('INT64', { TIMESTAMP: { isAdjustedToUTC: false, unit: NANOS } }), description: 'Timestamp (ns, local)' },
+    { element: logical('INT32', { UNKNOWN: {} }), description: 'Null' },
+    { element: { logicalType: { LIST: {} } }, description: 'List' },
+    { element: { logicalType: { MAP: {} } }, description: 'Map' },
+    { element: logical('BYTE_ARRAY', { VARIANT: {} }), description: 'Variant (v1)' },
+    { element: logical('BYTE_ARRAY', { GEOMETRY: {} }), description: 'Geometry (OGC:CRS84)' },
+    { element: logical('BYTE_ARRAY', { GEOGRAPHY: {} }), description: 'Geography (OGC:CRS84, SPHERICAL)' },
+    { element: converted('BYTE_ARRAY', 'UTF8'), description: 'String' },
+    { element: { converted_type: ConvertedType.MAP }, description: 'Map' },
+    { element: { converted_type: ConvertedType.MAP_KEY_VALUE }, description: 'Map' },
+    { element: { converted_type: ConvertedType.LIST }, description: 'List' },
+    { element: converted('BYTE_ARRAY', 'ENUM'), description: 'Enum' },
+    { element: converted('INT64', 'DECIMAL', { precision: 18, scale: 3 }), description: 'Decimal(18, 3)' },
+    { element: converted('INT32', 'DATE'), description: 'Date' },
+    { element: converted('INT32', 'TIME_MILLIS'), description: 'Time (ms, UTC)' },
+    { element: converted('INT64', 'TIME_MICROS'), description: 'Time (us, UTC)' },
+    { element: converted('INT64', 'TIMESTAMP_MILLIS'), description: 'Timestamp (ms, UTC)' },
+    { element: converted('INT64', 'TIMESTAMP_MICROS'), description: 'Timestamp (us, UTC)' },
+    { element: converted('INT32', 'UINT_8'), description: 'Int8 (unsigned)' },
+    { element: converted('INT32', 'UINT_16'), description: 'Int16 (unsigned)' },
+    { element: converted('INT32', 'UINT_32'), description: 'Int32 (unsigned)' },
+    { element: converted('INT64', 'UINT_64'), description: 'Int64 (unsigned)' },
+    { element: converted('INT32', 'INT_8'), description: 'Int8 (signed)' },
+    { element: converted('INT32', 'INT_16'), description: 'Int16 (signed)' },
+    { element: converted('INT32', 'INT_32'), description: 'Int32 (signed)' },
+    { element: converted('INT64', 'INT_64'), description: 'Int64 (signed)' },
+    { element: converted('BYTE_ARRAY', 'JSON'), description: 'JSON' },
+    { element: converted('BYTE_ARRAY', 'BSON'), description: 'BSON' },
+    { element: converted('FIXED_LEN_BYTE_ARRAY', 'INTERVAL'), description: 'Interval' },
+];
+
+describe('formatStatValue and parseStatValue', () => {
+    test.each(ROUND_TRIPS)('$name', ({ element, text, bytes }) => {
+        const columnMeta = { type: element.type };
+        expect(formatStatValue(hex(bytes), columnMeta, element)).toBe(text);
+        expect(parseStatValue(text, columnMeta, element)).toEqual(hex(bytes));
+    });
+
+    test.each(FORMAT_ONLY)('formats $name', ({ element, text, bytes }) => {
+        expect(formatStatValue(hex(bytes), { type: element.type }, element)).toBe(text);
+    });
+
+    test.each(PARSE_ERRORS)('rejects $name', ({ element, text, error }) => {
+        expect(() => parseStatValue(text, { type: element.type }, element)).toThrow(error);
+    });
+
+    describe('with a German default locale', () => {
+        const ResolvedNumberFormat = Intl.NumberFormat;
+
+        beforeEach(() => {
+            // Number formats without an explicit locale group with dots, as they would on a German system
+            vi.spyOn(Intl, 'NumberFormat').mockImplementation(
+                (locales, options) => new ResolvedNumberFormat(locales ?? 'de-DE', options),
+            );
+            vi.spyOn(Number.prototype, 'toLocaleString').mockImplementation(function (locales, options) {
+                return new ResolvedNumberFormat(locales ?? 'de-DE', options).format(this);
+            });
+            vi.spyOn(BigInt.prototype, 'toLocaleString').mockImplementation(function (locales, options) {
+                return new ResolvedNumberFormat(locales ?? 'de-DE', options).format(this);
+            });
+        });
+
+        afterEach(() => {
+            vi.restoreAllMocks();
+        });
+
+        test.each(ROUND_TRIPS.filter(({ text }) => /\d,\d/.test(text)))('$name', ({ element, text, bytes }) => {
+            const columnMeta = { type: element.type };
+            expect(formatStatValue(hex(bytes), columnMeta, element)).toBe(text);
+            expect(parseStatValue(text, columnMeta, element)).toEqual(hex(bytes));
+        });
+    });
+
+    test('parses hex input for any byte array', () => {
+        const element = converted('BYTE_ARRAY', 'BSON');
+        expect(parseStatValue('0x05 00 00 00 00', { type: element.type }, element)).toEqual(hex('0500000000'));
+    });
+});
+
+describe('getLogicalTypeDescription', () => {
+    test.each(DESCRIPTIONS)('$description', ({ element, description }) => {
+        expect(getLogicalTypeDescription(element)).toBe(description);
+    });
+
+    test('covers every converted type', () => {
+        const names = Object.keys(ConvertedType).filter((key) => isNaN(Number(key)));
+        const described = DESCRIPTIONS.filter(({ element }) => element.converted_type != null).map(
+            ({ element }) => ConvertedType[element.converted_type],
+        );
+        expect(new Set(described)).toEqual(new Set(names));
+    });
+
+    test('prefers the logical type over the converted type', () => {
+        const element = logical('INT64', { TIMESTAMP: { isAdjustedToUTC: false, unit: NANOS } }, {
+            converted_type: ConvertedType.TIMESTAMP_MICROS,
+        });
+        expect(getLogicalTypeInfo(element)).toEqual({ type: 'TIMESTAMP', details: { isAdjustedToUTC: false, unit: NANOS } });
+    });
+});
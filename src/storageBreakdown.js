@@ -0,0 +1,183 @@
+/**
+ * Column Storage Breakdown
+ * Sums the column chunks of every leaf column across all row groups, to show which columns
+ * take up the file, and lays them out as a squarified treemap.
+ */
+
+import { Encoding } from './parquetInit.js';
+import { EnumHelpers, isDataPageHeader } from './parquetParser.js';
+import { getSchemaIndex } from './schemaTree.js';
+
+const DICTIONARY_ENCODINGS = new Set([Encoding.PLAIN_DICTIONARY, Encoding.RLE_DICTIONARY]);
+// Encodings of repetition/definition levels, listed in ColumnMetaData.encodings next to the value encodings
+const LEVEL_ENCODINGS = new Set([Encoding.RLE, Encoding.BIT_PACKED]);
+
+/**
+ * Add up how much of a column chunk's data pages use each encoding
+ * Weighs by page count from encoding_stats, by bytes from decoded page headers, and falls back to
+ * the chunk's encoding list (dictionary encodings first, since PLAIN is then only the dictionary page).
+ */
+function addEncodingWeights(weights, meta, pageIndex) {
+    const stats = meta.encoding_stats?.filter(
+        (stat) => EnumHelpers.getPageTypeName(stat.page_type).startsWith('DATA_PAGE') && stat.count > 0,
+    );
+    if (stats?.length > 0) {
+        for (const stat of stats) weights.set(stat.encoding, (weights.get(stat.encoding) ?? 0) + stat.count);
+        return;
+    }
+
+    const dataPages = (pageIndex?.pageHeaders || []).filter((entry) => isDataPageHeader(entry.header));
+    if (dataPages.length > 0) {
+        for (const { header } of dataPages) {
+            const { encoding } = header.data_page_header || header.data_page_header_v2;
+            weights.set(encoding, (weights.get(encoding) ?? 0) + header.compressed_page_size);
+        }
+        return;
+    }
+
+    const encodings = meta.encodings || [];
+    const valueEncoding =
+        encodings.find((encoding) => DICTIONARY_ENCODINGS.has(encoding)) ??
+        encodings.find((encoding) => !LEVEL_ENCODINGS.has(encoding)) ??
+        encodings[0];
+    if (valueEncoding != null) weights.set(valueEncoding, (weights.get(valueEncoding) ?? 0) + 1);
+}
+
+/**
+ * Summarize the storage of every leaf column across all row groups
+ * Column chunks whose metadata is encrypted with a missing key can't be sized and are only counted.
+ * @param {Object} data - Result of parseParquetFileStreaming
+ * @returns {Object} { columns, totalCompressed, totalUncompressed, fileSize } where each column is
+ *          { columnIndex, path, type, codecs, encoding, compressedSize, uncompressedSize, ratio,
+ *          fileShare, dataShare, numChunks, lockedChunks }, in schema order
+ */
+export function summarizeColumnStorage(data) {
+    const { fileMetaData, pageIndexes, fileSize } = data;
+    const { columns: leaves } = getSchemaIndex(fileMetaData.schema);
+
+    const columns = leaves.map((leaf) => ({
+        columnIndex: leaf.columnIndex,
+        path: leaf.path.join('.'),
+        type: EnumHelpers.getTypeName(leaf.element.type),
+        codecs: new Set(),
+        encodingWeights: new Map(),
+        compressedSize: 0,
+        uncompressedSize: 0,
+        numChunks: 0,
+        lockedChunks: 0,
+    }));
+
+    fileMetaData.row_groups.forEach((rowGroup, rgIdx) => {
+        rowGroup.columns.forEach((chunk, colIdx) => {
+            const column = columns[colIdx];
+            if (!column) return;
+            column.numChunks++;
+            const meta = chunk.meta_data;
+            if (!meta) {
+                column.lockedChunks++;
+                return;
+            }
+            column.codecs.add(EnumHelpers.getCompressionName(meta.codec));
+            addEncodingWeights(column.encodingWeights, meta, pageIndexes[rgIdx]?.[colIdx]);
+            column.compressedSize += Number(meta.total_compressed_size);
+            column.uncompressedSize += Number(meta.total_uncompressed_size);
+        });
+    });
+
+    const totalCompressed = columns.reduce((sum, column) => sum + column.compressedSize, 0);
+    const totalUncompressed = columns.reduce((sum, column) => sum + column.uncompressedSize, 0);
+
+    return {
+        columns: columns.map(({ codecs, encodingWeights, ...column }) => {
+            const [dominant] = [...encodingWeights].sort((a, b) => b[1] - a[1]);
+            return {
+                ...column,
+                codecs: [...codecs],
+                encoding: dominant ? EnumHelpers.getEncodingName(dominant[0]) : null,
+                ratio: column.compressedSize > 0 ? column.uncompressedSize / column.compressedSize : null,
+                fileShare: fileSize > 0 ? column.compressedSize / fileSize : 0,
+                dataShare: totalCompressed > 0 ? column.compressedSize / totalCompressed : 0,
+            };
+        }),
+        totalCompressed,
+        totalUncompressed,
+        fileSize,
+    };
+}
+
+/**
+ * Worst aspect ratio of a row of treemap cells laid out along a side of the given length
+ */
+function worstAspectRatio(row, side) {
+    const sum = row.reduce((total, item) => total + item.area, 0);
+    const max = Math.max(...row.map((item) => item.area));
+    const min = Math.min(...row.map((item) => item.area));
+    return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+/**
+ * Lay out items as a squarified treemap (Bruls, Huizing and van Wijk)
+ * Rows of cells are added along the shorter side of the remaining space as long as that keeps
+ * the cells closer to squares.
+ * @param {Array} items - Objects with a numeric `value`; items with a value of 0 are left out
+ * @param {number} width - Width of the area
+ * @param {number} height - Height of the area
+ * @returns {Array} [{ item, x, y, width, height }]
+ */
+export function layoutTreemap(items, width, height) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total <= 0) return [];
+
+    const scale = (width * height) / total;
+    const queue = items
+        .filter((item) => item.value > 0)
+        .map((item) => ({ item, area: item.value * scale }))
+        .sort((a, b) => b.area - a.area);
+
+    const cells = [];
+    let x = 0;
+    let y = 0;
+    let w = width;
+    let h = height;
+
+    const placeRow = (row) => {
+        const rowArea = row.reduce((sum, entry) => sum + entry.area, 0);
+        if (w >= h) {
+            // Column of cells on the left
+            const rowWidth = rowArea / h;
+            let offset = y;
+            for (const entry of row) {
+                const cellHeight = entry.area / rowWidth;
+                cells.push({ item: entry.item, x, y: offset, width: rowWidth, height: cellHeight });
+                offset += cellHeight;
+            }
+            x += rowWidth;
+            w -= rowWidth;
+        } else {
+            // Row of cells at the top
+            const rowHeight = rowArea / w;
+            let offset = x;
+            for (const entry of row) {
+                const cellWidth = entry.area / rowHeight;
+                cells.push({ item: entry.item, x: offset, y, width: cellWidth, height: rowHeight });
+                offset += cellWidth;
+            }
+            y += rowHeight;
+            h -= rowHeight;
+        }
+    };
+
+    let row = [];
+    for (const entry of queue) {
+        const side = Math.min(w, h);
+        if (row.length === 0 || worstAspectRatio([...row, entry], side) <= worstAspectRatio(row, side)) {
+            row.push(entry);
+        } else {
+            placeRow(row);
+            row = [entry];
+        }
+    }
+    if (row.length > 0) placeRow(row);
+
+    return cells;
+}
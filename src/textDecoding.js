@@ -0,0 +1,23 @@
+/**
+ * Text Decoding
+ * Decides whether binary values (statistics, key metadata, Thrift binary fields) read as text.
+ */
+
+// Printable characters: ASCII without control characters other than tab and line breaks, and
+// everything from U+00A0 up (surrogate pairs included, so characters outside the BMP pass too)
+const PRINTABLE_TEXT = /^[\x20-\x7E\t\n\r\u00A0-\uFFFF]*$/;
+
+/**
+ * Decode bytes as text if they are valid UTF-8 without control characters
+ * @param {Uint8Array} bytes
+ * @returns {string|null} The text, or null if the bytes should be shown as hex
+ */
+export function decodePrintableText(bytes) {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return null;
+    }
+    return PRINTABLE_TEXT.test(text) ? text : null;
+}
@@ -1,6 +1,6 @@
 /**
- * Thrift Compact Protocol Reader for Browser
- * Implements the reading portion of Thrift Compact Protocol
+ * Thrift Compact Protocol Reader and Writer for Browser
+ * Implements the Thrift Compact Protocol as used by parquet_types.js
  * https://github.com/apache/thrift/blob/master/doc/specs/thrift-compact-protocol.md
  */
 
@@ -84,6 +84,11 @@ function compactTypeToThriftType(compactType) {
 
 /**
  * Thrift Compact Protocol Reader
+ * Fields the generated code skips (field ids it doesn't know, e.g. from a newer parquet.thrift, or
+ * values of an unexpected type) are collected in `skippedFields`:
+ * { path: [{ fieldId, index }], fieldId, type, start, end }, where path leads from the outermost struct
+ * to the struct containing the field (index is the position in a list of structs, or null) and
+ * start/end are the offsets of the field including its header.
  */
 export class TCompactProtocolReader {
   constructor(buffer) {
@@ -92,6 +97,13 @@ export class TCompactProtocolReader {
     this.offset = 0;
     this.lastFieldId = [0];
     this.boolValue = null;
+    this.skippedFields = [];
+    // Per struct being read: its position in the enclosing list, or null
+    this.elementIndexes = [];
+    // Per list being read: the struct depth it was opened at and the index of its current element
+    this.openLists = [];
+    this.fieldStart = 0;
+    this.skipDepth = 0;
   }
 
   // Read a single byte
@@ -194,8 +206,11 @@ export class TCompactProtocolReader {
     return { value: byte === 1 };
   }
 
-  // Read struct begin (no-op for compact protocol)
+  // Read struct begin (no field data in the compact protocol, only tracks the position)
   readStructBegin() {
+    const list = this.openLists[this.openLists.length - 1];
+    const isElement = list !== undefined && list.depth === this.lastFieldId.length;
+    this.elementIndexes.push(isElement ? ++list.index : null);
     this.lastFieldId.push(0);
     return {};
   }
@@ -203,10 +218,12 @@ export class TCompactProtocolReader {
   // Read struct end
   readStructEnd() {
     this.lastFieldId.pop();
+    this.elementIndexes.pop();
   }
 
   // Read field begin
   readFieldBegin() {
+    this.fieldStart = this.offset;
     const byte = this.readByte().value;
 
     if (byte === 0) {
@@ -255,6 +272,7 @@ export class TCompactProtocolReader {
       // Large list
       size = Number(this.readVarint());
     }
+    this.openLists.push({ depth: this.lastFieldId.length, index: -1 });
 
     return {
       etype: compactTypeToThriftType(elemType),
@@ -262,8 +280,10 @@ export class TCompactProtocolReader {
     };
   }
 
-  // Read list end (no-op)
-  readListEnd() {}
+  // Read list end
+  readListEnd() {
+    this.openLists.pop();
+  }
 
   // Read map begin
   readMapBegin() {
@@ -287,11 +307,34 @@ export class TCompactProtocolReader {
     return this.readListBegin();
   }
 
-  // Read set end (no-op)
-  readSetEnd() {}
+  // Read set end (same as list)
+  readSetEnd() {
+    this.readListEnd();
+  }
 
-  // Skip a value of the given type
+  // Skip the value of a field the generated code doesn't decode, recording the field
   skip(type) {
+    if (this.skipDepth > 0) {
+      this.skipValue(type);
+      return;
+    }
+    const start = this.fieldStart;
+    this.skipDepth++;
+    try {
+      this.skipValue(type);
+    } finally {
+      this.skipDepth--;
+    }
+    const depth = this.lastFieldId.length - 1;
+    const path = [];
+    for (let i = 1; i < depth; i++) {
+      path.push({ fieldId: this.lastFieldId[i], index: this.elementIndexes[i] });
+    }
+    this.skippedFields.push({ path, fieldId: this.lastFieldId[depth], type, start, end: this.offset });
+  }
+
+  // Skip a value of the given type
+  skipValue(type) {
     switch (type) {
       case Thrift.Type.STOP:
         break;
@@ -355,7 +398,454 @@ export class TCompactProtocolReader {
   }
 }
 
-// Make Thrift available globally for parquet_types.js
-if (typeof window !== 'undefined') {
-  window.Thrift = Thrift;
+/**
+ * Thrift Compact Protocol Reader that records where each value is in the buffer
+ * Decodes like TCompactProtocolReader and builds a tree of nodes as it goes:
+ * { fieldId, index (list elements), type (Thrift.Type), start, headerEnd, end, value, size, children }.
+ * `root` is the outermost struct. Fields skipped by the reader (unknown or with an unexpected type)
+ * are recorded too, with their raw values.
+ */
+export class TTracingCompactProtocolReader extends TCompactProtocolReader {
+  constructor(buffer) {
+    super(buffer);
+    this.root = { fieldId: null, index: null, type: Thrift.Type.STRUCT, start: 0, headerEnd: 0, end: null, children: [] };
+    this.stack = [this.root];
+    // Per struct/list begin: whether it pushed a list element node (popped again on end)
+    this.pushedElements = [];
+    // Reads made by the reader itself (e.g. readString calling readBinary) are not values of their own
+    this.internalDepth = 0;
+  }
+
+  top() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  // Add a node for the next element if the current node is a list, set or map
+  beginElement(start, type) {
+    const parent = this.top();
+    if (!parent.container) return null;
+    const node = { fieldId: null, index: parent.children.length, type, start, headerEnd: start, end: null, children: [] };
+    parent.children.push(node);
+    return node;
+  }
+
+  elementType(container) {
+    if (container.container !== Thrift.Type.MAP) return container.elementType;
+    // Map entries alternate between key and value
+    return container.children.length % 2 === 0 ? container.keyType : container.valueType;
+  }
+
+  // Record a primitive value as the current field's value or as a list element
+  traceValue(read) {
+    if (this.internalDepth > 0) return read();
+    const start = this.offset;
+    const parent = this.top();
+    const elementType = parent.container ? this.elementType(parent) : null;
+    this.internalDepth++;
+    try {
+      const result = read();
+      const node = parent.container ? this.beginElement(start, elementType) : parent;
+      if (node !== parent) node.end = this.offset;
+      node.value = result.value;
+      return result;
+    } finally {
+      this.internalDepth--;
+    }
+  }
+
+  readByte() { return this.traceValue(() => super.readByte()); }
+  readI16() { return this.traceValue(() => super.readI16()); }
+  readI32() { return this.traceValue(() => super.readI32()); }
+  readI64() { return this.traceValue(() => super.readI64()); }
+  readDouble() { return this.traceValue(() => super.readDouble()); }
+  readBinary() { return this.traceValue(() => super.readBinary()); }
+  readString() { return this.traceValue(() => super.readString()); }
+  readBool() { return this.traceValue(() => super.readBool()); }
+
+  readStructBegin() {
+    const parent = this.top();
+    const element = parent.container ? this.beginElement(this.offset, Thrift.Type.STRUCT) : null;
+    if (element) this.stack.push(element);
+    this.pushedElements.push(!!element);
+    return super.readStructBegin();
+  }
+
+  readStructEnd() {
+    super.readStructEnd();
+    if (this.pushedElements.pop()) {
+      this.stack.pop().end = this.offset;
+    } else if (this.stack.length === 1) {
+      this.root.end = this.offset;
+    }
+  }
+
+  readFieldBegin() {
+    const start = this.offset;
+    this.internalDepth++;
+    let field;
+    try {
+      field = super.readFieldBegin();
+    } finally {
+      this.internalDepth--;
+    }
+    if (field.ftype !== Thrift.Type.STOP) {
+      const node = { fieldId: field.fid, index: null, type: field.ftype, start, headerEnd: this.offset, end: null, children: [] };
+      this.top().children.push(node);
+      this.stack.push(node);
+    }
+    return field;
+  }
+
+  readFieldEnd() {
+    this.stack.pop().end = this.offset;
+  }
+
+  // Mark the current field (or a new list element) as a container of the given element types
+  beginContainer(type, read) {
+    const start = this.offset;
+    const parent = this.top();
+    const element = parent.container ? this.beginElement(start, type) : null;
+    this.internalDepth++;
+    let result;
+    try {
+      result = read();
+    } finally {
+      this.internalDepth--;
+    }
+    const node = element || parent;
+    node.container = type;
+    node.size = result.size;
+    node.elementType = result.etype;
+    node.keyType = result.ktype;
+    node.valueType = result.vtype;
+    // The list header ends where the first element starts
+    if (element) {
+      element.headerEnd = this.offset;
+      this.stack.push(element);
+    }
+    this.pushedElements.push(!!element);
+    return result;
+  }
+
+  endContainer() {
+    if (this.pushedElements.pop()) {
+      this.stack.pop().end = this.offset;
+    }
+  }
+
+  readListBegin() { return this.beginContainer(Thrift.Type.LIST, () => super.readListBegin()); }
+  readListEnd() { this.endContainer(); super.readListEnd(); }
+  readSetBegin() { return this.beginContainer(Thrift.Type.SET, () => super.readListBegin()); }
+  readSetEnd() { this.endContainer(); super.readListEnd(); }
+  readMapBegin() { return this.beginContainer(Thrift.Type.MAP, () => super.readMapBegin()); }
+  readMapEnd() { this.endContainer(); }
+}
+
+/**
+ * Protocol writer that records the struct and field names of a struct instead of encoding it
+ * The generated write methods pass the names, e.g. fileMetaData[Symbol.for('write')](recorder).
+ * `root` is { structName, fields: Map(field id -> { name, struct, elements }) }, where struct is set
+ * for struct fields and elements for lists (one entry per element, structs for lists of structs).
+ */
+export class TFieldNameRecorder {
+  constructor() {
+    this.root = null;
+    this.stack = [];
+  }
+
+  writeStructBegin(name) {
+    const node = { structName: name, fields: new Map() };
+    const parent = this.stack[this.stack.length - 1];
+    if (!parent) {
+      this.root = node;
+    } else if (parent.elements) {
+      parent.elements.push(node);
+    } else {
+      parent.struct = node;
+    }
+    this.stack.push(node);
+  }
+
+  writeStructEnd() {
+    this.stack.pop();
+  }
+
+  writeFieldBegin(name, type, id) {
+    const entry = { name, struct: null, elements: null };
+    this.stack[this.stack.length - 1].fields.set(id, entry);
+    this.stack.push(entry);
+  }
+
+  writeFieldEnd() {
+    this.stack.pop();
+  }
+
+  writeListBegin() {
+    this.stack[this.stack.length - 1].elements ??= [];
+  }
+
+  writeSetBegin() {
+    this.writeListBegin();
+  }
+
+  writeFieldStop() {}
+  writeListEnd() {}
+  writeSetEnd() {}
+  writeMapBegin() {}
+  writeMapEnd() {}
+  writeBinary() {}
+  writeString() {}
+  writeBool() {}
+  writeByte() {}
+  writeI16() {}
+  writeI32() {}
+  writeI64() {}
+  writeDouble() {}
+}
+
+const TYPE_NAMES = {
+  [Thrift.Type.BOOL]: 'bool',
+  [Thrift.Type.BYTE]: 'byte',
+  [Thrift.Type.I16]: 'i16',
+  [Thrift.Type.I32]: 'i32',
+  [Thrift.Type.I64]: 'i64',
+  [Thrift.Type.DOUBLE]: 'double',
+  [Thrift.Type.STRING]: 'binary',
+  [Thrift.Type.LIST]: 'list',
+  [Thrift.Type.SET]: 'set',
+  [Thrift.Type.MAP]: 'map',
+  [Thrift.Type.STRUCT]: 'struct',
+};
+
+/**
+ * Get the name of a Thrift type, e.g. "i32" or "list"
+ */
+export function getThriftTypeName(type) {
+  return TYPE_NAMES[type] ?? `type ${type}`;
+}
+
+/**
+ * Describe the fields a reader skipped while decoding a struct (see TCompactProtocolReader.skippedFields)
+ * @param {Object} struct - The decoded struct, whose names the paths are resolved with
+ * @param {Array} skippedFields - The reader's skippedFields
+ * @returns {Array} [{ path, structName, fieldId, type, typeName, start, end }] where path names the
+ *          struct containing the field, e.g. "FileMetaData.row_groups[0].columns[2].meta_data", and
+ *          structName is its type (null if unknown, e.g. inside another skipped field)
+ */
+export function describeSkippedFields(struct, skippedFields) {
+  if (skippedFields.length === 0) return [];
+  const recorder = new TFieldNameRecorder();
+  struct[Symbol.for('write')](recorder);
+
+  return skippedFields.map((field) => {
+    let names = recorder.root;
+    let path = names.structName;
+    for (const { fieldId, index } of field.path) {
+      const entry = names?.fields.get(fieldId);
+      path += `.${entry?.name ?? `<field ${fieldId}>`}${index !== null ? `[${index}]` : ''}`;
+      names = index !== null ? entry?.elements?.[index] : entry?.struct;
+    }
+    return {
+      path,
+      structName: names?.structName ?? null,
+      fieldId: field.fieldId,
+      type: field.type,
+      typeName: getThriftTypeName(field.type),
+      start: field.start,
+      end: field.end,
+    };
+  });
+}
+
+// Map Thrift type to compact type
+function thriftTypeToCompactType(thriftType) {
+  switch (thriftType) {
+    case Thrift.Type.STOP: return COMPACT_TYPES.STOP;
+    case Thrift.Type.BOOL: return COMPACT_TYPES.BOOL_TRUE;
+    case Thrift.Type.BYTE: return COMPACT_TYPES.BYTE;
+    case Thrift.Type.I16: return COMPACT_TYPES.I16;
+    case Thrift.Type.I32: return COMPACT_TYPES.I32;
+    case Thrift.Type.I64: return COMPACT_TYPES.I64;
+    case Thrift.Type.DOUBLE: return COMPACT_TYPES.DOUBLE;
+    case Thrift.Type.STRING: return COMPACT_TYPES.BINARY;
+    case Thrift.Type.LIST: return COMPACT_TYPES.LIST;
+    case Thrift.Type.SET: return COMPACT_TYPES.SET;
+    case Thrift.Type.MAP: return COMPACT_TYPES.MAP;
+    case Thrift.Type.STRUCT: return COMPACT_TYPES.STRUCT;
+    default: throw new Error(`Unknown type to write: ${thriftType}`);
+  }
+}
+
+/**
+ * Thrift Compact Protocol Writer
+ * Counterpart of TCompactProtocolReader, e.g. fileMetaData[Symbol.for('write')](writer)
+ */
+export class TCompactProtocolWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1024);
+    this.offset = 0;
+    this.lastFieldId = [0];
+    // Bool fields are written together with their field header (the value is part of the type)
+    this.pendingBoolFieldId = null;
+  }
+
+  // Get the written bytes
+  getBuffer() {
+    return this.buffer.slice(0, this.offset);
+  }
+
+  // Make room for n more bytes
+  ensureCapacity(n) {
+    if (this.offset + n <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.offset + n) size *= 2;
+    const buffer = new Uint8Array(size);
+    buffer.set(this.buffer.subarray(0, this.offset));
+    this.buffer = buffer;
+  }
+
+  // Write a single byte
+  writeByte(value) {
+    this.ensureCapacity(1);
+    this.buffer[this.offset++] = value & 0xff;
+  }
+
+  // Write varint (variable length integer)
+  writeVarint(value) {
+    let n = BigInt(value);
+    do {
+      let byte = Number(n & 0x7fn);
+      n >>= 7n;
+      if (n > 0n) byte |= 0x80;
+      this.writeByte(byte);
+    } while (n > 0n);
+  }
+
+  // Write zigzag encoded varint (for signed integers)
+  writeZigZag(value, bits) {
+    const n = BigInt(value);
+    this.writeVarint(BigInt.asUintN(bits, (n << 1n) ^ (n >> BigInt(bits - 1))));
+  }
+
+  // Write i16
+  writeI16(value) {
+    this.writeZigZag(value, 16);
+  }
+
+  // Write i32
+  writeI32(value) {
+    this.writeZigZag(value, 32);
+  }
+
+  // Write i64 (number, BigInt or Int64)
+  writeI64(value) {
+    this.writeZigZag(typeof value === 'object' && value !== null ? value.value : value, 64);
+  }
+
+  // Write double (8 bytes, little endian)
+  writeDouble(value) {
+    this.ensureCapacity(8);
+    new DataView(this.buffer.buffer).setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  // Write binary (strings are UTF-8 encoded)
+  writeBinary(value) {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    this.writeVarint(bytes.length);
+    this.ensureCapacity(bytes.length);
+    this.buffer.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  // Write string (UTF-8 encoded)
+  writeString(value) {
+    this.writeBinary(value);
+  }
+
+  // Write bool: inline in the field header for fields, as a byte for list elements
+  writeBool(value) {
+    const compactType = value ? COMPACT_TYPES.BOOL_TRUE : COMPACT_TYPES.BOOL_FALSE;
+    if (this.pendingBoolFieldId !== null) {
+      const fieldId = this.pendingBoolFieldId;
+      this.pendingBoolFieldId = null;
+      this.writeFieldHeader(compactType, fieldId);
+    } else {
+      this.writeByte(compactType);
+    }
+  }
+
+  // Write struct begin (no-op for compact protocol)
+  writeStructBegin() {
+    this.lastFieldId.push(0);
+  }
+
+  // Write struct end
+  writeStructEnd() {
+    this.lastFieldId.pop();
+  }
+
+  // Write a field header, delta encoded if possible
+  writeFieldHeader(compactType, fieldId) {
+    const delta = fieldId - this.lastFieldId[this.lastFieldId.length - 1];
+    if (delta > 0 && delta <= 15) {
+      this.writeByte((delta << 4) | compactType);
+    } else {
+      // Long form - field id follows as a zigzag varint
+      this.writeByte(compactType);
+      this.writeI16(fieldId);
+    }
+    this.lastFieldId[this.lastFieldId.length - 1] = fieldId;
+  }
+
+  // Write field begin
+  writeFieldBegin(name, type, id) {
+    if (type === Thrift.Type.BOOL) {
+      this.pendingBoolFieldId = id;
+      return;
+    }
+    this.writeFieldHeader(thriftTypeToCompactType(type), id);
+  }
+
+  // Write field end (no-op)
+  writeFieldEnd() {}
+
+  // Write field stop
+  writeFieldStop() {
+    this.writeByte(COMPACT_TYPES.STOP);
+  }
+
+  // Write list begin
+  writeListBegin(elemType, size) {
+    const compactType = thriftTypeToCompactType(elemType);
+    if (size < 15) {
+      this.writeByte((size << 4) | compactType);
+    } else {
+      // Large list
+      this.writeByte(0xf0 | compactType);
+      this.writeVarint(size);
+    }
+  }
+
+  // Write list end (no-op)
+  writeListEnd() {}
+
+  // Write map begin
+  writeMapBegin(keyType, valueType, size) {
+    this.writeVarint(size);
+    if (size > 0) {
+      this.writeByte((thriftTypeToCompactType(keyType) << 4) | thriftTypeToCompactType(valueType));
+    }
+  }
+
+  // Write map end (no-op)
+  writeMapEnd() {}
+
+  // Write set begin (same as list)
+  writeSetBegin(elemType, size) {
+    this.writeListBegin(elemType, size);
+  }
+
+  // Write set end (no-op)
+  writeSetEnd() {}
 }
@@ -0,0 +1,107 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, test } from 'vitest';
+import { FileMetaData, TCompactProtocolReader, TCompactProtocolWriter, Thrift } from './parquetInit.js';
+import { applyFooterEdits, serializeFileMetaData } from './footerEditor.js';
+
+const EXAMPLE_FILE = new Uint8Array(readFileSync(new URL('../public/example_file.parquet', import.meta.url)));
+
+/**
+ * Get the Thrift-encoded footer of a Parquet file
+ */
+function getFooterBytes(file) {
+    const footerLength = new DataView(file.buffer, file.byteOffset + file.length - 8, 4).getUint32(0, true);
+    return file.subarray(file.length - 8 - footerLength, file.length - 8);
+}
+
+function readFileMetaData(bytes) {
+    const fileMetaData = new FileMetaData();
+    fileMetaData[Symbol.for('read')](new TCompactProtocolReader(bytes));
+    return fileMetaData;
+}
+
+function write(callback) {
+    const writer = new TCompactProtocolWriter();
+    callback(writer);
+    return [...writer.getBuffer()];
+}
+
+describe('TCompactProtocolWriter', () => {
+    test.each([
+        ['i32 0', (writer) => writer.writeI32(0), [0x00]],
+        ['i32 -1', (writer) => writer.writeI32(-1), [0x01]],
+        ['i32 300', (writer) => writer.writeI32(300), [0xd8, 0x04]],
+        ['i32 minimum', (writer) => writer.writeI32(-(2 ** 31)), [0xff, 0xff, 0xff, 0xff, 0x0f]],
+        ['i64 minimum', (writer) => writer.writeI64(-(2n ** 63n)), [...Array(9).fill(0xff), 0x01]],
+        ['i64 from an Int64 object', (writer) => writer.writeI64({ value: 2n ** 40n }), [...Array(5).fill(0x80), 0x40]],
+        ['double', (writer) => writer.writeDouble(1.5), [0, 0, 0, 0, 0, 0, 0xf8, 0x3f]],
+        ['string', (writer) => writer.writeString('hé'), [0x03, 0x68, 0xc3, 0xa9]],
+        ['binary', (writer) => writer.writeBinary(Uint8Array.of(0, 255)), [0x02, 0x00, 0xff]],
+        ['short list header', (writer) => writer.writeListBegin(Thrift.Type.I32, 2), [0x25]],
+        ['long list header', (writer) => writer.writeListBegin(Thrift.Type.STRUCT, 15), [0xfc, 0x0f]],
+        ['bool list element', (writer) => writer.writeBool(false), [0x02]],
+        ['map header', (writer) => writer.writeMapBegin(Thrift.Type.STRING, Thrift.Type.I64, 1), [0x01, 0x86]],
+        ['empty map header', (writer) => writer.writeMapBegin(Thrift.Type.STRING, Thrift.Type.I64, 0), [0x00]],
+    ])('writes %s', (_, callback, expected) => {
+        expect(write(callback)).toEqual(expected);
+    });
+
+    test('writes field headers relative to the previous field of the same struct', () => {
+        const bytes = write((writer) => {
+            writer.writeStructBegin();
+            writer.writeFieldBegin('a', Thrift.Type.I32, 1);
+            writer.writeI32(5);
+            // Bools are written as the type of their field header
+            writer.writeFieldBegin('b', Thrift.Type.BOOL, 2);
+            writer.writeBool(true);
+            // Nested structs count their field ids from zero again
+            writer.writeFieldBegin('c', Thrift.Type.STRUCT, 3);
+            writer.writeStructBegin();
+            writer.writeFieldBegin('d', Thrift.Type.BOOL, 1);
+            writer.writeBool(false);
+            writer.writeFieldStop();
+            writer.writeStructEnd();
+            // Jumps of more than 15 and decreasing ids use the long form
+            writer.writeFieldBegin('e', Thrift.Type.STRING, 20);
+            writer.writeString('hi');
+            writer.writeFieldBegin('f', Thrift.Type.I64, 4);
+            writer.writeI64(0);
+            writer.writeFieldStop();
+            writer.writeStructEnd();
+        });
+        expect(bytes).toEqual([
+            0x15, 0x0a, 0x11, 0x1c, 0x12, 0x00, 0x08, 0x28, 0x02, 0x68, 0x69, 0x06, 0x08, 0x00, 0x00,
+        ]);
+    });
+
+    test('grows its buffer', () => {
+        const bytes = write((writer) => writer.writeBinary(new Uint8Array(3000).fill(7)));
+        expect(bytes).toHaveLength(3002);
+        expect(bytes.slice(0, 3)).toEqual([0xb8, 0x17, 0x07]);
+    });
+});
+
+describe('FileMetaData round trip', () => {
+    const footer = getFooterBytes(EXAMPLE_FILE);
+
+    test('writes the footer of the example file byte for byte', () => {
+        expect(serializeFileMetaData(readFileMetaData(footer))).toEqual(footer);
+    });
+
+    test('reads back an edited footer', () => {
+        const original = readFileMetaData(footer);
+        const edited = applyFooterEdits(original, {
+            createdBy: 'parquetastic test',
+            keyValueMetadata: [{ key: 'owner', value: 'ünïcode' }, { key: 'empty' }],
+        });
+        const reread = readFileMetaData(serializeFileMetaData(edited));
+
+        expect(reread.created_by).toBe('parquetastic test');
+        expect(reread.key_value_metadata.map(({ key, value }) => [key, value])).toEqual([
+            ['owner', 'ünïcode'],
+            ['empty', null],
+        ]);
+        expect(reread.schema).toEqual(original.schema);
+        expect(reread.row_groups).toEqual(original.row_groups);
+        expect(String(reread.num_rows)).toBe(String(original.num_rows));
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Thrift Inspector
+ * Maps the bytes of a Thrift compact-encoded struct (the footer, a ColumnIndex or an OffsetIndex) to
+ * the fields they encode. The struct is decoded with TTracingCompactProtocolReader, which records
+ * the byte range of every field; field and struct names come from writing the decoded struct back
+ * through TFieldNameRecorder.
+ */
+
+import { Thrift, TTracingCompactProtocolReader, TFieldNameRecorder, getThriftTypeName } from './parquetInit.js';
+import { EnumHelpers } from './parquetParser.js';
+import { decodePrintableText } from './textDecoding.js';
+
+export { getThriftTypeName };
+
+// Enum-typed fields ("Struct.field") and how to name their values
+const ENUM_FIELDS = {
+    'SchemaElement.type': EnumHelpers.getTypeName,
+    'SchemaElement.repetition_type': EnumHelpers.getRepetitionTypeName,
+    'SchemaElement.converted_type': EnumHelpers.getConvertedTypeName,
+    'ColumnMetaData.type': EnumHelpers.getTypeName,
+    'ColumnMetaData.encodings': EnumHelpers.getEncodingName,
+    'ColumnMetaData.codec': EnumHelpers.getCompressionName,
+    'PageEncodingStats.page_type': EnumHelpers.getPageTypeName,
+    'PageEncodingStats.encoding': EnumHelpers.getEncodingName,
+    'ColumnIndex.boundary_order': EnumHelpers.getBoundaryOrderName,
+    'PageHeader.type': EnumHelpers.getPageTypeName,
+    'DataPageHeader.encoding': EnumHelpers.getEncodingName,
+    'DataPageHeader.definition_level_encoding': EnumHelpers.getEncodingName,
+    'DataPageHeader.repetition_level_encoding': EnumHelpers.getEncodingName,
+    'DataPageHeaderV2.encoding': EnumHelpers.getEncodingName,
+    'DictionaryPageHeader.encoding': EnumHelpers.getEncodingName,
+    'GeographyType.algorithm': EnumHelpers.getEdgeInterpolationName,
+};
+
+// Longest binary or string value shown in full
+const MAX_VALUE_LENGTH = 64;
+
+/**
+ * Name the nodes of a traced struct: name (null for fields the reader didn't decode), path,
+ * structName (structs only) and formatEnum (enum fields and lists of enums)
+ */
+function annotate(node, names, path) {
+    node.path = path;
+    if (node.type === Thrift.Type.STRUCT) {
+        node.structName = names?.structName ?? null;
+    }
+
+    node.children.forEach((child) => {
+        let childNames;
+        if (node.container) {
+            child.name = null;
+            child.formatEnum = node.formatEnum;
+            childNames = names?.elements?.[child.index] ?? null;
+            annotate(child, childNames, `${path}[${child.index}]`);
+        } else {
+            const entry = names?.fields.get(child.fieldId) ?? null;
+            child.name = entry?.name ?? null;
+            child.formatEnum = (child.name && ENUM_FIELDS[`${node.structName}.${child.name}`]) || null;
+            childNames = child.type === Thrift.Type.STRUCT ? entry?.struct : entry;
+            annotate(child, childNames, `${path}.${child.name ?? `<field ${child.fieldId}>`}`);
+        }
+    });
+}
+
+/**
+ * Decode a Thrift struct and record the byte range of each of its fields
+ * @param {Uint8Array} bytes - The encoded struct (may be followed by other bytes)
+ * @param {Function} StructType - The struct class from parquetInit.js, e.g. FileMetaData
+ * @returns {Object} { root, struct, length, error } where root is the tree of traced nodes
+ *          ({ fieldId, index, type, start, headerEnd, end, value, size, name, path, children, ... }),
+ *          struct the decoded struct, length the number of bytes decoded and error the message if
+ *          decoding failed part way (the nodes up to that point are still returned)
+ */
+export function traceThriftStruct(bytes, StructType) {
+    const reader = new TTracingCompactProtocolReader(bytes);
+    const struct = new StructType();
+    let error = null;
+    try {
+        struct[Symbol.for('read')](reader);
+    } catch (err) {
+        error = err.message;
+        // Close the fields that were being read when decoding failed
+        reader.stack.forEach((node) => {
+            node.end ??= reader.offset;
+        });
+    }
+
+    const recorder = new TFieldNameRecorder();
+    try {
+        struct[Symbol.for('write')](recorder);
+    } catch {
+        // A partially decoded struct may not be writable; its fields stay unnamed
+    }
+    annotate(reader.root, recorder.root, recorder.root?.structName ?? 'struct');
+
+    return { root: reader.root, struct, length: reader.root.end ?? reader.offset, error };
+}
+
+/**
+ * Map each byte to the innermost traced node containing it
+ * @returns {Array} One node per byte of the decoded range (null for bytes outside the root)
+ */
+export function mapBytesToNodes(root, length) {
+    const owners = new Array(length).fill(null);
+    const visit = (node) => {
+        for (let i = node.start; i < Math.min(node.end ?? length, length); i++) {
+            owners[i] = node;
+        }
+        node.children.forEach(visit);
+    };
+    visit(root);
+    return owners;
+}
+
+function formatBinary(bytes) {
+    const text = decodePrintableText(bytes);
+    if (text !== null) return formatText(text);
+    const hex = Array.from(bytes.subarray(0, MAX_VALUE_LENGTH / 2), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return `0x${hex}${bytes.length > MAX_VALUE_LENGTH / 2 ? '…' : ''} (${bytes.length} bytes)`;
+}
+
+function formatText(text) {
+    return JSON.stringify(text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text);
+}
+
+/**
+ * Format the decoded value of a traced node for display
+ * e.g. '"spark"', '5 (RLE_DICTIONARY)', 'list<struct> of 3', 'ColumnChunk (4 fields)'
+ */
+export function formatTracedValue(node) {
+    if (node.container === Thrift.Type.MAP) return `map of ${node.size}`;
+    if (node.container) return `${getThriftTypeName(node.container)}<${getThriftTypeName(node.elementType)}> of ${node.size}`;
+    if (node.type === Thrift.Type.STRUCT) {
+        return `${node.structName ?? 'struct'} (${node.children.length} field${node.children.length === 1 ? '' : 's'})`;
+    }
+    const { value } = node;
+    if (value === undefined) return '-';
+    if (value instanceof Uint8Array) return formatBinary(value);
+    if (typeof value === 'string') return formatText(value);
+    if (node.formatEnum && typeof value === 'number') return `${value} (${node.formatEnum(value)})`;
+    return String(value);
+}